@@ -311,10 +311,24 @@ export class CollisionManager {
             enemyId: enemyId
         });
         
+        // Roll for a critical hit; the player's critical stats set the chance and equipped items can trigger on it
+        const itemEffects = this.player.itemEffects;
+        const isCritical = itemEffects.rollCritical(enemy);
+        const wasAlive = !enemy.isDead();
+        
         // Apply skill damage to enemy
-        const damage = skill.getDamage();
+        let damage = skill.getDamage();
+        if (isCritical) {
+            damage = Math.round(damage * itemEffects.getCriticalMultiplier());
+        }
         enemy.takeDamage(damage);
         
+        // Heal the player for a share of the damage dealt
+        const lifesteal = this.player.stats.getLifesteal();
+        if (wasAlive && lifesteal > 0) {
+            this.player.stats.heal(damage * lifesteal / 100);
+        }
+        
         // Show damage number
         this.player.game.hudManager.createBleedingEffect(damage, enemy.getPosition());
         
@@ -322,11 +336,20 @@ export class CollisionManager {
         if (enemy.getHealth() <= 0) {
             // Award experience to player
             this.player.addExperience(enemy.getExperienceValue());
-            
+        
             // Check for quest completion
             this.player.game.questManager.updateEnemyKill(enemy);
         }
         
+        // Trigger item effects, unless the enemy was already dying
+        if (wasAlive) {
+            itemEffects.handleEnemyHit(enemy, damage, {
+                skill,
+                isCritical,
+                killed: enemy.isDead()
+            });
+        }
+        
         // Call the skill's hit effect method
         // This allows skills to create visual effects when they hit an enemy
         if (skill.effect) {
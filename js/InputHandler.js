@@ -7,6 +7,7 @@ import {
     getAllSkillKeys,
     getSkillIndexFromKeyCode,
     isSkillKey,
+    getQuickSlotIndexFromKeyCode,
     CAST_INTERVAL,
     INTERACTION_RANGE
 } from './config/input.js';
@@ -63,6 +64,11 @@ export class InputHandler {
                     console.debug('Toggling skill tree');
                     break;
                     
+                case UI_KEYS.TOGGLE_CODEX:
+                    this.game.hudManager.toggleCodex();
+                    console.debug('Toggling legendary codex');
+                    break;
+                    
                 case UI_KEYS.TOGGLE_HUD:
                     const hudVisible = this.game.hudManager.toggleHUD();
                     console.debug(`HUD visibility toggled: ${hudVisible ? 'visible' : 'hidden'}`);
@@ -128,7 +134,7 @@ export class InputHandler {
                     }
                     break;
                     
-                // Handle all skill keys (Digit1-Digit9)
+                // Handle all skill keys (Digit1-Digit9) and quick slot keys
                 default:
                     // Check if this is a skill key
                     if (isSkillKey(event.code) && event.code !== SKILL_KEYS.PRIMARY_ATTACK) {
@@ -152,6 +158,9 @@ export class InputHandler {
                         } else {
                             this.game.player.useSkill(skillIndex);
                         }
+                    } else if (getQuickSlotIndexFromKeyCode(event.code) !== -1 && !event.repeat && !this.game.isPaused) {
+                        // Quick slot keys use one consumable per press, not while the key is held
+                        this.game.player.useQuickSlot(getQuickSlotIndexFromKeyCode(event.code));
                     }
                     break;
             }
@@ -21,6 +21,11 @@ export class InteractionResultHandler {
             return false;
         }
         
+        // Count the interaction towards quest objectives, e.g. opening chests
+        if (interactiveObject && interactiveObject.type && this.game && this.game.questManager) {
+            this.game.questManager.updateInteraction(interactiveObject.type, interactiveObject);
+        }
+        
         // Handle different interaction types
         switch (result.type) {
             case 'quest':
@@ -33,6 +38,18 @@ export class InteractionResultHandler {
             case 'boss_spawn':
                 return this.handleBossSpawnInteraction(result, interactiveObject);
                 
+            case 'bounty_board':
+                return this.handleBountyBoardInteraction();
+                
+            case 'stash':
+                return this.handleStashInteraction();
+                
+            case 'merchant':
+                return this.handleMerchantInteraction(result);
+                
+            case 'crafting_bench':
+                return this.handleCraftingBenchInteraction();
+                
             default:
                 console.warn(`Unknown interaction type: ${result.type}`);
                 return false;
@@ -45,6 +62,11 @@ export class InteractionResultHandler {
      * @returns {boolean} - Whether the interaction was handled successfully
      */
     handleQuestInteraction(result) {
+        // Hand over items the player was asked to bring to this marker
+        if (this.game && this.game.questManager && this.game.questManager.updateDelivery(result.quest.name)) {
+            return true;
+        }
+        
         // Start the quest
         if (this.game && this.game.questManager) {
             this.game.questManager.startQuest(result.quest);
@@ -72,10 +94,14 @@ export class InteractionResultHandler {
      */
     handleItemInteraction(result) {
         if (this.game && this.game.player) {
-            this.game.player.addToInventory(result.item);
+            // Chests hand out gold as an item; the player's gold find adds to it
+            if (result.type === 'treasure' && result.item.name === 'Gold') {
+                const goldFind = this.game.player.stats.getGoldFind();
+                result.item.amount = Math.round(result.item.amount * (1 + goldFind / 100));
+            }
             
-            // Show notification if HUD manager exists
-            if (this.game.hudManager) {
+            // Show notification if HUD manager exists; items that don't fit in the bag are dropped at the player's feet
+            if (this.game.player.addToInventory(result.item) && this.game.hudManager) {
                 this.game.hudManager.showNotification(
                     `Found ${result.item.name} x${result.item.amount || 1}`
                 );
@@ -87,6 +113,59 @@ export class InteractionResultHandler {
         return false;
     }
     
+    /**
+     * Handle bounty board interaction
+     * @returns {boolean} - Whether the interaction was handled successfully
+     */
+    handleBountyBoardInteraction() {
+        if (this.game && this.game.questManager) {
+            this.game.questManager.bountyManager.open();
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Handle stash interaction
+     * @returns {boolean} - Whether the interaction was handled successfully
+     */
+    handleStashInteraction() {
+        if (this.game && this.game.hudManager && this.game.stash) {
+            this.game.hudManager.toggleStash();
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Handle merchant interaction
+     * @param {Object} result - The interaction result
+     * @returns {boolean} - Whether the interaction was handled successfully
+     */
+    handleMerchantInteraction(result) {
+        if (this.game && this.game.hudManager && this.game.merchantManager) {
+            this.game.hudManager.openMerchant(result.merchantId);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Handle crafting bench interaction
+     * @returns {boolean} - Whether the interaction was handled successfully
+     */
+    handleCraftingBenchInteraction() {
+        if (this.game && this.game.hudManager && this.game.craftingManager) {
+            this.game.hudManager.openCraftingBench();
+            return true;
+        }
+        
+        return false;
+    }
+    
     /**
      * Handle boss spawn interaction
      * @param {Object} result - The interaction result
@@ -1,3 +1,21 @@
+import { QuestDefinitionLoader } from './quests/QuestDefinitionLoader.js';
+import { EscortNPC } from './entities/npc/EscortNPC.js';
+import { BountyManager } from './quests/BountyManager.js';
+import { QuestBeacon } from './quests/QuestBeacon.js';
+
+/**
+ * Objective types completed once rather than counted; their count is filled in when a quest is created
+ */
+const SINGLE_STEP_OBJECTIVES = ['reach', 'escort'];
+
+/**
+ * Shown when a quest fails, by the failure condition that ended it
+ */
+const FAILURE_MESSAGES = {
+    death: 'you fell',
+    escortDeath: 'your charge was lost'
+};
+
 export class QuestManager {
     constructor(game) {
         this.game = game;
@@ -5,285 +23,102 @@ export class QuestManager {
         this.activeQuests = [];
         this.completedQuests = [];
         
-        // Initialize with some default quests
+        // Quest definitions from the quest data files (see js/config/quests)
+        this.definitions = [];
+        
+        // NPCs of escort objectives in progress, by objective
+        this.escorts = new Map();
+        
+        // Bosses and chests placed in the world for objectives with a spawn point, by objective
+        this.spawns = new Map();
+        
+        // Repeatable generated quests offered on the bounty board
+        this.bountyManager = new BountyManager(game, this);
+        
+        // Quest whose objectives the beacon points to; defaults to the first main quest
+        this.pinnedQuestId = null;
+        this.questBeacon = new QuestBeacon(game.scene, game.world);
+        
+        // How each finished quest ended, and the consequences of the branches taken
+        this.history = [];
+        this.flags = new Set();
+        this.factions = {};
+        
+        // Ids of completed quests whose choice the player hasn't made yet
+        this.pendingChoices = [];
+    }
+    
+    /**
+     * Load the quest definitions and set up the available quests
+     * Invalid quest data is reported in the console and leaves the game without quests
+     * @returns {Promise<boolean>} Whether the quest definitions were loaded
+     */
+    async init() {
+        try {
+            this.definitions = await new QuestDefinitionLoader().load();
+        } catch (error) {
+            console.error(`Quests could not be loaded. ${error.message}`);
+            this.definitions = [];
+        }
+        
         this.initializeQuests();
+        return this.definitions.length > 0;
     }
     
+    /**
+     * Reset the available quests to fresh copies of the quest definitions
+     */
     initializeQuests() {
-        // Main storyline quests
-        const mainQuests = [
-            {
-                id: 'main_quest_1',
-                name: 'The Beginning of the Journey',
-                description: 'Defeat the enemies in the forest to prove your worth.',
-                objective: {
-                    type: 'kill',
-                    target: 'any',
-                    count: 5,
-                    progress: 0
-                },
-                reward: {
-                    experience: 100,
-                    gold: 50,
-                    items: [
-                        { name: 'Health Potion', amount: 2 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 1,
-                nextQuestId: 'main_quest_2'
-            },
-            {
-                id: 'main_quest_2',
-                name: 'The Skeleton Threat',
-                description: 'Skeletons have been spotted in the ruins. Defeat them to secure the area.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton',
-                    count: 8,
-                    progress: 0
-                },
-                reward: {
-                    experience: 200,
-                    gold: 100,
-                    items: [
-                        { name: 'Monk Bracers', type: 'accessory', damage: 0, damageReduction: 0.05, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 2,
-                nextQuestId: 'main_quest_3'
-            },
-            {
-                id: 'main_quest_3',
-                name: 'The Skeleton King',
-                description: 'The Skeleton King has risen in the ancient ruins. Defeat him to restore peace.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton_king',
-                    count: 1,
-                    progress: 0
-                },
-                reward: {
-                    experience: 500,
-                    gold: 250,
-                    items: [
-                        { name: 'Monk Staff', type: 'weapon', damage: 15, damageReduction: 0, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 4,
-                nextQuestId: 'main_quest_4'
-            },
-            {
-                id: 'main_quest_4',
-                name: 'The Swamp of Despair',
-                description: 'Zombies have infested the swamp. Clear them out to make the area safe again.',
-                objective: {
-                    type: 'kill',
-                    target: 'zombie',
-                    count: 12,
-                    progress: 0
-                },
-                reward: {
-                    experience: 800,
-                    gold: 350,
-                    items: [
-                        { name: 'Monk Robe', type: 'armor', damage: 0, damageReduction: 0.1, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 6,
-                nextQuestId: 'main_quest_5'
-            },
-            {
-                id: 'main_quest_5',
-                name: 'The Demon Invasion',
-                description: 'Demons have begun invading from the mountains. Defeat them to protect the realm.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon',
-                    count: 15,
-                    progress: 0
-                },
-                reward: {
-                    experience: 1200,
-                    gold: 500,
-                    items: [
-                        { name: 'Monk Sandals', type: 'boots', damage: 0, damageReduction: 0.05, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 8,
-                nextQuestId: 'main_quest_6'
-            },
-            {
-                id: 'main_quest_6',
-                name: 'The Final Battle',
-                description: 'The Demon Lord has appeared. Defeat him to save the world from destruction.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon_lord',
-                    count: 1,
-                    progress: 0
-                },
-                reward: {
-                    experience: 2000,
-                    gold: 1000,
-                    items: [
-                        { name: 'Legendary Monk Helmet', type: 'helmet', damage: 5, damageReduction: 0.15, amount: 1 }
-                    ]
-                },
-                isMainQuest: true,
-                requiredLevel: 10,
-                nextQuestId: null
-            }
-        ];
-        
-        // Side quests
-        const sideQuests = [
-            {
-                id: 'side_quest_1',
-                name: 'Treasure Hunter',
-                description: 'Find and open treasure chests scattered around the world.',
-                objective: {
-                    type: 'interact',
-                    target: 'chest',
-                    count: 3,
-                    progress: 0
-                },
-                reward: {
-                    experience: 50,
-                    gold: 100
-                },
-                isMainQuest: false,
-                requiredLevel: 1
-            },
-            {
-                id: 'side_quest_2',
-                name: 'Explorer',
-                description: 'Discover all zones in the world.',
-                objective: {
-                    type: 'explore',
-                    target: 'zone',
-                    count: 4,
-                    progress: 0,
-                    discovered: []
-                },
-                reward: {
-                    experience: 150,
-                    gold: 75,
-                    items: [
-                        { name: 'Map Fragment', amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 1
-            },
-            {
-                id: 'side_quest_3',
-                name: 'Skeleton Slayer',
-                description: 'Defeat 20 skeletons to thin their numbers.',
-                objective: {
-                    type: 'kill',
-                    target: 'skeleton',
-                    count: 20,
-                    progress: 0
-                },
-                reward: {
-                    experience: 200,
-                    gold: 150,
-                    items: [
-                        { name: 'Bone Dust', amount: 5 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 3
-            },
-            {
-                id: 'side_quest_4',
-                name: 'Zombie Hunter',
-                description: 'Cleanse the swamp by defeating 25 zombies.',
-                objective: {
-                    type: 'kill',
-                    target: 'zombie',
-                    count: 25,
-                    progress: 0
-                },
-                reward: {
-                    experience: 300,
-                    gold: 200,
-                    items: [
-                        { name: 'Putrid Essence', amount: 3 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 5
-            },
-            {
-                id: 'side_quest_5',
-                name: 'Demon Slayer',
-                description: 'Defeat 30 demons to weaken their invasion force.',
-                objective: {
-                    type: 'kill',
-                    target: 'demon',
-                    count: 30,
-                    progress: 0
-                },
-                reward: {
-                    experience: 400,
-                    gold: 300,
-                    items: [
-                        { name: 'Demon Heart', amount: 2 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 7
-            },
-            {
-                id: 'side_quest_6',
-                name: 'Master Treasure Hunter',
-                description: 'Find and open 10 treasure chests throughout the world.',
-                objective: {
-                    type: 'interact',
-                    target: 'chest',
-                    count: 10,
-                    progress: 0
-                },
-                reward: {
-                    experience: 500,
-                    gold: 400,
-                    items: [
-                        { name: 'Lucky Charm', type: 'accessory', damage: 2, damageReduction: 0.02, amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 5
-            },
-            {
-                id: 'side_quest_7',
-                name: 'Rare Materials',
-                description: 'Collect rare materials from defeated bosses.',
-                objective: {
-                    type: 'kill',
-                    target: 'boss',
-                    count: 3,
-                    progress: 0
-                },
-                reward: {
-                    experience: 600,
-                    gold: 500,
-                    items: [
-                        { name: 'Enchanted Crystal', amount: 1 }
-                    ]
-                },
-                isMainQuest: false,
-                requiredLevel: 8
-            }
-        ];
+        this.clearEscorts();
+        this.clearSpawns();
+        this.quests = this.definitions.map(definition => this.createQuest(definition));
+    }
+    
+    /**
+     * Create a trackable quest from its definition
+     * A quest with a single "objective" becomes a quest with one stage holding that objective
+     * @param {Object} definition - Quest definition from the quest data files
+     * @returns {Object} A quest at its first stage with all objective progress reset
+     */
+    createQuest(definition) {
+        const { objective, ...quest } = JSON.parse(JSON.stringify(definition));
+        
+        quest.prerequisites = quest.prerequisites || [];
+        quest.dialog = quest.dialog || {};
+        quest.nextQuestId = quest.nextQuestId || null;
+        quest.stages = quest.stages || [{ objectives: [objective] }];
+        quest.currentStage = 0;
+        quest.failOn = quest.failOn || [];
+        if (quest.timeLimit) {
+            quest.timeRemaining = quest.timeLimit;
+        }
+        
+        quest.stages.forEach(stage => {
+            stage.objectives.forEach(stageObjective => {
+                stageObjective.progress = 0;
+                if (stageObjective.type === 'explore') {
+                    stageObjective.discovered = [];
+                }
+                if (SINGLE_STEP_OBJECTIVES.includes(stageObjective.type)) {
+                    stageObjective.count = 1;
+                }
+                if (stageObjective.type === 'reach') {
+                    stageObjective.radius = stageObjective.radius || 5;
+                }
+                if (stageObjective.type === 'survive') {
+                    // Survival progress is counted in seconds
+                    stageObjective.count = stageObjective.duration;
+                }
+                if (stageObjective.type === 'escort') {
+                    stageObjective.waypoint = 0;
+                }
+                if (stageObjective.spawn) {
+                    stageObjective.spawn.distance = stageObjective.spawn.distance || 60;
+                }
+            });
+        });
         
-        // Combine all quests
-        this.quests = [...mainQuests, ...sideQuests];
+        return quest;
     }
     
     startQuest(quest) {
@@ -302,6 +137,8 @@ export class QuestManager {
                 // Notify UI
                 this.game.hudManager.updateQuestLog(this.activeQuests);
                 
+                this.beginStage(questToStart);
+                
                 return true;
             }
         }
@@ -309,73 +146,780 @@ export class QuestManager {
         return false;
     }
     
+    /**
+     * Start a bounty taken from the bounty board
+     * @param {Object} definition - Generated bounty quest definition
+     * @returns {boolean} Whether the bounty was started
+     */
+    startBounty(definition) {
+        const bounty = this.createQuest(definition);
+        // Bounties are not in the quest data files, so keep the definition to save and restore them
+        bounty.definition = definition;
+        
+        this.quests.push(bounty);
+        const started = this.startQuest(bounty);
+        if (started) {
+            this.game.hudManager.showNotification(`Bounty accepted: ${bounty.name}`);
+        }
+        return started;
+    }
+    
+    /**
+     * Get the stage a quest is currently on
+     * @param {Object} quest - An active quest
+     * @returns {Object|null} The current stage, or null if the quest has none left
+     */
+    getCurrentStage(quest) {
+        return quest.stages ? quest.stages[quest.currentStage] || null : null;
+    }
+    
+    /**
+     * Check whether every objective of a stage is done
+     * @param {Object} stage - A quest stage
+     * @returns {boolean} Whether the stage is complete
+     */
+    isStageComplete(stage) {
+        return stage.objectives.every(objective => objective.progress >= objective.count);
+    }
+    
+    /**
+     * Advance matching objectives in the current stage of every active quest
+     * @param {string} type - Objective type the event counts towards
+     * @param {Function} advance - Called with each unfinished objective of that type and its quest; records the
+     *        progress and returns the progress message ('' for none), or returns null if the event does not count for the objective
+     */
+    advanceObjectives(type, advance) {
+        // Completing a quest removes it from the active list, so iterate over a copy
+        [...this.activeQuests].forEach(quest => {
+            const stage = this.getCurrentStage(quest);
+            if (!stage) return;
+            
+            const messages = stage.objectives
+                .filter(objective => objective.type === type && objective.progress < objective.count)
+                .map(objective => advance(objective, quest))
+                .filter(message => message !== null);
+            
+            if (messages.length === 0) return;
+            
+            if (this.isStageComplete(stage)) {
+                this.completeStage(quest);
+            } else {
+                // Update UI
+                this.game.hudManager.updateQuestLog(this.activeQuests);
+                messages.filter(Boolean).forEach(message => this.game.hudManager.showNotification(message));
+            }
+        });
+    }
+    
+    /**
+     * Move a quest on to its next stage, completing the quest after its last one
+     * @param {Object} quest - An active quest whose current stage is done
+     */
+    completeStage(quest) {
+        if (quest.currentStage >= quest.stages.length - 1) {
+            this.completeQuest(quest);
+            return;
+        }
+        
+        quest.currentStage++;
+        const stage = this.getCurrentStage(quest);
+        
+        this.game.hudManager.updateQuestLog(this.activeQuests);
+        this.game.hudManager.showNotification(
+            stage.name ? `Quest updated: ${quest.name} - ${stage.name}` : `Quest updated: ${quest.name}`
+        );
+        
+        this.beginStage(quest);
+    }
+    
+    /**
+     * Credit the quest's current stage with progress made before it started
+     * Zones are only discovered once, so a stage asking for a zone the hero already knows is done on arrival
+     * @param {Object} quest - An active quest
+     */
+    beginStage(quest) {
+        const zoneManager = this.game.world && this.game.world.zoneManager;
+        if (!zoneManager) return;
+        
+        zoneManager.getDiscoveredZones().forEach(zoneName => {
+            if (this.activeQuests.includes(quest)) {
+                this.advanceQuestExploration(quest, zoneName);
+            }
+        });
+    }
+    
     updateEnemyKill(enemy) {
         // Update kill objectives for active quests
-        this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'kill') {
-                // Check if this enemy type matches the quest target
-                if (quest.objective.target === 'any' || quest.objective.target === enemy.type) {
-                    quest.objective.progress++;
-                    
-                    // Check if objective is complete
-                    if (quest.objective.progress >= quest.objective.count) {
-                        this.completeQuest(quest);
-                    } else {
-                        // Update UI
-                        this.game.hudManager.updateQuestLog(this.activeQuests);
-                        this.game.hudManager.showNotification(`Quest progress: ${quest.objective.progress}/${quest.objective.count} enemies defeated`);
-                    }
-                }
+        this.advanceObjectives('kill', objective => {
+            // Check if this enemy type matches the quest target
+            if (objective.target !== 'any' && objective.target !== enemy.type &&
+                !(objective.target === 'boss' && enemy.isBoss)) {
+                return null;
             }
+            if (objective.zone && !this.isInZone(enemy.getPosition(), objective.zone)) {
+                return null;
+            }
+            
+            objective.progress++;
+            return `Quest progress: ${objective.progress}/${objective.count} enemies defeated`;
         });
     }
     
-    updateInteraction(objectType) {
+    /**
+     * Count an interaction towards interact objectives
+     * @param {string} objectType - Type of the interactive object, e.g. "chest"
+     * @param {Object} [interactiveObject] - The object interacted with; objectives with a zone or
+     *        spawn point only count objects in that zone or placed for them
+     */
+    updateInteraction(objectType, interactiveObject = null) {
         // Update interaction objectives for active quests
-        this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'interact' && quest.objective.target === objectType) {
-                quest.objective.progress++;
-                
-                // Check if objective is complete
-                if (quest.objective.progress >= quest.objective.count) {
-                    this.completeQuest(quest);
-                } else {
-                    // Update UI
-                    this.game.hudManager.updateQuestLog(this.activeQuests);
-                    this.game.hudManager.showNotification(`Quest progress: ${quest.objective.progress}/${quest.objective.count} ${objectType}s found`);
-                }
+        this.advanceObjectives('interact', objective => {
+            if (objective.target !== objectType) {
+                return null;
+            }
+            if (objective.spawn) {
+                const spawned = this.spawns.get(objective);
+                if (!spawned || !spawned.objects.includes(interactiveObject)) return null;
+                spawned.opened.push(interactiveObject);
+            } else if (objective.zone && !(interactiveObject && this.isInZone(interactiveObject.position, objective.zone))) {
+                return null;
             }
+            
+            objective.progress++;
+            return `Quest progress: ${objective.progress}/${objective.count} ${objectType}s found`;
         });
     }
     
     updateExploration(zoneName) {
         // Update exploration objectives for active quests
+        this.advanceObjectives('explore', objective => this.recordDiscovery(objective, zoneName));
+    }
+    
+    /**
+     * Check whether a position lies in a zone
+     * @param {THREE.Vector3} position - World position
+     * @param {string} zoneName - Zone name
+     * @returns {boolean} Whether the zone at the position has that name
+     * @private
+     */
+    isInZone(position, zoneName) {
+        const zone = this.game.world ? this.game.world.getZoneAt(position) : null;
+        return !!zone && zone.name === zoneName;
+    }
+    
+    /**
+     * Count an already discovered zone towards one quest's exploration objectives
+     * @param {Object} quest - An active quest
+     * @param {string} zoneName - Name of the discovered zone
+     * @private
+     */
+    advanceQuestExploration(quest, zoneName) {
+        const stage = this.getCurrentStage(quest);
+        if (!stage) return;
+        
+        // Only named zones: "discover N zones" objectives count zones found while the quest is active
+        const advanced = stage.objectives
+            .filter(objective => objective.type === 'explore' && objective.target !== 'zone' &&
+                objective.progress < objective.count)
+            .some(objective => this.recordDiscovery(objective, zoneName) !== null);
+        
+        if (!advanced) return;
+        
+        if (this.isStageComplete(stage)) {
+            this.completeStage(quest);
+        } else {
+            this.game.hudManager.updateQuestLog(this.activeQuests);
+        }
+    }
+    
+    /**
+     * Record a discovered zone on an exploration objective
+     * @param {Object} objective - An unfinished explore objective
+     * @param {string} zoneName - Name of the discovered zone
+     * @returns {string|null} The progress message, or null if the zone does not count for the objective
+     * @private
+     */
+    recordDiscovery(objective, zoneName) {
+        // Objectives target either a specific zone or "zone" for any zone
+        if (objective.target !== 'zone' && objective.target !== zoneName) {
+            return null;
+        }
+        
+        // Check if this zone has already been discovered for this quest
+        if (objective.discovered.includes(zoneName)) {
+            return null;
+        }
+        
+        objective.discovered.push(zoneName);
+        objective.progress++;
+        return `Zone discovered: ${zoneName}`;
+    }
+    
+    /**
+     * Count a picked up item towards collect objectives
+     * Objectives target either an item name or an item type
+     * @param {Object} item - The picked up item
+     */
+    updateItemPickup(item) {
+        this.advanceObjectives('collect', objective => {
+            if (objective.target !== item.name && objective.target !== item.type) {
+                return null;
+            }
+            
+            objective.progress = Math.min(objective.count, objective.progress + (item.amount || 1));
+            return `Quest progress: ${objective.progress}/${objective.count} ${item.name} collected`;
+        });
+    }
+    
+    /**
+     * Hand over carried items for deliver objectives at a quest marker
+     * @param {string} markerName - Name of the quest marker the player is at
+     * @returns {boolean} Whether anything was delivered
+     */
+    updateDelivery(markerName) {
+        let delivered = false;
+        
+        this.advanceObjectives('deliver', objective => {
+            if (objective.target !== markerName) {
+                return null;
+            }
+            
+            const amount = Math.min(this.countInventoryItem(objective.item), objective.count - objective.progress);
+            if (amount <= 0 || !this.game.player.removeFromInventory(objective.item, amount)) {
+                return null;
+            }
+            
+            objective.progress += amount;
+            delivered = true;
+            return `Delivered ${amount} ${objective.item} (${objective.progress}/${objective.count})`;
+        });
+        
+        return delivered;
+    }
+    
+    /**
+     * Count how many of an item the player is carrying
+     * @param {string} itemName - Item name
+     * @returns {number} Total amount in the inventory
+     * @private
+     */
+    countInventoryItem(itemName) {
+        return this.game.player.getInventory()
+            .filter(item => item.name === itemName)
+            .reduce((total, item) => total + (item.amount || 1), 0);
+    }
+    
+    /**
+     * Track objectives that depend on where the player is over time: reach, survive, escort
+     * and objectives whose targets are spawned when the player comes close
+     * @param {number} delta - Time in seconds since the last update
+     */
+    update(delta) {
+        this.bountyManager.update(delta);
+        
+        const player = this.game.player;
+        if (!player) return;
+        
+        const position = player.getPosition();
+        this.questBeacon.update(delta, position, this.getPinnedTarget(position));
+        
+        if (this.activeQuests.length === 0 && this.escorts.size === 0 && this.spawns.size === 0) return;
+        
+        const isDead = player.state.isDead();
+        
+        this.updateTimers(delta);
+        if (isDead) {
+            this.activeQuests
+                .filter(quest => quest.failOn.includes('death'))
+                .forEach(quest => this.failQuest(quest, 'failed', 'death'));
+        }
+        
+        if (!isDead) {
+            this.advanceObjectives('reach', objective => {
+                const dx = position.x - objective.position.x;
+                const dz = position.z - objective.position.z;
+                if (dx * dx + dz * dz > objective.radius * objective.radius) {
+                    return null;
+                }
+                
+                objective.progress = 1;
+                return `Reached ${objective.target}`;
+            });
+        }
+        
+        this.updateSurvival(delta, position, isDead);
+        this.updateEscorts(delta, position);
+        this.updateSpawns(position);
+    }
+    
+    /**
+     * Count down the time left on timed quests, failing those that run out
+     * @param {number} delta - Time in seconds since the last update
+     * @private
+     */
+    updateTimers(delta) {
+        let changed = false;
+        
+        this.activeQuests
+            .filter(quest => typeof quest.timeRemaining === 'number')
+            .forEach(quest => {
+                const secondsBefore = Math.ceil(quest.timeRemaining);
+                quest.timeRemaining = Math.max(0, quest.timeRemaining - delta);
+                
+                if (quest.timeRemaining === 0) {
+                    this.failQuest(quest, 'timedOut');
+                    return;
+                }
+                if (secondsBefore > 60 && quest.timeRemaining <= 60) {
+                    this.game.hudManager.showNotification(`${quest.name}: 1 minute left`);
+                }
+                
+                // Only refresh the quest log once per second
+                changed = changed || Math.ceil(quest.timeRemaining) !== secondsBefore;
+            });
+        
+        if (changed) {
+            this.game.hudManager.updateQuestLog(this.activeQuests);
+        }
+    }
+    
+    /**
+     * Advance survive objectives while the player stays alive in the objective's zone
+     * Dying resets the timer
+     * @param {number} delta - Time in seconds since the last update
+     * @param {THREE.Vector3} position - Player position
+     * @param {boolean} isDead - Whether the player is dead
+     * @private
+     */
+    updateSurvival(delta, position, isDead) {
+        const zone = this.game.world ? this.game.world.getZoneAt(position) : null;
+        
+        this.advanceObjectives('survive', objective => {
+            if (isDead) {
+                if (objective.progress === 0) return null;
+                
+                objective.progress = 0;
+                return `You fell. Survive ${objective.count} seconds to try again.`;
+            }
+            if (objective.target !== 'any' && (!zone || zone.name !== objective.target)) {
+                return null;
+            }
+            
+            const secondsBefore = Math.floor(objective.progress);
+            objective.progress = Math.min(objective.count, objective.progress + delta);
+            
+            // Only refresh the quest log once per second
+            return Math.floor(objective.progress) !== secondsBefore || objective.progress >= objective.count ? '' : null;
+        });
+    }
+    
+    /**
+     * Move escorted NPCs along their paths, spawning them when their stage begins
+     * An NPC that dies starts over from the beginning of its path, unless its death fails the quest
+     * @param {number} delta - Time in seconds since the last update
+     * @param {THREE.Vector3} position - Player position
+     * @private
+     */
+    updateEscorts(delta, position) {
+        this.pruneEscorts();
+        const failed = [];
+        
+        this.advanceObjectives('escort', (objective, quest) => {
+            let npc = this.escorts.get(objective);
+            if (!npc) {
+                npc = new EscortNPC(this.game.scene, this.game.world, {
+                    name: objective.target,
+                    path: objective.path,
+                    health: objective.health,
+                    speed: objective.speed,
+                    waypoint: objective.waypoint
+                });
+                this.escorts.set(objective, npc);
+            }
+            
+            const enemies = this.game.enemyManager ? this.game.enemyManager.enemies.values() : [];
+            switch (npc.update(delta, position, enemies)) {
+                case 'died':
+                    if (quest.failOn.includes('escortDeath')) {
+                        failed.push(quest);
+                        return null;
+                    }
+                    npc.reset();
+                    objective.waypoint = 0;
+                    return `${objective.target} has fallen! The escort starts over.`;
+                case 'waypoint':
+                    objective.waypoint = npc.waypointIndex;
+                    return '';
+                case 'arrived':
+                    objective.waypoint = npc.waypointIndex;
+                    objective.progress = 1;
+                    return `${objective.target} has arrived safely`;
+                default:
+                    return null;
+            }
+        });
+        
+        failed.forEach(quest => this.failQuest(quest, 'failed', 'escortDeath'));
+        this.pruneEscorts();
+    }
+    
+    /**
+     * Remove escort NPCs whose objective is finished or no longer in an active quest's current stage
+     * @private
+     */
+    pruneEscorts() {
+        const current = new Set();
+        this.activeQuests.forEach(quest => {
+            const stage = this.getCurrentStage(quest);
+            if (stage) {
+                stage.objectives.forEach(objective => current.add(objective));
+            }
+        });
+        
+        this.escorts.forEach((npc, objective) => {
+            if (!current.has(objective) || objective.progress >= objective.count) {
+                npc.dispose();
+                this.escorts.delete(objective);
+            }
+        });
+    }
+    
+    /**
+     * Remove all escort NPCs from the world
+     */
+    clearEscorts() {
+        this.escorts.forEach(npc => npc.dispose());
+        this.escorts.clear();
+    }
+    
+    /**
+     * Place the boss or chests of objectives with a spawn point once the player comes close
+     * A boss that wanders off and is despawned by the enemy manager is placed again on the next approach
+     * @param {THREE.Vector3} position - Player position
+     * @private
+     */
+    updateSpawns(position) {
+        this.pruneSpawns();
+        
         this.activeQuests.forEach(quest => {
-            if (quest.objective.type === 'explore' && quest.objective.target === 'zone') {
-                // Check if this zone has already been discovered for this quest
-                if (!quest.objective.discovered.includes(zoneName)) {
-                    quest.objective.discovered.push(zoneName);
-                    quest.objective.progress++;
+            const stage = this.getCurrentStage(quest);
+            if (!stage) return;
+            
+            stage.objectives
+                .filter(objective => objective.spawn && objective.progress < objective.count)
+                .forEach(objective => {
+                    const spawned = this.spawns.get(objective) || { objects: [], opened: [], boss: null };
+                    this.spawns.set(objective, spawned);
                     
-                    // Check if objective is complete
-                    if (quest.objective.progress >= quest.objective.count) {
-                        this.completeQuest(quest);
-                    } else {
-                        // Update UI
-                        this.game.hudManager.updateQuestLog(this.activeQuests);
-                        this.game.hudManager.showNotification(`Zone discovered: ${zoneName}`);
+                    const enemyManager = this.game.enemyManager;
+                    if (spawned.boss && enemyManager && !enemyManager.enemies.has(spawned.boss.id) && !spawned.boss.isDead()) {
+                        spawned.boss = null;
                     }
-                }
+                    
+                    const dx = position.x - objective.spawn.position.x;
+                    const dz = position.z - objective.spawn.position.z;
+                    if (dx * dx + dz * dz > objective.spawn.distance * objective.spawn.distance) return;
+                    
+                    if (objective.type === 'kill' && !spawned.boss) {
+                        spawned.boss = this.spawnBoss(objective);
+                    } else if (objective.type === 'interact' && spawned.objects.length === 0) {
+                        spawned.objects = this.spawnChests(objective);
+                    }
+                });
+        });
+    }
+    
+    /**
+     * Spawn the boss of a kill objective at its spawn point
+     * @param {Object} objective - Kill objective targeting a boss type
+     * @returns {Object|null} The boss, or null if it could not be spawned
+     * @private
+     */
+    spawnBoss(objective) {
+        const enemyManager = this.game.enemyManager;
+        if (!enemyManager) return null;
+        
+        const { x, z } = objective.spawn.position;
+        return enemyManager.spawnBoss(objective.target, { x, y: this.game.world.getTerrainHeight(x, z) || 0, z });
+    }
+    
+    /**
+     * Scatter the chests an interact objective still needs around its spawn point
+     * @param {Object} objective - Interact objective targeting chests
+     * @returns {Object[]} The placed interactive objects
+     * @private
+     */
+    spawnChests(objective) {
+        const interactiveManager = this.game.world && this.game.world.interactiveManager;
+        if (!interactiveManager) return [];
+        
+        const spread = objective.spawn.spread || 0;
+        const remaining = objective.count - objective.progress;
+        const chests = [];
+        
+        for (let i = 0; i < remaining; i++) {
+            const angle = (i / remaining) * Math.PI * 2;
+            const distance = spread * (0.5 + Math.random() * 0.5);
+            const mesh = interactiveManager.createTreasureChest(
+                objective.spawn.position.x + Math.cos(angle) * distance,
+                objective.spawn.position.z + Math.sin(angle) * distance
+            );
+            chests.push(interactiveManager.getInteractiveObjectByMesh(mesh));
+        }
+        
+        return chests;
+    }
+    
+    /**
+     * Forget spawns of objectives that are finished or no longer in an active quest's current stage
+     * Chests that were never opened are taken out of the world; bosses are left to the enemy manager
+     * @private
+     */
+    pruneSpawns() {
+        const current = new Set();
+        this.activeQuests.forEach(quest => {
+            const stage = this.getCurrentStage(quest);
+            if (stage) {
+                stage.objectives.forEach(objective => current.add(objective));
+            }
+        });
+        
+        this.spawns.forEach((spawned, objective) => {
+            if (!current.has(objective) || objective.progress >= objective.count) {
+                this.removeSpawnedObjects(spawned);
+                this.spawns.delete(objective);
             }
         });
     }
     
+    /**
+     * Forget all spawns, taking unopened chests out of the world
+     */
+    clearSpawns() {
+        this.spawns.forEach(spawned => this.removeSpawnedObjects(spawned));
+        this.spawns.clear();
+    }
+    
+    /**
+     * Take the unopened chests of a spawn out of the world
+     * @param {{objects: Object[], opened: Object[]}} spawned - Spawn record
+     * @private
+     */
+    removeSpawnedObjects(spawned) {
+        const interactiveManager = this.game.world && this.game.world.interactiveManager;
+        if (!interactiveManager) return;
+        
+        spawned.objects
+            .filter(object => !spawned.opened.includes(object))
+            .forEach(object => interactiveManager.removeInteractiveObject(object));
+    }
+    
+    /**
+     * Pin a quest so the beacon points to its objectives
+     * @param {string} questId - Id of an active quest
+     * @returns {boolean} Whether the quest was pinned
+     */
+    pinQuest(questId) {
+        if (!this.activeQuests.some(quest => quest.id === questId)) return false;
+        
+        this.pinnedQuestId = questId;
+        this.game.hudManager.updateQuestLog(this.activeQuests);
+        return true;
+    }
+    
+    /**
+     * Get the quest the beacon points to
+     * @returns {Object|null} The pinned quest, or the first main quest or first active quest if none is pinned
+     */
+    getPinnedQuest() {
+        return this.activeQuests.find(quest => quest.id === this.pinnedQuestId) ||
+            this.activeQuests.find(quest => quest.isMainQuest) ||
+            this.activeQuests[0] ||
+            null;
+    }
+    
+    /**
+     * Get the locations of the unfinished objectives in the current stage of every active quest
+     * @param {THREE.Vector3} position - Player position, used to pick the closest of several possible locations
+     * @returns {Array<{x: number, z: number, radius: number, quest: Object, objective: Object, pinned: boolean}>}
+     *          Tracked objectives; objectives without a known location are left out
+     */
+    getTrackedTargets(position) {
+        const pinnedQuest = this.getPinnedQuest();
+        const targets = [];
+        
+        this.activeQuests.forEach(quest => {
+            const stage = this.getCurrentStage(quest);
+            if (!stage) return;
+            
+            stage.objectives
+                .filter(objective => objective.progress < objective.count)
+                .forEach(objective => {
+                    const target = this.getObjectiveTarget(objective, position);
+                    if (target) {
+                        targets.push({ ...target, quest, objective, pinned: quest === pinnedQuest });
+                    }
+                });
+        });
+        
+        return targets;
+    }
+    
+    /**
+     * Get the closest location of the pinned quest's unfinished objectives
+     * @param {THREE.Vector3} position - Player position
+     * @returns {{x: number, z: number, radius: number}|null} The location, or null if there is none to show
+     */
+    getPinnedTarget(position) {
+        let closest = null;
+        let closestDistance = Infinity;
+        
+        this.getTrackedTargets(position)
+            .filter(target => target.pinned)
+            .forEach(target => {
+                const distance = (target.x - position.x) ** 2 + (target.z - position.z) ** 2;
+                if (distance < closestDistance) {
+                    closest = target;
+                    closestDistance = distance;
+                }
+            });
+        
+        return closest;
+    }
+    
+    /**
+     * Work out where an objective has to be done
+     * An objective's own "location" wins; otherwise it comes from the objective's target: the reach point,
+     * the escorted NPC, the quest marker to deliver to, the zone to explore, survive or hunt in, the spawn
+     * point of a bounty, or the boss being hunted or its spawn point
+     * @param {Object} objective - An unfinished objective
+     * @param {THREE.Vector3} position - Player position, used to pick the closest zone or object
+     * @returns {{x: number, z: number, radius: number}|null} The location and the size of the area, or null if unknown
+     */
+    getObjectiveTarget(objective, position) {
+        if (objective.location) {
+            return { x: objective.location.x, z: objective.location.z, radius: objective.location.radius || 0 };
+        }
+        
+        switch (objective.type) {
+            case 'reach':
+                return { x: objective.position.x, z: objective.position.z, radius: objective.radius };
+            case 'escort': {
+                const npc = this.escorts.get(objective);
+                const npcPosition = npc ? npc.position : objective.path[objective.waypoint];
+                return { x: npcPosition.x, z: npcPosition.z, radius: 0 };
+            }
+            case 'deliver':
+                return this.findNearestInteractiveObject(
+                    object => object.type === 'quest' && object.name === objective.target, position
+                );
+            case 'explore':
+            case 'survive':
+                return this.findNearestZone(objective.target, position);
+            case 'kill':
+            case 'interact':
+                if (objective.spawn) {
+                    return {
+                        x: objective.spawn.position.x,
+                        z: objective.spawn.position.z,
+                        radius: objective.spawn.spread || 0
+                    };
+                }
+                if (objective.zone) {
+                    return this.findNearestZone(objective.zone, position);
+                }
+                if (objective.type === 'kill') {
+                    return this.findBossTarget(objective.target, position);
+                }
+                return null;
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Find the closest zone with a given name
+     * @param {string} zoneName - Zone name
+     * @param {THREE.Vector3} position - Player position
+     * @returns {{x: number, z: number, radius: number}|null} The zone's center and radius, or null if there is no such zone
+     * @private
+     */
+    findNearestZone(zoneName, position) {
+        const zoneManager = this.game.world && this.game.world.zoneManager;
+        if (!zoneManager || !zoneManager.zones) return null;
+        
+        let closest = null;
+        let closestDistance = Infinity;
+        zoneManager.zones
+            .filter(zone => zone.name === zoneName)
+            .forEach(zone => {
+                const distance = zone.center.distanceTo(position);
+                if (distance < closestDistance) {
+                    closest = { x: zone.center.x, z: zone.center.z, radius: zone.radius };
+                    closestDistance = distance;
+                }
+            });
+        
+        return closest;
+    }
+    
+    /**
+     * Find the closest interactive object matching a condition
+     * @param {Function} matches - Called with each interactive object
+     * @param {THREE.Vector3} position - Player position
+     * @returns {{x: number, z: number, radius: number}|null} The object's location, or null if none matches
+     * @private
+     */
+    findNearestInteractiveObject(matches, position) {
+        const interactiveManager = this.game.world && this.game.world.interactiveManager;
+        if (!interactiveManager) return null;
+        
+        let closest = null;
+        let closestDistance = Infinity;
+        interactiveManager.getInteractiveObjects()
+            .filter(matches)
+            .forEach(object => {
+                const distance = object.position.distanceTo(position);
+                if (distance < closestDistance) {
+                    closest = { x: object.position.x, z: object.position.z, radius: 0 };
+                    closestDistance = distance;
+                }
+            });
+        
+        return closest;
+    }
+    
+    /**
+     * Find a boss being hunted: a living one of that type, or else a spawn point that summons it
+     * @param {string} bossType - Boss type
+     * @param {THREE.Vector3} position - Player position
+     * @returns {{x: number, z: number, radius: number}|null} The boss's location, or null if it cannot be found
+     * @private
+     */
+    findBossTarget(bossType, position) {
+        const enemyManager = this.game.enemyManager;
+        if (enemyManager) {
+            for (const enemy of enemyManager.enemies.values()) {
+                if (enemy.isBoss && enemy.type === bossType && !enemy.isDead()) {
+                    const bossPosition = enemy.getPosition();
+                    return { x: bossPosition.x, z: bossPosition.z, radius: 0 };
+                }
+            }
+        }
+        
+        return this.findNearestInteractiveObject(
+            object => object.type === 'boss_spawn' && object.bossType === bossType, position
+        );
+    }
+    
     completeQuest(quest) {
         // Remove from active quests
         this.activeQuests = this.activeQuests.filter(q => q.id !== quest.id);
         
-        // Add to completed quests
-        this.completedQuests.push(quest);
+        // Add to completed quests; bounties are one-offs and are not kept
+        if (!quest.isBounty) {
+            this.completedQuests.push(quest);
+        }
         
         // Award rewards
         this.awardQuestRewards(quest);
@@ -387,62 +931,227 @@ export class QuestManager {
         
         // Update UI
         this.game.hudManager.updateQuestLog(this.activeQuests);
+        
+        // Quests with choices let the player decide how the story continues
+        // The choice stays pending, and is saved, until the player makes it
+        if (quest.choices && quest.choices.length > 0) {
+            this.pendingChoices.push(quest.id);
+            this.offerChoices(quest);
+            return;
+        }
+        
+        this.game.hudManager.showDialog(`Quest Completed: ${quest.name}`, this.getCompleteText(quest));
+        this.resolveOutcome(quest, 'completed');
+    }
+    
+    /**
+     * Get the text shown when a quest is completed
+     * @param {Object} quest - The completed quest
+     * @returns {string} Completion text
+     * @private
+     */
+    getCompleteText(quest) {
+        return quest.dialog && quest.dialog.complete ?
+            `${quest.dialog.complete}\n\nYou have received your rewards!` :
+            `You have completed the quest and received your rewards!`;
+    }
+    
+    /**
+     * Ask the player to make the choice a completed quest offers
+     * @param {Object} quest - A completed quest with choices
+     * @private
+     */
+    offerChoices(quest) {
         this.game.hudManager.showDialog(
             `Quest Completed: ${quest.name}`,
-            `You have completed the quest and received your rewards!`
+            this.getCompleteText(quest),
+            quest.choices.map(choice => ({
+                label: choice.label,
+                onSelect: () => {
+                    if (!this.pendingChoices.includes(quest.id)) return;
+                    this.pendingChoices = this.pendingChoices.filter(questId => questId !== quest.id);
+                    this.resolveOutcome(quest, 'completed', choice);
+                }
+            }))
         );
+    }
+    
+    /**
+     * Offer again the choices of completed quests the player hasn't decided on, e.g. after loading a save
+     */
+    offerPendingChoices() {
+        this.pendingChoices.forEach(questId => {
+            const quest = this.completedQuests.find(q => q.id === questId);
+            if (quest && quest.choices && quest.choices.length > 0) {
+                this.offerChoices(quest);
+            }
+        });
+    }
+    
+    /**
+     * End an active quest without completing it
+     * Dispatches a "questFailed" game event with the quest, the outcome and the reason
+     * @param {Object} quest - The active quest
+     * @param {string} [outcome='failed'] - How the quest ended: 'failed' or 'timedOut'
+     * @param {string|null} [reason=null] - Failure condition that ended the quest, e.g. 'death' or 'escortDeath'
+     */
+    failQuest(quest, outcome = 'failed', reason = null) {
+        if (!this.activeQuests.includes(quest)) return;
+        
+        this.activeQuests = this.activeQuests.filter(q => q.id !== quest.id);
+        
+        const detail = outcome === 'timedOut' ? 'out of time' : FAILURE_MESSAGES[reason];
+        this.game.hudManager.updateQuestLog(this.activeQuests);
+        this.game.hudManager.showNotification(`Quest failed: ${quest.name}${detail ? ` (${detail})` : ''}`);
+        
+        this.dispatchEvent('questFailed', { quest, outcome, reason });
+        this.resolveOutcome(quest, outcome);
+    }
+    
+    /**
+     * Drop an active quest, putting it back among the available quests with its progress reset
+     * An abandoned bounty goes back on the bounty board. Dispatches a "questAbandoned" game event
+     * @param {string} questId - Id of the active quest
+     * @returns {boolean} Whether the quest was abandoned
+     */
+    abandonQuest(questId) {
+        const quest = this.activeQuests.find(q => q.id === questId);
+        if (!quest) return false;
+        
+        this.activeQuests = this.activeQuests.filter(q => q !== quest);
+        
+        if (quest.isBounty) {
+            this.bountyManager.bounties.push(quest.definition);
+        } else {
+            const definition = this.definitions.find(d => d.id === quest.id);
+            if (definition) {
+                this.quests.push(this.createQuest(definition));
+            }
+        }
+        
+        // Take the quest's escorts and spawned chests out of the world
+        this.pruneEscorts();
+        this.pruneSpawns();
+        
+        this.game.hudManager.updateQuestLog(this.activeQuests);
+        this.game.hudManager.showNotification(`Quest abandoned: ${quest.name}`);
+        
+        this.dispatchEvent('questAbandoned', { quest });
+        return true;
+    }
+    
+    /**
+     * Let other systems react to quest events through the game's event system
+     * @param {string} event - Event name, e.g. 'questFailed'
+     * @param {Object} data - Event data
+     * @private
+     */
+    dispatchEvent(event, data) {
+        if (this.game.events) {
+            this.game.events.dispatch(event, data);
+        }
+    }
+    
+    /**
+     * Record how a quest ended and apply the consequences of that branch
+     * A choice's fields override those of the quest's outcome, which override the quest's own nextQuestId
+     * @param {Object} quest - The finished quest
+     * @param {string} outcome - 'completed', 'failed' or 'timedOut'
+     * @param {Object} [choice] - The choice the player made, if the quest offered any
+     */
+    resolveOutcome(quest, outcome, choice = null) {
+        const branch = {
+            nextQuestId: outcome === 'completed' ? quest.nextQuestId : null,
+            ...((quest.outcomes && quest.outcomes[outcome]) || {}),
+            ...(choice || {})
+        };
+        
+        if (!quest.isBounty) {
+            this.history.push({
+                questId: quest.id,
+                outcome,
+                choice: choice ? choice.id : null,
+                time: Date.now()
+            });
+        }
+        
+        if (branch.reward) {
+            this.awardRewards(branch.reward);
+        }
+        
+        (branch.flags || []).forEach(flag => this.flags.add(flag));
+        
+        Object.entries(branch.factions || {}).forEach(([faction, change]) => {
+            this.factions[faction] = (this.factions[faction] || 0) + change;
+            this.game.hudManager.showNotification(
+                `${faction} reputation ${change >= 0 ? '+' : ''}${change}`
+            );
+        });
         
         // Check for next quest in the storyline
-        this.checkForNextQuest(quest);
+        this.checkForNextQuest(branch.nextQuestId);
     }
     
-    checkForNextQuest(completedQuest) {
-        // Check if this quest has a next quest in the storyline
-        if (completedQuest.isMainQuest && completedQuest.nextQuestId) {
-            // Find the next quest
-            const nextQuest = this.quests.find(q => q.id === completedQuest.nextQuestId);
-            
-            if (nextQuest) {
-                // Check if player meets level requirement
-                if (this.game.player.getLevel() >= nextQuest.requiredLevel) {
-                    // Automatically start the next main quest
-                    setTimeout(() => {
-                        this.game.hudManager.showDialog(
-                            `New Quest Available: ${nextQuest.name}`,
-                            `${nextQuest.description}\n\nWould you like to accept this quest?`,
-                            () => this.startQuest(nextQuest)
-                        );
-                    }, 2000); // Show after a short delay
-                } else {
-                    // Inform player about level requirement
-                    setTimeout(() => {
-                        this.game.hudManager.showNotification(
-                            `New quest "${nextQuest.name}" will be available at level ${nextQuest.requiredLevel}.`
-                        );
-                    }, 2000);
-                }
+    /**
+     * Offer the quest a finished quest leads to
+     * @param {string|null} nextQuestId - Id of the follow-up quest
+     */
+    checkForNextQuest(nextQuestId) {
+        if (!nextQuestId) return;
+        
+        // Find the next quest
+        const nextQuest = this.quests.find(q => q.id === nextQuestId);
+        
+        if (nextQuest && this.isQuestUnlocked(nextQuest)) {
+            // Check if player meets level requirement
+            if (this.game.player.getLevel() >= nextQuest.requiredLevel) {
+                // Offer the next quest in the storyline
+                setTimeout(() => {
+                    this.game.hudManager.showDialog(
+                        `New Quest Available: ${nextQuest.name}`,
+                        `${this.getOfferText(nextQuest)}\n\nWould you like to accept this quest?`,
+                        () => this.startQuest(nextQuest)
+                    );
+                }, 2000); // Show after a short delay
+            } else {
+                // Inform player about level requirement
+                setTimeout(() => {
+                    this.game.hudManager.showNotification(
+                        `New quest "${nextQuest.name}" will be available at level ${nextQuest.requiredLevel}.`
+                    );
+                }, 2000);
             }
         }
     }
     
     awardQuestRewards(quest) {
+        this.awardRewards(quest.reward);
+    }
+    
+    /**
+     * Give the player experience, gold and items
+     * @param {Object} reward - Reward with optional experience, gold and items
+     */
+    awardRewards(reward) {
         // Award experience
-        if (quest.reward.experience) {
-            this.game.player.addExperience(quest.reward.experience);
-            this.game.hudManager.showNotification(`Gained ${quest.reward.experience} experience`);
+        if (reward.experience) {
+            this.game.player.addExperience(reward.experience);
+            this.game.hudManager.showNotification(`Gained ${reward.experience} experience`);
         }
         
         // Award gold
-        if (quest.reward.gold) {
-            this.game.player.addGold(quest.reward.gold);
-            this.game.hudManager.showNotification(`Gained ${quest.reward.gold} gold`);
+        if (reward.gold) {
+            this.game.player.addGold(reward.gold);
+            this.game.hudManager.showNotification(`Gained ${reward.gold} gold`);
         }
         
         // Award items
-        if (quest.reward.items) {
-            quest.reward.items.forEach(item => {
-                this.game.player.addToInventory(item);
-                this.game.hudManager.showNotification(`Received ${item.name} x${item.amount}`);
+        if (reward.items) {
+            reward.items.forEach(item => {
+                // Items that don't fit in the bag are dropped at the player's feet
+                if (this.game.player.addToInventory(item)) {
+                    this.game.hudManager.showNotification(`Received ${item.name} x${item.amount}`);
+                }
             });
         }
     }
@@ -455,6 +1164,23 @@ export class QuestManager {
         return this.completedQuests;
     }
     
+    /**
+     * Get the record of how each finished quest ended
+     * @returns {Array<{questId: string, outcome: string, choice: string|null, time: number}>} Quest history, oldest first
+     */
+    getHistory() {
+        return this.history;
+    }
+    
+    /**
+     * Get the player's standing with a faction
+     * @param {string} faction - Faction name
+     * @returns {number} Reputation, 0 if the player has never dealt with the faction
+     */
+    getFactionStanding(faction) {
+        return this.factions[faction] || 0;
+    }
+    
     getAvailableQuests() {
         const playerLevel = this.game.player.getLevel();
         
@@ -468,11 +1194,74 @@ export class QuestManager {
             const isActive = this.activeQuests.some(q => q.id === quest.id);
             if (isActive) return false;
             
+            // Check if the quest has already ended another way, e.g. failed
+            if (this.history.some(entry => entry.questId === quest.id)) return false;
+            
+            // Check if the story so far leads to this quest
+            if (!this.isQuestUnlocked(quest)) return false;
+            
             // Check if player meets level requirement
             return playerLevel >= quest.requiredLevel;
         });
     }
     
+    /**
+     * Check whether every prerequisite quest of a quest has been completed
+     * @param {Object} quest - The quest to check
+     * @returns {boolean} Whether the quest's prerequisites are met
+     */
+    arePrerequisitesMet(quest) {
+        return (quest.prerequisites || []).every(id => this.completedQuests.some(q => q.id === id));
+    }
+    
+    /**
+     * Check whether a quest's prerequisites and branch conditions are met
+     * @param {Object} quest - The quest to check
+     * @returns {boolean} Whether the quest can be offered, level aside
+     */
+    isQuestUnlocked(quest) {
+        return this.arePrerequisitesMet(quest) && this.areConditionsMet(quest.conditions);
+    }
+    
+    /**
+     * Check a quest's branch conditions against the choices made and the state of the world
+     * @param {Object} [conditions] - Conditions from the quest definition
+     * @param {Object<string, string>} [conditions.choices] - Choice the player must have made, by quest id
+     * @param {Object<string, string>} [conditions.outcomes] - How a quest must have ended, by quest id
+     * @param {string[]} [conditions.flags] - Flags set by earlier choices
+     * @param {Object<string, number>} [conditions.factions] - Minimum reputation, by faction
+     * @param {string[]} [conditions.zones] - Zones the hero must have discovered
+     * @returns {boolean} Whether all conditions are met
+     */
+    areConditionsMet(conditions) {
+        if (!conditions) return true;
+        
+        const ended = (questId, check) => this.history.some(entry => entry.questId === questId && check(entry));
+        
+        const choicesMet = Object.entries(conditions.choices || {})
+            .every(([questId, choiceId]) => ended(questId, entry => entry.choice === choiceId));
+        const outcomesMet = Object.entries(conditions.outcomes || {})
+            .every(([questId, outcome]) => ended(questId, entry => entry.outcome === outcome));
+        const flagsMet = (conditions.flags || []).every(flag => this.flags.has(flag));
+        const factionsMet = Object.entries(conditions.factions || {})
+            .every(([faction, minimum]) => this.getFactionStanding(faction) >= minimum);
+        
+        const zoneManager = this.game.world && this.game.world.zoneManager;
+        const discovered = zoneManager ? zoneManager.getDiscoveredZones() : [];
+        const zonesMet = (conditions.zones || []).every(zone => discovered.includes(zone));
+        
+        return choicesMet && outcomesMet && flagsMet && factionsMet && zonesMet;
+    }
+    
+    /**
+     * Get the text shown when a quest is offered to the player
+     * @param {Object} quest - The quest being offered
+     * @returns {string} The quest's offer dialog, or its description if it has none
+     */
+    getOfferText(quest) {
+        return quest.dialog && quest.dialog.offer ? quest.dialog.offer : quest.description;
+    }
+    
     checkForAvailableQuests() {
         const availableQuests = this.getAvailableQuests();
         
@@ -483,7 +1272,7 @@ export class QuestManager {
             const mainQuest = mainQuests[0];
             this.game.hudManager.showDialog(
                 `New Main Quest Available: ${mainQuest.name}`,
-                `${mainQuest.description}\n\nWould you like to accept this quest?`,
+                `${this.getOfferText(mainQuest)}\n\nWould you like to accept this quest?`,
                 () => this.startQuest(mainQuest)
             );
             return;
@@ -497,7 +1286,7 @@ export class QuestManager {
             const sideQuest = sideQuests[randomIndex];
             this.game.hudManager.showDialog(
                 `New Side Quest Available: ${sideQuest.name}`,
-                `${sideQuest.description}\n\nWould you like to accept this quest?`,
+                `${this.getOfferText(sideQuest)}\n\nWould you like to accept this quest?`,
                 () => this.startQuest(sideQuest)
             );
         }
@@ -0,0 +1,42 @@
+/**
+ * Bounty board settings
+ * Bounties are repeatable side quests generated from the zones around the player
+ */
+export const BOUNTY_CONFIG = {
+    // Bounties posted on the board at a time
+    boardSize: 3,
+    // Bounties the player can have accepted at once
+    maxActiveBounties: 3,
+    // Seconds of play between new postings
+    refreshInterval: 600,
+    // Only zones within this distance of the player are used for bounties
+    searchRadius: 300,
+
+    // Kinds of bounty; weight sets how often each is posted, rewards scale with player level
+    // and timeLimit is the seconds the player has once the bounty is accepted
+    kinds: {
+        // Slay a number of one enemy type in a zone
+        clear: {
+            weight: 3,
+            count: [10, 25],
+            timeLimit: 1200,
+            experiencePerLevel: 30,
+            goldPerLevel: 20
+        },
+        // Travel to a zone and slay the boss waiting there
+        hunt: {
+            weight: 1,
+            timeLimit: 900,
+            experiencePerLevel: 90,
+            goldPerLevel: 60
+        },
+        // Travel to a zone and open the caches hidden there
+        loot: {
+            weight: 2,
+            count: [2, 4],
+            timeLimit: 900,
+            experiencePerLevel: 25,
+            goldPerLevel: 35
+        }
+    }
+};
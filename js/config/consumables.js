@@ -0,0 +1,25 @@
+/**
+ * Consumable settings
+ * Potions and elixirs can be put in quick slots, which are used with a key or a touch button
+ * next to the skills. Consumables of a cooldown group share one cooldown.
+ */
+export const CONSUMABLE_CONFIG = {
+    // Number of quick slots; each needs a key in QUICK_SLOT_KEYS (see js/config/input.js)
+    quickSlots: 4,
+    // Consumable subtypes put in a free quick slot when the player first picks them up
+    autoAssignSubTypes: ['potion', 'elixir'],
+
+    // Seconds before another consumable of the same group can be used, by subtype
+    // Subtypes without a group, e.g. food and scrolls, have no cooldown
+    cooldownGroups: {
+        potion: 'potion',
+        elixir: 'elixir'
+    },
+    cooldowns: {
+        potion: 10,
+        elixir: 30
+    },
+
+    // Duration in seconds of buffs whose item doesn't give one
+    defaultBuffDuration: 30
+};
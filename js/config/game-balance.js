@@ -45,6 +45,30 @@ export const PLAYER_PROGRESSION = {
         intelligence: 1,
         attackPower: 2
     },
+
+    // Skill points to spend on skill-tree variants and buffs: a starting amount plus an amount per level gained
+    SKILL_POINTS: {
+        base: 5,
+        perLevel: 2
+    },
+
+    // Derived stats (in percent) built from gear, boosts and skill-tree buffs
+    // Critical chance and damage start from COMBAT_BALANCE.player, every other derived stat starts at 0
+    DERIVED_STATS: {
+        // Highest value each stat can reach; resistance applies to every element
+        caps: {
+            critChance: 75,
+            attackSpeed: 100,
+            cooldownReduction: 50,
+            damageReduction: 75,
+            dodgeChance: 50,
+            lifesteal: 25,
+            resistance: 75
+        },
+
+        // Elements players can resist; allResistance counts for each of them
+        elements: ['fire', 'ice', 'lightning', 'holy']
+    },
 };
 
 // Enemy configuration
@@ -382,6 +406,7 @@ export const ENEMY_CONFIG = {
             name: 'Frost Elemental',
             health: 90,
             damage: 22,
+            element: 'ice',
             speed: 2.5,
             attackRange: 5.0,
             attackSpeed: 1.5,
@@ -470,6 +495,7 @@ export const ENEMY_CONFIG = {
             name: 'Fire Elemental',
             health: 100,
             damage: 25,
+            element: 'fire',
             speed: 2.8,
             attackRange: 4.5,
             attackSpeed: 1.6,
@@ -484,6 +510,7 @@ export const ENEMY_CONFIG = {
             name: 'Lava Golem',
             health: 190,
             damage: 30,
+            element: 'fire',
             speed: 1.5,
             attackRange: 2.2,
             attackSpeed: 0.9,
@@ -512,6 +539,7 @@ export const ENEMY_CONFIG = {
             name: 'Flame Imp',
             health: 60,
             damage: 15,
+            element: 'fire',
             speed: 4.5,
             attackRange: 1.2,
             attackSpeed: 2.5,
@@ -542,6 +570,7 @@ export const ENEMY_CONFIG = {
             name: 'Ice Golem',
             health: 170,
             damage: 26,
+            element: 'ice',
             speed: 1.6,
             attackRange: 2.2,
             attackSpeed: 0.9,
@@ -651,6 +680,7 @@ export const ENEMY_CONFIG = {
             name: 'Frost Titan',
             health: 600,
             damage: 40,
+            element: 'ice',
             speed: 2.0,
             attackRange: 3,
             attackSpeed: 1.0,
@@ -773,6 +803,7 @@ export const ENEMY_CONFIG = {
             name: 'Inferno Lord',
             health: 650,
             damage: 45,
+            element: 'fire',
             speed: 2.2,
             attackRange: 3.5,
             attackSpeed: 1.3,
@@ -789,6 +820,7 @@ export const ENEMY_CONFIG = {
             name: 'Molten Behemoth',
             health: 700,
             damage: 48,
+            element: 'fire',
             speed: 1.5,
             attackRange: 2.8,
             attackSpeed: 0.9,
@@ -807,6 +839,7 @@ export const ENEMY_CONFIG = {
             name: 'Frost Monarch',
             health: 620,
             damage: 43,
+            element: 'ice',
             speed: 2.0,
             attackRange: 4.0,
             attackSpeed: 1.2,
@@ -951,7 +984,9 @@ export const COMBAT_BALANCE = {
             movementSpeed: 3,
             goldFind: 10,
             magicFind: 5,
-            experienceBonus: 5
+            experienceBonus: 5,
+            allResistance: 5,
+            lifesteal: 1
         },
         
         // Rarity drop chances (base values, modified by player level and difficulty)
@@ -1021,6 +1056,36 @@ export const COMBAT_BALANCE = {
             accessory: 20,
             consumable: 10
         },
+
+        // Crafting materials, salvaged from unwanted items and spent at the crafting bench
+        materials: {
+            scrap: { name: 'Reusable Parts', icon: '🔩', rarity: 'common' },
+            dust: { name: 'Arcane Dust', icon: '✨', rarity: 'rare' },
+            crystal: { name: 'Veiled Crystal', icon: '💎', rarity: 'epic' }
+        },
+        
+        // Materials salvaged from an item by its rarity, as [min, max] amounts
+        salvageYields: {
+            common: { scrap: [1, 2] },
+            uncommon: { scrap: [2, 4] },
+            rare: { scrap: [1, 3], dust: [1, 2] },
+            epic: { dust: [2, 4], crystal: [0, 1] },
+            legendary: { dust: [3, 5], crystal: [1, 2] },
+            mythic: { dust: [4, 6], crystal: [2, 4] }
+        },
+        
+        // Materials and gold spent on each crafting bench operation
+        craftingCosts: {
+            // Replace one secondary stat with a new one
+            reroll: { materials: { dust: 2 }, gold: 50 },
+            // Raise the item level by one; gold is per level of the upgraded item
+            upgrade: { materials: { scrap: 5 }, goldPerLevel: 10 },
+            // Add an extra secondary stat, once per item
+            enchant: { materials: { dust: 3, crystal: 1 }, gold: 200 }
+        },
+        
+        // Items can't be upgraded past the player's level plus this many levels
+        maxUpgradeLevelAbovePlayer: 0,
         
         // Elemental damage types
         elementalTypes: ['fire', 'ice', 'lightning', 'holy'],
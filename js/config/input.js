@@ -21,6 +21,7 @@ export const ACTION_KEYS = {
 export const UI_KEYS = {
     TOGGLE_INVENTORY: 'KeyY',
     TOGGLE_SKILL_TREE: 'KeyT',
+    TOGGLE_CODEX: 'KeyK',
     TOGGLE_HUD: 'KeyF',
     TOGGLE_MINIMAP: 'KeyM',
     MINIMAP_ZOOM_IN: 'BracketLeft',
@@ -41,6 +42,9 @@ export const SKILL_KEYS = {
     SKILL_9: 'Digit9'
 };
 
+// Consumable quick slot keys, one per quick slot (see js/config/consumables.js)
+export const QUICK_SLOT_KEYS = ['KeyZ', 'KeyX', 'KeyC', 'KeyV'];
+
 // Get all skill keys as an array
 export const getAllSkillKeys = () => {
     return Object.values(SKILL_KEYS);
@@ -65,6 +69,16 @@ export const isSkillKey = (keyCode) => {
     return Object.values(SKILL_KEYS).includes(keyCode);
 };
 
+// Get quick slot index from key code (returns -1 if not a quick slot key)
+export const getQuickSlotIndexFromKeyCode = (keyCode) => {
+    return QUICK_SLOT_KEYS.indexOf(keyCode);
+};
+
+// Get the label of a quick slot's key, e.g. "Z" for the first slot
+export const getQuickSlotKeyLabel = (index) => {
+    return (QUICK_SLOT_KEYS[index] || '').replace('Key', '');
+};
+
 // Default cooldown for continuous casting (in seconds)
 export const CAST_INTERVAL = 0.1;
 
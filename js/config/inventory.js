@@ -0,0 +1,15 @@
+/**
+ * Player bag settings
+ * Every item takes a slot of its own, except for stackable items, which share one slot per name
+ */
+export const INVENTORY_CONFIG = {
+    // Slots in the player's bag
+    capacity: 30,
+    // Item types that stack; other items keep their own rolls and take a slot each
+    // Items without a type (e.g. quest items and gold) stack as well
+    stackableTypes: ['consumable', 'material'],
+
+    // Sort orders for the bag, best or most important first
+    rarityOrder: ['mythic', 'legendary', 'epic', 'rare', 'uncommon', 'common'],
+    typeOrder: ['weapon', 'armor', 'accessory', 'consumable', 'material']
+};
@@ -0,0 +1,36 @@
+/**
+ * Item special effect settings
+ * The effects themselves are rolled from the possibleEffects of the item templates (see js/config/item-templates.js)
+ */
+export const ITEM_EFFECT_CONFIG = {
+    // Seconds before an effect can trigger again, by effect type
+    // An effect definition can set its own cooldown, which wins over these
+    cooldowns: {
+        stun: 4,
+        bleed: 1,
+        coneDamage: 1.5,
+        chainLightning: 1,
+        buff: 0,
+        resourceGain: 0
+    },
+
+    // Skill types that move the hero and so count as movement skills
+    movementSkillTypes: ['dash'],
+
+    // Chain lightning looks for its next target within this distance
+    chainRange: 8,
+
+    // Seconds between the damage ticks of a bleed
+    bleedTickInterval: 1,
+
+    // Colors of the effects' visuals
+    colors: {
+        stun: 0xffee55,
+        bleed: 0xaa0000,
+        fire: 0xff5500,
+        lightning: 0x99ccff,
+        buff: 0x66ff99,
+        resource: 0x4488ff,
+        dodge: 0xffffff
+    }
+};
@@ -0,0 +1,214 @@
+/**
+ * Item set definitions
+ * Epic and better items can roll as a piece of a set whose pieces match their type and subType (see ItemGenerator.determineSetId).
+ * Wearing several pieces of a set activates its bonuses:
+ * - stats: flat stat bonuses added to the equipment stats
+ * - skillModifiers: per-skill bonuses, with damage, cooldownReduction and manaCostReduction in percent
+ * - effects: special effects in the same shape as the possibleEffects of the item templates (see js/config/item-templates.js)
+ * A bonus whose count equals the number of pieces is the full-set bonus.
+ */
+export const ITEM_SETS = {
+    thunderfist: {
+        id: "thunderfist",
+        name: "Thunderfist",
+        description: "Harness the power of lightning with every strike.",
+        pieces: [
+            { type: "weapon", subType: "fist", name: "Thunderfist Knuckles" },
+            { type: "armor", subType: "gloves", name: "Storm Grips" },
+            { type: "armor", subType: "belt", name: "Lightning Coil" },
+            { type: "accessory", subType: "ring", name: "Thundergod's Vigor" }
+        ],
+        bonuses: [
+            {
+                count: 2,
+                description: "+5% Critical hit chance and +25% Fist of Thunder damage",
+                stats: { critChance: 5 },
+                skillModifiers: [{ skill: "Fist of Thunder", damage: 25 }]
+            },
+            {
+                count: 4,
+                description: "Your hits have a 20% chance to arc lightning to 3 nearby enemies for 150% of the hit's damage",
+                effects: [
+                    {
+                        id: "thunderfistLightning",
+                        name: "Thunderfist",
+                        trigger: "onHit",
+                        chance: 20,
+                        effect: "chainLightning",
+                        params: { jumps: 3, damagePercent: 150 }
+                    }
+                ]
+            }
+        ]
+    },
+
+    enlightenedOne: {
+        id: "enlightenedOne",
+        name: "The Enlightened One",
+        description: "Ancient garments worn by the first monks to achieve enlightenment.",
+        pieces: [
+            { type: "armor", subType: "helmet", name: "Crown of Wisdom" },
+            { type: "armor", subType: "robe", name: "Vestments of Clarity" },
+            { type: "armor", subType: "gloves", name: "Fists of Serenity" },
+            { type: "armor", subType: "belt", name: "Sash of Balance" },
+            { type: "armor", subType: "boots", name: "Steps of Tranquility" },
+            { type: "accessory", subType: "amulet", name: "Pendant of Enlightenment" }
+        ],
+        bonuses: [
+            {
+                count: 2,
+                description: "+30 Maximum spirit",
+                stats: { manaBonus: 30 }
+            },
+            {
+                count: 4,
+                description: "+30% Spirit regeneration and +20% Wave of Light cooldown reduction",
+                skillModifiers: [{ skill: "Wave of Light", cooldownReduction: 20 }],
+                effects: [
+                    {
+                        id: "enlightenedOneRegen",
+                        name: "The Enlightened One",
+                        trigger: "passive",
+                        effect: "resourceRegen",
+                        params: { value: 30 }
+                    }
+                ]
+            },
+            {
+                count: 6,
+                description: "Wave of Light deals 100% more damage and costs 50% less spirit",
+                skillModifiers: [{ skill: "Wave of Light", damage: 100, manaCostReduction: 50 }]
+            }
+        ]
+    },
+
+    jadeHarmony: {
+        id: "jadeHarmony",
+        name: "Jade Harmony",
+        description: "Find inner peace and outward strength through perfect balance.",
+        pieces: [
+            { type: "weapon", subType: "staff", name: "Staff of Harmony" },
+            { type: "armor", subType: "helmet", name: "Jade Crown" },
+            { type: "armor", subType: "robe", name: "Jade Vestments" },
+            { type: "armor", subType: "boots", name: "Jade Footwraps" },
+            { type: "accessory", subType: "amulet", name: "Jade Pendant" }
+        ],
+        bonuses: [
+            {
+                count: 2,
+                description: "+25% Healing effectiveness",
+                effects: [
+                    {
+                        id: "jadeHarmonyHealing",
+                        name: "Jade Harmony",
+                        trigger: "passive",
+                        effect: "healingBonus",
+                        params: { value: 25 }
+                    }
+                ]
+            },
+            {
+                count: 3,
+                description: "+15% Damage reduction and +10 Defense",
+                stats: { defense: 10 },
+                effects: [
+                    {
+                        id: "jadeHarmonyProtection",
+                        name: "Jade Harmony",
+                        trigger: "passive",
+                        effect: "damageReduction",
+                        params: { value: 15 }
+                    }
+                ]
+            },
+            {
+                count: 5,
+                description: "Exploding Palm deals 100% more damage and Breath of Heaven recovers 30% faster",
+                skillModifiers: [
+                    { skill: "Exploding Palm", damage: 100 },
+                    { skill: "Breath of Heaven", cooldownReduction: 30 }
+                ]
+            }
+        ]
+    },
+
+    celestialGuardian: {
+        id: "celestialGuardian",
+        name: "Celestial Guardian",
+        description: "Protected by the spirits of ancient guardians.",
+        pieces: [
+            { type: "armor", subType: "helmet", name: "Celestial Crown" },
+            { type: "armor", subType: "robe", name: "Celestial Vestments" },
+            { type: "armor", subType: "gloves", name: "Celestial Grips" },
+            { type: "armor", subType: "boots", name: "Celestial Treads" }
+        ],
+        bonuses: [
+            {
+                count: 2,
+                description: "+50 Maximum health and +10 Defense",
+                stats: { healthBonus: 50, defense: 10 }
+            },
+            {
+                count: 4,
+                description: "When you take damage, 15% chance to gain +50% dodge chance for 3 seconds",
+                effects: [
+                    {
+                        id: "celestialGuardianWard",
+                        name: "Celestial Guardian",
+                        trigger: "onDamageTaken",
+                        chance: 15,
+                        cooldown: 10,
+                        effect: "buff",
+                        params: { stat: "dodgeChance", value: 50, duration: 3 }
+                    }
+                ]
+            }
+        ]
+    },
+
+    ancientWisdom: {
+        id: "ancientWisdom",
+        name: "Ancient Wisdom",
+        description: "Knowledge from the ancients flows through these artifacts.",
+        pieces: [
+            { type: "accessory", subType: "amulet", name: "Pendant of Knowledge" },
+            { type: "accessory", subType: "ring", name: "Band of Secrets" },
+            { type: "accessory", subType: "ring", name: "Circle of Truth" }
+        ],
+        bonuses: [
+            {
+                count: 2,
+                description: "+20% Experience gained",
+                effects: [
+                    {
+                        id: "ancientWisdomExperience",
+                        name: "Ancient Wisdom",
+                        trigger: "passive",
+                        effect: "experienceBonus",
+                        params: { value: 20 }
+                    }
+                ]
+            },
+            {
+                count: 3,
+                description: "+10% Spirit cost reduction and +25% Gold found",
+                effects: [
+                    {
+                        id: "ancientWisdomFocus",
+                        name: "Ancient Wisdom",
+                        trigger: "passive",
+                        effect: "resourceCostReduction",
+                        params: { value: 10 }
+                    },
+                    {
+                        id: "ancientWisdomFortune",
+                        name: "Ancient Wisdom",
+                        trigger: "passive",
+                        effect: "goldFind",
+                        params: { value: 25 }
+                    }
+                ]
+            }
+        ]
+    }
+};
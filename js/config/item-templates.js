@@ -58,7 +58,8 @@ export const ITEM_TEMPLATES = [
             "critDamage",
             "attackSpeed",
             "elementalDamage",
-            "bleedChance"
+            "bleedChance",
+            "lifesteal"
         ],
         possibleEffects: [
             {
@@ -92,7 +93,8 @@ export const ITEM_TEMPLATES = [
             "critDamage",
             "elementalDamage",
             "cooldownReduction",
-            "resourceGeneration"
+            "resourceGeneration",
+            "lifesteal"
         ],
         possibleEffects: [
             {
@@ -734,6 +736,81 @@ export const ITEM_TEMPLATES = [
         }
     },
     
+    // Elixirs
+    {
+        id: "elixirOfMight",
+        name: "Elixir of Might",
+        type: "consumable",
+        subType: "elixir",
+        description: "Temporarily increases all damage dealt.",
+        icon: "⚗️",
+        baseStats: {
+            duration: 30
+        },
+        possibleSecondaryStats: [],
+        possibleEffects: [],
+        visual: {
+            model: "models/consumables/elixir_of_might.glb",
+            texture: "textures/consumables/elixir_of_might.png"
+        },
+        useEffect: {
+            type: "buff",
+            stat: "damageBonus",
+            value: 25,
+            duration: 30
+        }
+    },
+    {
+        id: "elixirOfSwiftness",
+        name: "Elixir of Swiftness",
+        type: "consumable",
+        subType: "elixir",
+        description: "Temporarily increases movement speed.",
+        icon: "💨",
+        baseStats: {
+            duration: 20
+        },
+        possibleSecondaryStats: [],
+        possibleEffects: [],
+        visual: {
+            model: "models/consumables/elixir_of_swiftness.glb",
+            texture: "textures/consumables/elixir_of_swiftness.png"
+        },
+        useEffect: {
+            type: "buff",
+            stat: "movementSpeed",
+            value: 30,
+            duration: 20
+        }
+    },
+    {
+        id: "elixirOfWarding",
+        name: "Elixir of Warding",
+        type: "consumable",
+        subType: "elixir",
+        description: "Temporarily increases resistance to fire, ice, lightning and holy damage.",
+        icon: "🛡️",
+        baseStats: {
+            duration: 60
+        },
+        possibleSecondaryStats: [],
+        possibleEffects: [],
+        visual: {
+            model: "models/consumables/elixir_of_warding.glb",
+            texture: "textures/consumables/elixir_of_warding.png"
+        },
+        useEffect: {
+            type: "buff",
+            stats: [
+                { stat: "fireResistance", value: 20 },
+                { stat: "iceResistance", value: 20 },
+                { stat: "lightningResistance", value: 20 },
+                { stat: "holyResistance", value: 20 }
+            ],
+            duration: 60
+        }
+    },
+    
     // Scrolls
     {
         id: "scrollOfStrength",
@@ -0,0 +1,106 @@
+/**
+ * Legendary item definitions
+ * Each legendary carries the power of a skill-tree variant whose unlockedBy label names it (see js/config/skill-tree.js).
+ * Finding or equipping the legendary unlocks the variant for the hero and records it in the legendary codex.
+ * Legendary and mythic items that aren't set pieces roll as a legendary matching their type and subType (see ItemGenerator.determineLegendaryId).
+ */
+export const LEGENDARY_ITEMS = [
+    // Breath of Heaven
+    { id: "circleOfLife", name: "Circle of Life", type: "accessory", subType: "amulet", skill: "Breath of Heaven", variant: "Circle of Life" },
+    { id: "infusedLight", name: "Infused Light", type: "accessory", subType: "ring", skill: "Breath of Heaven", variant: "Infused with Light" },
+    { id: "radiantBreath", name: "Radiant Breath", type: "accessory", subType: "amulet", skill: "Breath of Heaven", variant: "Radiant Breath" },
+    { id: "soothingMist", name: "Soothing Mist", type: "armor", subType: "robe", skill: "Breath of Heaven", variant: "Soothing Mist" },
+    { id: "zephyrsGrace", name: "Zephyr's Grace", type: "armor", subType: "boots", skill: "Breath of Heaven", variant: "Zephyr's Grace" },
+
+    // Cyclone Strike
+    { id: "eyeOfTheStorm", name: "Eye of the Storm", type: "accessory", subType: "talisman", skill: "Cyclone Strike", variant: "Eye of the Storm" },
+    { id: "pathOfTheStorm", name: "Path of the Storm", type: "armor", subType: "boots", skill: "Cyclone Strike", variant: "Path of the Storm" },
+    { id: "stormSpirit", name: "Storm Spirit", type: "armor", subType: "robe", skill: "Cyclone Strike", variant: "Storm Spirit" },
+    { id: "tempestsHeart", name: "Tempest's Heart", type: "armor", subType: "robe", skill: "Cyclone Strike", variant: "Tempest's Heart" },
+
+    // Exploding Palm
+    { id: "cripplingInsight", name: "Crippling Insight", type: "armor", subType: "helmet", skill: "Exploding Palm", variant: "Crippling Insight" },
+    { id: "reachingRebuke", name: "Reaching Rebuke", type: "accessory", subType: "talisman", skill: "Exploding Palm", variant: "Reaching Rebuke" },
+    { id: "scoldingStorm", name: "Scolding Storm", type: "accessory", subType: "talisman", skill: "Exploding Palm", variant: "Scolding Storm" },
+    { id: "breathOfIncense", name: "Breath of Incense", type: "armor", subType: "robe", skill: "Exploding Palm", variant: "Breath of Incense" },
+    { id: "pathOfThePresent", name: "Path of the Present", type: "weapon", subType: "fist", skill: "Exploding Palm", variant: "Path of the Present" },
+
+    // Flying Dragon
+    { id: "dragonsFlight", name: "Dragon's Flight", type: "armor", subType: "boots", skill: "Flying Dragon", variant: "Dragon's Flight" },
+    { id: "infernoDragon", name: "Inferno Dragon", type: "weapon", subType: "fist", skill: "Flying Dragon", variant: "Inferno Dragon" },
+    { id: "thunderDragon", name: "Thunder Dragon", type: "weapon", subType: "staff", skill: "Flying Dragon", variant: "Thunder Dragon" },
+    { id: "galeDragon", name: "Gale Dragon", type: "accessory", subType: "amulet", skill: "Flying Dragon", variant: "Gale Dragon" },
+    { id: "shadowDragon", name: "Shadow Dragon", type: "weapon", subType: "dagger", skill: "Flying Dragon", variant: "Shadow Dragon" },
+
+    // Flying Kick
+    { id: "mantleOfTheCrane", name: "Mantle of the Crane", type: "armor", subType: "robe", skill: "Flying Kick", variant: "Mantle of the Crane" },
+    { id: "tigersFlight", name: "Tiger's Flight", type: "armor", subType: "boots", skill: "Flying Kick", variant: "Tiger's Flight" },
+    { id: "gracesBounty", name: "Grace's Bounty", type: "armor", subType: "boots", skill: "Flying Kick", variant: "Grace's Bounty" },
+    { id: "momentumsFlow", name: "Momentum's Flow", type: "armor", subType: "boots", skill: "Flying Kick", variant: "Momentum's Flow" },
+    { id: "spokesOfTheWheel", name: "Spokes of the Wheel", type: "weapon", subType: "staff", skill: "Flying Kick", variant: "Spokes of the Wheel" },
+
+    // Imprisoned Fists
+    { id: "frozenShackles", name: "Frozen Shackles", type: "armor", subType: "gloves", skill: "Imprisoned Fists", variant: "Frozen Shackles" },
+    { id: "fieryChains", name: "Fiery Chains", type: "armor", subType: "belt", skill: "Imprisoned Fists", variant: "Fiery Chains" },
+    { id: "thunderousGrip", name: "Thunderous Grip", type: "armor", subType: "gloves", skill: "Imprisoned Fists", variant: "Thunderous Grip" },
+    { id: "shadowBind", name: "Shadow Bind", type: "accessory", subType: "ring", skill: "Imprisoned Fists", variant: "Shadow Bind" },
+    { id: "galeChains", name: "Gale Chains", type: "armor", subType: "belt", skill: "Imprisoned Fists", variant: "Gale Chains" },
+
+    // Inner Sanctuary
+    { id: "healingCircle", name: "Healing Circle", type: "accessory", subType: "ring", skill: "Inner Sanctuary", variant: "Sanctified Ground" },
+    { id: "palaceOfRestraint", name: "Palace of Restraint", type: "accessory", subType: "talisman", skill: "Inner Sanctuary", variant: "Forbidden Palace" },
+    { id: "guardiansRefuge", name: "Guardian's Refuge", type: "armor", subType: "robe", skill: "Inner Sanctuary", variant: "Safe Haven" },
+    { id: "protectorsTemple", name: "Protector's Temple", type: "armor", subType: "helmet", skill: "Inner Sanctuary", variant: "Temple of Protection" },
+    { id: "wrathfulCircle", name: "Wrathful Circle", type: "accessory", subType: "ring", skill: "Inner Sanctuary", variant: "Circle of Wrath" },
+
+    // Mystic Allies
+    { id: "emberSpirits", name: "Ember Spirits", type: "accessory", subType: "talisman", skill: "Mystic Allies", variant: "Fire Allies" },
+    { id: "tidalCompanions", name: "Tidal Companions", type: "accessory", subType: "amulet", skill: "Mystic Allies", variant: "Water Allies" },
+    { id: "stoneGuardians", name: "Stone Guardians", type: "armor", subType: "belt", skill: "Mystic Allies", variant: "Earth Allies" },
+    { id: "windWalkers", name: "Wind Walkers", type: "armor", subType: "boots", skill: "Mystic Allies", variant: "Air Allies" },
+    { id: "nightStalkers", name: "Night Stalkers", type: "armor", subType: "gloves", skill: "Mystic Allies", variant: "Shadow Allies" },
+
+    // Mystic Strike
+    { id: "spiritsExtension", name: "Spirit's Extension", type: "weapon", subType: "staff", skill: "Mystic Strike", variant: "Spirit's Reach" },
+    { id: "phantomsEcho", name: "Phantom's Echo", type: "weapon", subType: "dagger", skill: "Mystic Strike", variant: "Phantom Strike" },
+    { id: "etherealGuard", name: "Ethereal Guard", type: "armor", subType: "robe", skill: "Mystic Strike", variant: "Ethereal Embrace" },
+    { id: "shadowWalker", name: "Shadow Walker", type: "armor", subType: "boots", skill: "Mystic Strike", variant: "Shadow Step" },
+    { id: "reaversGrasp", name: "Reaver's Grasp", type: "armor", subType: "gloves", skill: "Mystic Strike", variant: "Soul Reaver" },
+
+    // Seven-Sided Strike
+    { id: "infernoKnuckles", name: "Inferno Knuckles", type: "weapon", subType: "fist", skill: "Seven-Sided Strike", variant: "Blazing Fists" },
+    { id: "glacialFists", name: "Glacial Fists", type: "weapon", subType: "fist", skill: "Seven-Sided Strike", variant: "Frozen Assault" },
+    { id: "thunderousGrasp", name: "Thunderous Grasp", type: "armor", subType: "gloves", skill: "Seven-Sided Strike", variant: "Thunderclap" },
+    { id: "echoingSpirit", name: "Echoing Spirit", type: "accessory", subType: "amulet", skill: "Seven-Sided Strike", variant: "Phantom Echo" },
+    { id: "celestialGauntlets", name: "Celestial Gauntlets", type: "armor", subType: "gloves", skill: "Seven-Sided Strike", variant: "Celestial Impact" },
+
+    // Shield of Zen
+    { id: "luminousGuard", name: "Luminous Guard", type: "armor", subType: "helmet", skill: "Shield of Zen", variant: "Radiant Barrier" },
+    { id: "mirrorPlate", name: "Mirror Plate", type: "armor", subType: "robe", skill: "Shield of Zen", variant: "Reflective Shield" },
+    { id: "bastionsEmbrace", name: "Bastion's Embrace", type: "armor", subType: "belt", skill: "Shield of Zen", variant: "Fortified Wall" },
+    { id: "veilOfShadows", name: "Veil of Shadows", type: "armor", subType: "helmet", skill: "Shield of Zen", variant: "Mystic Veil" },
+    { id: "retributionsEnd", name: "Retribution's End", type: "accessory", subType: "ring", skill: "Shield of Zen", variant: "Zen's Retribution" },
+
+    // Wave of Light
+    { id: "oceansFury", name: "Ocean's Fury", type: "weapon", subType: "staff", skill: "Wave of Light", variant: "Crashing Wave" },
+    { id: "radiantDawn", name: "Radiant Dawn", type: "armor", subType: "helmet", skill: "Wave of Light", variant: "Blinding Light" },
+    { id: "embersWrath", name: "Ember's Wrath", type: "weapon", subType: "fist", skill: "Wave of Light", variant: "Molten Wave" },
+    { id: "thunderclap", name: "Thunderclap", type: "accessory", subType: "talisman", skill: "Wave of Light", variant: "Thunderous Wave" },
+    { id: "lightsEmbrace", name: "Light's Embrace", type: "accessory", subType: "amulet", skill: "Wave of Light", variant: "Healing Wave" },
+
+    // Wave Strike
+    { id: "oceansMight", name: "Ocean's Might", type: "weapon", subType: "fist", skill: "Wave Strike", variant: "Tidal Force" },
+    { id: "stormSurge", name: "Storm Surge", type: "weapon", subType: "staff", skill: "Wave Strike", variant: "Shocking Wave" },
+    { id: "frostbite", name: "Frostbite", type: "weapon", subType: "dagger", skill: "Wave Strike", variant: "Freezing Wave" },
+    { id: "detonationCore", name: "Detonation Core", type: "accessory", subType: "amulet", skill: "Wave Strike", variant: "Explosive Wave" },
+    { id: "lifesFlow", name: "Life's Flow", type: "accessory", subType: "ring", skill: "Wave Strike", variant: "Healing Surge" }
+];
+
+/**
+ * Get a legendary by id
+ * @param {string} legendaryId - Id of the legendary
+ * @returns {Object|null} The legendary, or null if there is none with that id
+ */
+export function getLegendaryItem(legendaryId) {
+    return LEGENDARY_ITEMS.find(legendary => legendary.id === legendaryId) || null;
+}
@@ -0,0 +1,55 @@
+/**
+ * Loot filter settings
+ * The player's rules decide which drops appear on the ground, which are picked up from a distance
+ * and which stand out with a beam of light or a sound. The rules are edited in the settings menu.
+ */
+export const LOOT_FILTER_CONFIG = {
+    // Rarities from lowest to highest; the minimum rarity rule hides gear below the chosen one
+    rarities: ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'],
+    // Item types the player can hide
+    hideableTypes: ['weapon', 'armor', 'accessory', 'consumable', 'material'],
+    // Item types the minimum rarity applies to; potions and materials are only hidden by type
+    gearTypes: ['weapon', 'armor', 'accessory'],
+
+    // Distance in units at which drops are picked up by walking over them
+    pickupRadius: 1.5,
+    // Distance in units at which gold and potions are picked up when auto-pickup is on
+    autoPickupRadius: 5,
+
+    // Beam colour of each rarity, matching the rarity tint of dropped items
+    beamColors: {
+        common: 0xcccccc,
+        uncommon: 0x00ff00,
+        rare: 0x0070dd,
+        epic: 0xa335ee,
+        legendary: 0xff8000,
+        mythic: 0xff0000
+    },
+    // Sound played when a drop of a rarity with the sound rule lands
+    dropSounds: {
+        common: 'itemPickup',
+        uncommon: 'itemPickup',
+        rare: 'chestOpen',
+        epic: 'chestOpen',
+        legendary: 'bellRing',
+        mythic: 'bellRing'
+    },
+
+    // Rules for a player who hasn't changed them; everything is shown and picked up as before
+    defaults: {
+        minRarity: 'common',
+        hiddenTypes: [],
+        autoPickup: {
+            gold: false,
+            potions: false
+        },
+        rarityEffects: {
+            common: { beam: false, sound: false },
+            uncommon: { beam: false, sound: false },
+            rare: { beam: true, sound: false },
+            epic: { beam: true, sound: false },
+            legendary: { beam: true, sound: true },
+            mythic: { beam: true, sound: true }
+        }
+    }
+};
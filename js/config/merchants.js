@@ -0,0 +1,51 @@
+/**
+ * Merchant settings
+ * Merchants stand in villages and sell items generated for the player's level
+ */
+export const MERCHANT_CONFIG = {
+    // Items a merchant offers at a time
+    stockSize: 8,
+    // Seconds of play before a merchant's stock is replaced
+    refreshInterval: 600,
+    // Items sold by the player that can be bought back, most recent first
+    buybackSize: 10,
+    // Stock item levels are the player's level plus an offset in this range
+    stockLevelOffset: [-1, 2],
+    // How often each rarity is stocked; merchants don't sell anything better than epic
+    stockRarityWeights: {
+        common: 50,
+        uncommon: 30,
+        rare: 15,
+        epic: 5
+    },
+
+    // Gold price of an item by rarity, before level scaling
+    rarityPrices: {
+        common: 20,
+        uncommon: 50,
+        rare: 120,
+        epic: 300,
+        legendary: 800,
+        mythic: 2000
+    },
+    // Each item level adds this share of the rarity price
+    levelPriceScaling: 0.1,
+    // Share of the price merchants pay when buying an item from the player
+    sellRatio: 0.25,
+
+    // Kinds of merchant and the item types they carry
+    kinds: {
+        blacksmith: {
+            name: 'Blacksmith',
+            types: ['weapon', 'armor']
+        },
+        jeweler: {
+            name: 'Jeweler',
+            types: ['accessory']
+        },
+        alchemist: {
+            name: 'Alchemist',
+            types: ['consumable']
+        }
+    }
+};
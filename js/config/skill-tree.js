@@ -1,6 +1,7 @@
 import { applyBuffsToVariants } from '../utils/SkillTreeUtils.js';
 
 // Define the base skill trees
+// Buff modifiers feed the player's derived stats for their skill: damage and manaCostReduction in percent, cooldown in seconds
 const BASE_SKILL_TREES = {
   "Breath of Heaven": {
     baseDescription:
@@ -59,6 +60,7 @@ const BASE_SKILL_TREES = {
       "Quick Recovery": {
         description: "Reduces the cooldown of Breath of Heaven by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
         cost: 5,
         maxLevel: 3,
         levelBonuses: [
@@ -173,6 +175,7 @@ const BASE_SKILL_TREES = {
       Awakened: {
         description: "Cyclone Strike damage increased by 10%.",
         effects: ["Damage increase"],
+        modifiers: { damage: 10 },
         cost: 5,
         maxLevel: 3,
         levelBonuses: [
@@ -233,6 +236,7 @@ const BASE_SKILL_TREES = {
       "Enhanced Detonation": {
         description: "Increases the explosion damage by 20%.",
         effects: ["Increased damage"],
+        modifiers: { damage: 20 },
         cost: 5,
         maxLevel: 3,
         levelBonuses: [
@@ -245,6 +249,7 @@ const BASE_SKILL_TREES = {
       "Rapid Palm": {
         description: "Reduces the cooldown of Exploding Palm by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
         cost: 5,
         maxLevel: 3,
         levelBonuses: [
@@ -340,6 +345,7 @@ const BASE_SKILL_TREES = {
       "Empowered Kicks": {
         description: "Increases the damage of each kick by 15%.",
         effects: ["Increased damage"],
+        modifiers: { damage: 15 },
         cost: 5,
         maxLevel: 3,
         levelBonuses: [
@@ -352,6 +358,7 @@ const BASE_SKILL_TREES = {
       "Swift Descent": {
         description: "Reduces the cooldown of Flying Dragon by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
         cost: 5,
         maxLevel: 3,
         levelBonuses: [
@@ -436,6 +443,7 @@ const BASE_SKILL_TREES = {
       "Empowered Impact": {
         description: "Increases the damage of Flying Kick by 15%.",
         effects: ["Increased damage"],
+        modifiers: { damage: 15 },
         cost: 5,
         maxLevel: 3,
         levelBonuses: [
@@ -448,6 +456,7 @@ const BASE_SKILL_TREES = {
       "Swift Recovery": {
         description: "Reduces the cooldown of Flying Kick by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
         cost: 5,
         maxLevel: 3,
         levelBonuses: [
@@ -515,10 +524,12 @@ const BASE_SKILL_TREES = {
       "Empowered Strike": {
         description: "Increases the damage of Imprisoned Fists by 15%.",
         effects: ["Increased damage"],
+        modifiers: { damage: 15 },
       },
       "Swift Recovery": {
         description: "Reduces the cooldown of Imprisoned Fists by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
       },
       "Aerial Agility": {
         description: "Increases evasion while performing Imprisoned Fists.",
@@ -572,6 +583,7 @@ const BASE_SKILL_TREES = {
       "Quick Setup": {
         description: "Reduces the cooldown of Inner Sanctuary by 2 seconds.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 2 },
       },
       "Resilient Barrier": {
         description:
@@ -623,10 +635,12 @@ const BASE_SKILL_TREES = {
       "Empowered Allies": {
         description: "Increases the damage of Mystic Allies by 15%.",
         effects: ["Increased damage"],
+        modifiers: { damage: 15 },
       },
       "Quick Summon": {
         description: "Reduces the cooldown of Mystic Allies by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
       },
       "Resilient Spirits": {
         description: "Increases the health of Mystic Allies by 25%.",
@@ -668,6 +682,7 @@ const BASE_SKILL_TREES = {
       "Quickened Strikes": {
         description: "Reduces the cooldown of Mystic Strike by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
       },
       "Empowered Spirit": {
         description:
@@ -720,10 +735,12 @@ const BASE_SKILL_TREES = {
       "Rapid Strikes": {
         description: "Reduces the cooldown of Seven-Sided Strike by 2 seconds.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 2 },
       },
       "Empowered Blows": {
         description: "Increases the damage of each strike by 20%.",
         effects: ["Increased damage"],
+        modifiers: { damage: 20 },
       },
       "Lingering Shadows": {
         description: "Extends the duration of the strike sequence by 1 second.",
@@ -772,6 +789,7 @@ const BASE_SKILL_TREES = {
       "Harmonious Defense": {
         description: "Reduces the cooldown of Shield of Zen by 2 seconds.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 2 },
       },
       "Empowered Shielding": {
         description: "Increases the damage absorption of the shield by 25%.",
@@ -826,14 +844,17 @@ const BASE_SKILL_TREES = {
       "Focused Energy": {
         description: "Reduces the energy cost of Wave of Light by 20%.",
         effects: ["Reduced energy cost"],
+        modifiers: { manaCostReduction: 20 },
       },
       "Amplified Power": {
         description: "Increases the damage of Wave of Light by 15%.",
         effects: ["Increased damage"],
+        modifiers: { damage: 15 },
       },
       "Swift Wave": {
         description: "Reduces the cooldown of Wave of Light by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
       },
       "Resonating Echo": {
         description:
@@ -881,14 +902,17 @@ const BASE_SKILL_TREES = {
       "Energy Efficiency": {
         description: "Reduces the energy cost of Wave Strike by 20%.",
         effects: ["Reduced energy cost"],
+        modifiers: { manaCostReduction: 20 },
       },
       "Power Surge": {
         description: "Increases the damage of Wave Strike by 15%.",
         effects: ["Increased damage"],
+        modifiers: { damage: 15 },
       },
       "Rapid Waves": {
         description: "Reduces the cooldown of Wave Strike by 1 second.",
         effects: ["Cooldown reduction"],
+        modifiers: { cooldown: 1 },
       },
       "Echoing Waves": {
         description: "Wave Strike has a chance to cast an additional wave.",
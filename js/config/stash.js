@@ -0,0 +1,12 @@
+/**
+ * Shared stash settings
+ * The stash is storage shared by every hero on this device, opened at the stash chest in the village
+ */
+export const STASH_CONFIG = {
+    // Tabs the stash is split into, in display order
+    tabs: ['I', 'II', 'III', 'IV'],
+    // Item slots on each tab
+    slotsPerTab: 30,
+    // Where the stash chest stands in the world
+    position: { x: -2, z: 9 }
+};
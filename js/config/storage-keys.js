@@ -41,9 +41,17 @@ export const STORAGE_KEYS = {
     SELECTED_ITEM_RARITY: 'monk_journey_selected_item_rarity',
     CUSTOM_SKILLS: 'monk_journey_custom_skills',
     CAMERA_ZOOM: 'monk_journey_camera_zoom',
+    QUEST_BEACON: 'monk_journey_quest_beacon', // Show the in-world beacon for the pinned quest
+    LOOT_FILTER: 'monk_journey_loot_filter', // Loot filter rules, see js/config/loot-filter.js
     
     // Save system keys
-    SAVE_DATA: 'monk_journey_save',
+    SAVE_DATA: 'monk_journey_save', // Legacy single-slot save, migrated into a slot on first run
+    SAVE_SLOTS: 'monk_journey_save_slots', // Slot index: active slot id and per-slot metadata
+    SAVE_SLOT_PREFIX: 'monk_journey_save_slot_',
+    SAVE_BACKUP_SUFFIX: '_backup_v', // Appended to a slot key, followed by the pre-migration version
+    SAVE_HISTORY_SUFFIX: '_history_', // Appended to a slot key, followed by the rolling copy index
+    SHARED_STASH: 'monk_journey_shared_stash', // Stash shared by every hero on this device
+    SYNC_SERVER_URL: 'monk_journey_sync_server_url', // Save API base URL, saves stay on this device when empty
     CHUNK_PREFIX: 'monk_journey_chunk_',
     CHUNK_INDEX: 'monk_journey_chunk_index',
 };
\ No newline at end of file
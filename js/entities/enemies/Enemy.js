@@ -25,6 +25,7 @@ export class Enemy {
         this.health = config.health || 50;
         this.maxHealth = config.health || 50;
         this.damage = config.damage || 10;
+        this.element = config.element || null; // Element of the enemy's attacks, e.g. 'fire'
         this.speed = config.speed || 3;
         this.attackRange = config.attackRange || 1.5;
         this.attackSpeed = config.attackSpeed || 1.5;
@@ -370,7 +371,7 @@ export class Enemy {
         // (This could be expanded with different attack types based on enemy type)
         
         // Deal damage to target player (local or remote)
-        this.targetPlayer.takeDamage(this.damage);
+        this.targetPlayer.takeDamage(this.damage, this.element);
         
         // Reset attack state after a short delay
         setTimeout(() => {
@@ -393,7 +394,7 @@ export class Enemy {
         );
         
         if (distanceToPlayer < 5) {
-            this.player.takeDamage(this.damage * 1.5);
+            this.player.takeDamage(this.damage * 1.5, 'ice');
             // Apply slow effect to player
             this.player.applyEffect('slow', 3);
         }
@@ -419,7 +420,7 @@ export class Enemy {
         );
         
         if (distanceToPlayer < this.attackRange * 1.5) {
-            this.player.takeDamage(this.damage);
+            this.player.takeDamage(this.damage, 'ice');
             // Apply freeze effect to player
             this.player.applyEffect('freeze', 2);
         }
@@ -832,16 +832,14 @@ export class EnemyManager {
                 });
             }
             
-            // If we have an item drop manager, use it to create a visual drop
+            // If we have an item drop manager, use it to create a visual drop the loot filter allows
             if (this.itemDropManager && item) {
                 const enemyPosition = enemy.getPosition();
-                this.itemDropManager.dropItem(item, enemyPosition);
+                this.itemDropManager.dropLoot(item, enemyPosition);
             } else if (this.game && this.game.player && item) {
                 // Fallback: Add directly to player inventory if no drop manager
-                this.game.player.addToInventory(item);
-                
-                // Show notification
-                if (this.game.hudManager) {
+                // Show notification; items that don't fit in the bag are dropped at the player's feet
+                if (this.game.player.addToInventory(item) && this.game.hudManager) {
                     this.game.hudManager.showNotification(`Found ${item.name}`);
                 }
             }
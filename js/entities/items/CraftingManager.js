@@ -0,0 +1,181 @@
+import { COMBAT_BALANCE } from '../../config/game-balance.js';
+
+/**
+ * @typedef {Object} CraftingCost
+ * @property {Object.<string, number>} materials - Amount of each material, by material key
+ * @property {number} gold - Gold price
+ */
+
+/**
+ * Salvages unwanted items into crafting materials and spends them at the crafting bench
+ * The item generator does the rolling, so crafted stats stay within the ranges of dropped items.
+ * Materials are ordinary stackable items in the player's bag.
+ */
+export class CraftingManager {
+    /**
+     * Create a new crafting manager
+     * @param {Object} game - The game instance
+     */
+    constructor(game) {
+        this.game = game;
+    }
+    
+    /**
+     * Check whether an item can be salvaged and crafted
+     * @param {Object} item - The item
+     * @returns {boolean} True for weapons, armor and accessories
+     */
+    isCraftable(item) {
+        return ['weapon', 'armor', 'accessory'].includes(item.type);
+    }
+    
+    /**
+     * Salvage one of an item from the player's bag into materials
+     * @param {Object} item - An item in the player's bag
+     * @returns {Object[]|null} The materials received, or null if the item wasn't salvaged
+     */
+    salvage(item) {
+        const player = this.game.player;
+        if (!this.isCraftable(item) || !player.getInventory().includes(item)) return null;
+        
+        const materials = this.game.itemGenerator.generateSalvageMaterials(item);
+        
+        // The salvaged item frees its slot for the materials
+        if (player.inventory.getSlotsNeeded(materials) > player.inventory.getFreeSlots() + 1) {
+            this.game.hudManager.showNotification('Your bag is too full to salvage');
+            return null;
+        }
+        
+        player.removeItem(item.id, 1);
+        materials.forEach(material => player.addToInventory(material));
+        
+        const received = materials.map(material => `${material.amount} ${material.name}`).join(', ');
+        this.game.hudManager.showNotification(`Salvaged ${item.name}${received ? ` into ${received}` : ''}`);
+        return materials;
+    }
+    
+    /**
+     * Get how much of a material the player carries
+     * @param {string} materialKey - Key of the material, e.g. "dust"
+     * @returns {number} Amount carried
+     */
+    getMaterialCount(materialKey) {
+        return this.game.player.getInventory()
+            .filter(item => item.type === 'material' && item.subType === materialKey)
+            .reduce((total, item) => total + item.amount, 0);
+    }
+    
+    /**
+     * Get what a crafting operation costs for an item
+     * @param {string} operation - "reroll", "upgrade" or "enchant"
+     * @param {Object} item - The item to craft
+     * @returns {CraftingCost} The cost
+     */
+    getCost(operation, item) {
+        const cost = COMBAT_BALANCE.items.craftingCosts[operation];
+        const gold = operation === 'upgrade' ? cost.goldPerLevel * ((item.level || 1) + 1) : cost.gold;
+        return { materials: { ...cost.materials }, gold };
+    }
+    
+    /**
+     * Check whether the player can pay a crafting cost
+     * @param {CraftingCost} cost - The cost
+     * @returns {boolean} Whether the player has enough gold and materials
+     */
+    canAfford(cost) {
+        return this.game.player.getGold() >= cost.gold &&
+            Object.entries(cost.materials).every(([materialKey, amount]) => this.getMaterialCount(materialKey) >= amount);
+    }
+    
+    /**
+     * Get the highest level an item can be upgraded to
+     * @returns {number} Maximum item level
+     */
+    getMaxUpgradeLevel() {
+        return this.game.player.stats.getLevel() + COMBAT_BALANCE.items.maxUpgradeLevelAbovePlayer;
+    }
+    
+    /**
+     * Replace one of an item's secondary stats with a newly rolled one
+     * @param {Object} item - An equipped or carried item
+     * @param {number} statIndex - Index of the secondary stat to replace
+     * @returns {Object|null} The crafted item, or null if nothing was crafted
+     */
+    reroll(item, statIndex) {
+        return this.craft(item, 'reroll', () => this.game.itemGenerator.rerollSecondaryStat(item, statIndex),
+            `${item.name} can't roll any other stat`);
+    }
+    
+    /**
+     * Raise an item's level by one
+     * @param {Object} item - An equipped or carried item
+     * @returns {Object|null} The crafted item, or null if nothing was crafted
+     */
+    upgrade(item) {
+        if ((item.level || 1) >= this.getMaxUpgradeLevel()) {
+            this.game.hudManager.showNotification(`${item.name} can't be upgraded past level ${this.getMaxUpgradeLevel()}`);
+            return null;
+        }
+        return this.craft(item, 'upgrade', () => this.game.itemGenerator.upgradeItemLevel(item));
+    }
+    
+    /**
+     * Add an extra secondary stat to an item
+     * @param {Object} item - An equipped or carried item
+     * @returns {Object|null} The crafted item, or null if nothing was crafted
+     */
+    enchant(item) {
+        return this.craft(item, 'enchant', () => this.game.itemGenerator.enchantItem(item),
+            `${item.name} can't be enchanted any further`);
+    }
+    
+    /**
+     * Pay for a crafting operation and put the crafted item in place of the original
+     * @param {Object} item - An equipped or carried item
+     * @param {string} operation - "reroll", "upgrade" or "enchant"
+     * @param {Function} createItem - Returns the crafted item, or null if the operation can't be done
+     * @param {string} [failureMessage] - Shown when createItem returns null
+     * @returns {Object|null} The crafted item, or null if nothing was crafted
+     * @private
+     */
+    craft(item, operation, createItem, failureMessage) {
+        const player = this.game.player;
+        const isCarried = player.getInventory().includes(item) || Object.values(player.getEquipment()).includes(item);
+        if (!isCarried || !this.isCraftable(item)) return null;
+        
+        const cost = this.getCost(operation, item);
+        if (!this.canAfford(cost)) {
+            this.game.hudManager.showNotification(`You need ${this.formatCost(cost)} to ${operation} ${item.name}`);
+            return null;
+        }
+        
+        const craftedItem = createItem();
+        if (!craftedItem) {
+            this.game.hudManager.showNotification(failureMessage);
+            return null;
+        }
+        
+        // Pay only once the operation is known to succeed
+        player.removeGold(cost.gold);
+        Object.entries(cost.materials).forEach(([materialKey, amount]) => {
+            player.removeFromInventory(COMBAT_BALANCE.items.materials[materialKey].name, amount);
+        });
+        
+        console.debug(`Crafting: ${operation} ${item.name}`);
+        return player.inventory.replaceItem(item, craftedItem);
+    }
+    
+    /**
+     * Describe a crafting cost
+     * @param {CraftingCost} cost - The cost
+     * @returns {string} E.g. "2 Arcane Dust, 50 gold"
+     */
+    formatCost(cost) {
+        const parts = Object.entries(cost.materials)
+            .map(([materialKey, amount]) => `${amount} ${COMBAT_BALANCE.items.materials[materialKey].name}`);
+        if (cost.gold > 0) {
+            parts.push(`${cost.gold} gold`);
+        }
+        return parts.join(', ');
+    }
+}
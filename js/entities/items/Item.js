@@ -1,7 +1,7 @@
 export class Item {
     constructor(config) {
         // Basic properties
-        this.id = config.id || `item-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+        this.id = config.id || Item.createId();
         this.name = config.name || 'Unknown Item';
         this.description = config.description || '';
         this.type = config.type || 'misc'; // weapon, armor, accessory, consumable
@@ -23,6 +23,9 @@ export class Item {
         // Set information
         this.setId = config.setId || null;
         
+        // Legendary power: the skill-tree variant it unlocks (see js/config/legendary-items.js)
+        this.legendaryId = config.legendaryId || null;
+        
         // Visual properties - model path should be provided by ItemGenerator
         this.visual = config.visual || {};
         
@@ -34,6 +37,11 @@ export class Item {
         this.calculateEffectiveStats();
     }
     
+    // Create an id for a new item; bag and stash entries are told apart by their ids
+    static createId() {
+        return `item-${Date.now()}-${Math.floor(Math.random() * 1000000)}`;
+    }
+    
     calculateEffectiveStats() {
         // Rarity multipliers
         const rarityMultipliers = {
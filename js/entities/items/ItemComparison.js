@@ -0,0 +1,135 @@
+/**
+ * @typedef {Object} ItemComparisonResult
+ * @property {string} slot - Equipment slot compared against
+ * @property {Object|null} equipped - The item equipped in that slot, or null if the slot is empty
+ * @property {Array<{stat: string, difference: number}>} statChanges - Change of every stat either item has
+ * @property {number} damage - Effective damage of the primary attack with the item equipped
+ * @property {number} damageChange - Change in effective damage compared to the current gear
+ * @property {number} toughness - Effective health with the item equipped
+ * @property {number} toughnessChange - Change in effective health compared to the current gear
+ */
+
+/**
+ * Compares an item with the gear equipped in the slot it would go to
+ * Effective damage and toughness are worked out with the item put on for a moment, so they follow
+ * the same formulas as skill damage and damage taken, set bonuses included.
+ */
+export class ItemComparison {
+    /**
+     * Create a new item comparison
+     * @param {Object} game - The game instance
+     */
+    constructor(game) {
+        this.game = game;
+    }
+    
+    /**
+     * Get the equipment slots an item is compared against
+     * @param {Object} item - The item
+     * @returns {string[]} Slot names; accessories other than talismans are compared against both accessory slots
+     */
+    getComparedSlots(item) {
+        const inventory = this.game.player.inventory;
+        const slot = inventory.getEquipSlot(item);
+        if (!slot || Object.values(inventory.getEquipment()).includes(item)) {
+            return [];
+        }
+        
+        if (slot === 'accessory1' || slot === 'accessory2') {
+            return ['accessory1', 'accessory2'];
+        }
+        return [slot];
+    }
+    
+    /**
+     * Compare an item with the gear equipped in its slots
+     * @param {Object} item - The item
+     * @returns {ItemComparisonResult[]} One result per compared slot, empty for items that can't be equipped or are already worn
+     */
+    compare(item) {
+        const inventory = this.game.player.inventory;
+        const slots = this.getComparedSlots(item);
+        if (slots.length === 0) {
+            return [];
+        }
+        
+        const current = this.getEffectiveStats();
+        
+        return slots.map(slot => {
+            const equipped = inventory.getEquipment()[slot];
+            const withItem = this.withEquipped(slot, item, () => this.getEffectiveStats());
+            
+            return {
+                slot,
+                equipped,
+                statChanges: this.getStatChanges(item, equipped),
+                damage: withItem.damage,
+                damageChange: withItem.damage - current.damage,
+                toughness: withItem.toughness,
+                toughnessChange: withItem.toughness - current.toughness
+            };
+        });
+    }
+    
+    /**
+     * Get the change of every stat either item has, base and secondary stats alike
+     * @param {Object} item - The item
+     * @param {Object|null} equipped - The item it would replace
+     * @returns {Array<{stat: string, difference: number}>} Stats that differ
+     */
+    getStatChanges(item, equipped) {
+        const inventory = this.game.player.inventory;
+        const itemStats = inventory.getItemStats(item);
+        const equippedStats = equipped ? inventory.getItemStats(equipped) : {};
+        
+        const stats = new Set([...Object.keys(equippedStats), ...Object.keys(itemStats)]);
+        return [...stats]
+            .map(stat => ({ stat, difference: (itemStats[stat] || 0) - (equippedStats[stat] || 0) }))
+            .filter(({ difference }) => Math.abs(difference) >= 0.01);
+    }
+    
+    /**
+     * Get the player's effective damage and toughness with the current gear
+     * Damage is the primary attack's damage averaged over critical hits; toughness is the damage
+     * the player can take before dying, after armor and damage reduction.
+     * @returns {{damage: number, toughness: number}} Effective damage and toughness
+     */
+    getEffectiveStats() {
+        const player = this.game.player;
+        const skills = player.getSkills();
+        const primaryAttack = skills.find(skill => skill.primaryAttack === true) || skills[0];
+        
+        let damage = 0;
+        if (primaryAttack) {
+            const critChance = Math.min(100, player.stats.getCritChance()) / 100;
+            damage = primaryAttack.getExpectedDamage() * (1 + critChance * (player.stats.getCritMultiplier() - 1));
+        }
+        
+        const damageTaken = player.combat.getDamageTakenMultiplier();
+        const toughness = damageTaken > 0 ? player.stats.getMaxHealth() / damageTaken : Infinity;
+        
+        return { damage, toughness };
+    }
+    
+    /**
+     * Run a callback with an item put in an equipment slot for the moment
+     * @param {string} slot - Equipment slot
+     * @param {Object} item - Item to put in the slot
+     * @param {Function} callback - Work out something with the item equipped
+     * @returns {*} What the callback returns
+     * @private
+     */
+    withEquipped(slot, item, callback) {
+        const inventory = this.game.player.inventory;
+        const equipped = inventory.equipment[slot];
+        
+        inventory.equipment[slot] = item;
+        inventory.calculateEquipmentBonuses();
+        try {
+            return callback();
+        } finally {
+            inventory.equipment[slot] = equipped;
+            inventory.calculateEquipmentBonuses();
+        }
+    }
+}
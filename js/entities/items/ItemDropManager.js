@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { ItemModelFactory } from './models/ItemModelFactory.js';
 import { Item } from './Item.js';
+import { summarizeItemComparison } from '../../utils/ItemComparisonUtils.js';
 
 /**
  * Manages item drops in the game world
@@ -27,6 +28,27 @@ export class ItemDropManager {
         this.rotationSpeed = 2.0; // Radians per second for smoother rotation
     }
 
+    /**
+     * Drop loot at a specific position, unless the player's loot filter hides it
+     * Hidden drops are still counted in the loot filter's session stats.
+     * @param {Item} item - The item to drop
+     * @param {THREE.Vector3} position - The position to drop the item
+     * @returns {string|null} The ID of the dropped item, or null if the loot filter hid it
+     */
+    dropLoot(item, position) {
+        const lootFilter = this.game && this.game.lootFilter;
+        if (lootFilter) {
+            const shown = lootFilter.isShown(item);
+            lootFilter.recordDrop(item, shown);
+            if (!shown) {
+                console.debug(`Loot filter hid ${item.name}`);
+                return null;
+            }
+        }
+        
+        return this.dropItem(item, position);
+    }
+    
     /**
      * Drop an item at a specific position
      * @param {Item} item - The item to drop
@@ -97,18 +119,29 @@ export class ItemDropManager {
         // Add to scene
         this.scene.add(itemGroup);
         
+        // Make drops stand out as the loot filter asks for their rarity
+        const rarityEffect = this.game && this.game.lootFilter ? this.game.lootFilter.getRarityEffect(item.rarity) : null;
+        const beam = rarityEffect && rarityEffect.beam ? this.createBeam(itemGroup.position, rarityEffect.color) : null;
+        if (rarityEffect && rarityEffect.sound && this.game.audioManager) {
+            this.game.audioManager.playSound(rarityEffect.soundName);
+        }
+        
         // Store reference to dropped item
         this.droppedItems.set(item.id, {
             item: item,
             group: itemGroup,
             model: itemModel,
             ring: ring,
+            beam: beam,
             dropTime: Date.now()
         });
         
-        // Show notification
+        // Show notification, telling whether gear is an upgrade over what is equipped
         if (this.game && this.game.hudManager) {
-            this.game.hudManager.showNotification(`${item.name} dropped!`);
+            const comparison = this.game.itemComparison && this.game.player
+                ? summarizeItemComparison(this.game.itemComparison.compare(item))
+                : '';
+            this.game.hudManager.showNotification(`${item.name} dropped!${comparison ? ` (${comparison})` : ''}`);
         }
         
         // Notify game of item drop for more frequent material validation
@@ -119,7 +152,30 @@ export class ItemDropManager {
         return item.id;
     }
     
-
+    /**
+     * Create a beam of light rising from a drop
+     * @param {THREE.Vector3} position - Position of the dropped item
+     * @param {number} color - Beam colour
+     * @returns {THREE.Mesh} The beam, added directly to the scene like the ring
+     */
+    createBeam(position, color) {
+        const beamHeight = 6;
+        const beamGeometry = new THREE.CylinderGeometry(0.12, 0.25, beamHeight, 8, 1, true);
+        const beamMaterial = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        const beam = new THREE.Mesh(beamGeometry, beamMaterial);
+        beam.position.copy(position);
+        beam.position.y += beamHeight / 2;
+        beam.name = 'ItemDropBeam';
+        
+        this.scene.add(beam);
+        return beam;
+    }
     
     /**
      * Update all dropped items
@@ -158,9 +214,10 @@ export class ItemDropManager {
                     continue;
                 }
                 
-                // Auto-pickup if player is close enough (instant pickup)
-                if (distance < 1.5) {
-                    this.pickupItem(id);
+                // Auto-pickup if player is close enough (instant pickup); the loot filter
+                // can have gold and potions picked up from further away
+                const pickupRadius = this.game.lootFilter ? this.game.lootFilter.getPickupRadius(itemData.item) : 1.5;
+                if (distance < pickupRadius && this.pickupItem(id)) {
                     continue; // Skip to next item since this one was picked up
                 }
             }
@@ -205,6 +262,13 @@ export class ItemDropManager {
             }
         }
         
+        // Dispose of beam resources if available, it is in the scene like the ring
+        if (itemData.beam) {
+            itemData.beam.geometry.dispose();
+            itemData.beam.material.dispose();
+            this.scene.remove(itemData.beam);
+        }
+        
         // Remove item group from scene
         if (itemData.group) {
             this.scene.remove(itemData.group);
@@ -222,11 +286,21 @@ export class ItemDropManager {
     /**
      * Pick up an item
      * @param {string} itemId - The ID of the item to pick up
+     * @returns {boolean} Whether the item was picked up
      */
     pickupItem(itemId) {
         // Get item data
         const itemData = this.droppedItems.get(itemId);
-        if (!itemData) return;
+        if (!itemData) return false;
+        
+        // Leave the item on the ground while the bag is full, telling the player once per item
+        if (this.game && this.game.player && !this.game.player.inventory.hasRoomFor([itemData.item])) {
+            if (!itemData.bagFullNotified && this.game.hudManager) {
+                this.game.hudManager.showNotification(`Your bag is full, ${itemData.item.name} was left on the ground`);
+            }
+            itemData.bagFullNotified = true;
+            return false;
+        }
         
         // Add to player inventory
         if (this.game && this.game.player) {
@@ -236,6 +310,15 @@ export class ItemDropManager {
             if (this.game.hudManager) {
                 this.game.hudManager.showNotification(`Picked up ${itemData.item.name}`);
             }
+            
+            // Count towards collect quests
+            if (this.game.questManager) {
+                this.game.questManager.updateItemPickup(itemData.item);
+            }
+            
+            if (this.game.lootFilter) {
+                this.game.lootFilter.recordPickup();
+            }
         }
         
         // Dispose of model resources if available
@@ -259,6 +342,13 @@ export class ItemDropManager {
             }
         }
         
+        // Dispose of beam resources if available
+        if (itemData.beam) {
+            itemData.beam.geometry.dispose();
+            itemData.beam.material.dispose();
+            this.scene.remove(itemData.beam);
+        }
+        
         // Remove item group from scene
         if (itemData.group) {
             this.scene.remove(itemData.group);
@@ -266,6 +356,8 @@ export class ItemDropManager {
         
         // Remove from map
         this.droppedItems.delete(itemId);
+        
+        return true;
     }
     
     /**
@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+
+/**
+ * Short-lived visuals for item special effects: bursts, lightning arcs and cones of fire
+ * Every visual fades out over its duration and is then removed from the scene
+ */
+export class ItemEffectVisuals {
+    /**
+     * Create a new item effect visuals manager
+     * @param {THREE.Scene} scene - The Three.js scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        /** @type {{object: THREE.Object3D, age: number, duration: number, opacity: number, grow: number}[]} */
+        this.visuals = [];
+    }
+
+    /**
+     * Show an expanding ring on the ground, e.g. where an enemy is stunned
+     * @param {THREE.Vector3} position - Center of the ring
+     * @param {number} color - Ring color
+     * @param {number} [radius=1] - Starting radius of the ring
+     */
+    createBurst(position, color, radius = 1) {
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(radius * 0.7, radius, 24),
+            this.createMaterial(color, 0.8)
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(position.x, position.y + 0.1, position.z);
+
+        this.add(ring, 0.5, 1.5);
+    }
+
+    /**
+     * Show a jagged arc of lightning between two points
+     * @param {THREE.Vector3} from - Start of the arc
+     * @param {THREE.Vector3} to - End of the arc
+     * @param {number} color - Arc color
+     */
+    createLightning(from, to, color) {
+        const segments = 8;
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const point = new THREE.Vector3().lerpVectors(from, to, i / segments);
+            // Keep the ends on the targets and jitter the points in between
+            if (i > 0 && i < segments) {
+                point.x += (Math.random() - 0.5) * 0.6;
+                point.y += (Math.random() - 0.5) * 0.6;
+                point.z += (Math.random() - 0.5) * 0.6;
+            }
+            points.push(point);
+        }
+
+        const arc = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color, transparent: true, opacity: 1 })
+        );
+        arc.position.y = 1;
+
+        this.add(arc, 0.3);
+    }
+
+    /**
+     * Show a flat cone spreading out from a point, e.g. a breath of fire
+     * @param {THREE.Vector3} position - Tip of the cone
+     * @param {number} rotationY - Facing of the cone around the Y axis, in radians
+     * @param {number} range - Length of the cone
+     * @param {number} angle - Full opening angle of the cone, in degrees
+     * @param {number} color - Cone color
+     */
+    createCone(position, rotationY, range, angle, color) {
+        const thetaLength = THREE.MathUtils.degToRad(angle);
+        const geometry = new THREE.CircleGeometry(range, 16, -thetaLength / 2, thetaLength);
+        // Lay the sector flat; it then opens along +x, so turn it a quarter less than the facing
+        geometry.rotateX(-Math.PI / 2);
+
+        const cone = new THREE.Mesh(geometry, this.createMaterial(color, 0.6));
+        cone.rotation.y = rotationY - Math.PI / 2;
+        cone.position.set(position.x, position.y + 0.5, position.z);
+
+        this.add(cone, 0.4, 0.2);
+    }
+
+    /**
+     * Fade out and grow the visuals, removing those that have finished
+     * @param {number} delta - Time in seconds since the last update
+     */
+    update(delta) {
+        for (let i = this.visuals.length - 1; i >= 0; i--) {
+            const visual = this.visuals[i];
+            visual.age += delta;
+
+            const progress = Math.min(visual.age / visual.duration, 1);
+            visual.object.material.opacity = visual.opacity * (1 - progress);
+            if (visual.grow) {
+                visual.object.scale.setScalar(1 + visual.grow * progress);
+            }
+
+            if (progress >= 1) {
+                this.remove(visual.object);
+                this.visuals.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Remove all visuals from the scene and free their resources
+     */
+    dispose() {
+        this.visuals.forEach(visual => this.remove(visual.object));
+        this.visuals = [];
+    }
+
+    /**
+     * Add a visual to the scene and start fading it
+     * @param {THREE.Object3D} object - Mesh or line with a transparent material
+     * @param {number} duration - Seconds until the visual is gone
+     * @param {number} [grow=0] - How much the visual grows over its duration, as a fraction of its size
+     * @private
+     */
+    add(object, duration, grow = 0) {
+        this.scene.add(object);
+        this.visuals.push({ object, age: 0, duration, opacity: object.material.opacity, grow });
+    }
+
+    /**
+     * Remove a visual from the scene and free its geometry and material
+     * @param {THREE.Object3D} object - The visual
+     * @private
+     */
+    remove(object) {
+        this.scene.remove(object);
+        object.geometry.dispose();
+        object.material.dispose();
+    }
+
+    /**
+     * Create a transparent, unlit material for a visual
+     * @param {number} color - Material color
+     * @param {number} opacity - Starting opacity
+     * @returns {THREE.MeshBasicMaterial} The material
+     * @private
+     */
+    createMaterial(color, opacity) {
+        return new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+    }
+}
@@ -1,6 +1,8 @@
 import { Item } from './Item.js';
 import { ITEM_TEMPLATES } from '../../config/item-templates.js';
 import { COMBAT_BALANCE } from '../../config/game-balance.js';
+import { ITEM_SETS } from '../../config/item-sets.js';
+import { LEGENDARY_ITEMS, getLegendaryItem } from '../../config/legendary-items.js';
 
 export class ItemGenerator {
     constructor(game) {
@@ -44,10 +46,14 @@ export class ItemGenerator {
         // Determine if it's a set item
         const setId = this.determineSetId(rarity, type, subType);
         
+        // Determine if it carries a legendary power
+        const legendaryId = this.determineLegendaryId(rarity, type, subType, setId);
+        const legendary = getLegendaryItem(legendaryId);
+        
         // Create the item
         const item = new Item({
-            name: this.generateItemName(template, rarity, setId),
-            description: template.description,
+            name: legendary ? legendary.name : this.generateItemName(template, rarity, setId),
+            description: legendary ? `${template.description} Unlocks the ${legendary.variant} variant of ${legendary.skill}.` : template.description,
             type: type,
             subType: subType,
             icon: template.icon,
@@ -57,6 +63,7 @@ export class ItemGenerator {
             secondaryStats: secondaryStats,
             specialEffects: specialEffects,
             setId: setId,
+            legendaryId: legendaryId,
             visual: template.visual
         });
         
@@ -82,7 +89,7 @@ export class ItemGenerator {
             weapon: ['fist', 'staff', 'dagger'],
             armor: ['robe', 'belt', 'boots', 'gloves', 'helmet'],
             accessory: ['amulet', 'ring', 'talisman'],
-            consumable: ['potion', 'scroll', 'food']
+            consumable: ['potion', 'elixir', 'scroll', 'food']
         };
         
         return this.randomElement(subTypes[type] || []);
@@ -107,6 +114,16 @@ export class ItemGenerator {
         chances.legendary = Math.max(chances.legendary, 1);
         chances.mythic = Math.max(chances.mythic, 0.5);
         
+        // Magic find makes every rarity above common more likely
+        const magicFind = this.game && this.game.player ? this.game.player.stats.getMagicFind() : 0;
+        if (magicFind > 0) {
+            Object.keys(chances).forEach(rarity => {
+                if (rarity !== 'common') {
+                    chances[rarity] *= 1 + magicFind / 100;
+                }
+            });
+        }
+        
         // Convert to weights array
         const rarities = Object.keys(chances);
         const weights = Object.values(chances);
@@ -144,28 +161,35 @@ export class ItemGenerator {
             // Add some randomness (±10%)
             const randomFactor = 0.9 + (Math.random() * 0.2);
             
-            // Apply level scaling from game-balance
-            const levelScalingFactor = 1 + (level * COMBAT_BALANCE.items.levelScalingFactor);
-            
-            // Apply weapon damage scaling for weapon items
-            if (key === 'damage' && template.type === 'weapon') {
-                baseStats[key] = Math.round(value * randomFactor * levelScalingFactor * 
-                                (1 + COMBAT_BALANCE.player.weaponDamageIncrease * level));
-            } 
-            // Apply armor damage reduction for armor items
-            else if (key === 'armor' && template.type === 'armor') {
-                baseStats[key] = Math.round(value * randomFactor * levelScalingFactor * 
-                                (1 + COMBAT_BALANCE.player.armorDamageReduction * level));
-            }
-            // Apply regular level scaling for other stats
-            else {
-                baseStats[key] = Math.round(value * randomFactor * levelScalingFactor);
-            }
+            baseStats[key] = Math.round(value * randomFactor * this.getBaseStatLevelScaling(template.type, key, level));
         }
         
         return baseStats;
     }
     
+    /**
+     * Get how much a base stat is scaled for an item level
+     * @param {string} type - Item type
+     * @param {string} key - Base stat name
+     * @param {number} level - Item level
+     * @returns {number} - Scaling factor
+     */
+    getBaseStatLevelScaling(type, key, level) {
+        // Apply level scaling from game-balance
+        const levelScalingFactor = 1 + (level * COMBAT_BALANCE.items.levelScalingFactor);
+        
+        // Apply weapon damage scaling for weapon items
+        if (key === 'damage' && type === 'weapon') {
+            return levelScalingFactor * (1 + COMBAT_BALANCE.player.weaponDamageIncrease * level);
+        }
+        // Apply armor damage reduction for armor items
+        if (key === 'armor' && type === 'armor') {
+            return levelScalingFactor * (1 + COMBAT_BALANCE.player.armorDamageReduction * level);
+        }
+        // Apply regular level scaling for other stats
+        return levelScalingFactor;
+    }
+    
     generateSecondaryStats(template, rarity, level) {
         // Number of secondary stats based on rarity
         const statCounts = {
@@ -184,34 +208,42 @@ export class ItemGenerator {
         }
         
         // Get possible secondary stats for this item type
-        const possibleStats = template.possibleSecondaryStats || [];
+        // Copied, so removing picked stats leaves the template intact for later items
+        const possibleStats = [...(template.possibleSecondaryStats || [])];
         
         // Generate the stats
         const secondaryStats = [];
-        for (let i = 0; i < count && i < possibleStats.length; i++) {
+        for (let i = 0; i < count && possibleStats.length > 0; i++) {
             const statType = this.randomElement(possibleStats);
             
             // Remove from possible stats to avoid duplicates
-            const index = possibleStats.indexOf(statType);
-            if (index > -1) {
-                possibleStats.splice(index, 1);
-            }
+            possibleStats.splice(possibleStats.indexOf(statType), 1);
             
-            // Generate value based on stat type and level
-            const value = this.generateStatValue(statType, level, rarity);
-            
-            // Add elemental type if needed
-            let stat = { type: statType, value: value };
-            if (statType === 'elementalDamage') {
-                stat.element = this.randomElement(['fire', 'ice', 'lightning', 'holy']);
-            }
-            
-            secondaryStats.push(stat);
+            secondaryStats.push(this.generateSecondaryStat(statType, level, rarity));
         }
         
         return secondaryStats;
     }
     
+    /**
+     * Generate a single secondary stat
+     * @param {string} statType - Stat name
+     * @param {number} level - Item level
+     * @param {string} rarity - Item rarity
+     * @returns {Object} - The stat, as { type, value, element? }
+     */
+    generateSecondaryStat(statType, level, rarity) {
+        // Generate value based on stat type and level
+        const stat = { type: statType, value: this.generateStatValue(statType, level, rarity) };
+        
+        // Add elemental type if needed
+        if (statType === 'elementalDamage') {
+            stat.element = this.randomElement(['fire', 'ice', 'lightning', 'holy']);
+        }
+        
+        return stat;
+    }
+    
     generateStatValue(statType, level, rarity) {
         // Use base values from game-balance config
         const baseValues = COMBAT_BALANCE.items.secondaryStatBaseValues;
@@ -223,7 +255,7 @@ export class ItemGenerator {
         let value = baseValues[statType] || 5;
         
         // Scale with level using game-balance level scaling factor
-        value *= (1 + (level * COMBAT_BALANCE.items.levelScalingFactor));
+        value *= this.getSecondaryStatLevelScaling(statType, level);
         
         // Apply rarity multiplier
         value *= rarityMultipliers[rarity];
@@ -242,15 +274,38 @@ export class ItemGenerator {
         } else if (statType === 'elementalDamage') {
             // Apply elemental damage multiplier from combat balance
             value *= COMBAT_BALANCE.player.elementalDamageMultiplier;
-        } else if (statType === 'manaBonus') {
+        }
+        
+        return this.roundStatValue(statType, value);
+    }
+    
+    /**
+     * Get how much a secondary stat is scaled for an item level
+     * @param {string} statType - Stat name
+     * @param {number} level - Item level
+     * @returns {number} - Scaling factor
+     */
+    getSecondaryStatLevelScaling(statType, level) {
+        const levelScalingFactor = 1 + (level * COMBAT_BALANCE.items.levelScalingFactor);
+        
+        if (statType === 'manaBonus') {
             // Scale mana bonus with level more aggressively
-            value *= (1 + (level * 0.1));
-        } else if (statType === 'manaRegen') {
+            return levelScalingFactor * (1 + (level * 0.1));
+        }
+        if (statType === 'manaRegen') {
             // Scale mana regen with level
-            value *= (1 + (level * 0.05));
+            return levelScalingFactor * (1 + (level * 0.05));
         }
-        
-        // Round to appropriate precision
+        return levelScalingFactor;
+    }
+    
+    /**
+     * Round a secondary stat value to the precision it is shown with
+     * @param {string} statType - Stat name
+     * @param {number} value - Unrounded value
+     * @returns {number} - Rounded value
+     */
+    roundStatValue(statType, value) {
         if (['critChance', 'attackSpeed', 'cooldownReduction', 'damageReduction', 'movementSpeed', 'manaRegen'].includes(statType)) {
             // These are small percentages, round to 1 decimal place
             return Math.round(value * 10) / 10;
@@ -301,10 +356,10 @@ export class ItemGenerator {
         const setChances = COMBAT_BALANCE.items.setItemChances;
         
         if (Math.random() < setChances[rarity]) {
-            // Get possible sets for this item type/subtype
-            const possibleSets = ITEM_TEMPLATES
-                .filter(template => template.type === type && template.setId)
-                .map(template => template.setId);
+            // Get possible sets with a piece of this item type/subtype
+            const possibleSets = Object.values(ITEM_SETS)
+                .filter(set => set.pieces.some(piece => piece.type === type && piece.subType === subType))
+                .map(set => set.id);
             
             if (possibleSets.length > 0) {
                 return this.randomElement(possibleSets);
@@ -314,12 +369,31 @@ export class ItemGenerator {
         return null;
     }
     
+    /**
+     * Determine the legendary an item rolls as
+     * Legendary and mythic items that aren't set pieces always carry the power of a legendary matching their type and subtype
+     * @param {string} rarity - Rarity of the item
+     * @param {string} type - Type of the item
+     * @param {string} subType - Subtype of the item
+     * @param {string|null} setId - Set of the item, if any
+     * @returns {string|null} - Id of the legendary, or null if the item isn't one
+     */
+    determineLegendaryId(rarity, type, subType, setId) {
+        if (setId || !['legendary', 'mythic'].includes(rarity)) {
+            return null;
+        }
+        
+        const possibleLegendaries = LEGENDARY_ITEMS.filter(legendary => legendary.type === type && legendary.subType === subType);
+        return possibleLegendaries.length > 0 ? this.randomElement(possibleLegendaries).id : null;
+    }
+    
     generateItemName(template, rarity, setId) {
         if (setId) {
-            // Use set name pattern
-            const setInfo = ITEM_TEMPLATES.find(t => t.setId === setId);
-            if (setInfo && setInfo.setName) {
-                return `${setInfo.setName} ${template.subType}`;
+            // Use the name of the matching set piece
+            const set = ITEM_SETS[setId];
+            const pieces = set ? set.pieces.filter(piece => piece.type === template.type && piece.subType === template.subType) : [];
+            if (pieces.length > 0) {
+                return this.randomElement(pieces).name;
             }
         }
         
@@ -340,6 +414,171 @@ export class ItemGenerator {
         return `${qualityPrefixes[rarity]}${template.name}`;
     }
     
+    // Crafting methods
+    
+    /**
+     * Find the template an item was generated from
+     * Items only keep their type and subtype, so the template whose name the item carries is preferred
+     * @param {Object} item - The item
+     * @returns {Object|null} - The template, or null if no template has the item's type and subtype
+     */
+    findItemTemplate(item) {
+        const matchingTemplates = ITEM_TEMPLATES.filter(
+            template => template.type === item.type && template.subType === item.subType
+        );
+        
+        const namedTemplate = matchingTemplates.find(template =>
+            item.name.endsWith(template.name) || (template.uniqueNames || []).includes(item.name)
+        );
+        
+        return namedTemplate || matchingTemplates[0] || null;
+    }
+    
+    /**
+     * Get the secondary stats an item's template can roll that the item doesn't have
+     * @param {Object} item - The item
+     * @param {number} [ignoreIndex] - Index of a secondary stat to treat as missing, e.g. the one being rerolled
+     * @returns {string[]} - Stat names
+     */
+    getAvailableSecondaryStats(item, ignoreIndex = -1) {
+        const template = this.findItemTemplate(item);
+        const takenStats = (item.secondaryStats || [])
+            .filter((stat, index) => index !== ignoreIndex)
+            .map(stat => stat.type);
+        
+        return (template ? template.possibleSecondaryStats || [] : [])
+            .filter(statType => !takenStats.includes(statType));
+    }
+    
+    /**
+     * Replace one of an item's secondary stats with a newly rolled one
+     * The new stat is rolled like a drop of the item's level and rarity, and may be the same stat with a new value
+     * @param {Object} item - The item
+     * @param {number} statIndex - Index of the secondary stat to replace
+     * @returns {Item|null} - The rerolled item, or null if the stat can't be rerolled
+     */
+    rerollSecondaryStat(item, statIndex) {
+        const stat = (item.secondaryStats || [])[statIndex];
+        const statTypes = this.getAvailableSecondaryStats(item, statIndex);
+        if (!stat || statTypes.length === 0) {
+            return null;
+        }
+        
+        const secondaryStats = [...item.secondaryStats];
+        secondaryStats[statIndex] = this.generateSecondaryStat(this.randomElement(statTypes), item.level, item.rarity);
+        
+        // An enchanted stat stays enchanted, so the item can't be enchanted again
+        if (stat.enchanted) {
+            secondaryStats[statIndex].enchanted = true;
+        }
+        
+        return this.createCraftedItem(item, { secondaryStats });
+    }
+    
+    /**
+     * Raise an item's level by one
+     * Every stat keeps its roll and is rescaled to the new level
+     * @param {Object} item - The item
+     * @returns {Item} - The upgraded item
+     */
+    upgradeItemLevel(item) {
+        const fromLevel = item.level || 1;
+        const level = fromLevel + 1;
+        
+        const baseStats = {};
+        for (const [key, value] of Object.entries(item.baseStats || {})) {
+            const scaling = this.getBaseStatLevelScaling(item.type, key, level) / this.getBaseStatLevelScaling(item.type, key, fromLevel);
+            baseStats[key] = Math.round(value * scaling);
+        }
+        
+        const secondaryStats = (item.secondaryStats || []).map(stat => {
+            const scaling = this.getSecondaryStatLevelScaling(stat.type, level) / this.getSecondaryStatLevelScaling(stat.type, fromLevel);
+            
+            // The base crit chance added to every roll doesn't scale with level
+            const flatValue = stat.type === 'critChance' ? COMBAT_BALANCE.player.baseCritChance * 100 : 0;
+            
+            return { ...stat, value: this.roundStatValue(stat.type, (stat.value - flatValue) * scaling + flatValue) };
+        });
+        
+        return this.createCraftedItem(item, { level, baseStats, secondaryStats });
+    }
+    
+    /**
+     * Add an extra secondary stat to an item
+     * An item can only be enchanted once; the enchanted stat can still be rerolled
+     * @param {Object} item - The item
+     * @returns {Item|null} - The enchanted item, or null if the item is already enchanted or has every stat it can roll
+     */
+    enchantItem(item) {
+        const statTypes = this.getAvailableSecondaryStats(item);
+        if (this.isEnchanted(item) || statTypes.length === 0) {
+            return null;
+        }
+        
+        const stat = this.generateSecondaryStat(this.randomElement(statTypes), item.level, item.rarity);
+        stat.enchanted = true;
+        
+        return this.createCraftedItem(item, { secondaryStats: [...(item.secondaryStats || []), stat] });
+    }
+    
+    /**
+     * Check whether an item has been enchanted
+     * @param {Object} item - The item
+     * @returns {boolean} - True if one of its secondary stats is enchanted
+     */
+    isEnchanted(item) {
+        return (item.secondaryStats || []).some(stat => stat.enchanted);
+    }
+    
+    /**
+     * Create the changed copy of a crafted item
+     * The copy keeps the item's id and has its effective stats recalculated
+     * @param {Object} item - The item before crafting
+     * @param {Object} changes - Properties to change
+     * @returns {Item} - The crafted item
+     */
+    createCraftedItem(item, changes) {
+        return new Item({
+            ...item,
+            visual: { ...item.visual },
+            amount: 1,
+            ...changes
+        });
+    }
+    
+    /**
+     * Roll the materials salvaging an item gives
+     * @param {Object} item - The item to salvage
+     * @returns {Object[]} - Material items (see createMaterial)
+     */
+    generateSalvageMaterials(item) {
+        const yields = COMBAT_BALANCE.items.salvageYields[item.rarity] || COMBAT_BALANCE.items.salvageYields.common;
+        
+        return Object.entries(yields)
+            .map(([materialKey, [min, max]]) => this.createMaterial(materialKey, min + Math.floor(Math.random() * (max - min + 1))))
+            .filter(material => material.amount > 0);
+    }
+    
+    /**
+     * Create a stack of crafting material
+     * @param {string} materialKey - Key of the material in the item balance settings, e.g. "dust"
+     * @param {number} amount - Stack size
+     * @returns {Object} - The material item
+     */
+    createMaterial(materialKey, amount) {
+        const material = COMBAT_BALANCE.items.materials[materialKey];
+        
+        return {
+            name: material.name,
+            description: 'A crafting material, spent at the crafting bench.',
+            type: 'material',
+            subType: materialKey,
+            icon: material.icon,
+            rarity: material.rarity,
+            amount: amount
+        };
+    }
+    
     // Utility methods
     randomElement(array) {
         if (!array || array.length === 0) return null;
@@ -0,0 +1,146 @@
+import { LEGENDARY_ITEMS } from '../../config/legendary-items.js';
+
+/**
+ * Records the legendaries the hero has found
+ * Finding or equipping a legendary discovers it, which unlocks the skill-tree variant it carries.
+ * The codex is saved with the hero (see CodexSerializer).
+ */
+export class LegendaryCodex {
+    /**
+     * Create an empty codex
+     * @param {Object} game - The game instance
+     * @param {Object[]} [legendaries] - Legendary definitions (see js/config/legendary-items.js)
+     */
+    constructor(game, legendaries = LEGENDARY_ITEMS) {
+        this.game = game;
+        this.legendaries = legendaries;
+        
+        // Ids of the discovered legendaries
+        this.discovered = new Set();
+    }
+    
+    /**
+     * Get the legendary that unlocks a skill-tree variant
+     * @param {string} skillName - Name of the skill
+     * @param {string} variantName - Name of the variant
+     * @returns {Object|null} The legendary, or null if the variant isn't unlocked by a legendary
+     */
+    getLegendaryForVariant(skillName, variantName) {
+        return this.legendaries.find(legendary => legendary.skill === skillName && legendary.variant === variantName) || null;
+    }
+    
+    /**
+     * Get the legendary an item carries
+     * @param {Object} item - The item
+     * @returns {Object|null} The legendary, or null if the item isn't one
+     */
+    getLegendaryForItem(item) {
+        return item && item.legendaryId ? this.legendaries.find(legendary => legendary.id === item.legendaryId) || null : null;
+    }
+    
+    /**
+     * Record the legendary an item carries
+     * @param {Object} item - An item that was found or equipped
+     * @returns {boolean} Whether the legendary was newly discovered
+     */
+    discover(item) {
+        const legendary = this.getLegendaryForItem(item);
+        if (!legendary || this.discovered.has(legendary.id)) {
+            return false;
+        }
+        
+        this.discovered.add(legendary.id);
+        console.debug(`Legendary discovered: ${legendary.name}`);
+        
+        if (this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(`Legendary discovered: ${legendary.name} unlocks the ${legendary.variant} variant of ${legendary.skill}`);
+        }
+        return true;
+    }
+    
+    /**
+     * Record the legendaries among the items the hero carries
+     * Heroes saved before the codex existed may already own legendaries.
+     * @returns {boolean} Whether any legendary was newly discovered
+     */
+    discoverOwnedItems() {
+        const inventory = this.game.player.inventory;
+        return [...inventory.getInventory(), ...Object.values(inventory.getEquipment())]
+            .filter(item => this.discover(item)).length > 0;
+    }
+    
+    /**
+     * Check whether a legendary has been discovered
+     * @param {string} legendaryId - Id of the legendary
+     * @returns {boolean} Whether it has been discovered
+     */
+    isDiscovered(legendaryId) {
+        return this.discovered.has(legendaryId);
+    }
+    
+    /**
+     * Check whether a skill-tree variant may be chosen
+     * @param {string} skillName - Name of the skill
+     * @param {string} variantName - Name of the variant
+     * @returns {boolean} Whether the variant needs no legendary or its legendary has been discovered
+     */
+    isVariantUnlocked(skillName, variantName) {
+        const legendary = this.getLegendaryForVariant(skillName, variantName);
+        return !legendary || this.isDiscovered(legendary.id);
+    }
+    
+    /**
+     * Get every legendary grouped by the skill it belongs to, for display
+     * @returns {Array<{skill: string, legendaries: Array<Object>}>} Groups in definition order; each legendary has a discovered flag
+     */
+    getEntries() {
+        const groups = new Map();
+        this.legendaries.forEach(legendary => {
+            if (!groups.has(legendary.skill)) {
+                groups.set(legendary.skill, []);
+            }
+            groups.get(legendary.skill).push({ ...legendary, discovered: this.isDiscovered(legendary.id) });
+        });
+        return [...groups].map(([skill, legendaries]) => ({ skill, legendaries }));
+    }
+    
+    /**
+     * Get the number of legendaries
+     * @returns {number} Number of legendaries
+     */
+    getTotalCount() {
+        return this.legendaries.length;
+    }
+    
+    /**
+     * Get the number of discovered legendaries
+     * @returns {number} Number of discovered legendaries
+     */
+    getDiscoveredCount() {
+        return this.discovered.size;
+    }
+    
+    /**
+     * Get the ids of the discovered legendaries
+     * @returns {string[]} Legendary ids
+     */
+    getDiscovered() {
+        return [...this.discovered];
+    }
+    
+    /**
+     * Replace the discovered legendaries, e.g. from a save
+     * Ids of legendaries that no longer exist are dropped
+     * @param {string[]} legendaryIds - Legendary ids
+     */
+    setDiscovered(legendaryIds) {
+        this.discovered = new Set(legendaryIds.filter(id => this.legendaries.some(legendary => legendary.id === id)));
+    }
+    
+    /**
+     * Forget every discovered legendary, e.g. for a new hero
+     */
+    reset() {
+        this.discovered.clear();
+    }
+}
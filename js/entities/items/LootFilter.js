@@ -0,0 +1,213 @@
+import { LOOT_FILTER_CONFIG } from '../../config/loot-filter.js';
+import { STORAGE_KEYS } from '../../config/storage-keys.js';
+
+/**
+ * @typedef {Object} LootRules
+ * @property {string} minRarity - Lowest rarity of gear that is shown
+ * @property {string[]} hiddenTypes - Item types that are never shown
+ * @property {{gold: boolean, potions: boolean}} autoPickup - Whether gold and potions are picked up from a distance
+ * @property {Object.<string, {beam: boolean, sound: boolean}>} rarityEffects - Beam and sound of each rarity
+ */
+
+/**
+ * The player's loot rules and this session's drop counts
+ * Filtered drops never reach the ground, but they are still counted so the player can see what the rules hid.
+ * The rules are kept in localStorage, like the other settings, so they apply to every hero on this device.
+ */
+export class LootFilter {
+    /**
+     * Create a loot filter with the rules saved on this device
+     * @param {Object} [config] - Loot filter settings (see js/config/loot-filter.js)
+     */
+    constructor(config = LOOT_FILTER_CONFIG) {
+        this.config = config;
+        this.rules = this.load();
+        this.resetSessionStats();
+    }
+    
+    /**
+     * Load the saved rules, filling in defaults for anything missing
+     * @returns {LootRules} The rules
+     */
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.LOOT_FILTER)) || {};
+        } catch (error) {
+            console.warn('LootFilter: Ignoring unreadable saved rules:', error.message);
+        }
+        return this.mergeWithDefaults(saved);
+    }
+    
+    /**
+     * Save the rules on this device
+     */
+    save() {
+        localStorage.setItem(STORAGE_KEYS.LOOT_FILTER, JSON.stringify(this.rules));
+    }
+    
+    /**
+     * Change some of the rules and save them
+     * @param {Object} changes - Rules to change; autoPickup and rarityEffects may be given in part
+     */
+    setRules(changes) {
+        this.rules = this.mergeWithDefaults({
+            ...this.rules,
+            ...changes,
+            autoPickup: { ...this.rules.autoPickup, ...changes.autoPickup },
+            rarityEffects: { ...this.rules.rarityEffects, ...changes.rarityEffects }
+        });
+        this.save();
+    }
+    
+    /**
+     * Put the default rules back and save them
+     */
+    resetToDefaults() {
+        this.rules = this.mergeWithDefaults({});
+        this.save();
+    }
+    
+    /**
+     * Get the current rules
+     * @returns {LootRules} The rules
+     */
+    getRules() {
+        return this.rules;
+    }
+    
+    /**
+     * Fill in the default for every rule that is missing or invalid
+     * @param {Object} rules - Rules, e.g. as saved by an older version
+     * @returns {LootRules} Complete rules
+     * @private
+     */
+    mergeWithDefaults(rules) {
+        const defaults = this.config.defaults;
+        const rarityEffects = {};
+        this.config.rarities.forEach(rarity => {
+            rarityEffects[rarity] = { ...defaults.rarityEffects[rarity], ...(rules.rarityEffects || {})[rarity] };
+        });
+        
+        return {
+            minRarity: this.config.rarities.includes(rules.minRarity) ? rules.minRarity : defaults.minRarity,
+            hiddenTypes: Array.isArray(rules.hiddenTypes)
+                ? rules.hiddenTypes.filter(type => this.config.hideableTypes.includes(type))
+                : [...defaults.hiddenTypes],
+            autoPickup: { ...defaults.autoPickup, ...rules.autoPickup },
+            rarityEffects
+        };
+    }
+    
+    /**
+     * Check whether a drop is gold
+     * @param {Object} item - The dropped item
+     * @returns {boolean} True for gold, which chests hand out as an item named "Gold"
+     */
+    isGold(item) {
+        return item.type === 'gold' || item.name === 'Gold';
+    }
+    
+    /**
+     * Check whether a drop is a potion
+     * @param {Object} item - The dropped item
+     * @returns {boolean} True for potions
+     */
+    isPotion(item) {
+        return item.subType === 'potion' || (item.name || '').includes('Potion');
+    }
+    
+    /**
+     * Check whether the rules let a drop appear on the ground
+     * Gold is always shown; the minimum rarity only applies to gear.
+     * @param {Object} item - The dropped item
+     * @returns {boolean} Whether the drop is shown
+     */
+    isShown(item) {
+        if (this.isGold(item)) {
+            return true;
+        }
+        
+        // Items without a type are potions and other consumables
+        const type = item.type || 'consumable';
+        if (this.rules.hiddenTypes.includes(type)) {
+            return false;
+        }
+        
+        if (this.config.gearTypes.includes(type)) {
+            const rarities = this.config.rarities;
+            return rarities.indexOf(item.rarity || 'common') >= rarities.indexOf(this.rules.minRarity);
+        }
+        return true;
+    }
+    
+    /**
+     * Get how close the player has to be to pick up a drop
+     * @param {Object} item - The dropped item
+     * @returns {number} Pickup distance in units
+     */
+    getPickupRadius(item) {
+        const autoPickup = (this.rules.autoPickup.gold && this.isGold(item)) ||
+            (this.rules.autoPickup.potions && this.isPotion(item));
+        return autoPickup ? this.config.autoPickupRadius : this.config.pickupRadius;
+    }
+    
+    /**
+     * Get how a drop of a rarity stands out on the ground
+     * @param {string} [rarity='common'] - Rarity of the drop
+     * @returns {{beam: boolean, sound: boolean, color: number, soundName: string}} Whether to show a beam and play a sound
+     */
+    getRarityEffect(rarity = 'common') {
+        const key = this.config.rarities.includes(rarity) ? rarity : 'common';
+        return {
+            ...this.rules.rarityEffects[key],
+            color: this.config.beamColors[key],
+            soundName: this.config.dropSounds[key]
+        };
+    }
+    
+    /**
+     * Count a drop in this session's stats
+     * @param {Object} item - The dropped item
+     * @param {boolean} shown - Whether the drop was shown or filtered
+     */
+    recordDrop(item, shown) {
+        const rarity = item.rarity || 'common';
+        const stats = this.sessionStats;
+        stats.drops++;
+        if (shown) {
+            stats.shown++;
+        } else {
+            stats.filtered++;
+            stats.filteredByRarity[rarity] = (stats.filteredByRarity[rarity] || 0) + 1;
+        }
+    }
+    
+    /**
+     * Count a drop the player picked up
+     */
+    recordPickup() {
+        this.sessionStats.pickedUp++;
+    }
+    
+    /**
+     * Get this session's drop counts
+     * @returns {{drops: number, shown: number, filtered: number, pickedUp: number, filteredByRarity: Object.<string, number>}} Counts since the game was loaded
+     */
+    getSessionStats() {
+        return this.sessionStats;
+    }
+    
+    /**
+     * Start counting drops from zero
+     */
+    resetSessionStats() {
+        this.sessionStats = {
+            drops: 0,
+            shown: 0,
+            filtered: 0,
+            pickedUp: 0,
+            filteredByRarity: {}
+        };
+    }
+}
@@ -0,0 +1,199 @@
+import { MERCHANT_CONFIG } from '../../config/merchants.js';
+
+/**
+ * @typedef {Object} Merchant
+ * @property {string} id - Merchant identifier, derived from the village the merchant stands in
+ * @property {string} kind - Key of the merchant kind (see js/config/merchants.js)
+ * @property {string} name - Display name
+ * @property {Object[]} stock - Items for sale
+ * @property {number} stockedAt - Game time in seconds when the stock was generated, or null if never stocked
+ */
+
+/**
+ * Keeps the stock of the merchants the player has met and handles buying, selling and buying back
+ * Stock is generated with the item generator for the player's level and replaced after a while of play.
+ * Stock and buyback only last for the session, like the bounty board.
+ */
+export class MerchantManager {
+    /**
+     * Create a new merchant manager
+     * @param {Object} game - The game instance
+     * @param {Object} [config] - Merchant settings (see js/config/merchants.js)
+     */
+    constructor(game, config = MERCHANT_CONFIG) {
+        this.game = game;
+        this.config = config;
+        
+        // Merchants met so far, by id
+        /** @type {Map<string, Merchant>} */
+        this.merchants = new Map();
+        
+        // Items the player sold, most recent first, with the gold paid for them
+        this.buyback = [];
+    }
+    
+    /**
+     * Get a merchant, meeting them for the first time if needed
+     * The kind is derived from the id, so a village keeps its merchant when its chunk is reloaded
+     * @param {string} merchantId - Merchant identifier
+     * @returns {Merchant} The merchant
+     */
+    getMerchant(merchantId) {
+        if (!this.merchants.has(merchantId)) {
+            const kinds = Object.keys(this.config.kinds);
+            const hash = [...merchantId].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 100003, 0);
+            const kind = kinds[hash % kinds.length];
+            
+            this.merchants.set(merchantId, {
+                id: merchantId,
+                kind,
+                name: this.config.kinds[kind].name,
+                stock: [],
+                stockedAt: null
+            });
+        }
+        
+        return this.merchants.get(merchantId);
+    }
+    
+    /**
+     * Get the items a merchant sells, restocking first when the stock is due
+     * @param {string} merchantId - Merchant identifier
+     * @returns {Object[]} Items for sale
+     */
+    getStock(merchantId) {
+        const merchant = this.getMerchant(merchantId);
+        if (merchant.stockedAt === null || this.getTimeUntilRestock(merchantId) <= 0) {
+            this.restock(merchant);
+        }
+        return merchant.stock;
+    }
+    
+    /**
+     * Get the seconds of play until a merchant's stock is replaced
+     * @param {string} merchantId - Merchant identifier
+     * @returns {number} Seconds until the next restock, 0 if due
+     */
+    getTimeUntilRestock(merchantId) {
+        const merchant = this.getMerchant(merchantId);
+        if (merchant.stockedAt === null) {
+            return 0;
+        }
+        return Math.max(0, merchant.stockedAt + this.config.refreshInterval - (this.game.gameTime || 0));
+    }
+    
+    /**
+     * Replace a merchant's stock with new items for the player's level
+     * @param {Merchant} merchant - The merchant to restock
+     */
+    restock(merchant) {
+        const { types } = this.config.kinds[merchant.kind];
+        const rarities = Object.keys(this.config.stockRarityWeights);
+        const weights = Object.values(this.config.stockRarityWeights);
+        const [minOffset, maxOffset] = this.config.stockLevelOffset;
+        const playerLevel = this.game.player ? this.game.player.stats.getLevel() : 1;
+        const generator = this.game.itemGenerator;
+        
+        merchant.stock = [];
+        for (let i = 0; i < this.config.stockSize; i++) {
+            const offset = minOffset + Math.floor(Math.random() * (maxOffset - minOffset + 1));
+            merchant.stock.push(generator.generateItem({
+                level: Math.max(1, playerLevel + offset),
+                type: generator.randomElement(types),
+                rarity: generator.weightedRandom(rarities, weights)
+            }));
+        }
+        
+        merchant.stockedAt = this.game.gameTime || 0;
+        console.debug(`${merchant.name} ${merchant.id} restocked with ${merchant.stock.length} items`);
+    }
+    
+    /**
+     * Get the gold a merchant asks for one of an item
+     * @param {Object} item - The item
+     * @returns {number} Price in gold
+     */
+    getPrice(item) {
+        const basePrice = this.config.rarityPrices[item.rarity] || this.config.rarityPrices.common;
+        return Math.round(basePrice * (1 + (item.level || 1) * this.config.levelPriceScaling));
+    }
+    
+    /**
+     * Get the gold a merchant pays for one of an item
+     * @param {Object} item - The item
+     * @returns {number} Sell price in gold
+     */
+    getSellPrice(item) {
+        return Math.max(1, Math.floor(this.getPrice(item) * this.config.sellRatio));
+    }
+    
+    /**
+     * Buy an item from a merchant's stock
+     * @param {string} merchantId - Merchant identifier
+     * @param {Object} item - An item from the merchant's stock
+     * @returns {boolean} Whether the item was bought
+     */
+    buy(merchantId, item) {
+        const merchant = this.getMerchant(merchantId);
+        if (!merchant.stock.includes(item)) return false;
+        
+        if (!this.game.player.inventory.hasRoomFor([item])) {
+            this.game.hudManager.showNotification('Your bag is full');
+            return false;
+        }
+        
+        const price = this.getPrice(item);
+        if (!this.game.player.removeGold(price)) {
+            this.game.hudManager.showNotification(`You need ${price} gold to buy ${item.name}`);
+            return false;
+        }
+        
+        merchant.stock = merchant.stock.filter(stocked => stocked !== item);
+        this.game.player.addToInventory(item);
+        this.game.hudManager.showNotification(`Bought ${item.name} for ${price} gold`);
+        return true;
+    }
+    
+    /**
+     * Sell one of an item from the player's bag
+     * The item can be bought back for the same price until it drops off the buyback list
+     * @param {Object} item - An item in the player's bag
+     * @returns {boolean} Whether the item was sold
+     */
+    sell(item) {
+        if (!this.game.player.getInventory().includes(item)) return false;
+        
+        const price = this.getSellPrice(item);
+        this.buyback.unshift({ item: { ...item, amount: 1 }, price });
+        this.buyback.length = Math.min(this.buyback.length, this.config.buybackSize);
+        
+        this.game.player.removeItem(item.id, 1);
+        this.game.player.addGold(price);
+        this.game.hudManager.showNotification(`Sold ${item.name} for ${price} gold`);
+        return true;
+    }
+    
+    /**
+     * Buy back an item the player sold
+     * @param {Object} entry - An entry of the buyback list
+     * @returns {boolean} Whether the item was bought back
+     */
+    buyBack(entry) {
+        if (!this.buyback.includes(entry)) return false;
+        
+        if (!this.game.player.inventory.hasRoomFor([entry.item])) {
+            this.game.hudManager.showNotification('Your bag is full');
+            return false;
+        }
+        
+        if (!this.game.player.removeGold(entry.price)) {
+            this.game.hudManager.showNotification(`You need ${entry.price} gold to buy back ${entry.item.name}`);
+            return false;
+        }
+        
+        this.buyback = this.buyback.filter(sold => sold !== entry);
+        this.game.player.addToInventory(entry.item);
+        this.game.hudManager.showNotification(`Bought back ${entry.item.name}`);
+        return true;
+    }
+}
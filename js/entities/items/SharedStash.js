@@ -0,0 +1,124 @@
+import { STASH_CONFIG } from '../../config/stash.js';
+
+/**
+ * Storage shared by every hero on this device
+ * Items are kept in fixed slots on a number of tabs so they stay where the player put them.
+ * The stash is persisted by the save manager (see SaveManager.saveStash and SaveManager.loadStash).
+ */
+export class SharedStash {
+    /**
+     * Create an empty stash
+     * @param {Object} [config] - Stash settings (see js/config/stash.js)
+     */
+    constructor(config = STASH_CONFIG) {
+        this.config = config;
+        
+        // One array of slots per tab; empty slots are null
+        this.tabs = config.tabs.map(() => new Array(config.slotsPerTab).fill(null));
+    }
+    
+    /**
+     * Get the display names of the tabs
+     * @returns {string[]} Tab names in display order
+     */
+    getTabNames() {
+        return this.config.tabs;
+    }
+    
+    /**
+     * Get the slots of a tab
+     * @param {number} tabIndex - Index of the tab
+     * @returns {Array<Object|null>} The tab's slots, null for empty slots
+     */
+    getTab(tabIndex) {
+        return this.tabs[tabIndex] || [];
+    }
+    
+    /**
+     * Get the item in a slot
+     * @param {number} tabIndex - Index of the tab
+     * @param {number} slotIndex - Index of the slot on the tab
+     * @returns {Object|null} The item or null if the slot is empty
+     */
+    getItem(tabIndex, slotIndex) {
+        return this.isValidSlot(tabIndex, slotIndex) ? this.tabs[tabIndex][slotIndex] : null;
+    }
+    
+    /**
+     * Check whether a tab and slot exist
+     * @param {number} tabIndex - Index of the tab
+     * @param {number} slotIndex - Index of the slot on the tab
+     * @returns {boolean} Whether the slot exists
+     */
+    isValidSlot(tabIndex, slotIndex) {
+        return Number.isInteger(tabIndex) && Number.isInteger(slotIndex) &&
+            tabIndex >= 0 && tabIndex < this.tabs.length &&
+            slotIndex >= 0 && slotIndex < this.config.slotsPerTab;
+    }
+    
+    /**
+     * Find the first empty slot of a tab
+     * @param {number} tabIndex - Index of the tab
+     * @returns {number} Index of the empty slot, or -1 if the tab is full
+     */
+    findFreeSlot(tabIndex) {
+        return this.getTab(tabIndex).indexOf(null);
+    }
+    
+    /**
+     * Put an item into the stash
+     * The item is copied, so the caller can remove the original from the player's bag
+     * @param {Object} item - The item to store
+     * @param {number} tabIndex - Index of the tab
+     * @param {number} [slotIndex] - Slot to store the item in, defaults to the first empty slot of the tab
+     * @returns {boolean} Whether the item was stored; false if the slot is taken or the tab is full
+     */
+    deposit(item, tabIndex, slotIndex = this.findFreeSlot(tabIndex)) {
+        if (!item || !this.isValidSlot(tabIndex, slotIndex) || this.tabs[tabIndex][slotIndex]) {
+            return false;
+        }
+        
+        this.tabs[tabIndex][slotIndex] = { ...item };
+        return true;
+    }
+    
+    /**
+     * Take an item out of the stash
+     * @param {number} tabIndex - Index of the tab
+     * @param {number} slotIndex - Index of the slot on the tab
+     * @returns {Object|null} The removed item or null if the slot was empty
+     */
+    withdraw(tabIndex, slotIndex) {
+        const item = this.getItem(tabIndex, slotIndex);
+        if (item) {
+            this.tabs[tabIndex][slotIndex] = null;
+        }
+        return item;
+    }
+    
+    /**
+     * Move an item to another slot, swapping it with the item already there
+     * @param {number} fromTab - Tab of the item to move
+     * @param {number} fromSlot - Slot of the item to move
+     * @param {number} toTab - Destination tab
+     * @param {number} toSlot - Destination slot
+     * @returns {boolean} Whether the item was moved
+     */
+    moveItem(fromTab, fromSlot, toTab, toSlot) {
+        if (!this.getItem(fromTab, fromSlot) || !this.isValidSlot(toTab, toSlot)) {
+            return false;
+        }
+        
+        const target = this.tabs[toTab][toSlot];
+        this.tabs[toTab][toSlot] = this.tabs[fromTab][fromSlot];
+        this.tabs[fromTab][fromSlot] = target;
+        return true;
+    }
+    
+    /**
+     * Remove every item from the stash
+     */
+    clear() {
+        this.tabs.forEach(tab => tab.fill(null));
+    }
+}
@@ -62,6 +62,7 @@ export class ItemModelFactory {
             case 'consumable':
                 switch (subType) {
                     case 'potion':
+                    case 'elixir':
                         return new PotionModel(item, modelGroup);
                     // Add more consumable subtypes as they are implemented
                     default:
@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+
+/**
+ * A non-player character the hero has to escort along a path
+ * The NPC only walks while the hero stays close, and takes damage from enemies standing next to it
+ */
+export class EscortNPC {
+    /**
+     * Create a new escort NPC
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Object} world - The world manager, used for terrain height
+     * @param {Object} options
+     * @param {string} options.name - Name shown to the player
+     * @param {Array<{x: number, z: number}>} options.path - Waypoints to walk, starting at the first one
+     * @param {number} [options.health=200] - Maximum health
+     * @param {number} [options.speed=2] - Walking speed in units per second
+     * @param {number} [options.waypoint=0] - Waypoint the NPC has already reached
+     */
+    constructor(scene, world, { name, path, health = 200, speed = 2, waypoint = 0 }) {
+        this.scene = scene;
+        this.world = world;
+        this.name = name;
+        this.path = path;
+        this.maxHealth = health;
+        this.health = health;
+        this.speed = speed;
+
+        // Hero must stay within this distance for the NPC to keep walking
+        this.leashRadius = 8;
+
+        this.waypointIndex = Math.min(waypoint, path.length - 1);
+        this.position = new THREE.Vector3();
+        this.group = null;
+
+        this.createMesh();
+        this.placeAt(this.path[this.waypointIndex]);
+    }
+
+    /**
+     * Create the NPC mesh and add it to the scene
+     * @returns {THREE.Group} - The NPC group
+     */
+    createMesh() {
+        this.group = new THREE.Group();
+
+        const robeMaterial = new THREE.MeshStandardMaterial({ color: 0x3366aa, roughness: 0.8 });
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.5, 1.4, 8), robeMaterial);
+        body.position.y = 0.7;
+        body.castShadow = true;
+        this.group.add(body);
+
+        const skinMaterial = new THREE.MeshStandardMaterial({ color: 0xe0b48c, roughness: 0.7 });
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.28, 12, 12), skinMaterial);
+        head.position.y = 1.65;
+        head.castShadow = true;
+        this.group.add(head);
+
+        this.scene.add(this.group);
+        return this.group;
+    }
+
+    /**
+     * Move the NPC to a waypoint, on the terrain
+     * @param {{x: number, z: number}} point - Waypoint
+     * @private
+     */
+    placeAt(point) {
+        this.position.set(point.x, this.getTerrainHeight(point.x, point.z), point.z);
+        this.group.position.copy(this.position);
+    }
+
+    /**
+     * Get the terrain height at a position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} Terrain height, or 0 if the terrain is unknown
+     * @private
+     */
+    getTerrainHeight(x, z) {
+        const height = this.world ? this.world.getTerrainHeight(x, z) : null;
+        return height === null || height === undefined ? 0 : height;
+    }
+
+    /**
+     * Advance the NPC along its path and apply damage from nearby enemies
+     * @param {number} delta - Time in seconds since the last update
+     * @param {THREE.Vector3} playerPosition - The hero's position
+     * @param {Iterable<Object>} enemies - Living enemies
+     * @returns {string|null} 'died', 'arrived', 'waypoint' when a waypoint was reached, or null
+     */
+    update(delta, playerPosition, enemies) {
+        // Enemies fight the hero, but anything in reach of the NPC hits it too
+        for (const enemy of enemies) {
+            if (enemy.isDead()) continue;
+            if (enemy.getPosition().distanceTo(this.position) <= enemy.attackRange + 0.5) {
+                this.health -= (enemy.damage / enemy.attackSpeed) * delta;
+            }
+        }
+        if (this.health <= 0) {
+            this.health = 0;
+            return 'died';
+        }
+
+        if (this.hasArrived() || !playerPosition || playerPosition.distanceTo(this.position) > this.leashRadius) {
+            return null;
+        }
+
+        const target = this.path[this.waypointIndex + 1];
+        const dx = target.x - this.position.x;
+        const dz = target.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const step = this.speed * delta;
+
+        if (step >= distance) {
+            this.waypointIndex++;
+            this.placeAt(target);
+            return this.hasArrived() ? 'arrived' : 'waypoint';
+        }
+
+        this.position.x += (dx / distance) * step;
+        this.position.z += (dz / distance) * step;
+        this.position.y = this.getTerrainHeight(this.position.x, this.position.z);
+        this.group.position.copy(this.position);
+        this.group.rotation.y = Math.atan2(dx, dz);
+
+        return null;
+    }
+
+    /**
+     * Check whether the NPC has reached the end of its path
+     * @returns {boolean} Whether the last waypoint was reached
+     */
+    hasArrived() {
+        return this.waypointIndex >= this.path.length - 1;
+    }
+
+    /**
+     * Send the NPC back to the start of its path at full health
+     */
+    reset() {
+        this.health = this.maxHealth;
+        this.waypointIndex = 0;
+        this.placeAt(this.path[0]);
+    }
+
+    /**
+     * Get the NPC's health as a fraction of its maximum
+     * @returns {number} Health between 0 and 1
+     */
+    getHealthFraction() {
+        return this.health / this.maxHealth;
+    }
+
+    /**
+     * Remove the NPC from the scene and free its resources
+     */
+    dispose() {
+        if (!this.group) return;
+
+        this.group.traverse(child => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+        });
+        this.scene.remove(this.group);
+        this.group = null;
+    }
+}
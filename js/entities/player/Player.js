@@ -19,6 +19,8 @@
  * @property {PlayerMovement} movement - Manages player movement and positioning
  * @property {PlayerSkills} skills - Manages player skills and abilities
  * @property {PlayerCombat} combat - Manages player combat interactions
+ * @property {PlayerItemEffects} itemEffects - Triggers the special effects of equipped items
+ * @property {PlayerConsumables} consumables - Uses consumables and manages their quick slots
  */
 import { PlayerStats } from './PlayerStats.js';
 import { PlayerState } from './PlayerState.js';
@@ -27,6 +29,9 @@ import { PlayerModel } from './PlayerModel.js';
 import { PlayerMovement } from './PlayerMovement.js';
 import { PlayerSkills } from './PlayerSkills.js';
 import { PlayerCombat } from './PlayerCombat.js';
+import { PlayerItemEffects } from './PlayerItemEffects.js';
+import { PlayerConsumables } from './PlayerConsumables.js';
+import { Item } from '../items/Item.js';
 
 export class Player {
     /**
@@ -46,12 +51,17 @@ export class Player {
         this.state = new PlayerState();
         this.stats = new PlayerStats();
         this.inventory = new PlayerInventory();
+        this.consumables = new PlayerConsumables(this, game);
         this.model = new PlayerModel(scene, game);
         
+        // Derived stats read the equipment, skills and item effects through the player
+        this.stats.setPlayer(this);
+        
         // Components that need to be initialized after model is created
         this.movement = null;
         this.skills = null;
         this.combat = null;
+        this.itemEffects = null;
     }
     
     /**
@@ -69,6 +79,7 @@ export class Player {
         this.movement = new PlayerMovement(this.state, this.stats, this.model.getModelGroup(), this.camera, this.game);
         this.skills = new PlayerSkills(this.scene, this.stats, this.movement.getPosition(), this.movement.getRotation(), this.game);
         this.combat = new PlayerCombat(this.scene, this.state, this.stats, this.model, this.inventory, this.game);
+        this.itemEffects = new PlayerItemEffects(this, this.game);
         
         // Initialize skills
         this.skills.initializeSkills();
@@ -120,6 +131,12 @@ export class Player {
         
         // Regenerate resources
         this.stats.regenerateResources(delta);
+        
+        // Update item effects
+        this.itemEffects.update(delta);
+        
+        // Update consumable cooldowns
+        this.consumables.update(delta);
     }
     
     // Movement methods
@@ -242,10 +259,11 @@ export class Player {
      * Makes the player take damage
      * 
      * @param {number} damage - The amount of damage to take
+     * @param {string|null} [element=null] - Element of the damage, e.g. 'fire', resisted by the matching resistance
      * @returns {number} The actual amount of damage taken (after modifiers)
      */
-    takeDamage(damage) {
-        return this.combat.takeDamage(damage);
+    takeDamage(damage, element = null) {
+        return this.combat.takeDamage(damage, element);
     }
     
     /**
@@ -281,6 +299,16 @@ export class Player {
         return this.skills.usePrimaryAttack();
     }
     
+    /**
+     * Uses the consumable in a quick slot
+     * 
+     * @param {number} index - The index of the quick slot
+     * @returns {boolean} True if a consumable was used
+     */
+    useQuickSlot(index) {
+        return this.consumables.useQuickSlot(index);
+    }
+    
     // Stats and progression
     /**
      * Adds experience points to the player
@@ -289,6 +317,9 @@ export class Player {
      * @param {number} amount - The amount of experience to add
      */
     addExperience(amount) {
+        // Apply experience bonuses from gear and item effects
+        amount = Math.round(amount * (1 + this.stats.getDerivedStat('experienceBonus') / 100));
+        
         const newLevel = this.stats.addExperience(amount);
         
         // Show level up notification if level changed
@@ -297,6 +328,17 @@ export class Player {
         }
     }
     
+    /**
+     * Heals the player
+     * Healing bonuses from gear and item effects are applied
+     * 
+     * @param {number} amount - The amount of health to restore
+     * @returns {number} The actual amount healed
+     */
+    heal(amount) {
+        return this.stats.heal(amount * (1 + this.stats.getDerivedStat('healingBonus') / 100));
+    }
+    
     /**
      * Manually triggers a level up for the player
      * 
@@ -480,15 +522,29 @@ export class Player {
      * Adds an item to the player's inventory
      * This method adds a new item to the player's inventory. If the item is stackable
      * and already exists in the inventory, it will increase the quantity instead of
-     * adding a duplicate item.
+     * adding a duplicate item. When the bag is full the item is dropped at the
+     * player's feet instead, so rewards are never lost.
      * 
      * @param {Object} item - The item to add
      * @param {string} item.name - The name of the item
      * @param {string} item.type - The type of the item (weapon, armor, consumable, etc.)
      * @param {Object} [item.stats] - The stats of the item (optional)
+     * @returns {boolean} True if the item went into the bag
      */
     addToInventory(item) {
-        this.inventory.addToInventory(item);
+        if (this.inventory.addToInventory(item)) {
+            this.consumables.autoAssign(item);
+            this.discoverLegendary(item);
+            return true;
+        }
+        
+        if (this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(`Your bag is full, ${item.name} was dropped at your feet`);
+        }
+        if (this.game && this.game.itemDropManager) {
+            this.game.itemDropManager.dropItem({ ...item, id: item.id || Item.createId() }, this.getPosition());
+        }
+        return false;
     }
     
     /**
@@ -502,6 +558,17 @@ export class Player {
         return this.inventory.removeFromInventory(itemName, amount);
     }
     
+    /**
+     * Removes a specific item from the player's inventory
+     * 
+     * @param {string} itemId - The id of the item to remove
+     * @param {number} [amount] - The amount to remove from its stack
+     * @returns {boolean} True if the item was successfully removed
+     */
+    removeItem(itemId, amount) {
+        return this.inventory.removeItem(itemId, amount);
+    }
+    
     /**
      * Equips an item from the inventory
      * This method equips an item from the player's inventory to the appropriate equipment slot.
@@ -515,7 +582,23 @@ export class Player {
      * @returns {boolean} True if the item was successfully equipped
      */
     equipItem(item) {
-        return this.inventory.equipItem(item);
+        if (!this.inventory.equipItem(item)) {
+            return false;
+        }
+        
+        this.discoverLegendary(item);
+        return true;
+    }
+    
+    /**
+     * Records a found or equipped legendary in the legendary codex
+     * 
+     * @param {Object} item - The item
+     */
+    discoverLegendary(item) {
+        if (this.game && this.game.legendaryCodex) {
+            this.game.legendaryCodex.discover(item);
+        }
     }
     
     /**
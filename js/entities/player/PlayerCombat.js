@@ -85,18 +85,43 @@ export class PlayerCombat {
     // setGame method removed - game is now passed in constructor
     
     /**
-     * Handles player taking damage
-     * @param {number} damage - The amount of damage to take
-     * @returns {number} The actual amount of damage taken after reductions
+     * Get the share of incoming damage the player takes after armor, damage reduction and resistance
+     * @param {string|null} [element=null] - Element of the damage, e.g. 'fire'
+     * @returns {number} Multiplier from 0 to 1
      */
-    takeDamage(damage) {
+    getDamageTakenMultiplier(element = null) {
         // Apply armor reduction
-        let reducedDamage = damage;
+        let multiplier = 1;
         const equipment = this.playerInventory.getEquipment();
         if (equipment.armor) {
-            reducedDamage *= (1 - equipment.armor.damageReduction);
+            multiplier *= (1 - (equipment.armor.damageReduction || 0));
+        }
+        
+        // Apply damage reduction and elemental resistance from the derived stats
+        multiplier *= (1 - this.playerStats.getDerivedStat('damageReduction') / 100);
+        if (element) {
+            multiplier *= (1 - this.playerStats.getResistance(element) / 100);
+        }
+        
+        return multiplier;
+    }
+    
+    /**
+     * Handles player taking damage
+     * @param {number} damage - The amount of damage to take
+     * @param {string|null} [element=null] - Element of the damage, e.g. 'fire', resisted by the matching resistance
+     * @returns {number} The actual amount of damage taken after reductions
+     */
+    takeDamage(damage, element = null) {
+        const itemEffects = this.game?.player?.itemEffects;
+        
+        // Items can let the player dodge the attack entirely
+        if (itemEffects && itemEffects.tryDodge()) {
+            return 0;
         }
         
+        const reducedDamage = damage * this.getDamageTakenMultiplier(element);
+        
         // Apply damage to health
         this.playerStats.setHealth(this.playerStats.getHealth() - reducedDamage);
         
@@ -116,6 +141,11 @@ export class PlayerCombat {
             this.game.hudManager.createBleedingEffect(reducedDamage, playerPosition, true);
         }
         
+        // Trigger item effects on damage taken
+        if (itemEffects) {
+            itemEffects.handleDamageTaken(reducedDamage);
+        }
+        
         return reducedDamage;
     }
     
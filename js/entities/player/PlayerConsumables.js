@@ -0,0 +1,450 @@
+/**
+ * PlayerConsumables.js
+ * Uses the player's potions, elixirs and other consumables
+ * @module entities/player/PlayerConsumables
+ */
+
+import { CONSUMABLE_CONFIG } from '../../config/consumables.js';
+
+/**
+ * @typedef {Object} QuickSlot
+ * @property {string} name - Name of the consumable; the slot keeps it when the stack runs out
+ * @property {string} icon - Icon of the consumable
+ */
+
+/**
+ * @typedef {Object} ConsumableBuff
+ * @property {string} name - Name of the consumable that gave the buff
+ * @property {string} icon - Icon of the consumable
+ * @property {string} description - What the buff does, e.g. "+25% damage bonus"
+ * @property {number} duration - Total duration in seconds
+ * @property {number} remainingTime - Remaining time in seconds
+ */
+
+/**
+ * Buffs of older items that describe their effects directly, by the stat they boost
+ */
+const LEGACY_BUFF_STATS = {
+    attack: 'attackPower',
+    defense: 'damageReduction',
+    speed: 'movementSpeed'
+};
+
+/**
+ * Consumables and the quick slots they are used from
+ * Restoring consumables fill up health and mana right away; buff consumables boost stats for a while
+ * through temporary stat boosts, so the boosts expire with the player's other boosts.
+ * Buff values are percentages, e.g. 25 for +25%.
+ */
+export class PlayerConsumables {
+    /**
+     * Create the consumables component of a player
+     * @param {import("./Player.js").Player} player - The player using the consumables
+     * @param {import("../../game/Game.js").Game} game - The main game instance
+     * @param {Object} [config] - Consumable settings (see js/config/consumables.js)
+     */
+    constructor(player, game, config = CONSUMABLE_CONFIG) {
+        this.player = player;
+        this.game = game;
+        this.config = config;
+        
+        /** @type {Array<QuickSlot|null>} */
+        this.quickSlots = new Array(config.quickSlots).fill(null);
+        // Seconds until a cooldown group can be used again, by group
+        this.cooldowns = new Map();
+        // Buffs from consumables, keyed by item name so using the same item again refreshes its buff
+        this.buffs = new Map();
+    }
+    
+    /**
+     * Count down the cooldowns
+     * Buffs count down with the player's stat boosts.
+     * @param {number} delta - Time in seconds since the last update
+     */
+    update(delta) {
+        this.cooldowns.forEach((remaining, group) => {
+            if (remaining <= delta) {
+                this.cooldowns.delete(group);
+            } else {
+                this.cooldowns.set(group, remaining - delta);
+            }
+        });
+    }
+    
+    // Quick slots
+    
+    /**
+     * Put a consumable in a quick slot
+     * A consumable can only be in one quick slot, so it is taken out of any other slot.
+     * @param {number} index - Index of the quick slot
+     * @param {Object} item - The consumable
+     * @returns {boolean} True if the consumable was put in the slot
+     */
+    assignQuickSlot(index, item) {
+        if (index < 0 || index >= this.quickSlots.length || !this.isConsumable(item)) {
+            return false;
+        }
+        
+        this.quickSlots = this.quickSlots.map(slot => slot && slot.name === item.name ? null : slot);
+        this.quickSlots[index] = { name: item.name, icon: item.icon || '🧪' };
+        return true;
+    }
+    
+    /**
+     * Empty a quick slot
+     * @param {number} index - Index of the quick slot
+     */
+    clearQuickSlot(index) {
+        if (index >= 0 && index < this.quickSlots.length) {
+            this.quickSlots[index] = null;
+        }
+    }
+    
+    /**
+     * Put a newly picked up potion or elixir in the first free quick slot
+     * Nothing happens if it is already in a slot or every slot is taken.
+     * @param {Object} item - The picked up item
+     * @returns {boolean} True if the item was put in a slot
+     */
+    autoAssign(item) {
+        if (!this.isConsumable(item) || !this.config.autoAssignSubTypes.includes(item.subType)) {
+            return false;
+        }
+        if (this.quickSlots.some(slot => slot && slot.name === item.name)) {
+            return false;
+        }
+        
+        const index = this.quickSlots.indexOf(null);
+        return index !== -1 && this.assignQuickSlot(index, item);
+    }
+    
+    /**
+     * Get the quick slots, e.g. to save them
+     * @returns {Array<QuickSlot|null>} The quick slots
+     */
+    getQuickSlots() {
+        return this.quickSlots;
+    }
+    
+    /**
+     * Restore saved quick slots
+     * @param {Array<QuickSlot|null>} quickSlots - The saved quick slots
+     */
+    setQuickSlots(quickSlots) {
+        this.quickSlots = new Array(this.config.quickSlots).fill(null)
+            .map((slot, index) => quickSlots[index] && quickSlots[index].name ? { ...quickSlots[index] } : null);
+    }
+    
+    /**
+     * Get the bag stack of the consumable in a quick slot
+     * @param {number} index - Index of the quick slot
+     * @returns {Object|null} The stack, or null if the slot is empty or the player has none left
+     */
+    getQuickSlotItem(index) {
+        const slot = this.quickSlots[index];
+        if (!slot) {
+            return null;
+        }
+        return this.player.getInventory().find(item => item.name === slot.name) || null;
+    }
+    
+    /**
+     * Use the consumable in a quick slot
+     * @param {number} index - Index of the quick slot
+     * @returns {boolean} True if a consumable was used
+     */
+    useQuickSlot(index) {
+        const slot = this.quickSlots[index];
+        if (!slot) {
+            return false;
+        }
+        
+        const item = this.getQuickSlotItem(index);
+        if (!item) {
+            this.notify(`No ${slot.name} left`);
+            return false;
+        }
+        return this.use(item);
+    }
+    
+    // Cooldowns
+    
+    /**
+     * Get the cooldown group of a consumable
+     * @param {Object} item - The consumable
+     * @returns {string|null} The group, or null for consumables without a cooldown
+     */
+    getCooldownGroup(item) {
+        return this.config.cooldownGroups[item.subType] || null;
+    }
+    
+    /**
+     * Get the seconds until a consumable can be used again
+     * @param {Object} item - The consumable
+     * @returns {number} Remaining cooldown, 0 if it can be used
+     */
+    getCooldownRemaining(item) {
+        const group = this.getCooldownGroup(item);
+        return group ? this.cooldowns.get(group) || 0 : 0;
+    }
+    
+    /**
+     * Get the full cooldown of a consumable
+     * @param {Object} item - The consumable
+     * @returns {number} Cooldown in seconds, 0 for consumables without a cooldown
+     */
+    getCooldownDuration(item) {
+        const group = this.getCooldownGroup(item);
+        return group ? this.config.cooldowns[group] || 0 : 0;
+    }
+    
+    // Using consumables
+    
+    /**
+     * Check whether an item is a consumable
+     * @param {Object} item - The item
+     * @returns {boolean} True for consumables
+     */
+    isConsumable(item) {
+        return !!item && (item.type === 'consumable' || (!item.type && !!item.consumable));
+    }
+    
+    /**
+     * Use one of a consumable from the bag
+     * @param {Object} item - The consumable's bag stack
+     * @returns {boolean} True if the consumable was used up
+     */
+    use(item) {
+        const cooldown = this.getCooldownRemaining(item);
+        if (cooldown > 0) {
+            this.notify(`${item.name} is on cooldown (${cooldown.toFixed(1)}s)`);
+            return false;
+        }
+        
+        const effects = this.applyEffects(item);
+        if (effects === null) {
+            return false;
+        }
+        
+        this.notify(`Consumed ${item.name}: ${effects.join(', ')}`);
+        this.player.removeItem(item.id, 1);
+        
+        const group = this.getCooldownGroup(item);
+        if (group) {
+            this.cooldowns.set(group, this.config.cooldowns[group] || 0);
+        }
+        return true;
+    }
+    
+    /**
+     * Apply the effects of a consumable
+     * Restored amounts and buff durations come from the item's stats, which grow with its level and rarity;
+     * other effects come from the template the item was generated from.
+     * @param {Object} item - The consumable
+     * @returns {string[]|null} Descriptions of the effects, or null if the consumable can't be used,
+     *          e.g. because it has no effect the player can get; it is kept then
+     * @private
+     */
+    applyEffects(item) {
+        const effects = [];
+        const restore = item.stats || item.baseStats || {};
+        // There is no stamina, so items that only restore stamina can't be used
+        const restoresStamina = !!(restore.staminaRestore || (item.effects && item.effects.stamina));
+        
+        if (restore.healthRestore) {
+            effects.push(this.restoreHealth(restore.healthRestore));
+        }
+        if (restore.manaRestore) {
+            effects.push(this.restoreMana(restore.manaRestore));
+        }
+        
+        const useEffect = this.getUseEffect(item);
+        if (useEffect) {
+            // Potions restore their stats' amount rather than the template's flat value
+            if (useEffect.type === 'heal' && !restore.healthRestore) {
+                effects.push(this.restoreHealth(useEffect.value || 0));
+            }
+            if (useEffect.type === 'resource' && !restore.manaRestore) {
+                const resource = (useEffect.resource || 'mana').toLowerCase();
+                if (resource !== 'mana' && resource !== 'spirit') {
+                    this.notify(`Cannot use ${item.name}: ${resource} is not available`);
+                    return null;
+                }
+                effects.push(this.restoreMana(useEffect.value || 0));
+            }
+            
+            // Buff items carry their duration as a stat, so better items last longer
+            [useEffect, useEffect.secondaryEffect]
+                .filter(effect => effect && effect.type === 'buff')
+                .forEach(effect => {
+                    const stats = effect.stats || [{ stat: effect.stat, value: effect.value }];
+                    const duration = (effect === useEffect && restore.duration) || effect.duration || this.config.defaultBuffDuration;
+                    effects.push(...this.applyBuff(item, stats, duration));
+                });
+        }
+        
+        // Older items describe their effects directly
+        if (effects.length === 0 && item.effects) {
+            if (item.effects.health) {
+                effects.push(this.restoreHealth(item.effects.health));
+            }
+            if (item.effects.mana) {
+                effects.push(this.restoreMana(item.effects.mana));
+            }
+            const stats = Object.entries(LEGACY_BUFF_STATS)
+                .filter(([effect]) => item.effects[effect])
+                .map(([effect, stat]) => ({ stat, value: item.effects[effect] }));
+            if (stats.length > 0) {
+                effects.push(...this.applyBuff(item, stats, item.effects.duration || this.config.defaultBuffDuration));
+            }
+        }
+        
+        // Even older potions only had a name
+        if (effects.length === 0) {
+            if (item.name === 'Health Potion') {
+                effects.push(this.restoreHealth(item.healAmount || 50));
+            } else if (item.name === 'Mana Potion') {
+                effects.push(this.restoreMana(item.manaAmount || 50));
+            }
+        }
+        
+        if (effects.length === 0) {
+            this.notify(restoresStamina ? `Cannot use ${item.name}: stamina is not available` : `${item.name} has no effect`);
+            return null;
+        }
+        
+        return effects;
+    }
+    
+    /**
+     * Get the use effect of a consumable
+     * Generated items don't carry their template's use effect, so it is looked up
+     * @param {Object} item - The consumable
+     * @returns {Object|null} The use effect (see js/config/item-templates.js)
+     * @private
+     */
+    getUseEffect(item) {
+        if (item.useEffect) {
+            return item.useEffect;
+        }
+        
+        const template = this.game && this.game.itemGenerator ? this.game.itemGenerator.findItemTemplate(item) : null;
+        return template && item.name.endsWith(template.name) ? template.useEffect || null : null;
+    }
+    
+    /**
+     * Restore health, up to the maximum
+     * @param {number} amount - Health to restore
+     * @returns {string} Description of the effect
+     * @private
+     */
+    restoreHealth(amount) {
+        const stats = this.player.stats;
+        stats.setHealth(Math.min(stats.getHealth() + amount, stats.getMaxHealth()));
+        return `+${amount} Health`;
+    }
+    
+    /**
+     * Restore mana, up to the maximum
+     * @param {number} amount - Mana to restore
+     * @returns {string} Description of the effect
+     * @private
+     */
+    restoreMana(amount) {
+        const stats = this.player.stats;
+        stats.setMana(Math.min(stats.getMana() + amount, stats.getMaxMana()));
+        return `+${amount} Spirit`;
+    }
+    
+    // Buffs
+    
+    /**
+     * Boost stats for a while
+     * Using a consumable whose buff is still active refreshes the buff instead of stacking it.
+     * @param {Object} item - The consumable giving the buff
+     * @param {Array<{stat: string, value: number}>} stats - Stats to boost, by percent
+     * @param {number} duration - Duration in seconds
+     * @returns {string[]} Descriptions of the boosts
+     * @private
+     */
+    applyBuff(item, stats, duration) {
+        const playerStats = this.player.stats;
+        const validStats = stats.filter(({ stat }) => {
+            const valid = playerStats.isDerivedStat(stat) || typeof playerStats[stat] === 'number';
+            if (!valid) {
+                console.warn(`PlayerConsumables: ${item.name} boosts unknown stat ${stat}`);
+            }
+            return valid;
+        });
+        if (validStats.length === 0) {
+            return [];
+        }
+        
+        const descriptions = validStats.map(({ stat, value }) => `+${value}% ${this.formatStatName(stat)}`);
+        const existing = this.buffs.get(item.name);
+        
+        if (existing && existing.boosts.some(boost => boost.remainingTime > 0)) {
+            existing.boosts.forEach(boost => {
+                boost.duration = duration;
+                boost.remainingTime = duration;
+            });
+            existing.duration = duration;
+        } else {
+            this.buffs.set(item.name, {
+                name: item.name,
+                icon: item.icon || '🧪',
+                description: descriptions.join(', '),
+                duration,
+                boosts: validStats.map(({ stat, value }) => playerStats.addTemporaryBoost(stat, value / 100, duration))
+            });
+        }
+        
+        return descriptions.map(description => `${description} for ${duration}s`);
+    }
+    
+    /**
+     * Get the buffs from consumables that are still active
+     * @returns {ConsumableBuff[]} Active buffs, the one running out first first
+     */
+    getActiveBuffs() {
+        const activeBuffs = [];
+        this.buffs.forEach((buff, name) => {
+            const remainingTime = Math.max(0, ...buff.boosts.map(boost => boost.remainingTime));
+            if (remainingTime <= 0) {
+                this.buffs.delete(name);
+                return;
+            }
+            
+            activeBuffs.push({
+                name: buff.name,
+                icon: buff.icon,
+                description: buff.description,
+                duration: buff.duration,
+                remainingTime
+            });
+        });
+        
+        return activeBuffs.sort((a, b) => a.remainingTime - b.remainingTime);
+    }
+    
+    /**
+     * Turn a stat name into words, e.g. "damageBonus" into "damage bonus"
+     * @param {string} stat - Stat name
+     * @returns {string} The name in lower case words
+     * @private
+     */
+    formatStatName(stat) {
+        return stat.replace(/([A-Z])/g, ' $1').toLowerCase();
+    }
+    
+    /**
+     * Show a notification
+     * @param {string} message - The message
+     * @private
+     */
+    notify(message) {
+        if (this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(message);
+        }
+    }
+}
@@ -3,8 +3,26 @@
  * Manages the player's inventory and equipment
  */
 
+import { ITEM_SETS } from '../../config/item-sets.js';
+import { INVENTORY_CONFIG } from '../../config/inventory.js';
+import { Item } from '../items/Item.js';
+
+/**
+ * @typedef {Object} SetStatus
+ * @property {Object} set - Set definition (see js/config/item-sets.js)
+ * @property {number} count - Number of the set's pieces equipped
+ * @property {Object[]} pieces - The set's pieces, each with an equipped flag
+ * @property {Object[]} bonuses - The set's bonuses, each with an active flag
+ */
+
 export class PlayerInventory {
-    constructor() {
+    /**
+     * Create a new player inventory
+     * @param {Object} [config] - Bag settings (see js/config/inventory.js)
+     */
+    constructor(config = INVENTORY_CONFIG) {
+        this.config = config;
+        
         // Initialize inventory
         this.inventory = [];
         this.gold = 0;
@@ -30,39 +48,197 @@ export class PlayerInventory {
             defenseBonus: 0,
             speedBonus: 0
         };
+        
+        // Sets with at least one equipped piece, recalculated with the equipment bonuses
+        this.activeSets = [];
+        
+        // Totals of every stat over the equipped items and active set bonuses
+        this.equipmentStats = {};
     }
     
     // Inventory management
-    addToInventory(item) {
-        // Check if item already exists in inventory
-        const existingItem = this.inventory.find(i => i.name === item.name);
-        
-        if (existingItem) {
-            // Increase amount
-            existingItem.amount += item.amount;
-        } else {
-            // Add new item
-            this.inventory.push({ ...item });
+    
+    /**
+     * Add an item to the bag
+     * Stackable items join the stack with the same name; other items take a slot of their own,
+     * one per unit, so every rolled item keeps its id and stats. Nothing is added if it doesn't all fit.
+     * @param {Object} item - The item to add
+     * @param {boolean} [ignoreCapacity] - Add the item even if the bag is full, e.g. when loading a save
+     * @returns {boolean} Whether the item was added
+     */
+    addToInventory(item, ignoreCapacity = false) {
+        if (!ignoreCapacity && !this.hasRoomFor([item])) {
+            return false;
         }
+        
+        if (this.isStackable(item)) {
+            const existingItem = this.findStack(item);
+            if (existingItem) {
+                // Increase amount
+                existingItem.amount += item.amount || 1;
+            } else {
+                this.inventory.push({ ...item, id: this.getUnusedId(item), amount: item.amount || 1 });
+            }
+            return true;
+        }
+        
+        for (let i = 0; i < (item.amount || 1); i++) {
+            this.inventory.push({ ...item, id: this.getUnusedId(item), amount: 1 });
+        }
+        return true;
+    }
+    
+    /**
+     * Get an id for an item entering the bag, keeping its own id unless another bag item has it
+     * @param {Object} item - The item
+     * @returns {string} The id
+     * @private
+     */
+    getUnusedId(item) {
+        return item.id && !this.getItem(item.id) ? item.id : Item.createId();
+    }
+    
+    /**
+     * Check whether an item stacks with other items of the same name
+     * @param {Object} item - The item
+     * @returns {boolean} True for consumables, materials and items without a type
+     */
+    isStackable(item) {
+        return !item.type || this.config.stackableTypes.includes(item.type);
+    }
+    
+    /**
+     * Find the bag stack a stackable item would join
+     * @param {Object} item - The item
+     * @returns {Object|undefined} The stack, if there is one
+     */
+    findStack(item) {
+        return this.inventory.find(i => i.name === item.name && this.isStackable(i));
+    }
+    
+    /**
+     * Count the bag slots some items would take up, after filling the stacks already in the bag
+     * @param {Object[]} items - The items
+     * @returns {number} Slots needed
+     */
+    getSlotsNeeded(items) {
+        const newStacks = new Set();
+        return items.reduce((slots, item) => {
+            if (!this.isStackable(item)) {
+                return slots + (item.amount || 1);
+            }
+            if (this.findStack(item) || newStacks.has(item.name)) {
+                return slots;
+            }
+            newStacks.add(item.name);
+            return slots + 1;
+        }, 0);
     }
     
+    /**
+     * Check whether some items fit in the bag
+     * @param {Object[]} items - The items
+     * @returns {boolean} Whether there are enough free slots
+     */
+    hasRoomFor(items) {
+        return this.getSlotsNeeded(items) <= this.getFreeSlots();
+    }
+    
+    /**
+     * Get the number of bag slots
+     * @returns {number} Bag capacity
+     */
+    getCapacity() {
+        return this.config.capacity;
+    }
+    
+    /**
+     * Get the number of empty bag slots
+     * @returns {number} Free slots
+     */
+    getFreeSlots() {
+        return Math.max(0, this.getCapacity() - this.inventory.length);
+    }
+    
+    /**
+     * Get an item in the bag
+     * @param {string} itemId - Id of the item
+     * @returns {Object|undefined} The item, if it is in the bag
+     */
+    getItem(itemId) {
+        return this.inventory.find(i => i.id === itemId);
+    }
+    
+    /**
+     * Remove some of an item from the bag
+     * @param {string} itemId - Id of the item
+     * @param {number} [amount] - How many to remove from its stack
+     * @returns {boolean} Whether the item was in the bag
+     */
+    removeItem(itemId, amount = 1) {
+        const itemIndex = this.inventory.findIndex(i => i.id === itemId);
+        if (itemIndex < 0) {
+            return false;
+        }
+        
+        this.inventory[itemIndex].amount -= amount;
+        
+        // Remove item if amount is 0 or less
+        if (this.inventory[itemIndex].amount <= 0) {
+            this.inventory.splice(itemIndex, 1);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Remove items by name from the bag, taking from as many items with the name as needed
+     * Used where only the name is known, e.g. quest items and crafting materials
+     * @param {string} itemName - Name of the item
+     * @param {number} [amount] - How many to remove
+     * @returns {boolean} Whether an item with the name was in the bag
+     */
     removeFromInventory(itemName, amount = 1) {
-        // Find item in inventory
-        const itemIndex = this.inventory.findIndex(i => i.name === itemName);
+        if (!this.inventory.some(i => i.name === itemName)) {
+            return false;
+        }
         
-        if (itemIndex >= 0) {
-            // Decrease amount
-            this.inventory[itemIndex].amount -= amount;
+        let remaining = amount;
+        while (remaining > 0) {
+            const item = this.inventory.find(i => i.name === itemName);
+            if (!item) break;
             
-            // Remove item if amount is 0 or less
-            if (this.inventory[itemIndex].amount <= 0) {
-                this.inventory.splice(itemIndex, 1);
-            }
-
-            return true;
+            const removed = Math.min(item.amount, remaining);
+            this.removeItem(item.id, removed);
+            remaining -= removed;
         }
         
-        return false;
+        return true;
+    }
+    
+    /**
+     * Reorder the bag
+     * Ties keep their current order, so sorting by one key after another combines them
+     * @param {string} sortBy - "rarity", "level" or "type"
+     */
+    sortInventory(sortBy) {
+        const rank = (order, value) => {
+            const index = order.indexOf(value);
+            return index < 0 ? order.length : index;
+        };
+        const compare = {
+            rarity: (a, b) => rank(this.config.rarityOrder, a.rarity || 'common') - rank(this.config.rarityOrder, b.rarity || 'common'),
+            level: (a, b) => (b.level || 0) - (a.level || 0),
+            type: (a, b) => rank(this.config.typeOrder, a.type) - rank(this.config.typeOrder, b.type) ||
+                (a.subType || '').localeCompare(b.subType || '')
+        }[sortBy];
+        
+        if (!compare) {
+            console.warn(`Unknown inventory sort: ${sortBy}`);
+            return;
+        }
+        
+        this.inventory.sort(compare);
     }
     
     // Equipment management
@@ -73,27 +249,22 @@ export class PlayerInventory {
         }
         
         // Determine the correct equipment slot
-        let slot = item.type;
+        const slot = this.getEquipSlot(item);
         
-        // Handle special cases for accessories
-        if (item.type === 'accessory') {
-            if (item.subType === 'talisman') {
-                slot = 'talisman';
-            } else if (!this.equipment.accessory1) {
-                slot = 'accessory1';
-            } else if (!this.equipment.accessory2) {
-                slot = 'accessory2';
-            } else {
-                // Both accessory slots are full, replace the first one
-                slot = 'accessory1';
-            }
+        // Check if the slot exists
+        if (!slot) {
+            return false;
         }
         
-        // Check if the slot exists
-        if (!this.equipment.hasOwnProperty(slot)) {
+        // The item it replaces goes to the bag, which needs a free slot unless the new item frees one
+        const isCarried = Boolean(this.getItem(item.id));
+        if (this.equipment[slot] && !isCarried && !this.hasRoomFor([this.equipment[slot]])) {
             return false;
         }
         
+        // Remove from inventory
+        this.removeItem(item.id);
+        
         // Unequip current item if any
         if (this.equipment[slot]) {
             this.addToInventory(this.equipment[slot]);
@@ -102,15 +273,46 @@ export class PlayerInventory {
         // Equip new item
         this.equipment[slot] = item;
         
-        // Remove from inventory
-        this.removeFromInventory(item.name);
-        
         // Recalculate equipment bonuses
         this.calculateEquipmentBonuses();
         
         return true;
     }
     
+    /**
+     * Get the equipment slot an item would be equipped to
+     * @param {Object} item - The item
+     * @returns {string|null} The slot, or null if the item can't be equipped
+     */
+    getEquipSlot(item) {
+        if (!item || !item.type) {
+            return null;
+        }
+        
+        let slot = item.type;
+        
+        // Helmets, gloves, belts and boots have slots of their own, other armor goes in the armor slot
+        if (item.type === 'armor' && ['helmet', 'gloves', 'belt', 'boots'].includes(item.subType)) {
+            slot = item.subType;
+        }
+        
+        // Handle special cases for accessories
+        if (item.type === 'accessory') {
+            if (item.subType === 'talisman') {
+                slot = 'talisman';
+            } else if (!this.equipment.accessory1) {
+                slot = 'accessory1';
+            } else if (!this.equipment.accessory2) {
+                slot = 'accessory2';
+            } else {
+                // Both accessory slots are full, replace the first one
+                slot = 'accessory1';
+            }
+        }
+        
+        return this.equipment.hasOwnProperty(slot) ? slot : null;
+    }
+    
     unequipItem(slot) {
         // Check if slot is valid
         if (!this.equipment.hasOwnProperty(slot)) {
@@ -122,8 +324,10 @@ export class PlayerInventory {
             return false;
         }
         
-        // Add to inventory
-        this.addToInventory(this.equipment[slot]);
+        // Add to inventory, unless the bag is full
+        if (!this.addToInventory(this.equipment[slot])) {
+            return false;
+        }
         
         // Remove from equipment
         this.equipment[slot] = null;
@@ -134,6 +338,29 @@ export class PlayerInventory {
         return true;
     }
     
+    /**
+     * Replace an equipped or carried item with a changed copy of it, e.g. after crafting
+     * @param {Object} item - The equipped or carried item
+     * @param {Object} replacement - The item to put in its place
+     * @returns {Object|null} The item now in its place, or null if the item wasn't found
+     */
+    replaceItem(item, replacement) {
+        const slot = Object.keys(this.equipment).find(key => this.equipment[key] === item);
+        if (slot) {
+            this.equipment[slot] = { ...replacement };
+            this.calculateEquipmentBonuses();
+            return this.equipment[slot];
+        }
+        
+        const index = this.inventory.indexOf(item);
+        if (index < 0) {
+            return null;
+        }
+        
+        this.inventory[index] = { ...replacement };
+        return this.inventory[index];
+    }
+    
     /**
      * Calculate all stat bonuses from equipped items
      */
@@ -196,6 +423,204 @@ export class PlayerInventory {
                 });
             }
         });
+        
+        // Add the stat bonuses of the active set bonuses
+        this.activeSets = this.calculateSetStatuses();
+        const setStatBonuses = {
+            manaBonus: 'manaBonus',
+            healthBonus: 'healthBonus',
+            damage: 'attackBonus',
+            attackPower: 'attackBonus',
+            defense: 'defenseBonus',
+            movementSpeed: 'speedBonus'
+        };
+        Object.entries(setStatBonuses).forEach(([stat, bonus]) => {
+            this.equipmentBonuses[bonus] += this.getSetBonusStat(stat);
+        });
+        
+        this.equipmentStats = this.calculateEquipmentStats();
+    }
+    
+    /**
+     * Total every stat of the equipped items and active set bonuses, for the player's derived stats
+     * Uses the level and rarity scaled stats of the items
+     * @returns {Object.<string, number>} Totals by stat name
+     * @private
+     */
+    calculateEquipmentStats() {
+        const totals = {};
+        const add = (stat, value) => {
+            if (typeof value === 'number') {
+                totals[stat] = (totals[stat] || 0) + value;
+            }
+        };
+        
+        Object.values(this.equipment).forEach(item => {
+            if (!item) return;
+            
+            Object.entries(this.getItemStats(item)).forEach(([stat, value]) => add(stat, value));
+        });
+        
+        this.getActiveSetBonuses().forEach(bonus => {
+            Object.entries(bonus.stats || {}).forEach(([stat, value]) => add(stat, value));
+        });
+        
+        return totals;
+    }
+    
+    /**
+     * Total the stats one item adds when equipped
+     * Uses the level and rarity scaled stats of the item
+     * @param {Object} item - The item
+     * @returns {Object.<string, number>} Totals by stat name
+     */
+    getItemStats(item) {
+        const totals = {};
+        const add = (stat, value) => {
+            if (typeof value === 'number') {
+                totals[stat] = (totals[stat] || 0) + value;
+            }
+        };
+        
+        Object.entries(item.stats || item.baseStats || {}).forEach(([stat, value]) => {
+            // Weapons list their attack speed as a multiplier rather than a bonus
+            if (stat !== 'attackSpeed') {
+                add(stat, value);
+            }
+        });
+        
+        (item.processedSecondaryStats || item.secondaryStats || []).forEach(stat => {
+            // Elemental damage with an element only counts for that element, e.g. as fireDamage
+            add(stat.type === 'elementalDamage' && stat.element ? `${stat.element}Damage` : stat.type, stat.value);
+        });
+        
+        return totals;
+    }
+    
+    /**
+     * Get the total of a stat over the equipped items and active set bonuses
+     * @param {string} stat - Stat name, e.g. "critChance"
+     * @returns {number} Total value
+     */
+    getEquipmentStat(stat) {
+        return this.equipmentStats[stat] || 0;
+    }
+    
+    /**
+     * Work out which pieces of each set are equipped and which set bonuses are active
+     * @returns {SetStatus[]} Sets with at least one equipped piece
+     * @private
+     */
+    calculateSetStatuses() {
+        const statuses = [];
+        const equippedItems = Object.values(this.equipment).filter(item => item && item.setId);
+        
+        Object.values(ITEM_SETS).forEach(set => {
+            const setItems = equippedItems.filter(item => item.setId === set.id);
+            if (setItems.length === 0) return;
+            
+            // Match each piece to its own equipped item so two rings fill both ring pieces
+            const unmatched = [...setItems];
+            const pieces = set.pieces.map(piece => {
+                const index = unmatched.findIndex(item => item.type === piece.type && item.subType === piece.subType);
+                if (index >= 0) {
+                    unmatched.splice(index, 1);
+                }
+                return { ...piece, equipped: index >= 0 };
+            });
+            const count = pieces.filter(piece => piece.equipped).length;
+            
+            statuses.push({
+                set,
+                count,
+                pieces,
+                bonuses: set.bonuses.map(bonus => ({ ...bonus, active: count >= bonus.count }))
+            });
+        });
+        
+        return statuses;
+    }
+    
+    /**
+     * Get the status of a set: which pieces are equipped and which bonuses are active
+     * @param {string} setId - Set id
+     * @returns {SetStatus|null} Set status, or null if the set does not exist
+     */
+    getSetStatus(setId) {
+        const set = ITEM_SETS[setId];
+        if (!set) {
+            return null;
+        }
+        
+        const active = this.activeSets.find(status => status.set.id === setId);
+        return active || {
+            set,
+            count: 0,
+            pieces: set.pieces.map(piece => ({ ...piece, equipped: false })),
+            bonuses: set.bonuses.map(bonus => ({ ...bonus, active: false }))
+        };
+    }
+    
+    /**
+     * Get the sets with at least one equipped piece
+     * @returns {SetStatus[]} Equipped sets
+     */
+    getActiveSets() {
+        return this.activeSets;
+    }
+    
+    /**
+     * Get the active set bonuses
+     * @returns {Object[]} Bonus definitions, each with the set it belongs to
+     */
+    getActiveSetBonuses() {
+        const bonuses = [];
+        this.activeSets.forEach(status => {
+            status.bonuses
+                .filter(bonus => bonus.active)
+                .forEach(bonus => bonuses.push({ ...bonus, set: status.set }));
+        });
+        return bonuses;
+    }
+    
+    /**
+     * Get the total of a stat over the active set bonuses
+     * @param {string} stat - Stat name, e.g. "critChance"
+     * @returns {number} Total bonus
+     */
+    getSetBonusStat(stat) {
+        return this.getActiveSetBonuses()
+            .reduce((total, bonus) => total + ((bonus.stats && bonus.stats[stat]) || 0), 0);
+    }
+    
+    /**
+     * Get the total of a skill modifier over the active set bonuses
+     * @param {string} skillName - Skill name, e.g. "Wave of Light"
+     * @param {string} modifier - Modifier name: damage, cooldownReduction or manaCostReduction
+     * @returns {number} Total modifier in percent
+     */
+    getSetSkillModifier(skillName, modifier) {
+        let total = 0;
+        this.getActiveSetBonuses().forEach(bonus => {
+            (bonus.skillModifiers || []).forEach(skillModifier => {
+                if (skillModifier.skill === skillName) {
+                    total += skillModifier[modifier] || 0;
+                }
+            });
+        });
+        return total;
+    }
+    
+    /**
+     * Get the special effects of the active set bonuses
+     * @returns {Object[]} Effects, each with the set that grants it
+     */
+    getSetEffects() {
+        const effects = [];
+        this.getActiveSetBonuses().forEach(bonus => {
+            (bonus.effects || []).forEach(effect => effects.push({ effect, set: bonus.set }));
+        });
+        return effects;
     }
     
     // Gold management
@@ -0,0 +1,653 @@
+/**
+ * PlayerItemEffects.js
+ * Triggers the special effects of the player's equipped items
+ * @module entities/player/PlayerItemEffects
+ */
+
+import * as THREE from 'three';
+import { ITEM_EFFECT_CONFIG } from '../../config/item-effects.js';
+import { PLAYER_PROGRESSION } from '../../config/game-balance.js';
+import { ItemEffectVisuals } from '../items/ItemEffectVisuals.js';
+
+/**
+ * @typedef {Object} EquippedEffect
+ * @property {Object} effect - Effect definition rolled onto the item (see js/config/item-templates.js)
+ * @property {Object} item - The equipped item or the item set carrying the effect
+ */
+
+/**
+ * @typedef {Object} EffectContext
+ * @property {Object} [enemy] - The enemy hit or killed
+ * @property {number} [damage] - The damage dealt or taken
+ * @property {Object} [skill] - The skill that hit or was used
+ */
+
+/**
+ * Proc engine for the special effects of equipped items
+ * Effects trigger on hit, on critical hit, on skill hit, on the first hit against an enemy, on kill,
+ * on damage taken, on dodge, on movement skills and after skill sequences, or apply passively while their condition holds.
+ * Active set bonuses add their effects to those of the items (see js/config/item-sets.js).
+ * Spirit on items is the monk's mana.
+ */
+export class PlayerItemEffects {
+    /**
+     * Create the item effect engine for a player
+     * @param {import("./Player.js").Player} player - The player whose equipment is read
+     * @param {import("../../game/Game.js").Game} game - The main game instance
+     * @param {Object} [config] - Item effect settings (see js/config/item-effects.js)
+     */
+    constructor(player, game, config = ITEM_EFFECT_CONFIG) {
+        this.player = player;
+        this.game = game;
+        this.config = config;
+        this.visuals = new ItemEffectVisuals(player.scene);
+
+        // Seconds until an effect can trigger again, by effect id
+        this.cooldowns = new Map();
+        // Active buffs, keyed by effect id and stat so triggering an effect again refreshes its buff
+        this.buffs = new Map();
+        // Bleeds ticking on enemies
+        this.bleeds = [];
+        // Enemies the player has already hit, for effects on the first hit against an enemy
+        this.hitEnemies = new WeakSet();
+        // Names of the different skills used in succession, and whether the next skill is free
+        this.skillSequence = [];
+        this.freeSkillReady = false;
+    }
+
+    /**
+     * Count down cooldowns and buffs, tick bleeds and apply passive regeneration
+     * @param {number} delta - Time in seconds since the last update
+     */
+    update(delta) {
+        this.cooldowns.forEach((remaining, id) => {
+            if (remaining <= delta) {
+                this.cooldowns.delete(id);
+            } else {
+                this.cooldowns.set(id, remaining - delta);
+            }
+        });
+
+        this.buffs.forEach((buff, key) => {
+            buff.remaining -= delta;
+            if (buff.remaining <= 0) {
+                this.buffs.delete(key);
+            }
+        });
+
+        this.updateBleeds(delta);
+        this.updateRegeneration(delta);
+        this.visuals.update(delta);
+    }
+
+    /**
+     * Roll whether a hit against an enemy is critical
+     * @param {Object} enemy - The enemy about to be hit
+     * @returns {boolean} Whether the hit is critical
+     */
+    rollCritical(enemy) {
+        let chance = this.player.stats.getCritChance();
+
+        if (!this.hitEnemies.has(enemy)) {
+            this.getEquippedEffects('onFirstHit').forEach(({ effect }) => {
+                if (effect.effect === 'critBonus' && this.rollChance(effect)) {
+                    chance += effect.params.value || 0;
+                }
+            });
+        }
+
+        return Math.random() * 100 < chance;
+    }
+
+    /**
+     * Get the damage multiplier of critical hits
+     * @returns {number} Multiplier, e.g. 1.5 for 150% damage
+     */
+    getCriticalMultiplier() {
+        return this.player.stats.getCritMultiplier();
+    }
+
+    /**
+     * Trigger the effects of a hit the player landed on an enemy
+     * @param {Object} enemy - The enemy hit
+     * @param {number} damage - Damage dealt
+     * @param {Object} [hit] - Details of the hit
+     * @param {Object} [hit.skill] - Skill that hit
+     * @param {boolean} [hit.isCritical=false] - Whether the hit was critical
+     * @param {boolean} [hit.killed=false] - Whether the hit killed the enemy
+     */
+    handleEnemyHit(enemy, damage, { skill = null, isCritical = false, killed = false } = {}) {
+        const context = { enemy, damage, skill };
+
+        this.trigger('onHit', context);
+        if (isCritical) {
+            this.trigger('onCrit', context);
+        }
+        // Primary attacks are the monk's basic attacks, so only the other skills count as skill hits
+        if (skill && !skill.primaryAttack) {
+            this.trigger('onSkillHit', context);
+        }
+        this.hitEnemies.add(enemy);
+
+        if (killed) {
+            this.trigger('onKill', context);
+        }
+    }
+
+    /**
+     * Roll whether the player dodges an attack, triggering dodge effects if so
+     * @returns {boolean} Whether the attack was dodged
+     */
+    tryDodge() {
+        const chance = this.player.stats.getDerivedStat('dodgeChance');
+        if (chance <= 0 || Math.random() * 100 >= chance) {
+            return false;
+        }
+
+        this.visuals.createBurst(this.player.getPosition(), this.config.colors.dodge);
+        this.trigger('onDodge', {});
+        return true;
+    }
+
+    /**
+     * Trigger the effects of damage the player took
+     * @param {number} damage - Damage taken
+     */
+    handleDamageTaken(damage) {
+        this.trigger('onDamageTaken', { damage });
+    }
+
+    /**
+     * Get the mana a skill costs after item effects
+     * @param {Object} skill - The skill template
+     * @returns {number} Mana cost
+     */
+    getSkillCost(skill) {
+        if (this.freeSkillReady && !skill.primaryAttack) {
+            return 0;
+        }
+        const reduction = this.getPassiveBonus('resourceCostReduction') +
+            this.player.stats.getSkillModifier(skill.name, 'manaCostReduction');
+        return skill.manaCost * Math.max(0, 1 - reduction / 100);
+    }
+
+    /**
+     * Trigger the effects of using a skill and track skill sequences
+     * @param {Object} skill - The skill template used
+     * @param {boolean} [movement=false] - Whether the skill moved the player
+     */
+    handleSkillUsed(skill, movement = false) {
+        if (movement) {
+            this.trigger('onMovementSkill', { skill });
+        }
+
+        // Primary attacks neither use up a free skill nor count towards a sequence
+        if (skill.primaryAttack) return;
+
+        if (this.freeSkillReady) {
+            this.freeSkillReady = false;
+            return;
+        }
+
+        const sequenceEffects = this.getEquippedEffects('onSkillSequence');
+        if (sequenceEffects.length === 0) {
+            this.skillSequence = [];
+            return;
+        }
+
+        // Using a skill that is already in the sequence starts a new one
+        if (this.skillSequence.includes(skill.name)) {
+            this.skillSequence = [];
+        }
+        this.skillSequence.push(skill.name);
+
+        const completed = sequenceEffects.filter(({ effect }) => this.skillSequence.length >= (effect.count || 3));
+        if (completed.length > 0) {
+            this.skillSequence = [];
+            completed.forEach(({ effect, item }) => this.applyEffect(effect, item, { skill }));
+        }
+    }
+
+    /**
+     * Get the bonus from an active buff stat, e.g. movementSpeed
+     * @param {string} stat - Buffed stat
+     * @returns {number} Total bonus in percent
+     */
+    getStatBonus(stat) {
+        let bonus = 0;
+        this.buffs.forEach(buff => {
+            if (buff.stat === stat) {
+                bonus += buff.value;
+            }
+        });
+        return bonus;
+    }
+
+    /**
+     * Get the total value of the passive effects of a type whose conditions currently hold
+     * @param {string} effectType - Effect type, e.g. "experienceBonus" or "goldFind"
+     * @returns {number} Total bonus in percent
+     */
+    getPassiveBonus(effectType) {
+        return this.getEquippedEffects('passive')
+            .filter(({ effect }) => effect.effect === effectType && this.isConditionMet(effect))
+            .reduce((total, { effect }) => total + ((effect.params && effect.params.value) || 0), 0);
+    }
+
+    /**
+     * Get the element skills take on from the weapon, if an equipped item grants elemental adaptation
+     * @returns {string|null} Element, e.g. "fire", or null
+     */
+    getAdaptedElement() {
+        const adapted = this.getEquippedEffects('passive')
+            .some(({ effect }) => effect.effect === 'elementalAdaptation' && this.isConditionMet(effect));
+        return adapted ? this.getWeaponElement() : null;
+    }
+
+    /**
+     * Trigger the equipped effects with a trigger, rolling their chances and starting their cooldowns
+     * @param {string} trigger - Trigger name, e.g. "onHit"
+     * @param {EffectContext} context - What caused the trigger
+     * @private
+     */
+    trigger(trigger, context) {
+        this.getEquippedEffects(trigger).forEach(({ effect, item }) => {
+            if (this.cooldowns.has(effect.id) || !this.rollChance(effect)) return;
+
+            if (this.applyEffect(effect, item, context)) {
+                const cooldown = effect.cooldown ?? this.config.cooldowns[effect.effect] ?? 0;
+                if (cooldown > 0) {
+                    this.cooldowns.set(effect.id, cooldown);
+                }
+            }
+        });
+    }
+
+    /**
+     * Apply a triggered effect
+     * @param {Object} effect - Effect definition
+     * @param {Object} item - Item carrying the effect
+     * @param {EffectContext} context - What triggered the effect
+     * @returns {boolean} Whether the effect did anything
+     * @private
+     */
+    applyEffect(effect, item, context) {
+        const params = effect.params || {};
+
+        switch (effect.effect) {
+            case 'stun':
+                return this.applyStun(context.enemy, params);
+            case 'bleed':
+                return this.applyBleed(context.enemy, params);
+            case 'coneDamage':
+                return this.applyConeDamage(params);
+            case 'chainLightning':
+                return this.applyChainLightning(context.enemy, context.damage, params);
+            case 'buff':
+                return this.applyBuff(effect, params);
+            case 'resourceGain':
+                return this.applyResourceGain(params);
+            case 'freeSkill':
+                return this.applyFreeSkill(effect);
+            default:
+                console.warn(`Unknown item effect "${effect.effect}" on ${item.name}`);
+                return false;
+        }
+    }
+
+    /**
+     * Stun an enemy
+     * @param {Object} enemy - Enemy to stun
+     * @param {Object} params - Effect parameters: duration in seconds
+     * @returns {boolean} Whether the enemy was stunned
+     * @private
+     */
+    applyStun(enemy, params) {
+        if (!this.isAlive(enemy)) return false;
+
+        enemy.stun(params.duration || 1);
+        this.visuals.createBurst(enemy.getPosition(), this.config.colors.stun, enemy.getCollisionRadius() * 2);
+        return true;
+    }
+
+    /**
+     * Make an enemy bleed, replacing any bleed already on it
+     * @param {Object} enemy - Enemy to bleed
+     * @param {Object} params - Effect parameters: duration in seconds, damagePercent of weapon damage per second
+     * @returns {boolean} Whether the enemy bleeds
+     * @private
+     */
+    applyBleed(enemy, params) {
+        const interval = this.config.bleedTickInterval;
+        const damagePerTick = this.getWeaponDamage() * (params.damagePercent || 0) / 100 * interval;
+        if (!this.isAlive(enemy) || damagePerTick <= 0) return false;
+
+        this.bleeds = this.bleeds.filter(bleed => bleed.enemy !== enemy);
+        this.bleeds.push({
+            enemy,
+            damagePerTick,
+            ticksLeft: Math.max(1, Math.round((params.duration || 3) / interval)),
+            tickTimer: interval
+        });
+        this.visuals.createBurst(enemy.getPosition(), this.config.colors.bleed, enemy.getCollisionRadius() * 1.5);
+        return true;
+    }
+
+    /**
+     * Damage the enemies in a cone in front of the player
+     * @param {Object} params - Effect parameters: element, angle in degrees, range, damagePercent of weapon damage
+     * @returns {boolean} Whether the cone was released
+     * @private
+     */
+    applyConeDamage(params) {
+        const damage = Math.round(this.getWeaponDamage() * (params.damagePercent || 0) / 100);
+        if (damage <= 0) return false;
+
+        const position = this.player.getPosition();
+        const facing = this.player.getRotation().y;
+        const range = params.range || 5;
+        const angle = params.angle || 45;
+        const halfAngle = THREE.MathUtils.degToRad(angle) / 2;
+
+        this.visuals.createCone(position, facing, range, angle, this.config.colors[params.element] || this.config.colors.fire);
+
+        this.getLivingEnemies().forEach(enemy => {
+            const dx = enemy.getPosition().x - position.x;
+            const dz = enemy.getPosition().z - position.z;
+            if (Math.sqrt(dx * dx + dz * dz) > range + enemy.getCollisionRadius()) return;
+
+            const offset = Math.atan2(dx, dz) - facing;
+            if (Math.abs(Math.atan2(Math.sin(offset), Math.cos(offset))) > halfAngle) return;
+
+            this.dealDamage(enemy, damage);
+        });
+        return true;
+    }
+
+    /**
+     * Arc lightning from an enemy to the enemies nearest to it, one after another
+     * @param {Object} enemy - The enemy the skill hit
+     * @param {number} damage - Damage of the skill hit
+     * @param {Object} params - Effect parameters: jumps, damagePercent of the hit
+     * @returns {boolean} Whether the lightning reached another enemy
+     * @private
+     */
+    applyChainLightning(enemy, damage, params) {
+        const chainDamage = Math.round((damage || 0) * (params.damagePercent || 0) / 100);
+        if (!enemy || chainDamage <= 0) return false;
+
+        const struck = new Set([enemy]);
+        let source = enemy;
+        for (let jump = 0; jump < (params.jumps || 1); jump++) {
+            const target = this.findNearestEnemy(source.getPosition(), this.config.chainRange, struck);
+            if (!target) break;
+
+            this.visuals.createLightning(source.getPosition(), target.getPosition(), this.config.colors.lightning);
+            this.dealDamage(target, chainDamage);
+            struck.add(target);
+            source = target;
+        }
+
+        return struck.size > 1;
+    }
+
+    /**
+     * Buff one or more of the player's stats for a while
+     * @param {Object} effect - Effect definition
+     * @param {Object} params - Effect parameters: stat and value, or a list of stats, and duration in seconds
+     * @returns {boolean} Always true
+     * @private
+     */
+    applyBuff(effect, params) {
+        const stats = params.stats || [{ stat: params.stat, value: params.value }];
+        stats.forEach(({ stat, value }) => {
+            this.buffs.set(`${effect.id}:${stat}`, { stat, value, remaining: params.duration || 3 });
+        });
+
+        this.visuals.createBurst(this.player.getPosition(), this.config.colors.buff);
+        return true;
+    }
+
+    /**
+     * Restore some of the player's spirit
+     * @param {Object} params - Effect parameters: value to restore
+     * @returns {boolean} Always true
+     * @private
+     */
+    applyResourceGain(params) {
+        const stats = this.player.stats;
+        stats.setMana(stats.getMana() + (params.value || 0));
+
+        this.visuals.createBurst(this.player.getPosition(), this.config.colors.resource, 0.6);
+        return true;
+    }
+
+    /**
+     * Make the player's next skill free
+     * @param {Object} effect - Effect definition
+     * @returns {boolean} Always true
+     * @private
+     */
+    applyFreeSkill(effect) {
+        this.freeSkillReady = true;
+
+        this.visuals.createBurst(this.player.getPosition(), this.config.colors.resource, 1.5);
+        if (this.game && this.game.hudManager) {
+            this.game.hudManager.showNotification(`${effect.name}: your next skill costs no spirit`);
+        }
+        return true;
+    }
+
+    /**
+     * Deal the damage of bleeds that are due
+     * @param {number} delta - Time in seconds since the last update
+     * @private
+     */
+    updateBleeds(delta) {
+        this.bleeds = this.bleeds.filter(bleed => {
+            if (!this.isAlive(bleed.enemy)) return false;
+
+            bleed.tickTimer -= delta;
+            if (bleed.tickTimer <= 0) {
+                bleed.tickTimer += this.config.bleedTickInterval;
+                bleed.ticksLeft--;
+                this.dealDamage(bleed.enemy, Math.max(1, Math.round(bleed.damagePerTick)));
+            }
+
+            return bleed.ticksLeft > 0;
+        });
+    }
+
+    /**
+     * Regenerate extra spirit from passive effects
+     * @param {number} delta - Time in seconds since the last update
+     * @private
+     */
+    updateRegeneration(delta) {
+        if (this.player.state.isDead()) return;
+
+        const bonus = this.getPassiveBonus('resourceRegen');
+        if (bonus <= 0) return;
+
+        const stats = this.player.stats;
+        if (stats.getMana() < stats.getMaxMana()) {
+            stats.setMana(stats.getMana() + PLAYER_PROGRESSION.RESOURCE_REGENERATION.mana * delta * bonus / 100);
+        }
+    }
+
+    /**
+     * Damage an enemy from an effect, triggering kill effects if it dies
+     * Experience and quest progress for the kill are handled by the enemy and the enemy manager
+     * @param {Object} enemy - Enemy to damage
+     * @param {number} amount - Damage to deal
+     * @private
+     */
+    dealDamage(enemy, amount) {
+        if (!this.isAlive(enemy) || amount <= 0) return;
+
+        enemy.takeDamage(amount);
+        if (this.game && this.game.effectsManager) {
+            this.game.effectsManager.createBleedingEffect(amount, enemy.getPosition().clone());
+        }
+
+        if (enemy.isDead()) {
+            this.trigger('onKill', { enemy, damage: amount });
+        }
+    }
+
+    /**
+     * Get the equipped effects with a trigger, including those of active set bonuses
+     * An item that rolled the same effect more than once only has it once
+     * @param {string} trigger - Trigger name, e.g. "onHit" or "passive"
+     * @returns {EquippedEffect[]} The effects and the items or sets carrying them
+     * @private
+     */
+    getEquippedEffects(trigger) {
+        const effects = [];
+        Object.values(this.player.inventory.getEquipment()).forEach(item => {
+            if (!item || !Array.isArray(item.specialEffects)) return;
+
+            const seen = new Set();
+            item.specialEffects.forEach(effect => {
+                if (effect.trigger !== trigger || seen.has(effect.id)) return;
+                seen.add(effect.id);
+                effects.push({ effect, item });
+            });
+        });
+        this.player.inventory.getSetEffects().forEach(({ effect, set }) => {
+            if (effect.trigger === trigger) {
+                effects.push({ effect, item: set });
+            }
+        });
+        return effects;
+    }
+
+    /**
+     * Check whether the condition of a passive effect holds
+     * @param {Object} effect - Effect definition
+     * @returns {boolean} Whether the effect applies right now
+     * @private
+     */
+    isConditionMet(effect) {
+        const stats = this.player.stats;
+
+        switch (effect.condition) {
+            case undefined:
+                return true;
+            case 'notMoving':
+                return !this.player.state.isMoving();
+            case 'lowMana':
+                return stats.getMana() / stats.getMaxMana() * 100 < effect.threshold;
+            case 'lowHealth':
+                return stats.getHealth() / stats.getMaxHealth() * 100 < effect.threshold;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Roll an effect's chance to trigger
+     * @param {Object} effect - Effect definition; effects without a chance always trigger
+     * @returns {boolean} Whether the effect triggers
+     * @private
+     */
+    rollChance(effect) {
+        return effect.chance === undefined || Math.random() * 100 < effect.chance;
+    }
+
+    /**
+     * Get a stat of an item
+     * Items moved through the inventory are plain copies without the Item methods, so read their calculated stats directly
+     * @param {Object} item - Item instance or plain item object
+     * @param {string} stat - Stat name
+     * @returns {number} Stat value, or 0 if the item does not have it
+     * @private
+     */
+    getItemStat(item, stat) {
+        if (typeof item.getStat === 'function') {
+            return item.getStat(stat);
+        }
+        if (item.stats && item.stats[stat] !== undefined) {
+            return item.stats[stat];
+        }
+        const secondaryStat = (item.processedSecondaryStats || []).find(entry => entry.type === stat);
+        return secondaryStat ? secondaryStat.value : 0;
+    }
+
+    /**
+     * Get the damage of the equipped weapon
+     * @returns {number} Weapon damage, or 0 without a weapon
+     * @private
+     */
+    getWeaponDamage() {
+        const weapon = this.player.inventory.getEquipment().weapon;
+        return weapon ? this.getItemStat(weapon, 'damage') : 0;
+    }
+
+    /**
+     * Get the element of the equipped weapon, from its elemental damage or its effects
+     * @returns {string|null} Element, or null if the weapon has none
+     * @private
+     */
+    getWeaponElement() {
+        const weapon = this.player.inventory.getEquipment().weapon;
+        if (!weapon) return null;
+
+        const elementalStat = (weapon.secondaryStats || []).find(stat => stat.element);
+        if (elementalStat) return elementalStat.element;
+
+        const elementalEffect = (weapon.specialEffects || []).find(effect => effect.params && effect.params.element);
+        return elementalEffect ? elementalEffect.params.element : null;
+    }
+
+    /**
+     * Get the living enemies
+     * @returns {Object[]} Enemies that are not dead
+     * @private
+     */
+    getLivingEnemies() {
+        const enemies = [];
+        if (this.game && this.game.enemyManager) {
+            this.game.enemyManager.enemies.forEach(enemy => {
+                if (!enemy.isDead()) {
+                    enemies.push(enemy);
+                }
+            });
+        }
+        return enemies;
+    }
+
+    /**
+     * Find the living enemy nearest to a position
+     * @param {THREE.Vector3} position - Position to search from
+     * @param {number} range - Maximum distance
+     * @param {Set<Object>} exclude - Enemies to skip
+     * @returns {Object|null} The nearest enemy, or null if none is in range
+     * @private
+     */
+    findNearestEnemy(position, range, exclude) {
+        let nearest = null;
+        let nearestDistance = range;
+        this.getLivingEnemies().forEach(enemy => {
+            if (exclude.has(enemy)) return;
+
+            const distance = enemy.getPosition().distanceTo(position);
+            if (distance <= nearestDistance) {
+                nearest = enemy;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Check whether an enemy is alive and still in the world
+     * @param {Object} enemy - The enemy
+     * @returns {boolean} Whether effects can still act on the enemy
+     * @private
+     */
+    isAlive(enemy) {
+        if (!enemy || enemy.isDead()) return false;
+        return !this.game || !this.game.enemyManager || this.game.enemyManager.enemies.get(enemy.id) === enemy;
+    }
+}
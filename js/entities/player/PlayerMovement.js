@@ -46,7 +46,7 @@ export class PlayerMovement {
             // Move towards target
             if (distance > 0.1) {
                 // Calculate movement step
-                const step = this.playerStats.getMovementSpeed() * delta;
+                const step = this.getMovementSpeed() * delta;
                 
                 // Calculate new position (only update X and Z, let updateTerrainHeight handle Y)
                 const newPosition = new THREE.Vector3(
@@ -89,7 +89,7 @@ export class PlayerMovement {
         // If there's keyboard input, move the player
         if (direction.length() > 0) {
             // Calculate movement step
-            const step = this.playerStats.getMovementSpeed() * delta;
+            const step = this.getMovementSpeed() * delta;
             
             // Calculate new position (only update X and Z)
             const newPosition = new THREE.Vector3(
@@ -228,6 +228,16 @@ export class PlayerMovement {
         return this.position;
     }
     
+    /**
+     * Get the player's movement speed, including speed buffs from item effects
+     * @returns {number} Movement speed in units per second
+     */
+    getMovementSpeed() {
+        const speed = this.playerStats.getMovementSpeed();
+        const itemEffects = this.game && this.game.player ? this.game.player.itemEffects : null;
+        return itemEffects ? speed * (1 + itemEffects.getStatBonus('movementSpeed') / 100) : speed;
+    }
+    
     getRotation() {
         return this.rotation;
     }
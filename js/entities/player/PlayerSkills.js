@@ -3,6 +3,8 @@ import { Skill } from '../skills/Skill.js';
 import { SkillEffectFactory } from '../skills/SkillEffectFactory.js';
 import { SKILLS, BATTLE_SKILLS } from '../../config/skills.js';
 import { STORAGE_KEYS } from '../../config/storage-keys.js';
+import { ITEM_EFFECT_CONFIG } from '../../config/item-effects.js';
+import { clearLockedVariants } from '../../utils/SkillTreeUtils.js';
 
 /**
  * @typedef {Object} SkillTreeEntry
@@ -118,6 +120,9 @@ export class PlayerSkills {
                 const skillTreeData = JSON.parse(skillTreeDataJson);
                 console.debug('Loaded skill tree data from localStorage:', skillTreeData);
                 
+                // Variants unlocked by legendaries the hero hasn't found are not applied
+                clearLockedVariants(skillTreeData, this.game && this.game.legendaryCodex);
+                
                 // Apply skill variants and buffs to the player's skills
                 // This will be used when creating skill instances
                 this.skillTreeData = skillTreeData;
@@ -325,8 +330,9 @@ export class PlayerSkills {
             }
         }
         
-        // Update skill cooldowns
-        this.skills.forEach(skill => skill.updateCooldown(delta));
+        // Update skill cooldowns; attack speed makes them recover faster
+        const cooldownDelta = delta * (1 + this.playerStats.getAttackSpeed() / 100);
+        this.skills.forEach(skill => skill.updateCooldown(cooldownDelta));
     }
     
     /**
@@ -355,16 +361,20 @@ export class PlayerSkills {
         }
         
         // Check if player has enough mana
-        if (this.playerStats.getMana() < skillTemplate.manaCost) {
+        const manaCost = this.getManaCost(skillTemplate);
+        if (this.playerStats.getMana() < manaCost) {
             console.debug('Not enough mana for skill:', skillTemplate.name);
             return false;
         }
         
         // Use mana
-        this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
+        this.playerStats.setMana(this.playerStats.getMana() - manaCost);
         
         // Start cooldown on the template (shared cooldown)
-        skillTemplate.startCooldown();
+        skillTemplate.startCooldown(this.playerStats.getSkillCooldown(skillTemplate));
+        
+        // Trigger item effects for using the skill
+        this.notifySkillUsed(skillTemplate, ITEM_EFFECT_CONFIG.movementSkillTypes.includes(skillTemplate.type));
         
         // We no longer clean up existing instances of this skill
         // This allows multiple instances of the same skill to exist simultaneously
@@ -515,7 +525,8 @@ export class PlayerSkills {
         }
         
         // Check if player has enough mana
-        if (this.playerStats.getMana() < skillTemplate.manaCost) {
+        const manaCost = this.getManaCost(skillTemplate);
+        if (this.playerStats.getMana() < manaCost) {
             return false;
         }
         
@@ -538,10 +549,10 @@ export class PlayerSkills {
                 console.debug({meleeEnemy})
                 
                 // Use mana
-                this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
+                this.playerStats.setMana(this.playerStats.getMana() - manaCost);
                 
                 // Start cooldown
-                skillTemplate.startCooldown();
+                skillTemplate.startCooldown(this.playerStats.getSkillCooldown(skillTemplate));
                 
                 // Create a new instance of the skill
                 const skillConfig = SKILLS.find(config => config.name === skillTemplate.name);
@@ -568,6 +579,9 @@ export class PlayerSkills {
                 // Add skill effect to scene
                 this.scene.add(skillEffect);
                 
+                // Trigger item effects for using the skill
+                this.notifySkillUsed(skillTemplate, false);
+                
                 // Play sound
                 if (this.game && this.game.audioManager) {
                     this.game.audioManager.playSound('playerAttack');
@@ -597,10 +611,10 @@ export class PlayerSkills {
                     this.playerRotation.y = Math.atan2(direction.x, direction.z);
                     
                     // Use mana
-                    this.playerStats.setMana(this.playerStats.getMana() - skillTemplate.manaCost);
+                    this.playerStats.setMana(this.playerStats.getMana() - manaCost);
                     
                     // Start cooldown
-                    skillTemplate.startCooldown();
+                    skillTemplate.startCooldown(this.playerStats.getSkillCooldown(skillTemplate));
                     
                     // Create a new instance of the skill
                     const skillConfig = SKILLS.find(config => config.name === skillTemplate.name);
@@ -628,6 +642,9 @@ export class PlayerSkills {
                         
                         // Add skill effect to scene
                         this.scene.add(skillEffect);
+                        
+                        // Trigger item effects for using the skill
+                        this.notifySkillUsed(skillTemplate, false);
                     } else {
                         // Enemy is beyond minimum teleport range, teleport to the enemy
                         console.debug(`Enemy at distance ${distanceToEnemy.toFixed(2)} is beyond minimum teleport range (${minTeleportRange}), teleporting`);
@@ -648,6 +665,9 @@ export class PlayerSkills {
                         
                         // Add skill effect to scene
                         this.scene.add(skillEffect);
+                        
+                        // Trigger item effects for using the skill; the teleport counts as a movement skill
+                        this.notifySkillUsed(skillTemplate, true);
                     }
                     
                     // Play sound
@@ -673,6 +693,38 @@ export class PlayerSkills {
         return false;
     }
     
+    /**
+     * Gets the mana a skill costs, after reductions from item effects
+     * @param {Skill} skillTemplate - The skill template
+     * @returns {number} - Mana cost
+     */
+    getManaCost(skillTemplate) {
+        const itemEffects = this.getItemEffects();
+        return itemEffects ? itemEffects.getSkillCost(skillTemplate) : skillTemplate.manaCost;
+    }
+    
+    /**
+     * Triggers the item effects for using a skill
+     * @param {Skill} skillTemplate - The skill template used
+     * @param {boolean} movement - Whether the skill moved the player
+     * @returns {void}
+     */
+    notifySkillUsed(skillTemplate, movement) {
+        const itemEffects = this.getItemEffects();
+        if (itemEffects) {
+            itemEffects.handleSkillUsed(skillTemplate, movement);
+        }
+    }
+    
+    /**
+     * Gets the item effect engine of the local player
+     * @returns {import("./PlayerItemEffects.js").PlayerItemEffects|null} - The item effects, or null before the player is ready
+     * @private
+     */
+    getItemEffects() {
+        return this.game && this.game.player ? this.game.player.itemEffects : null;
+    }
+    
     /**
      * Gets the array of available skill templates
      * @returns {Array<Skill>} - Array of skill templates
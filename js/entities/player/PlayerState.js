@@ -165,7 +165,7 @@ export class PlayerState {
                     // Apply damage every 0.5 seconds
                     if (Math.random() < delta * 2) { // Randomize slightly to avoid all ticks happening at once
                         const tickDamage = effect.tickDamage * effect.intensity;
-                        player.takeDamage(tickDamage);
+                        player.takeDamage(tickDamage, effectType === 'burn' ? 'fire' : null);
                         console.debug(`${effectType} dealt ${tickDamage.toFixed(1)} damage`);
                     }
                 }
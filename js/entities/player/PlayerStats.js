@@ -4,8 +4,31 @@
  * @module entities/player/PlayerStats
  */
 
-import { PLAYER_PROGRESSION } from '../../config/game-balance.js';
-const {DEFAULT_PLAYER_STATS, LEVEL_UP_EXPERIENCE_MULTIPLIER, LEVEL_UP_STAT_INCREASES, RESOURCE_REGENERATION} = PLAYER_PROGRESSION
+import { PLAYER_PROGRESSION, COMBAT_BALANCE } from '../../config/game-balance.js';
+import { SKILL_TREES } from '../../config/skill-tree.js';
+const {DEFAULT_PLAYER_STATS, LEVEL_UP_EXPERIENCE_MULTIPLIER, LEVEL_UP_STAT_INCREASES, RESOURCE_REGENERATION, DERIVED_STATS} = PLAYER_PROGRESSION
+
+/**
+ * Stats derived from gear, temporary boosts, item effects and skill-tree buffs, all in percent
+ * @type {string[]}
+ */
+const DERIVED_STAT_NAMES = [
+    'critChance',
+    'critDamage',
+    'attackSpeed',
+    'cooldownReduction',
+    'damageBonus',
+    'damageReduction',
+    'dodgeChance',
+    'lifesteal',
+    'goldFind',
+    'magicFind',
+    'experienceBonus',
+    'healingBonus',
+    'healthRegen',
+    'manaRegen',
+    ...DERIVED_STATS.elements.map(element => `${element}Resistance`)
+];
 
 /**
  * @typedef {Object} TemporaryBoost
@@ -70,11 +93,19 @@ export class PlayerStats {
     }
     
     /**
-     * Get maximum health points
+     * Get maximum health points including equipment bonuses
      * @returns {number} Maximum health points
      */
     getMaxHealth() {
-        return this.maxHealth;
+        // Get base max health
+        let maxHealth = this.maxHealth;
+        
+        // Add equipment bonus if player has an inventory
+        if (this._player && this._player.inventory) {
+            maxHealth += this._player.inventory.getHealthBonus();
+        }
+        
+        return maxHealth;
     }
     
     /**
@@ -149,13 +180,202 @@ export class PlayerStats {
         return this.movementSpeed;
     }
     
+    // Derived stats
+    /**
+     * Get a derived stat: its base value plus gear, temporary boosts and item effects, capped
+     * @param {string} statName - Derived stat name, e.g. 'critChance' or 'fireResistance'
+     * @returns {number} Stat value in percent
+     */
+    getDerivedStat(statName) {
+        let value = this.getBaseDerivedStat(statName) + this.getTemporaryBoostTotal(statName);
+        
+        const player = this._player;
+        if (player && player.inventory) {
+            value += player.inventory.getEquipmentStat(statName);
+            if (statName.endsWith('Resistance')) {
+                value += player.inventory.getEquipmentStat('allResistance');
+            }
+        }
+        if (player && player.itemEffects) {
+            value += player.itemEffects.getStatBonus(statName) + player.itemEffects.getPassiveBonus(statName);
+        }
+        
+        const cap = statName.endsWith('Resistance') ? DERIVED_STATS.caps.resistance : DERIVED_STATS.caps[statName];
+        return cap !== undefined ? Math.min(value, cap) : value;
+    }
+    
+    /**
+     * Get all derived stats
+     * @returns {Object.<string, number>} Derived stat values in percent, by name
+     */
+    getDerivedStats() {
+        const stats = {};
+        DERIVED_STAT_NAMES.forEach(statName => {
+            stats[statName] = this.getDerivedStat(statName);
+        });
+        return stats;
+    }
+    
+    /**
+     * Get the chance of a hit being critical
+     * @returns {number} Critical chance in percent
+     */
+    getCritChance() {
+        return this.getDerivedStat('critChance');
+    }
+    
+    /**
+     * Get the damage multiplier of critical hits
+     * @returns {number} Multiplier, e.g. 1.5 for 150% damage
+     */
+    getCritMultiplier() {
+        return this.getDerivedStat('critDamage') / 100;
+    }
+    
+    /**
+     * Get the attack speed bonus, which makes skills recover faster
+     * @returns {number} Attack speed bonus in percent
+     */
+    getAttackSpeed() {
+        return this.getDerivedStat('attackSpeed');
+    }
+    
+    /**
+     * Get the resistance to an element
+     * @param {string} element - Element, e.g. 'fire'
+     * @returns {number} Resistance in percent
+     */
+    getResistance(element) {
+        return this.getDerivedStat(`${element}Resistance`);
+    }
+    
+    /**
+     * Get the share of damage dealt that heals the player
+     * @returns {number} Lifesteal in percent
+     */
+    getLifesteal() {
+        return this.getDerivedStat('lifesteal');
+    }
+    
+    /**
+     * Get the bonus to gold found
+     * @returns {number} Gold find in percent
+     */
+    getGoldFind() {
+        return this.getDerivedStat('goldFind');
+    }
+    
+    /**
+     * Get the bonus to the chance of finding better items
+     * @returns {number} Magic find in percent
+     */
+    getMagicFind() {
+        return this.getDerivedStat('magicFind');
+    }
+    
+    /**
+     * Get the elemental damage bonus of the equipment for an element
+     * Elemental damage without an element counts for every element
+     * @param {string} element - Element, e.g. 'fire'
+     * @returns {number} Bonus in percent
+     */
+    getElementalDamage(element) {
+        if (!this._player || !this._player.inventory) return 0;
+        
+        const inventory = this._player.inventory;
+        return inventory.getEquipmentStat('elementalDamage') + inventory.getEquipmentStat(`${element}Damage`);
+    }
+    
+    /**
+     * Get the total of a modifier for one skill from equipped item sets and selected skill-tree buffs
+     * @param {string} skillName - Skill name, e.g. 'Wave of Light'
+     * @param {string} modifier - Modifier name: damage, cooldownReduction and manaCostReduction in percent, cooldown in seconds
+     * @returns {number} Total modifier
+     */
+    getSkillModifier(skillName, modifier) {
+        const player = this._player;
+        if (!player) return 0;
+        
+        let total = player.inventory ? player.inventory.getSetSkillModifier(skillName, modifier) : 0;
+        
+        // Selected buffs are stored on the player's skill as a map of buff names
+        const skill = player.skills ? player.skills.getSkills().find(s => s.name === skillName) : null;
+        const buffs = SKILL_TREES[skillName] ? SKILL_TREES[skillName].buffs : null;
+        if (skill && skill.buffs && buffs) {
+            Object.keys(skill.buffs).forEach(buffName => {
+                const buff = buffs[buffName];
+                if (skill.buffs[buffName] && buff && buff.modifiers) {
+                    total += buff.modifiers[modifier] || 0;
+                }
+            });
+        }
+        
+        return total;
+    }
+    
+    /**
+     * Get the cooldown of a skill after skill-tree buffs and cooldown reduction
+     * @param {Object} skill - The skill, with its name and base cooldown in seconds
+     * @returns {number} Cooldown in seconds
+     */
+    getSkillCooldown(skill) {
+        const reduction = Math.min(
+            this.getDerivedStat('cooldownReduction') + this.getSkillModifier(skill.name, 'cooldownReduction'),
+            DERIVED_STATS.caps.cooldownReduction
+        );
+        const cooldown = Math.max(0, skill.cooldown - this.getSkillModifier(skill.name, 'cooldown'));
+        return cooldown * (1 - reduction / 100);
+    }
+    
+    /**
+     * Get the starting value of a derived stat
+     * @param {string} statName - Derived stat name
+     * @returns {number} Base value in percent
+     * @private
+     */
+    getBaseDerivedStat(statName) {
+        switch (statName) {
+            case 'critChance':
+                return COMBAT_BALANCE.player.baseCritChance * 100;
+            case 'critDamage':
+                return COMBAT_BALANCE.player.critDamageMultiplier * 100;
+            default:
+                return 0;
+        }
+    }
+    
+    /**
+     * Check whether a stat is a derived stat rather than a property of the player
+     * @param {string} statName - Stat name
+     * @returns {boolean} Whether the stat is derived
+     * @private
+     */
+    isDerivedStat(statName) {
+        return DERIVED_STAT_NAMES.includes(statName);
+    }
+    
+    /**
+     * Get the total of the active temporary boosts of a derived stat
+     * @param {string} statName - Derived stat name
+     * @returns {number} Total in percentage points
+     * @private
+     */
+    getTemporaryBoostTotal(statName) {
+        const statBoosts = this.temporaryBoosts[statName];
+        if (!statBoosts) return 0;
+        
+        return statBoosts.boosts
+            .filter(boost => boost.remainingTime > 0)
+            .reduce((total, boost) => total + boost.amount * 100, 0);
+    }
+    
     // Setters
     /**
      * Set health points, clamped between 0 and maxHealth
      * @param {number} value - New health value
      */
     setHealth(value) {
-        this.health = Math.max(0, Math.min(value, this.maxHealth));
+        this.health = Math.max(0, Math.min(value, this.getMaxHealth()));
     }
     
     /**
@@ -165,7 +385,7 @@ export class PlayerStats {
      */
     heal(amount) {
         const oldHealth = this.health;
-        this.health = Math.min(this.health + amount, this.maxHealth);
+        this.health = Math.min(this.health + amount, this.getMaxHealth());
         return this.health - oldHealth;
     }
     
@@ -174,7 +394,7 @@ export class PlayerStats {
      * @param {number} value - New mana value
      */
     setMana(value) {
-        this.mana = Math.max(0, Math.min(value, this.maxMana));
+        this.mana = Math.max(0, Math.min(value, this.getMaxMana()));
     }
     
     /**
@@ -220,17 +440,19 @@ export class PlayerStats {
         this.attackPower += LEVEL_UP_STAT_INCREASES.attackPower;
         
         // Restore health and mana
-        this.health = this.maxHealth;
-        this.mana = this.maxMana;
+        this.health = this.getMaxHealth();
+        this.mana = this.getMaxMana();
         
         return this.level;
     }
     
     /**
      * Add a temporary boost to a stat
-     * @param {string} statName - The name of the stat to boost (e.g., 'movementSpeed', 'attackPower')
+     * Boosts of derived stats add their amount as percentage points instead, e.g. 0.1 for +10% critical chance
+     * @param {string} statName - The name of the stat to boost (e.g., 'movementSpeed', 'attackPower', 'critChance')
      * @param {number} amount - The amount to boost by (e.g., 0.3 for 30% increase)
      * @param {number} duration - Duration of the boost in seconds
+     * @returns {TemporaryBoost} The boost, whose remaining time counts down until it expires
      */
     addTemporaryBoost(statName, amount, duration) {
         // Store the original value if this is a new boost
@@ -255,6 +477,8 @@ export class PlayerStats {
         this.applyBoosts(statName);
         
         console.debug(`Added temporary boost to ${statName}: +${amount} for ${duration} seconds`);
+        
+        return boost;
     }
     
     /**
@@ -262,7 +486,8 @@ export class PlayerStats {
      * @param {string} statName - The name of the stat to apply boosts for
      */
     applyBoosts(statName) {
-        if (!this.temporaryBoosts[statName]) return;
+        // Derived stats add their boosts when they are read
+        if (!this.temporaryBoosts[statName] || this.isDerivedStat(statName)) return;
         
         // Reset to original value
         this[statName] = this.temporaryBoosts[statName].originalValue;
@@ -307,7 +532,9 @@ export class PlayerStats {
                 
                 // If no more boosts for this stat, revert to original value
                 if (statBoosts.boosts.length === 0) {
-                    this[statName] = statBoosts.originalValue;
+                    if (!this.isDerivedStat(statName)) {
+                        this[statName] = statBoosts.originalValue;
+                    }
                     delete this.temporaryBoosts[statName];
                 } else {
                     // Otherwise, reapply the remaining boosts
@@ -327,19 +554,21 @@ export class PlayerStats {
         // Update temporary boosts
         this.updateTemporaryBoosts(delta);
         
-        // Regenerate health using game balance settings
-        if (this.health < this.maxHealth) {
-            this.health += delta * RESOURCE_REGENERATION.health;
-            if (this.health > this.maxHealth) {
-                this.health = this.maxHealth;
+        // Regenerate health using game balance settings, raised by the health regen bonus (in percent)
+        const maxHealth = this.getMaxHealth();
+        if (this.health < maxHealth) {
+            this.health += delta * RESOURCE_REGENERATION.health * (1 + this.getDerivedStat('healthRegen') / 100);
+            if (this.health > maxHealth) {
+                this.health = maxHealth;
             }
         }
         
-        // Regenerate mana using game balance settings
-        if (this.mana < this.maxMana) {
-            this.mana += delta * RESOURCE_REGENERATION.mana;
-            if (this.mana > this.maxMana) {
-                this.mana = this.maxMana;
+        // Regenerate mana using game balance settings, raised by the mana regen bonus (in percent)
+        const maxMana = this.getMaxMana();
+        if (this.mana < maxMana) {
+            this.mana += delta * RESOURCE_REGENERATION.mana * (1 + this.getDerivedStat('manaRegen') / 100);
+            if (this.mana > maxMana) {
+                this.mana = maxMana;
             }
         }
     }
@@ -187,7 +187,7 @@ export class BreathOfHeavenEffect extends SkillEffect {
         const player = this.skill.game.player;
         if (player && player.stats) {
             const healAmount = this.skill.healing || 10; // Default to 10 if not specified
-            player.stats.heal(healAmount);
+            player.heal(healAmount);
             
             // Show healing effect using the EffectsManager
             if (this.skill.game.effectsManager) {
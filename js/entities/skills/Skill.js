@@ -242,6 +242,28 @@ export class Skill {
      * @returns {number} - The damage value
      */
     getDamage() {
+        let damage = this.getExpectedDamage();
+        
+        if (this.game && this.game.player) {
+            const player = this.game.player;
+            
+            // Apply small random variation (±10%)
+            const variation = damage * 0.2 * (Math.random() - 0.5);
+            damage += variation;
+            
+            // Round to integer
+            damage = Math.round(damage);
+            console.debug(`Calculated skill damage: ${damage} (base: ${this.damage}, attackPower: ${player.stats.getAttackPower()}, strength: ${player.stats.strength})`);
+        }
+        
+        return damage;
+    }
+    
+    /**
+     * Get the damage of the skill with the player's current stats and gear, before random variation
+     * @returns {number} - The unrounded damage value
+     */
+    getExpectedDamage() {
         // Base damage from skill configuration
         let damage = this.damage;
         
@@ -264,11 +286,6 @@ export class Skill {
                 // Check if the weapon has the getStat method before calling it
                 if (typeof equipment.weapon.getStat === 'function') {
                     damage += equipment.weapon.getStat('damage') || 0;
-                    
-                    // Apply elemental bonuses if matching
-                    if (this.element && equipment.weapon.getStat(`${this.element}Damage`)) {
-                        damage *= (1 + (equipment.weapon.getStat(`${this.element}Damage`) / 100));
-                    }
                 } else if (equipment.weapon.baseStats && equipment.weapon.baseStats.damage) {
                     // Fallback to directly accessing baseStats if getStat is not available
                     damage += equipment.weapon.baseStats.damage;
@@ -311,16 +328,21 @@ export class Skill {
                 }
             }
             
+            // Add skill damage bonuses from equipped item sets and skill-tree buffs
+            skillDamageBonus += player.stats.getSkillModifier(this.name, 'damage');
+            
             // Apply skill damage bonus
             damage *= (1 + (skillDamageBonus / 100));
             
-            // Apply small random variation (±10%)
-            const variation = damage * 0.2 * (Math.random() - 0.5);
-            damage += variation;
+            // Apply the damage bonus from temporary boosts
+            damage *= (1 + (player.stats.getDerivedStat('damageBonus') / 100));
             
-            // Round to integer
-            damage = Math.round(damage);
-            console.debug(`Calculated skill damage: ${damage} (base: ${this.damage}, attackPower: ${player.stats.getAttackPower()}, strength: ${player.stats.strength})`);
+            // Apply elemental damage from gear; skills without an element of their own can take on
+            // the weapon's element from item effects
+            const element = this.element || (player.itemEffects ? player.itemEffects.getAdaptedElement() : null);
+            if (element) {
+                damage *= (1 + (player.stats.getElementalDamage(element) / 100));
+            }
         }
 
         return damage;
@@ -380,9 +402,10 @@ export class Skill {
     
     /**
      * Start the skill's cooldown
+     * @param {number} [cooldown] - Cooldown in seconds after reductions, defaults to the skill's cooldown
      */
-    startCooldown() {
-        this.currentCooldown = this.cooldown;
+    startCooldown(cooldown = this.cooldown) {
+        this.currentCooldown = cooldown;
     }
     
     /**
@@ -235,8 +235,8 @@ export class InfusedWithLightEffect extends BreathOfHeavenEffect {
         
         const player = this.skill.game.player;
         if (player && player.stats) {
-            // Apply the damage boost
-            player.stats.addTemporaryBoost('damage', this.damageBoostMultiplier, this.damageBoostDuration);
+            // Apply the damage boost to the derived damage bonus
+            player.stats.addTemporaryBoost('damageBonus', this.damageBoostMultiplier - 1, this.damageBoostDuration);
             
             // Show a notification if available
             if (this.skill.game.hudManager && this.skill.game.hudManager.showNotification) {
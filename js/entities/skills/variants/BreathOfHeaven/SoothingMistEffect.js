@@ -245,7 +245,7 @@ export class SoothingMistEffect extends BreathOfHeavenEffect {
         const player = this.skill.game.player;
         if (player && player.stats && this.healOverTime) {
             const healAmount = (this.skill.healing || 10) * 0.4; // 40% of normal healing per tick
-            player.stats.heal(healAmount);
+            player.heal(healAmount);
             
             // Show healing effect using the EffectsManager
             if (this.skill.game.effectsManager) {
@@ -349,7 +349,7 @@ export class SanctifiedGroundEffect extends InnerSanctuaryEffect {
             if (distance <= radius) {
                 // Apply healing
                 const healAmount = this.healingPerSecond * this.healingInterval;
-                player.stats.heal(healAmount);
+                player.heal(healAmount);
                 
                 // Create healing visual effect
                 this.createHealingVisualEffect(playerPosition);
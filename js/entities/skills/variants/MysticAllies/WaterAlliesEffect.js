@@ -469,7 +469,7 @@ export class WaterAlliesEffect extends MysticAllyEffect {
             if (distance <= this.healingRadius) {
                 // Apply healing
                 const healAmount = this.healingPerSecond * this.healingInterval;
-                player.stats.heal(healAmount);
+                player.heal(healAmount);
                 
                 // Create healing visual effect
                 this.createHealingVisualEffect(playerPosition);
@@ -23,6 +23,12 @@ import { InteractionSystem } from '../interaction/InteractionSystem.js';
 import { MultiplayerManager } from '../multiplayer/MultiplayerManager.js';
 import { ItemGenerator } from '../entities/items/ItemGenerator.js';
 import { ItemDropManager } from '../entities/items/ItemDropManager.js';
+import { SharedStash } from '../entities/items/SharedStash.js';
+import { MerchantManager } from '../entities/items/MerchantManager.js';
+import { CraftingManager } from '../entities/items/CraftingManager.js';
+import { ItemComparison } from '../entities/items/ItemComparison.js';
+import { LootFilter } from '../entities/items/LootFilter.js';
+import { LegendaryCodex } from '../entities/items/LegendaryCodex.js';
 import { STORAGE_KEYS } from '../config/storage-keys.js';
 
 /**
@@ -53,6 +59,12 @@ import { STORAGE_KEYS } from '../config/storage-keys.js';
  * @property {QuestManager} questManager - Manages game quests and objectives
  * @property {AudioManager} audioManager - Manages sound effects and music
  * @property {SaveManager} saveManager - Handles saving and loading game state
+ * @property {SharedStash} stash - Item storage shared by every hero on this device
+ * @property {MerchantManager} merchantManager - Stock of the village merchants, buying, selling and buyback
+ * @property {CraftingManager} craftingManager - Salvaging items into materials and crafting at the crafting bench
+ * @property {ItemComparison} itemComparison - Compares items with the equipped gear
+ * @property {LootFilter} lootFilter - The player's loot rules and this session's drop counts
+ * @property {number} gameTime - Seconds of unpaused play for the current hero
  * @property {string} difficulty - Current game difficulty setting
  * @property {MenuManager} menuManager - Manages game menus and UI screens
  * @property {number} _lastMemoryLog - Timestamp of the last memory usage log
@@ -66,6 +78,9 @@ export class Game {
         // Flag to prevent multiple animation loops
         this.animationLoopStarted = false;
         
+        // Seconds of unpaused play, restored from and stored in the active save slot
+        this.gameTime = 0;
+        
         // Initialize sub-systems
         this.state = new GameState();
         this.events = new GameEvents();
@@ -143,9 +158,24 @@ export class Game {
             this.scene.background = new THREE.Color(0x5a6d7e); // Darker blue-gray sky color
             // Fog will be managed by FogManager
             
+            // Initialize loot filter, which the item drop manager applies to loot
+            this.lootFilter = new LootFilter();
+            
             // Initialize item drop manager
             this.itemDropManager = new ItemDropManager(this.scene, this);
             
+            // Initialize merchant manager
+            this.merchantManager = new MerchantManager(this);
+            
+            // Initialize crafting manager
+            this.craftingManager = new CraftingManager(this);
+            
+            // Initialize item comparison
+            this.itemComparison = new ItemComparison(this);
+            
+            // Initialize legendary codex, which unlocks skill-tree variants
+            this.legendaryCodex = new LegendaryCodex(this);
+            
             // Initialize camera
             this.camera = new THREE.PerspectiveCamera(
                 75, 
@@ -214,6 +244,7 @@ export class Game {
             
             // Initialize quest manager
             this.questManager = new QuestManager(this);
+            await this.questManager.init();
             
             this.updateLoadingProgress(90, 'Loading audio...', 'Initializing sound effects and music');
             
@@ -223,6 +254,9 @@ export class Game {
             
             this.updateLoadingProgress(95, 'Setting up save system...', 'Initializing game save functionality');
             
+            // Initialize the shared stash, filled from storage by the save manager
+            this.stash = new SharedStash();
+            
             // Initialize save manager
             this.saveManager = new SaveManager(this);
             await this.saveManager.init();
@@ -679,6 +713,9 @@ export class Game {
             return;
         }
         
+        // Track play time for save slots
+        this.gameTime += delta;
+        
         // Update input handler for continuous skill casting
         this.inputHandler.update(delta);
         
@@ -698,6 +735,11 @@ export class Game {
             this.itemDropManager.update(delta);
         }
         
+        // Update location and time based quest objectives
+        if (this.questManager) {
+            this.questManager.update(delta);
+        }
+        
         // Check collisions
         this.collisionManager.update();
         
@@ -0,0 +1,49 @@
+import { UIComponent } from '../UIComponent.js';
+
+/**
+ * Buffs UI component
+ * Displays the active buffs from consumables with their remaining time
+ */
+export class BuffsUI extends UIComponent {
+    /**
+     * Create a new BuffsUI component
+     * @param {Object} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('buff-bar', game);
+        this.lastTemplate = '';
+    }
+    
+    /**
+     * Update the buff bar
+     * The bar is only rendered again when a buff or its shown time changes.
+     */
+    update() {
+        const buffs = this.game.player.consumables.getActiveBuffs();
+        const template = buffs.map(buff => `
+            <div class="buff" title="${buff.name}: ${buff.description}">
+                <div class="buff-icon">${buff.icon}</div>
+                <div class="buff-time">${this.formatTime(buff.remainingTime)}</div>
+                <div class="buff-progress" style="width: ${Math.round((buff.remainingTime / buff.duration) * 100)}%"></div>
+            </div>
+        `).join('');
+        
+        if (template !== this.lastTemplate) {
+            this.lastTemplate = template;
+            this.render(template);
+        }
+    }
+    
+    /**
+     * Format a remaining time, e.g. "45s" or "4:30"
+     * @param {number} seconds - Remaining time in seconds
+     * @returns {string} The formatted time
+     */
+    formatTime(seconds) {
+        const wholeSeconds = Math.ceil(seconds);
+        if (wholeSeconds < 60) {
+            return `${wholeSeconds}s`;
+        }
+        return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+    }
+}
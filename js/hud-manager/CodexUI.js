@@ -0,0 +1,116 @@
+import { UIComponent } from '../UIComponent.js';
+import { getItemTemplatesByType } from '../config/item-templates.js';
+
+/**
+ * Legendary codex UI component
+ * Lists every legendary by the skill whose variant it unlocks, showing which ones the hero has discovered.
+ * It can be opened from the skill tree, so the game is only paused and resumed if it was running.
+ */
+export class CodexUI extends UIComponent {
+    /**
+     * Create a new CodexUI component
+     * @param {Object} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('codex', game);
+        this.isCodexOpen = false;
+        this.pausedGame = false;
+        
+        // Header and list elements
+        this.progressElement = null;
+        this.entriesContainer = null;
+    }
+    
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        // Store references to elements we need to update
+        this.progressElement = document.getElementById('codex-progress');
+        this.entriesContainer = document.getElementById('codex-container');
+        
+        // Add click event to close the codex
+        const closeButton = document.getElementById('codex-close');
+        closeButton.addEventListener('click', () => {
+            this.close();
+        });
+        
+        // Hide initially
+        this.hide();
+        
+        return true;
+    }
+    
+    /**
+     * Show the codex
+     */
+    open() {
+        this.renderCodex();
+        
+        if (!this.isCodexOpen) {
+            this.show();
+            this.isCodexOpen = true;
+            
+            // Pause game unless a menu such as the skill tree already did
+            this.pausedGame = !this.game.isPaused;
+            if (this.pausedGame) {
+                this.game.pause(false);
+            }
+        }
+    }
+    
+    /**
+     * Close the codex
+     */
+    close() {
+        if (!this.isCodexOpen) return;
+        
+        this.hide();
+        this.isCodexOpen = false;
+        
+        // Resume game if the codex paused it
+        if (this.pausedGame) {
+            this.pausedGame = false;
+            this.game.resume(false);
+        }
+    }
+    
+    /**
+     * Render the discovered count and the legendaries of every skill
+     */
+    renderCodex() {
+        const codex = this.game.legendaryCodex;
+        
+        this.progressElement.textContent = `${codex.getDiscoveredCount()} / ${codex.getTotalCount()} discovered`;
+        
+        this.entriesContainer.innerHTML = codex.getEntries().map(({ skill, legendaries }) => `
+            <div class="codex-section">
+                <h3>${skill}</h3>
+                <div class="codex-entries">
+                    ${legendaries.map(legendary => this.renderEntry(legendary)).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Render a legendary
+     * @param {Object} legendary - The legendary with its discovered flag
+     * @returns {string} - HTML of the entry
+     */
+    renderEntry(legendary) {
+        const template = getItemTemplatesByType(legendary.type, legendary.subType)[0];
+        const icon = legendary.discovered ? (template ? template.icon : '✨') : '🔒';
+        
+        return `
+            <div class="codex-entry ${legendary.discovered ? 'discovered' : ''}" title="${legendary.discovered ? 'Discovered' : 'Not discovered yet'}">
+                <div class="codex-entry-icon">${icon}</div>
+                <div class="codex-entry-details">
+                    <div class="codex-entry-name">${legendary.name}</div>
+                    <div class="codex-entry-info">Legendary ${legendary.subType} · Unlocks ${legendary.variant}</div>
+                </div>
+            </div>
+        `;
+    }
+}
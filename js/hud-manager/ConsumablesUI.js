@@ -0,0 +1,122 @@
+import { UIComponent } from '../UIComponent.js';
+import { getQuickSlotKeyLabel } from '../config/input.js';
+
+/**
+ * Consumables UI component
+ * Displays the consumable quick slots next to the skills, with their stack sizes and cooldowns
+ */
+export class ConsumablesUI extends UIComponent {
+    /**
+     * Create a new ConsumablesUI component
+     * @param {Object} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('consumables-container', game);
+        this.slotButtons = [];
+    }
+    
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        const quickSlots = this.game.player.consumables.getQuickSlots();
+        
+        this.render(quickSlots.map((slot, index) => `
+            <div class="quick-slot" data-slot-index="${index}">
+                <div class="quick-slot-icon"></div>
+                <div class="quick-slot-count"></div>
+                <div class="quick-slot-key">${getQuickSlotKeyLabel(index)}</div>
+                <div class="quick-slot-cooldown"></div>
+            </div>
+        `).join(''));
+        
+        this.slotButtons = [...this.container.querySelectorAll('.quick-slot')];
+        this.slotButtons.forEach((button, index) => {
+            // Prevent zoom on double tap
+            button.style.touchAction = 'manipulation';
+            
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.useSlot(index);
+            });
+            
+            // Touch uses the slot right away; preventing the default also keeps the click from firing
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.useSlot(index);
+            });
+            
+            // Right click empties the slot
+            button.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.game.player.consumables.clearQuickSlot(index);
+            });
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Use the consumable in a quick slot
+     * @param {number} index - Index of the quick slot
+     */
+    useSlot(index) {
+        if (this.game.isPaused) return;
+        
+        const button = this.slotButtons[index];
+        if (this.game.player.useQuickSlot(index) && button) {
+            // Add click animation
+            button.classList.add('quick-slot-activated');
+            setTimeout(() => {
+                button.classList.remove('quick-slot-activated');
+            }, 300);
+        }
+    }
+    
+    /**
+     * Update the quick slots' icons, stack sizes and cooldowns
+     */
+    update() {
+        const consumables = this.game.player.consumables;
+        
+        consumables.getQuickSlots().forEach((slot, index) => {
+            const button = this.slotButtons[index];
+            if (!button) return;
+            
+            const icon = button.querySelector('.quick-slot-icon');
+            const count = button.querySelector('.quick-slot-count');
+            const cooldownOverlay = button.querySelector('.quick-slot-cooldown');
+            
+            if (!slot) {
+                button.classList.add('empty-slot');
+                button.classList.remove('depleted');
+                button.title = 'Empty quick slot: choose "Quick Slot" on a consumable in the bag';
+                icon.textContent = '';
+                count.textContent = '';
+                cooldownOverlay.style.height = '0%';
+                icon.classList.remove('showing-cooldown');
+                return;
+            }
+            
+            const item = consumables.getQuickSlotItem(index);
+            button.classList.remove('empty-slot');
+            button.classList.toggle('depleted', !item);
+            button.title = `${slot.name} (right click to clear)`;
+            icon.textContent = slot.icon;
+            count.textContent = item ? item.amount || 1 : 0;
+            
+            // Consumables sharing a cooldown all show it
+            const remaining = item ? consumables.getCooldownRemaining(item) : 0;
+            const duration = item ? consumables.getCooldownDuration(item) : 0;
+            cooldownOverlay.style.height = `${duration > 0 ? (remaining / duration) * 100 : 0}%`;
+            if (remaining > 0.1) {
+                icon.setAttribute('data-cooldown', remaining.toFixed(1));
+                icon.classList.add('showing-cooldown');
+            } else {
+                icon.removeAttribute('data-cooldown');
+                icon.classList.remove('showing-cooldown');
+            }
+        });
+    }
+}
@@ -0,0 +1,275 @@
+import { UIComponent } from '../UIComponent.js';
+import { COMBAT_BALANCE } from '../config/game-balance.js';
+
+/**
+ * Crafting bench UI component
+ * Lists the gear the player wears and carries; the chosen item can have a secondary stat rerolled,
+ * its level upgraded or an enchant added, or be salvaged into materials.
+ */
+export class CraftingUI extends UIComponent {
+    /**
+     * Create a new CraftingUI component
+     * @param {Object} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('crafting', game);
+        this.isCraftingOpen = false;
+        this.selectedItem = null;
+        
+        // List and header elements
+        this.materialsElement = null;
+        this.itemsList = null;
+        this.detailsElement = null;
+    }
+    
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        // Store references to elements we need to update
+        this.materialsElement = document.getElementById('crafting-materials');
+        this.itemsList = document.getElementById('crafting-items');
+        this.detailsElement = document.getElementById('crafting-details');
+        
+        // Add click event to leave the bench
+        const closeButton = document.getElementById('crafting-close');
+        closeButton.addEventListener('click', () => {
+            this.close();
+        });
+        
+        // Hide initially
+        this.hide();
+        
+        return true;
+    }
+    
+    /**
+     * Show the crafting bench
+     */
+    open() {
+        this.selectedItem = null;
+        this.renderCrafting();
+        
+        if (!this.isCraftingOpen) {
+            this.show();
+            this.isCraftingOpen = true;
+            
+            // Pause game
+            this.game.pause(false);
+        }
+    }
+    
+    /**
+     * Leave the crafting bench
+     */
+    close() {
+        if (!this.isCraftingOpen) return;
+        
+        this.hide();
+        this.isCraftingOpen = false;
+        this.selectedItem = null;
+        
+        // Resume game
+        this.game.resume(false);
+    }
+    
+    /**
+     * Get the items that can be worked on, equipped items first
+     * @returns {Object[]} - Equipped and carried weapons, armor and accessories
+     */
+    getCraftableItems() {
+        const player = this.game.player;
+        const equipped = Object.values(player.getEquipment()).filter(item => item);
+        return [...equipped, ...player.getInventory()]
+            .filter(item => this.game.craftingManager.isCraftable(item));
+    }
+    
+    /**
+     * Redraw the materials, the item list and the chosen item
+     */
+    renderCrafting() {
+        const craftingManager = this.game.craftingManager;
+        
+        // Materials and gold carried
+        const materials = Object.entries(COMBAT_BALANCE.items.materials)
+            .map(([materialKey, material]) => `<span title="${material.name}">${material.icon} ${craftingManager.getMaterialCount(materialKey)}</span>`);
+        materials.push(`<span title="Gold">💰 ${this.game.player.getGold()}</span>`);
+        this.materialsElement.innerHTML = materials.join(' ');
+        
+        const items = this.getCraftableItems();
+        
+        // Forget an item that was salvaged or dropped in the meantime
+        if (!items.includes(this.selectedItem)) {
+            this.selectedItem = null;
+        }
+        
+        this.itemsList.innerHTML = '';
+        if (items.length === 0) {
+            const emptyElement = document.createElement('div');
+            emptyElement.className = 'crafting-empty';
+            emptyElement.textContent = 'You have no gear to work on';
+            this.itemsList.appendChild(emptyElement);
+        }
+        items.forEach(item => {
+            this.itemsList.appendChild(this.createItemRow(item));
+        });
+        
+        this.renderDetails();
+    }
+    
+    /**
+     * Create the row for an item in the item list
+     * @param {Object} item - The item
+     * @returns {HTMLElement} - The row element
+     */
+    createItemRow(item) {
+        const rowElement = document.createElement('div');
+        rowElement.className = `crafting-item${item === this.selectedItem ? ' selected' : ''}`;
+        
+        const isEquipped = Object.values(this.game.player.getEquipment()).includes(item);
+        const amount = item.amount > 1 ? ` x${item.amount}` : '';
+        rowElement.innerHTML = `
+            <div class="item-icon">${item.icon || '📦'}</div>
+            <div class="crafting-item-details">
+                <div class="crafting-item-name item-${item.rarity || 'common'}">${item.name}${amount}</div>
+                <div class="crafting-item-info">Level ${item.level || 1} ${item.rarity || 'common'} ${item.subType || item.type}${isEquipped ? ' (equipped)' : ''}</div>
+            </div>
+        `;
+        
+        rowElement.addEventListener('click', () => {
+            this.selectedItem = item;
+            this.renderCrafting();
+        });
+        
+        return rowElement;
+    }
+    
+    /**
+     * Show the chosen item with the operations that can be done on it
+     */
+    renderDetails() {
+        const item = this.selectedItem;
+        this.detailsElement.innerHTML = '';
+        
+        if (!item) {
+            this.detailsElement.innerHTML = '<div class="crafting-empty">Choose an item to work on</div>';
+            return;
+        }
+        
+        const craftingManager = this.game.craftingManager;
+        const headerElement = document.createElement('div');
+        headerElement.className = 'crafting-selected';
+        headerElement.innerHTML = `
+            <div class="item-icon">${item.icon || '📦'}</div>
+            <div class="crafting-item-details">
+                <div class="crafting-item-name item-${item.rarity || 'common'}">${item.name}</div>
+                <div class="crafting-item-info">Level ${item.level || 1} ${item.rarity || 'common'} ${item.subType || item.type}</div>
+            </div>
+        `;
+        this.detailsElement.appendChild(headerElement);
+        
+        // Secondary stats, each of which can be rerolled
+        const secondaryStats = item.processedSecondaryStats || item.secondaryStats || [];
+        const statsElement = document.createElement('div');
+        statsElement.className = 'crafting-stats';
+        if (secondaryStats.length === 0) {
+            statsElement.innerHTML = '<div class="crafting-empty">No secondary stats to reroll</div>';
+        }
+        secondaryStats.forEach((stat, index) => {
+            const label = `${stat.element ? `${stat.element} ` : ''}${stat.type.replace(/([A-Z])/g, ' $1').toLowerCase()}`;
+            const enchanted = (item.secondaryStats[index] || {}).enchanted ? ' <span class="crafting-enchanted">(enchanted)</span>' : '';
+            statsElement.appendChild(this.createActionRow(
+                `+${stat.value} ${label}${enchanted}`,
+                'Reroll',
+                craftingManager.getCost('reroll', item),
+                () => craftingManager.reroll(item, index)
+            ));
+        });
+        this.detailsElement.appendChild(statsElement);
+        
+        // Operations on the whole item
+        const actionsElement = document.createElement('div');
+        actionsElement.className = 'crafting-actions';
+        
+        const canUpgrade = (item.level || 1) < craftingManager.getMaxUpgradeLevel();
+        actionsElement.appendChild(this.createActionRow(
+            canUpgrade ? `Upgrade to level ${(item.level || 1) + 1}` : `Upgraded as far as your level allows`,
+            'Upgrade',
+            craftingManager.getCost('upgrade', item),
+            () => craftingManager.upgrade(item),
+            !canUpgrade
+        ));
+        
+        const isEnchanted = this.game.itemGenerator.isEnchanted(item);
+        actionsElement.appendChild(this.createActionRow(
+            isEnchanted ? 'Already enchanted' : 'Enchant with an extra stat',
+            'Enchant',
+            craftingManager.getCost('enchant', item),
+            () => craftingManager.enchant(item),
+            isEnchanted
+        ));
+        
+        // Only carried gear can be salvaged
+        if (this.game.player.getInventory().includes(item)) {
+            const yields = COMBAT_BALANCE.items.salvageYields[item.rarity] || COMBAT_BALANCE.items.salvageYields.common;
+            const yieldText = Object.entries(yields)
+                .map(([materialKey, [min, max]]) => `${min === max ? min : `${min}-${max}`} ${COMBAT_BALANCE.items.materials[materialKey].name}`)
+                .join(', ');
+            actionsElement.appendChild(this.createActionRow(
+                `Salvage into ${yieldText}`,
+                'Salvage',
+                null,
+                () => this.confirmSalvage(item) && craftingManager.salvage(item)
+            ));
+        }
+        
+        this.detailsElement.appendChild(actionsElement);
+    }
+    
+    /**
+     * Create a row with a description, the cost and an action button
+     * @param {string} description - HTML describing the operation
+     * @param {string} action - Label of the action button
+     * @param {Object|null} cost - Crafting cost, or null if the operation is free
+     * @param {Function} onSelect - Does the operation and returns the crafted item, if any
+     * @param {boolean} [disabled] - Whether the operation can't be done on this item
+     * @returns {HTMLElement} - The row element
+     */
+    createActionRow(description, action, cost, onSelect, disabled = false) {
+        const craftingManager = this.game.craftingManager;
+        const rowElement = document.createElement('div');
+        rowElement.className = 'crafting-action';
+        rowElement.innerHTML = `
+            <div class="crafting-action-description">${description}</div>
+            <div class="crafting-action-cost">${cost ? craftingManager.formatCost(cost) : ''}</div>
+        `;
+        
+        const actionButton = document.createElement('button');
+        actionButton.className = 'crafting-action-button';
+        actionButton.textContent = action;
+        actionButton.disabled = disabled || (cost !== null && !craftingManager.canAfford(cost));
+        actionButton.addEventListener('click', () => {
+            const craftedItem = onSelect();
+            
+            // Keep working on the crafted item, which has taken the original's place
+            if (craftedItem && !Array.isArray(craftedItem)) {
+                this.selectedItem = craftedItem;
+            }
+            this.renderCrafting();
+        });
+        rowElement.appendChild(actionButton);
+        
+        return rowElement;
+    }
+    
+    /**
+     * Ask before salvaging a legendary or better item
+     * @param {Object} item - The item to salvage
+     * @returns {boolean} - Whether to go ahead with salvaging
+     */
+    confirmSalvage(item) {
+        const isLegendaryOrHigher = item.rarity === 'legendary' || item.rarity === 'mythic' || item.rarity === 'artifact';
+        return !isLegendaryOrHigher || confirm(`Are you sure you want to salvage ${item.name}? This is a ${item.rarity} item!`);
+    }
+}
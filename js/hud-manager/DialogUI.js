@@ -2,7 +2,7 @@ import { UIComponent } from '../UIComponent.js';
 
 /**
  * Dialog UI component
- * Displays dialog boxes with text and continue button
+ * Displays dialog boxes with text and either a continue prompt or a set of choices
  */
 export class DialogUI extends UIComponent {
     /**
@@ -13,8 +13,13 @@ export class DialogUI extends UIComponent {
         super('dialog-box', game);
         this.dialogText = null;
         this.dialogContinue = null;
+        this.dialogChoices = null;
+        this.choices = [];
         this.isDialogOpen = false;
         this.game = game;
+        
+        // Dialogs waiting for an open dialog with choices to be answered
+        this.queue = [];
     }
     
     /**
@@ -25,10 +30,13 @@ export class DialogUI extends UIComponent {
         // Store references to elements we need to update
         this.dialogText = document.getElementById('dialog-text');
         this.dialogContinue = document.getElementById('dialog-continue');
+        this.dialogChoices = document.getElementById('dialog-choices');
         
-        // Add click event to close dialog
+        // Add click event to close dialog; a dialog with choices stays open until one is picked
         this.container.addEventListener('click', () => {
-            this.hideDialog();
+            if (this.choices.length === 0) {
+                this.hideDialog();
+            }
         });
         
         // Hide initially
@@ -39,13 +47,29 @@ export class DialogUI extends UIComponent {
     
     /**
      * Show a dialog with title and text
+     * A dialog with choices is never replaced: dialogs shown while it is open wait until a choice is picked
      * @param {string} title - Dialog title
      * @param {string} text - Dialog text
+     * @param {Function|Array<{label: string, onSelect?: Function}>} [choices] - Choices to offer; a single
+     *        callback offers Accept (calling it) and Decline
      */
-    showDialog(title, text) {
+    showDialog(title, text, choices = null) {
+        if (this.isDialogOpen && this.choices.length > 0) {
+            this.queue.push({ title, text, choices });
+            return;
+        }
+        
         // Update dialog text
         this.dialogText.innerHTML = `<h3>${title}</h3><p>${text}</p>`;
         
+        if (typeof choices === 'function') {
+            choices = [
+                { label: 'Accept', onSelect: choices },
+                { label: 'Decline' }
+            ];
+        }
+        this.renderChoices(choices || []);
+        
         // Show dialog box
         this.show();
         this.isDialogOpen = true;
@@ -56,6 +80,31 @@ export class DialogUI extends UIComponent {
         console.debug('Dialog opened:', title);
     }
     
+    /**
+     * Show the choice buttons, or the continue prompt if there are none
+     * @param {Array<{label: string, onSelect?: Function}>} choices - Choices to offer
+     * @private
+     */
+    renderChoices(choices) {
+        this.choices = choices;
+        this.dialogChoices.innerHTML = '';
+        this.dialogContinue.style.display = choices.length > 0 ? 'none' : '';
+        
+        choices.forEach(choice => {
+            const button = document.createElement('button');
+            button.className = 'dialog-choice';
+            button.textContent = choice.label;
+            button.addEventListener('click', event => {
+                event.stopPropagation();
+                this.hideDialog();
+                if (choice.onSelect) {
+                    choice.onSelect();
+                }
+            });
+            this.dialogChoices.appendChild(button);
+        });
+    }
+    
     /**
      * Hide the dialog
      */
@@ -63,10 +112,17 @@ export class DialogUI extends UIComponent {
         // Hide dialog box
         this.hide();
         this.isDialogOpen = false;
+        this.choices = [];
         
         // Resume game
         this.game.resume(false);
         
         console.debug('Dialog closed');
+        
+        // Show the next dialog that was waiting
+        if (this.queue.length > 0) {
+            const { title, text, choices } = this.queue.shift();
+            this.showDialog(title, text, choices);
+        }
     }
 }
\ No newline at end of file
@@ -1,8 +1,14 @@
 import { PlayerUI } from './PlayerUI.js';
 import { EnemyUI } from './EnemyUI.js';
 import { SkillsUI } from './SkillsUI.js';
+import { ConsumablesUI } from './ConsumablesUI.js';
+import { BuffsUI } from './BuffsUI.js';
 import { DialogUI } from './DialogUI.js';
 import { InventoryUI } from './InventoryUI.js';
+import { StashUI } from './StashUI.js';
+import { MerchantUI } from './MerchantUI.js';
+import { CraftingUI } from './CraftingUI.js';
+import { CodexUI } from './CodexUI.js';
 import { SkillTreeUI } from './SkillTreeUI.js';
 import { SkillSelectionUI } from './SkillSelectionUI.js';
 import { VirtualJoystickUI } from './VirtualJoystickUI.js';
@@ -97,6 +103,14 @@ export class HUDManager {
         this.components.skillsUI = new SkillsUI(this.game);
         this.components.skillsUI.init();
         
+        // Create consumable quick slots UI
+        this.components.consumablesUI = new ConsumablesUI(this.game);
+        this.components.consumablesUI.init();
+        
+        // Create buffs UI
+        this.components.buffsUI = new BuffsUI(this.game);
+        this.components.buffsUI.init();
+        
         // Create dialog UI
         this.components.dialogUI = new DialogUI(this.game);
         this.components.dialogUI.init();
@@ -105,6 +119,22 @@ export class HUDManager {
         this.components.inventoryUI = new InventoryUI(this.game);
         this.components.inventoryUI.init();
         
+        // Create stash UI
+        this.components.stashUI = new StashUI(this.game);
+        this.components.stashUI.init();
+        
+        // Create merchant UI
+        this.components.merchantUI = new MerchantUI(this.game);
+        this.components.merchantUI.init();
+        
+        // Create crafting UI
+        this.components.craftingUI = new CraftingUI(this.game);
+        this.components.craftingUI.init();
+        
+        // Create legendary codex UI
+        this.components.codexUI = new CodexUI(this.game);
+        this.components.codexUI.init();
+        
         // Create skill tree UI
         this.components.skillTreeUI = new SkillTreeUI(this.game);
         this.components.skillTreeUI.init();
@@ -160,6 +190,10 @@ export class HUDManager {
         // Update skills UI
         this.components.skillsUI.update(delta);
         
+        // Update consumable quick slots and buffs UI
+        this.components.consumablesUI.update(delta);
+        this.components.buffsUI.update(delta);
+        
         // Update mini map UI
         this.components.miniMapUI.update(delta);
         
@@ -198,9 +232,10 @@ export class HUDManager {
      * Show a dialog with title and text
      * @param {string} title - Dialog title
      * @param {string} text - Dialog text
+     * @param {Function|Array<{label: string, onSelect?: Function}>} [choices] - Choices to offer, or an accept callback
      */
-    showDialog(title, text) {
-        this.components.dialogUI.showDialog(title, text);
+    showDialog(title, text, choices = null) {
+        this.components.dialogUI.showDialog(title, text, choices);
     }
     
     /**
@@ -225,6 +260,39 @@ export class HUDManager {
         this.components.inventoryUI.toggleInventory();
     }
     
+    /**
+     * Toggle shared stash visibility
+     */
+    toggleStash() {
+        this.components.stashUI.toggleStash();
+    }
+    
+    /**
+     * Show a merchant's wares
+     * @param {string} merchantId - Identifier of the merchant
+     */
+    openMerchant(merchantId) {
+        this.components.merchantUI.open(merchantId);
+    }
+    
+    /**
+     * Show the crafting bench
+     */
+    openCraftingBench() {
+        this.components.craftingUI.open();
+    }
+    
+    /**
+     * Toggle the legendary codex
+     */
+    toggleCodex() {
+        if (this.components.codexUI.isCodexOpen) {
+            this.components.codexUI.close();
+        } else {
+            this.components.codexUI.open();
+        }
+    }
+    
     /**
      * Toggle skill tree visibility
      */
@@ -279,6 +347,9 @@ export class HUDManager {
      */
     updateQuestLog(activeQuests) {
         this.components.questLogUI.updateQuestLog(activeQuests);
+        
+        // Redraw the minimap so tracked objectives follow quest progress even while the player stands still
+        this.components.miniMapUI.renderMiniMap();
     }
     
     /**
@@ -53,22 +53,26 @@ export class HomeButton extends UIComponent {
             // Add click event to show game menu
             this.container.addEventListener('click', () => {
                 if (this.game.saveManager) {
-                    // Force save the game
-                    if (this.game.saveManager.saveGame(true, true)) {
-                        console.debug("Game data saved successfully");
-                        
-                        // Show notification
-                        if (this.game.hudManager) {
-                            this.game.hudManager.showNotification('Game saved successfully', 2000, 'success');
+                    // Force save the game into the active hero slot
+                    this.game.saveManager.saveGame(true, true).then(success => {
+                        const slot = this.game.saveManager.getActiveSlot();
+                        const slotName = slot ? slot.name : 'hero';
+                        if (success) {
+                            console.debug(`Game data saved successfully to ${slotName}`);
+                            
+                            // Show notification
+                            if (this.game.hudManager) {
+                                this.game.hudManager.showNotification(`Game saved to ${slotName}`, 2000, 'success');
+                            }
+                        } else {
+                            console.error("Failed to save game data");
+                            
+                            // Show error notification
+                            if (this.game.hudManager) {
+                                this.game.hudManager.showNotification('Failed to save game', 3000, 'error');
+                            }
                         }
-                    } else {
-                        console.error("Failed to save game data");
-                        
-                        // Show error notification
-                        if (this.game.hudManager) {
-                            this.game.hudManager.showNotification('Failed to save game', 3000, 'error');
-                        }
-                    }
+                    });
                 } else {
                     console.error("Save manager not available");
                     alert('Save functionality is not available.');
@@ -5,6 +5,8 @@ import { PlayerState } from '../entities/player/PlayerState.js';
 import { ModelPreview } from '../menu-system/ModelPreview.js';
 import { ItemPreview } from '../menu-system/ItemPreview.js';
 import { updateAnimation } from '../utils/AnimationUtils.js';
+import { formatItemComparison } from '../utils/ItemComparisonUtils.js';
+import { getQuickSlotKeyLabel } from '../config/input.js';
 
 /**
  * Inventory UI component
@@ -20,6 +22,11 @@ export class InventoryUI extends UIComponent {
         this.inventoryGrid = null;
         this.isInventoryOpen = false;
         
+        // Bag capacity, search and filter controls
+        this.capacityElement = null;
+        this.searchElement = null;
+        this.filterElement = null;
+        
         // 3D model preview properties
         this.modelContainer = null;
         this.modelPreview = null; // ModelPreview instance
@@ -50,6 +57,18 @@ export class InventoryUI extends UIComponent {
         this.inventoryGrid = document.getElementById('inventory-grid');
         this.modelContainer = document.getElementById('character-model-container');
         this.statsOverlay = document.getElementById('player-stats-overlay');
+        this.capacityElement = document.getElementById('inventory-capacity');
+        this.searchElement = document.getElementById('inventory-search');
+        this.filterElement = document.getElementById('inventory-filter');
+        
+        // Redraw the bag when the search text or filter changes
+        this.searchElement.addEventListener('input', () => this.updateInventoryItems());
+        this.filterElement.addEventListener('change', () => this.updateInventoryItems());
+        
+        // Add click events to sort the bag
+        document.querySelectorAll('#inventory-sort button').forEach(button => {
+            button.addEventListener('click', () => this.sortInventory(button.dataset.sort));
+        });
         
         // Create item popup element
         this.createItemPopup();
@@ -119,10 +138,14 @@ export class InventoryUI extends UIComponent {
                 </div>
                 <div id="item-preview-container" class="item-preview-container"></div>
                 <div class="item-popup-stats"></div>
+                <div class="item-popup-set"></div>
+                <div class="item-popup-compare"></div>
                 <div class="item-popup-description"></div>
                 <div class="item-popup-actions">
                     <button class="item-popup-use">Consume</button>
+                    <button class="item-popup-quick-slot">Quick Slot</button>
                     <button class="item-popup-equip">Equip</button>
+                    <button class="item-popup-salvage">Salvage</button>
                     <button class="item-popup-drop">Drop</button>
                 </div>
             `;
@@ -150,6 +173,22 @@ export class InventoryUI extends UIComponent {
                 }
             });
             
+            const quickSlotButton = this.itemPopup.querySelector('.item-popup-quick-slot');
+            quickSlotButton.addEventListener('click', () => {
+                if (this.currentItem) {
+                    this.toggleQuickSlot(this.currentItem);
+                    this.hideItemPopup();
+                }
+            });
+            
+            const salvageButton = this.itemPopup.querySelector('.item-popup-salvage');
+            salvageButton.addEventListener('click', () => {
+                if (this.currentItem) {
+                    this.salvageItem(this.currentItem);
+                    this.hideItemPopup();
+                }
+            });
+            
             const dropButton = this.itemPopup.querySelector('.item-popup-drop');
             dropButton.addEventListener('click', () => {
                 if (this.currentItem) {
@@ -244,6 +283,7 @@ export class InventoryUI extends UIComponent {
                             <div class="stat-value" id="stat-level">1</div>
                         </div>
                     </div>
+                    <div class="set-bonus-list" id="stat-set-bonuses"></div>
                 `;
                 
                 // Add to inventory container
@@ -377,73 +417,89 @@ export class InventoryUI extends UIComponent {
     
     /**
      * Update inventory items
+     * Items matching the filter and search fill the first slots, followed by the free slots of the bag
      */
     updateInventoryItems() {
         // Clear inventory grid
         this.inventoryGrid.innerHTML = '';
         
         // Get player inventory
+        const playerInventory = this.game.player.inventory;
         const inventory = this.game.player.getInventory();
+        const shownItems = inventory.filter(item => this.matchesFilter(item));
         
-        // Create a grid of slots first (6x5 grid = 30 slots)
-        const totalSlots = 30;
-        const slots = [];
+        // Show how full the bag is
+        this.capacityElement.textContent = `${inventory.length}/${playerInventory.getCapacity()}`;
+        this.capacityElement.classList.toggle('full', playerInventory.getFreeSlots() === 0);
         
-        for (let i = 0; i < totalSlots; i++) {
+        // Add items to inventory grid slots
+        shownItems.forEach(item => {
+            const slotElement = document.createElement('div');
+            slotElement.className = 'inventory-item';
+            
+            // Store item reference in the DOM element
+            slotElement.dataset.itemId = item.id;
+            
+            // Create item icon
+            const itemIcon = document.createElement('div');
+            itemIcon.className = 'item-icon';
+            
+            // Use item's icon property or default to package icon
+            itemIcon.textContent = item.icon || '📦';
+            slotElement.appendChild(itemIcon);
+            
+            // Create item count
+            const itemCount = document.createElement('div');
+            itemCount.className = 'item-count';
+            itemCount.textContent = item.amount > 1 ? `x${item.amount}` : '';
+            slotElement.appendChild(itemCount);
+            
+            // Add click event to show item popup
+            slotElement.addEventListener('click', (event) => {
+                // Show item popup
+                this.showItemPopup(item, slotElement, event);
+            });
+            
+            // Add tooltip with item name
+            slotElement.title = item.name;
+            
+            this.inventoryGrid.appendChild(slotElement);
+        });
+        
+        // Fill the rest of the grid with the free slots
+        for (let i = 0; i < playerInventory.getFreeSlots(); i++) {
             const slotElement = document.createElement('div');
             slotElement.className = 'inventory-item empty';
-            slotElement.dataset.slotIndex = i;
             this.inventoryGrid.appendChild(slotElement);
-            slots.push(slotElement);
+        }
+    }
+    
+    /**
+     * Check whether an item passes the type filter and the search text
+     * @param {Object} item - The item
+     * @returns {boolean} - True if the item should be shown
+     */
+    matchesFilter(item) {
+        const filter = this.filterElement.value;
+        // Items without a type are potions and other consumables
+        const type = item.type || 'consumable';
+        if (filter !== 'all' && type !== filter) {
+            return false;
         }
         
-        // Add items to inventory grid slots
-        inventory.forEach((item, index) => {
-            // Get the slot for this item (either from item.slotIndex or use the index)
-            const slotIndex = item.slotIndex !== undefined ? item.slotIndex : index;
-            
-            // Make sure the slot index is valid
-            if (slotIndex >= 0 && slotIndex < totalSlots) {
-                const slotElement = slots[slotIndex];
-                
-                // Remove empty class
-                slotElement.className = 'inventory-item';
-                
-                // Store item reference in the DOM element
-                slotElement.dataset.itemName = item.name;
-                
-                // Clear previous content
-                slotElement.innerHTML = '';
-                
-                // Create item icon
-                const itemIcon = document.createElement('div');
-                itemIcon.className = 'item-icon';
-                
-                // Use item's icon property or default to package icon
-                let iconContent = item.icon || '📦';
-                
-                itemIcon.textContent = iconContent;
-                slotElement.appendChild(itemIcon);
-                
-                // Create item count
-                const itemCount = document.createElement('div');
-                itemCount.className = 'item-count';
-                itemCount.textContent = item.amount > 1 ? `x${item.amount}` : '';
-                slotElement.appendChild(itemCount);
-                
-                // Add click event to show item popup
-                slotElement.addEventListener('click', (event) => {
-                    // Show item popup
-                    this.showItemPopup(item, slotElement, event);
-                });
-                
-                // Add tooltip with item name
-                slotElement.title = item.name;
-                
-                // Store the slot index in the item for future reference
-                item.slotIndex = slotIndex;
-            }
-        });
+        const search = this.searchElement.value.trim().toLowerCase();
+        return !search || [item.name, item.subType, item.rarity]
+            .some(text => text && text.toLowerCase().includes(search));
+    }
+    
+    /**
+     * Sort the bag and show it in its new order
+     * @param {string} sortBy - "rarity", "level" or "type"
+     */
+    sortInventory(sortBy) {
+        this.hideItemPopup();
+        this.game.player.inventory.sortInventory(sortBy);
+        this.updateInventoryItems();
     }
     
     /**
@@ -462,9 +518,13 @@ export class InventoryUI extends UIComponent {
         const nameElement = this.itemPopup.querySelector('.item-popup-name');
         const typeElement = this.itemPopup.querySelector('.item-popup-type');
         const statsElement = this.itemPopup.querySelector('.item-popup-stats');
+        const setElement = this.itemPopup.querySelector('.item-popup-set');
+        const compareElement = this.itemPopup.querySelector('.item-popup-compare');
         const descElement = this.itemPopup.querySelector('.item-popup-description');
         const useButton = this.itemPopup.querySelector('.item-popup-use');
         const equipButton = this.itemPopup.querySelector('.item-popup-equip');
+        const quickSlotButton = this.itemPopup.querySelector('.item-popup-quick-slot');
+        const salvageButton = this.itemPopup.querySelector('.item-popup-salvage');
         
         // Set icon using item's icon property
         iconElement.textContent = item.icon || '📦';
@@ -489,18 +549,48 @@ export class InventoryUI extends UIComponent {
             statsElement.style.display = 'none';
         }
         
+        // Set pieces and bonuses if this is a set item
+        const setStatus = item.setId ? this.game.player.inventory.getSetStatus(item.setId) : null;
+        if (setStatus) {
+            setElement.innerHTML = this.renderSetStatus(setStatus, true);
+            setElement.style.display = 'block';
+        } else {
+            setElement.innerHTML = '';
+            setElement.style.display = 'none';
+        }
+        
+        // Compare carried gear with what is equipped in its slot
+        const comparison = formatItemComparison(this.game.itemComparison.compare(item));
+        compareElement.innerHTML = comparison;
+        compareElement.style.display = comparison ? 'block' : 'none';
+        
         // Set description
         descElement.textContent = item.description || `A ${item.name.toLowerCase()}.`;
         
         // Show/hide buttons based on item type
-        if (item.name.includes('Potion') || !item.type) {
+        if (item.type === 'consumable' || item.name.includes('Potion') || !item.type) {
             useButton.style.display = 'block';
             equipButton.style.display = 'none';
+        } else if (item.type === 'material') {
+            // Materials are only spent at the crafting bench
+            useButton.style.display = 'none';
+            equipButton.style.display = 'none';
         } else if (item.type) {
             useButton.style.display = 'none';
             equipButton.style.display = 'block';
         }
         
+        // Only carried gear can be salvaged, equipped items have to be taken off first
+        const canSalvage = this.game.craftingManager && this.game.craftingManager.isCraftable(item) &&
+            this.game.player.getInventory().includes(item);
+        salvageButton.style.display = canSalvage ? 'block' : 'none';
+        
+        // Carried consumables can be put in a quick slot to be used without opening the bag
+        const consumables = this.game.player.consumables;
+        const inQuickSlot = consumables.getQuickSlots().some(slot => slot && slot.name === item.name);
+        quickSlotButton.textContent = inQuickSlot ? 'Remove Quick Slot' : 'Quick Slot';
+        quickSlotButton.style.display = consumables.isConsumable(item) ? 'block' : 'none';
+        
         // Initialize or update the 3D model preview
         this.initItemPreview(item);
         
@@ -568,6 +658,43 @@ export class InventoryUI extends UIComponent {
         if (defenseElement) defenseElement.textContent = Number(defense).toFixed();
         if (speedElement) speedElement.textContent = Number(speed).toFixed();
         if (levelElement) levelElement.textContent = level;
+        
+        // List the equipped sets and their bonuses
+        const setBonusesElement = document.getElementById('stat-set-bonuses');
+        if (setBonusesElement) {
+            const activeSets = this.game.player.inventory.getActiveSets();
+            setBonusesElement.innerHTML = activeSets.length > 0
+                ? `<h4>Set Bonuses</h4>${activeSets.map(status => this.renderSetStatus(status, false)).join('')}`
+                : '';
+        }
+    }
+    
+    /**
+     * Render the equipped pieces and the bonuses of an item set
+     * @param {import('../entities/player/PlayerInventory.js').SetStatus} status - Set status
+     * @param {boolean} showPieces - Whether to list the set's pieces
+     * @returns {string} HTML for the set
+     * @private
+     */
+    renderSetStatus(status, showPieces) {
+        let html = `<div class="set-bonus-set"><div class="set-bonus-name">${status.set.name} (${status.count}/${status.set.pieces.length})</div>`;
+        
+        if (showPieces) {
+            html += '<ul class="set-bonus-pieces">';
+            status.pieces.forEach(piece => {
+                html += `<li class="${piece.equipped ? 'equipped' : ''}">${piece.name}</li>`;
+            });
+            html += '</ul>';
+        }
+        
+        html += '<ul class="set-bonus-bonuses">';
+        status.bonuses.forEach(bonus => {
+            const label = bonus.count === status.set.pieces.length ? 'Full set' : `${bonus.count} pieces`;
+            html += `<li class="${bonus.active ? 'active' : ''}">(${label}) ${bonus.description}</li>`;
+        });
+        html += '</ul></div>';
+        
+        return html;
     }
     
     /**
@@ -640,211 +767,38 @@ export class InventoryUI extends UIComponent {
      * @private
      */
     useConsumableItem(item) {
-        let effectsApplied = false;
-        let effectsDescription = [];
-        
-        // Check for baseStats properties first (from item-templates.js)
-        if (item.baseStats) {
-            // Handle health restoration
-            if (item.baseStats.healthRestore) {
-                const healAmount = item.baseStats.healthRestore;
-                const newHealth = this.game.player.getHealth() + healAmount;
-                const maxHealth = this.game.player.getMaxHealth();
-                this.game.player.stats.setHealth(Math.min(newHealth, maxHealth));
-                effectsApplied = true;
-                effectsDescription.push(`+${healAmount} Health`);
-            }
-            
-            // Handle mana/spirit restoration
-            if (item.baseStats.manaRestore) {
-                const manaAmount = item.baseStats.manaRestore;
-                const newMana = this.game.player.getMana() + manaAmount;
-                const maxMana = this.game.player.getMaxMana();
-                this.game.player.stats.setMana(Math.min(newMana, maxMana));
-                effectsApplied = true;
-                effectsDescription.push(`+${manaAmount} Mana/Spirit`);
-            }
-            
-            // Handle stamina restoration if the system exists
-            if (item.baseStats.staminaRestore) {
-                if (this.game.player.getStamina && this.game.player.getMaxStamina && this.game.player.stats.setStamina) {
-                    const staminaAmount = item.baseStats.staminaRestore;
-                    const newStamina = this.game.player.getStamina() + staminaAmount;
-                    const maxStamina = this.game.player.getMaxStamina();
-                    this.game.player.stats.setStamina(Math.min(newStamina, maxStamina));
-                    effectsApplied = true;
-                    effectsDescription.push(`+${staminaAmount} Stamina`);
-                } else {
-                    this.game.hudManager.showNotification(`Cannot use stamina effect: Stamina system not available`);
-                }
-            }
-        }
-        
-        // Check for useEffect property (from item-templates.js)
-        if (item.useEffect) {
-            // Handle direct resource restoration
-            if (item.useEffect.type === 'heal') {
-                const healAmount = item.useEffect.value || 0;
-                const newHealth = this.game.player.getHealth() + healAmount;
-                const maxHealth = this.game.player.getMaxHealth();
-                this.game.player.stats.setHealth(Math.min(newHealth, maxHealth));
-                effectsApplied = true;
-                effectsDescription.push(`+${healAmount} Health`);
-            }
-            
-            // Handle resource restoration (mana, spirit, etc.)
-            if (item.useEffect.type === 'resource') {
-                const resourceAmount = item.useEffect.value || 0;
-                const resourceType = item.useEffect.resource || 'mana';
-                
-                if (resourceType.toLowerCase() === 'mana' || resourceType.toLowerCase() === 'spirit') {
-                    const newMana = this.game.player.getMana() + resourceAmount;
-                    const maxMana = this.game.player.getMaxMana();
-                    this.game.player.stats.setMana(Math.min(newMana, maxMana));
-                    effectsApplied = true;
-                    effectsDescription.push(`+${resourceAmount} ${resourceType}`);
-                } else if (resourceType.toLowerCase() === 'stamina') {
-                    if (this.game.player.getStamina && this.game.player.getMaxStamina && this.game.player.stats.setStamina) {
-                        const newStamina = this.game.player.getStamina() + resourceAmount;
-                        const maxStamina = this.game.player.getMaxStamina();
-                        this.game.player.stats.setStamina(Math.min(newStamina, maxStamina));
-                        effectsApplied = true;
-                        effectsDescription.push(`+${resourceAmount} Stamina`);
-                    } else {
-                        this.game.hudManager.showNotification(`Cannot use stamina effect: Stamina system not available`);
-                    }
-                }
-                
-                // Handle secondary effects (like buffs)
-                if (item.useEffect.secondaryEffect) {
-                    const secondaryEffect = item.useEffect.secondaryEffect;
-                    if (secondaryEffect.type === 'buff') {
-                        const duration = secondaryEffect.duration || 30;
-                        this.game.player.addTemporaryStatBoost(secondaryEffect.stat, secondaryEffect.value, duration);
-                        effectsApplied = true;
-                        effectsDescription.push(`+${secondaryEffect.value} ${secondaryEffect.stat} for ${duration}s`);
-                    }
-                }
-            }
-            
-            // Handle buff effects
-            if (item.useEffect.type === 'buff') {
-                const duration = item.useEffect.duration || 30;
-                
-                // Handle single stat buff
-                if (item.useEffect.stat) {
-                    this.game.player.addTemporaryStatBoost(item.useEffect.stat, item.useEffect.value, duration);
-                    effectsApplied = true;
-                    effectsDescription.push(`+${item.useEffect.value} ${item.useEffect.stat} for ${duration}s`);
-                }
-                
-                // Handle multiple stat buffs
-                if (item.useEffect.stats && Array.isArray(item.useEffect.stats)) {
-                    item.useEffect.stats.forEach(statBuff => {
-                        this.game.player.addTemporaryStatBoost(statBuff.stat, statBuff.value, duration);
-                        effectsApplied = true;
-                        effectsDescription.push(`+${statBuff.value} ${statBuff.stat} for ${duration}s`);
-                    });
-                }
-            }
-        }
-        
-        // Fall back to the old effects system if needed
-        if (!effectsApplied && item.effects) {
-            // Apply effects
-            if (item.effects.health) {
-                const newHealth = this.game.player.getHealth() + item.effects.health;
-                const maxHealth = this.game.player.getMaxHealth();
-                this.game.player.stats.setHealth(Math.min(newHealth, maxHealth));
-                effectsApplied = true;
-                effectsDescription.push(`+${item.effects.health} Health`);
-            }
-            
-            if (item.effects.mana) {
-                const newMana = this.game.player.getMana() + item.effects.mana;
-                const maxMana = this.game.player.getMaxMana();
-                this.game.player.stats.setMana(Math.min(newMana, maxMana));
-                effectsApplied = true;
-                effectsDescription.push(`+${item.effects.mana} Mana`);
-            }
-            
-            // Add support for more effect types
-            if (item.effects.attack) {
-                // Temporary attack boost
-                const duration = item.effects.duration || 30; // Default 30 seconds
-                this.game.player.addTemporaryStatBoost('attack', item.effects.attack, duration);
-                effectsApplied = true;
-                effectsDescription.push(`+${item.effects.attack} Attack for ${duration}s`);
-            }
-            
-            if (item.effects.defense) {
-                // Temporary defense boost
-                const duration = item.effects.duration || 30; // Default 30 seconds
-                this.game.player.addTemporaryStatBoost('defense', item.effects.defense, duration);
-                effectsApplied = true;
-                effectsDescription.push(`+${item.effects.defense} Defense for ${duration}s`);
-            }
-            
-            if (item.effects.speed) {
-                // Temporary speed boost
-                const duration = item.effects.duration || 15; // Default 15 seconds
-                this.game.player.addTemporaryStatBoost('speed', item.effects.speed, duration);
-                effectsApplied = true;
-                effectsDescription.push(`+${item.effects.speed} Speed for ${duration}s`);
-            }
-        }
-        
-        // Handle legacy named potions as a fallback
-        if (!effectsApplied) {
-            if (item.name === 'Health Potion') {
-                // Heal player
-                const healAmount = item.healAmount || 50;
-                const newHealth = this.game.player.getHealth() + healAmount;
-                const maxHealth = this.game.player.getMaxHealth();
-                this.game.player.stats.setHealth(Math.min(newHealth, maxHealth));
-                effectsApplied = true;
-                effectsDescription.push(`+${healAmount} Health`);
-            } else if (item.name === 'Mana Potion') {
-                // Restore mana
-                const manaAmount = item.manaAmount || 50;
-                const newMana = this.game.player.getMana() + manaAmount;
-                const maxMana = this.game.player.getMaxMana();
-                this.game.player.stats.setMana(Math.min(newMana, maxMana));
-                effectsApplied = true;
-                effectsDescription.push(`+${manaAmount} Mana`);
-            } else if (item.name === 'Stamina Potion') {
-                // Restore stamina if the game has stamina system
-                if (this.game.player.getStamina && this.game.player.getMaxStamina && this.game.player.stats.setStamina) {
-                    const staminaAmount = item.staminaAmount || 50;
-                    const newStamina = this.game.player.getStamina() + staminaAmount;
-                    const maxStamina = this.game.player.getMaxStamina();
-                    this.game.player.stats.setStamina(Math.min(newStamina, maxStamina));
-                    effectsApplied = true;
-                    effectsDescription.push(`+${staminaAmount} Stamina`);
-                } else {
-                    this.game.hudManager.showNotification(`Cannot consume ${item.name}: Stamina system not available`);
-                    return; // Exit early without consuming the item
-                }
-            }
-        }
-        
-        // Show notification with effects details or generic message
-        if (effectsApplied) {
-            const effectsText = effectsDescription.length > 0 ? `: ${effectsDescription.join(', ')}` : '';
-            this.game.hudManager.showNotification(`Consumed ${item.name}${effectsText}`);
-        } else {
-            this.game.hudManager.showNotification(`Consumed ${item.name}`);
+        if (!this.game.player.consumables.use(item)) {
+            return;
         }
         
-        // Common actions for all consumables that were successfully used
-        // Remove item from inventory
-        this.game.player.removeFromInventory(item.name, 1);
-        
         // Update inventory UI and player stats
         this.updateInventoryItems();
         this.updatePlayerStats();
     }
     
+    /**
+     * Put a consumable in a quick slot, or take it out if it is in one
+     * It goes to the first free slot, or replaces the last one when every slot is taken.
+     * @param {Object} item - Consumable item
+     */
+    toggleQuickSlot(item) {
+        const consumables = this.game.player.consumables;
+        const quickSlots = consumables.getQuickSlots();
+        const currentIndex = quickSlots.findIndex(slot => slot && slot.name === item.name);
+        
+        if (currentIndex !== -1) {
+            consumables.clearQuickSlot(currentIndex);
+            this.game.hudManager.showNotification(`Removed ${item.name} from the quick slots`);
+            return;
+        }
+        
+        const freeIndex = quickSlots.indexOf(null);
+        const index = freeIndex !== -1 ? freeIndex : quickSlots.length - 1;
+        if (consumables.assignQuickSlot(index, item)) {
+            this.game.hudManager.showNotification(`Put ${item.name} in quick slot ${getQuickSlotKeyLabel(index)}`);
+        }
+    }
+    
     /**
      * Equip an item from the inventory
      * @param {Object} item - Item to equip
@@ -857,7 +811,7 @@ export class InventoryUI extends UIComponent {
         }
         
         // Try to equip the item
-        const success = this.game.player.inventory.equipItem(item);
+        const success = this.game.player.equipItem(item);
         
         if (success) {
             // Show notification with stat changes if available
@@ -1012,7 +966,7 @@ export class InventoryUI extends UIComponent {
         }
         
         // Remove item from inventory
-        const success = this.game.player.removeFromInventory(item.name, 1);
+        const success = this.game.player.removeItem(item.id, 1);
         
         if (success) {
             // Show notification
@@ -1025,6 +979,25 @@ export class InventoryUI extends UIComponent {
         }
     }
     
+    /**
+     * Salvage an item from the inventory into crafting materials
+     * @param {Object} item - Item to salvage
+     */
+    salvageItem(item) {
+        // Confirm before destroying legendary or higher items, as when dropping them
+        const isLegendaryOrHigher = item.rarity === 'legendary' || item.rarity === 'mythic' || item.rarity === 'artifact';
+        if (isLegendaryOrHigher && !confirm(`Are you sure you want to salvage ${item.name}? This is a ${item.rarity} item!`)) {
+            return;
+        }
+        
+        if (this.game.craftingManager.salvage(item)) {
+            // Update inventory
+            this.updateInventoryItems();
+        } else {
+            this.game.hudManager.showNotification(`Failed to salvage ${item.name}`);
+        }
+    }
+    
     /**
      * Save the current inventory state
      * This method handles saving the inventory data
@@ -0,0 +1,207 @@
+import { UIComponent } from '../UIComponent.js';
+import { formatItemComparison } from '../utils/ItemComparisonUtils.js';
+
+/**
+ * Merchant UI component
+ * Lists a merchant's stock, the player's bag to sell from and the items that can be bought back.
+ * Equippable items are compared with the gear the player has equipped in the same slot.
+ */
+export class MerchantUI extends UIComponent {
+    /**
+     * Create a new MerchantUI component
+     * @param {Object} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('merchant', game);
+        this.isMerchantOpen = false;
+        this.merchantId = null;
+        
+        // List and header elements
+        this.titleElement = null;
+        this.goldElement = null;
+        this.restockElement = null;
+        this.stockList = null;
+        this.sellList = null;
+        this.buybackList = null;
+    }
+    
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        // Store references to elements we need to update
+        this.titleElement = document.getElementById('merchant-title');
+        this.goldElement = document.getElementById('merchant-gold-value');
+        this.restockElement = document.getElementById('merchant-restock');
+        this.stockList = document.getElementById('merchant-stock');
+        this.sellList = document.getElementById('merchant-sell');
+        this.buybackList = document.getElementById('merchant-buyback');
+        
+        // Add click event to leave the merchant
+        const closeButton = document.getElementById('merchant-close');
+        closeButton.addEventListener('click', () => {
+            this.close();
+        });
+        
+        // Hide initially
+        this.hide();
+        
+        return true;
+    }
+    
+    /**
+     * Show a merchant's wares
+     * @param {string} merchantId - Identifier of the merchant
+     */
+    open(merchantId) {
+        this.merchantId = merchantId;
+        this.renderMerchant();
+        
+        if (!this.isMerchantOpen) {
+            this.show();
+            this.isMerchantOpen = true;
+            
+            // Pause game
+            this.game.pause(false);
+        }
+    }
+    
+    /**
+     * Leave the merchant
+     */
+    close() {
+        if (!this.isMerchantOpen) return;
+        
+        this.hide();
+        this.isMerchantOpen = false;
+        this.merchantId = null;
+        
+        // Resume game
+        this.game.resume(false);
+    }
+    
+    /**
+     * Redraw the header and the three lists
+     */
+    renderMerchant() {
+        const merchantManager = this.game.merchantManager;
+        const merchant = merchantManager.getMerchant(this.merchantId);
+        const stock = merchantManager.getStock(this.merchantId);
+        
+        this.titleElement.textContent = merchant.name;
+        this.goldElement.textContent = this.game.player.getGold();
+        
+        const minutes = Math.max(1, Math.ceil(merchantManager.getTimeUntilRestock(this.merchantId) / 60));
+        this.restockElement.textContent = `New stock in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+        
+        // Stock, bought at the merchant's price
+        this.renderList(this.stockList, stock, 'Sold out', item => ({
+            item,
+            price: merchantManager.getPrice(item),
+            action: 'Buy',
+            onSelect: () => merchantManager.buy(this.merchantId, item)
+        }));
+        
+        // Bag, sold one at a time
+        this.renderList(this.sellList, this.game.player.getInventory(), 'Your bag is empty', item => ({
+            item,
+            price: merchantManager.getSellPrice(item),
+            action: 'Sell',
+            onSelect: () => this.confirmSell(item) && merchantManager.sell(item)
+        }));
+        
+        // Buyback, for the gold the player was paid
+        this.renderList(this.buybackList, merchantManager.buyback, 'Nothing to buy back', entry => ({
+            item: entry.item,
+            price: entry.price,
+            action: 'Buy Back',
+            onSelect: () => merchantManager.buyBack(entry)
+        }));
+    }
+    
+    /**
+     * Fill a list with item rows
+     * @param {HTMLElement} listElement - The list to fill
+     * @param {Array} entries - Entries to show
+     * @param {string} emptyText - Text shown when there are no entries
+     * @param {Function} describe - Maps an entry to { item, price, action, onSelect }
+     */
+    renderList(listElement, entries, emptyText, describe) {
+        listElement.innerHTML = '';
+        
+        if (entries.length === 0) {
+            const emptyElement = document.createElement('div');
+            emptyElement.className = 'merchant-empty';
+            emptyElement.textContent = emptyText;
+            listElement.appendChild(emptyElement);
+            return;
+        }
+        
+        entries.forEach(entry => {
+            listElement.appendChild(this.createItemRow(describe(entry)));
+        });
+    }
+    
+    /**
+     * Create the row for an item
+     * @param {Object} row - What to show
+     * @param {Object} row.item - The item
+     * @param {number} row.price - Gold price of the item
+     * @param {string} row.action - Label of the action button
+     * @param {Function} row.onSelect - Called when the action button is clicked
+     * @returns {HTMLElement} - The row element
+     */
+    createItemRow({ item, price, action, onSelect }) {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'merchant-item';
+        
+        const amount = item.amount > 1 ? ` x${item.amount}` : '';
+        rowElement.innerHTML = `
+            <div class="item-icon">${item.icon || '📦'}</div>
+            <div class="merchant-item-details">
+                <div class="merchant-item-name item-${item.rarity || 'common'}">${item.name}${amount}</div>
+                <div class="merchant-item-info">Level ${item.level || 1} ${item.rarity || 'common'} ${item.subType || item.type || ''}</div>
+                ${this.formatComparison(item)}
+            </div>
+            <div class="merchant-item-price">${price} gold</div>
+        `;
+        
+        const actionButton = document.createElement('button');
+        actionButton.className = 'merchant-item-action';
+        actionButton.textContent = action;
+        actionButton.addEventListener('click', () => {
+            onSelect();
+            this.renderMerchant();
+        });
+        rowElement.appendChild(actionButton);
+        
+        return rowElement;
+    }
+    
+    /**
+     * Describe how an item compares with the gear equipped in its slot
+     * @param {Object} item - The item
+     * @returns {string} - HTML for the comparison, empty for items that can't be equipped
+     */
+    formatComparison(item) {
+        const comparisons = this.game.itemComparison.compare(item);
+        if (comparisons.length === 0) {
+            return '';
+        }
+        
+        // The equipped item's price shows what the upgrade costs compared to what is already worn
+        const comparison = formatItemComparison(comparisons, equipped => `${this.game.merchantManager.getPrice(equipped)} gold`);
+        return `<div class="merchant-item-compare">${comparison}</div>`;
+    }
+    
+    /**
+     * Ask before selling a legendary or better item
+     * @param {Object} item - The item to sell
+     * @returns {boolean} - Whether to go ahead with the sale
+     */
+    confirmSell(item) {
+        const isLegendaryOrHigher = item.rarity === 'legendary' || item.rarity === 'mythic' || item.rarity === 'artifact';
+        return !isLegendaryOrHigher || confirm(`Are you sure you want to sell ${item.name}? This is a ${item.rarity} item!`);
+    }
+}
@@ -199,7 +199,9 @@ export class MiniMapUI extends UIComponent {
                 // Show portal info
                 if (this.game && this.game.hudManager) {
                     this.game.hudManager.showNotification(
-                        `Teleport Portal: ${portal.name} → ${portal.targetName}`,
+                        portal.unlocked
+                            ? `Teleport Portal: ${portal.name} → ${portal.targetName}`
+                            : `Teleport Portal: ${portal.name} → travel through it to reveal its destination`,
                         3000
                     );
                 }
@@ -576,6 +578,9 @@ export class MiniMapUI extends UIComponent {
         // Draw NPCs and enemies
         this.drawEntities(playerX, playerY, centerX, centerY);
         
+        // Draw tracked quest objectives
+        this.drawQuestTargets(playerX, playerY, centerX, centerY);
+        
         // Apply map offset for player position
         const offsetCenterX = centerX + this.mapOffsetX;
         const offsetCenterY = centerY + this.mapOffsetY;
@@ -657,6 +662,9 @@ export class MiniMapUI extends UIComponent {
             this.ctx.setLineDash([5, 3]); // Dashed line
             
             portals.forEach(portal => {
+                // Destinations of portals the player hasn't travelled through stay hidden
+                if (!portal.unlocked) return;
+                
                 // Calculate source position relative to player
                 const sourceRelX = (portal.position.x - playerX) * this.scale;
                 const sourceRelY = (portal.position.z - playerY) * this.scale;
@@ -1348,6 +1356,87 @@ export class MiniMapUI extends UIComponent {
         this.ctx.shadowColor = 'transparent';
     }
     
+    /**
+     * Draw the locations of tracked quest objectives on the mini map
+     * Objectives off the map are shown as an arrow on the edge with the distance to them
+     * @param {number} playerX - Player's X position in the world
+     * @param {number} playerY - Player's Y position in the world (Z in 3D space)
+     * @param {number} centerX - Center X of the mini map
+     * @param {number} centerY - Center Y of the mini map
+     */
+    drawQuestTargets(playerX, playerY, centerX, centerY) {
+        const questManager = this.game.questManager;
+        if (!questManager) return;
+        
+        const edge = this.mapSize / 2 - 10;
+        
+        // Draw the pinned quest last so it stays on top
+        const targets = questManager.getTrackedTargets(this.game.player.getPosition())
+            .sort((a, b) => a.pinned - b.pinned);
+        
+        targets.forEach(target => {
+            const relX = (target.x - playerX) * this.scale;
+            const relY = (target.z - playerY) * this.scale;
+            const mapDistance = Math.sqrt(relX * relX + relY * relY);
+            const color = target.pinned ? 'rgba(255, 204, 0, 0.95)' : 'rgba(255, 230, 150, 0.6)';
+            
+            this.ctx.fillStyle = color;
+            this.ctx.strokeStyle = color;
+            
+            if (mapDistance <= edge) {
+                const screenX = centerX + relX;
+                const screenY = centerY + relY;
+                
+                // Outline the objective's area
+                if (target.radius > 0) {
+                    this.ctx.lineWidth = 1;
+                    this.ctx.setLineDash([4, 3]);
+                    this.ctx.beginPath();
+                    this.ctx.arc(screenX, screenY, target.radius * this.scale, 0, Math.PI * 2);
+                    this.ctx.stroke();
+                    this.ctx.setLineDash([]);
+                }
+                
+                // Draw a diamond on the objective
+                const size = target.pinned ? 5 : 4;
+                this.ctx.beginPath();
+                this.ctx.moveTo(screenX, screenY - size);
+                this.ctx.lineTo(screenX + size, screenY);
+                this.ctx.lineTo(screenX, screenY + size);
+                this.ctx.lineTo(screenX - size, screenY);
+                this.ctx.closePath();
+                this.ctx.fill();
+                return;
+            }
+            
+            // Draw an arrow on the edge of the map pointing towards the objective
+            const angle = Math.atan2(relY, relX);
+            const arrowX = centerX + Math.cos(angle) * edge;
+            const arrowY = centerY + Math.sin(angle) * edge;
+            
+            this.ctx.save();
+            this.ctx.translate(arrowX, arrowY);
+            this.ctx.rotate(angle);
+            this.ctx.beginPath();
+            this.ctx.moveTo(6, 0);
+            this.ctx.lineTo(-4, -5);
+            this.ctx.lineTo(-4, 5);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.restore();
+            
+            // Label the arrow with the distance to the objective
+            this.ctx.font = target.pinned ? 'bold 10px Arial' : '9px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(
+                `${Math.round(mapDistance / this.scale)}m`,
+                centerX + Math.cos(angle) * (edge - 16),
+                centerY + Math.sin(angle) * (edge - 16)
+            );
+        });
+    }
+    
     /**
      * Set the scale factor for the mini map
      * @param {number} scale - New scale factor
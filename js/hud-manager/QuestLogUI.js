@@ -22,6 +22,22 @@ export class QuestLogUI extends UIComponent {
         // Store references to elements we need to update
         this.questList = document.getElementById('quest-list');
         
+        // Clicking a quest pins it, so the minimap and beacon point to its objectives
+        this.questList.addEventListener('click', (event) => {
+            const questItem = event.target.closest('.quest-item');
+            if (!questItem || !this.game.questManager) return;
+            
+            const questId = questItem.dataset.questId;
+            if (event.target.closest('.quest-abandon')) {
+                const quest = this.game.questManager.getActiveQuests().find(q => q.id === questId);
+                if (quest && confirm(`Abandon "${quest.name}"? Its progress will be lost.`)) {
+                    this.game.questManager.abandonQuest(questId);
+                }
+                return;
+            }
+            this.game.questManager.pinQuest(questId);
+        });
+        
         return true;
     }
     
@@ -40,13 +56,19 @@ export class QuestLogUI extends UIComponent {
             noQuests.textContent = 'No active quests';
             this.questList.appendChild(noQuests);
         } else {
+            const pinnedQuest = this.game.questManager ? this.game.questManager.getPinnedQuest() : null;
+            
             // Add active quests
             activeQuests.forEach(quest => {
                 // Create quest item HTML
                 const questHTML = `
-                    <div class="quest-item">
-                        <div class="quest-name ${quest.isMainQuest ? 'main-quest' : ''}">${quest.name}</div>
-                        <div class="quest-objective">${this.formatObjective(quest.objective)}</div>
+                    <div class="quest-item ${quest === pinnedQuest ? 'pinned' : ''}" data-quest-id="${quest.id}">
+                        <div class="quest-name ${quest.isMainQuest ? 'main-quest' : ''}">
+                            ${quest.name}
+                            <button class="quest-abandon" title="Abandon quest">&times;</button>
+                        </div>
+                        ${this.formatTimer(quest)}
+                        ${this.formatStages(quest)}
                     </div>
                 `;
                 
@@ -56,6 +78,52 @@ export class QuestLogUI extends UIComponent {
         }
     }
     
+    /**
+     * Format the time left on a timed quest
+     * @param {Object} quest - Active quest
+     * @returns {string} - Timer HTML, or an empty string if the quest has no time limit
+     */
+    formatTimer(quest) {
+        if (typeof quest.timeRemaining !== 'number') {
+            return '';
+        }
+        
+        const seconds = Math.ceil(quest.timeRemaining);
+        const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        return `<div class="quest-timer ${seconds <= 60 ? 'urgent' : ''}">Time left: ${time}</div>`;
+    }
+    
+    /**
+     * Format the stages of a quest: finished stages, then the current stage and its objectives
+     * Later stages stay hidden until the player reaches them
+     * @param {Object} quest - Active quest
+     * @returns {string} - Stage HTML
+     */
+    formatStages(quest) {
+        const stages = quest.stages || [];
+        const currentStage = quest.currentStage || 0;
+        const stage = stages[currentStage];
+        if (!stage) {
+            return '';
+        }
+        
+        let html = '';
+        
+        if (stages.length > 1) {
+            stages.slice(0, currentStage).forEach((finishedStage, index) => {
+                html += `<div class="quest-stage completed">${finishedStage.name || `Stage ${index + 1}`}</div>`;
+            });
+            html += `<div class="quest-stage">Stage ${currentStage + 1}/${stages.length}${stage.name ? `: ${stage.name}` : ''}</div>`;
+        }
+        
+        stage.objectives.forEach(objective => {
+            const done = objective.progress >= objective.count;
+            html += `<div class="quest-objective ${done ? 'completed' : ''}">${this.formatObjective(objective)}</div>`;
+        });
+        
+        return html;
+    }
+    
     /**
      * Format quest objective based on type
      * @param {Object} objective - Quest objective
@@ -64,13 +132,52 @@ export class QuestLogUI extends UIComponent {
     formatObjective(objective) {
         switch (objective.type) {
             case 'kill':
-                return `Kill ${objective.progress}/${objective.count} enemies`;
+                return `Kill ${objective.progress}/${objective.count} ${this.formatKillTarget(objective.target)}${this.formatLocation(objective)}`;
             case 'interact':
-                return `Find ${objective.progress}/${objective.count} ${objective.target}s`;
+                return `Find ${objective.progress}/${objective.count} ${objective.target}s${this.formatLocation(objective)}`;
             case 'explore':
-                return `Discover ${objective.progress}/${objective.count} zones`;
+                return objective.target === 'zone' ?
+                    `Discover ${objective.progress}/${objective.count} zones` :
+                    `Discover ${objective.target} (${objective.progress}/${objective.count})`;
+            case 'collect':
+                return `Collect ${objective.progress}/${objective.count} ${objective.target}`;
+            case 'reach':
+                return `Reach ${objective.target}`;
+            case 'survive':
+                return `Survive${objective.target === 'any' ? '' : ` in ${objective.target}`} ${Math.floor(objective.progress)}/${objective.count}s`;
+            case 'deliver':
+                return `Deliver ${objective.progress}/${objective.count} ${objective.item} to ${objective.target}`;
+            case 'escort':
+                return `Escort ${objective.target} (${objective.waypoint}/${objective.path.length - 1} waypoints)`;
             default:
                 return objective.description || 'Complete the objective';
         }
     }
+    
+    /**
+     * Format where an objective has to be done
+     * @param {Object} objective - Quest objective with an optional zone or spawn point
+     * @returns {string} - e.g. " in Swamp" or " near 120, -40", or an empty string
+     */
+    formatLocation(objective) {
+        if (objective.spawn) {
+            return ` near ${objective.spawn.position.x}, ${objective.spawn.position.z}`;
+        }
+        return objective.zone ? ` in ${objective.zone}` : '';
+    }
+    
+    /**
+     * Format the enemies a kill objective counts
+     * @param {string} target - Enemy type, "any" or "boss"
+     * @returns {string} - Plural enemy name, e.g. "skeleton kings"
+     */
+    formatKillTarget(target) {
+        if (target === 'any') {
+            return 'enemies';
+        }
+        if (target === 'boss') {
+            return 'bosses';
+        }
+        return `${target.replace(/_/g, ' ')}s`;
+    }
 }
\ No newline at end of file
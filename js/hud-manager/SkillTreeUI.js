@@ -2,7 +2,7 @@ import { UIComponent } from "../UIComponent.js";
 import { SKILLS } from "../config/skills.js";
 import { getSkillIcon, getBuffIcon } from "../config/skill-icons.js";
 import { SKILL_TREES } from "../config/skill-tree.js";
-import { applyBuffsToVariants } from "../utils/SkillTreeUtils.js";
+import { applyBuffsToVariants, clearLockedVariants, getSkillPointsForLevel } from "../utils/SkillTreeUtils.js";
 import { STORAGE_KEYS } from "../config/storage-keys.js";
 
 /**
@@ -22,7 +22,6 @@ export class SkillTreeUI extends UIComponent {
     this.selectedSkill = null;
     this.selectedVariant = null;
     this.selectedBuff = null;
-    this.skillPoints = 10_000_000; // Will be loaded from player data
 
     // Custom skills flag
     this.customSkillsEnabled = localStorage.getItem(STORAGE_KEYS.CUSTOM_SKILLS) === 'true';
@@ -42,7 +41,8 @@ export class SkillTreeUI extends UIComponent {
       skillDetailDescription: null,
       skillVariants: null,
       skillBuffs: null,
-      saveButton: null
+      saveButton: null,
+      codexButton: null
     };
   }
   
@@ -120,6 +120,13 @@ export class SkillTreeUI extends UIComponent {
       console.error("Save button element not found in the DOM");
     }
     
+    // Add event listener for codex button
+    if (this.elements.codexButton) {
+      this.elements.codexButton.addEventListener('click', () => {
+        this.game.hudManager.toggleCodex();
+      });
+    }
+    
     // Initialize available points display
     this.updateAvailablePoints();
 
@@ -139,10 +146,11 @@ export class SkillTreeUI extends UIComponent {
     this.elements.skillVariants = document.getElementById('skill-variants');
     this.elements.skillBuffs = document.getElementById('skill-buffs');
     this.elements.saveButton = document.getElementById('skill-tree-save-btn');
+    this.elements.codexButton = document.getElementById('skill-tree-codex-btn');
     
     // Update skill points display
     if (this.elements.skillPointsValue) {
-      this.elements.skillPointsValue.textContent = this.skillPoints;
+      this.elements.skillPointsValue.textContent = this.getSkillPoints();
     } else {
       console.error("Skill points value element not found in the DOM");
     }
@@ -209,6 +217,41 @@ export class SkillTreeUI extends UIComponent {
     } catch (error) {
       console.error('Error loading skill tree data from localStorage in SkillTreeUI:', error);
     }
+    
+    // Variants unlocked by legendaries the hero hasn't found can't stay selected
+    clearLockedVariants(this.playerSkills, this.game && this.game.legendaryCodex);
+  }
+  
+  /**
+   * Show the skill tree
+   * Points and variant locks are refreshed, as the hero may have gained levels or found legendaries
+   */
+  show() {
+    super.show();
+    this.updateAvailablePoints();
+    if (this.selectedSkill) {
+      this.showSkillVariants(this.selectedSkill);
+    }
+  }
+  
+  /**
+   * Get the skill points the hero has to spend, which grow with their level
+   * @returns {number} - Total skill points
+   */
+  getSkillPoints() {
+    const level = this.game && this.game.player ? this.game.player.stats.getLevel() : 1;
+    return getSkillPointsForLevel(level);
+  }
+  
+  /**
+   * Check whether the hero may select a variant
+   * @param {string} skillName - Name of the skill
+   * @param {string} variantName - Name of the variant
+   * @returns {boolean} - False if the variant is unlocked by a legendary the hero hasn't found
+   */
+  isVariantUnlocked(skillName, variantName) {
+    const codex = this.game && this.game.legendaryCodex;
+    return !codex || codex.isVariantUnlocked(skillName, variantName);
   }
 
   /**
@@ -386,21 +429,23 @@ ${iconData.emoji}
       // Get variant cost and requirements
       const cost = variantData.cost || 5;
       const requiredPoints = variantData.requiredPoints || 0;
+      const isLocked = !this.isVariantUnlocked(skillName, variantName);
 
       // Get icon for the variant
       const iconData = getSkillIcon(variantName);
 
       // Create the variant element
       const variantHtml = `
-        <div class="skill-variant ${isActive ? "active" : ""}" data-variant="${variantName}">
+        <div class="skill-variant ${isActive ? "active" : ""} ${isLocked ? "locked" : ""}" data-variant="${variantName}">
           <div class="variant-header">
             <div class="variant-icon ${iconData.cssClass}" style="background-color: rgba(0, 0, 0, 0.7); border: 2px solid ${iconData.color}; box-shadow: 0 0 10px ${iconData.color}40;">
               ${iconData.emoji}
             </div>
             <div class="variant-name">${variantName}</div>
-            <div class="variant-cost">${cost} points</div>
+            <div class="variant-cost">${isLocked ? "🔒" : `${cost} points`}</div>
           </div>
           <div class="variant-description">${variantData.description || "No description available."}</div>
+          ${isLocked ? `<div class="variant-unlock">Unlocked by: ${variantData.unlockedBy}</div>` : ""}
           <div class="variant-effects">
             ${
               variantData.effects
@@ -639,6 +684,13 @@ ${iconData.emoji}
    * @param {string} variantName - Name of the variant
    */
   selectVariant(skillName, variantName) {
+    // Locked variants can't be selected until their legendary is found
+    if (!this.isVariantUnlocked(skillName, variantName)) {
+      const variantData = this.skillTrees[skillName].variants[variantName];
+      this.game.hudManager.showNotification(`${variantName} is locked. Unlocked by: ${variantData.unlockedBy}`);
+      return;
+    }
+    
     // Check if this variant is already active (for toggling)
     const isAlreadyActive = 
       this.playerSkills[skillName] && 
@@ -916,7 +968,7 @@ ${iconData.emoji}
     });
     
     // Check if player has enough points
-    const remainingPoints = this.skillPoints - totalPointsSpent;
+    const remainingPoints = this.getSkillPoints() - totalPointsSpent;
     if (remainingPoints < 0) {
       // Show error message - not enough points
       this.game && this.game.hudManager.showNotification("You don't have enough skill points! Please remove some skills or buffs.");
@@ -1023,7 +1075,7 @@ ${iconData.emoji}
     });
     
     // Calculate remaining points
-    const remainingPoints = this.skillPoints - totalPointsSpent;
+    const remainingPoints = this.getSkillPoints() - totalPointsSpent;
     
     // Update the UI
     this.elements.skillPointsValue.textContent = remainingPoints;
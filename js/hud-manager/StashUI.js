@@ -0,0 +1,317 @@
+import { UIComponent } from '../UIComponent.js';
+
+/**
+ * Stash UI component
+ * Shows the player's bag next to the shared stash; items move between them
+ * by drag-and-drop, or by clicking an item to send it to the other side
+ */
+export class StashUI extends UIComponent {
+    /**
+     * Create a new StashUI component
+     * @param {Object} game - Reference to the game instance
+     */
+    constructor(game) {
+        super('stash', game);
+        this.isStashOpen = false;
+        this.activeTab = 0;
+        
+        // Grid and tab elements
+        this.bagGrid = null;
+        this.stashGrid = null;
+        this.tabList = null;
+        
+        // Slot an item is being dragged from: { source: 'bag'|'stash', tabIndex, slotIndex }
+        this.dragSource = null;
+        
+        // Minimum number of bag slots shown, matching the inventory grid
+        this.minBagSlots = 30;
+    }
+    
+    /**
+     * Initialize the component
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        // Store references to elements we need to update
+        this.bagGrid = document.getElementById('stash-bag-grid');
+        this.stashGrid = document.getElementById('stash-grid');
+        this.tabList = document.getElementById('stash-tabs');
+        
+        // Saving closes the stash, like the inventory's save button
+        const saveButton = document.getElementById('stash-save');
+        saveButton.addEventListener('click', () => {
+            this.toggleStash();
+        });
+        
+        // Hide initially
+        this.hide();
+        
+        return true;
+    }
+    
+    /**
+     * Toggle stash visibility
+     * Closing the stash saves it together with the hero, so an item is never kept in both
+     */
+    toggleStash() {
+        if (this.isStashOpen) {
+            this.hide();
+            this.isStashOpen = false;
+            this.dragSource = null;
+            
+            // Resume game
+            this.game.resume(false);
+            
+            this.saveStash();
+        } else {
+            this.renderStash();
+            this.show();
+            this.isStashOpen = true;
+            
+            // Pause game
+            this.game.pause(false);
+        }
+    }
+    
+    /**
+     * Redraw the tabs, the stash grid and the bag grid
+     */
+    renderStash() {
+        this.renderTabs();
+        this.renderStashGrid();
+        this.renderBagGrid();
+    }
+    
+    /**
+     * Redraw the tab buttons
+     * Items dropped on a tab go to its first free slot
+     */
+    renderTabs() {
+        const stash = this.game.stash;
+        this.tabList.innerHTML = '';
+        
+        stash.getTabNames().forEach((name, tabIndex) => {
+            const tabButton = document.createElement('button');
+            tabButton.className = `stash-tab${tabIndex === this.activeTab ? ' active' : ''}`;
+            tabButton.textContent = name;
+            
+            const usedSlots = stash.getTab(tabIndex).filter(item => item).length;
+            tabButton.title = `${usedSlots}/${stash.config.slotsPerTab} slots used`;
+            
+            tabButton.addEventListener('click', () => {
+                this.activeTab = tabIndex;
+                this.renderStash();
+            });
+            this.addDropTarget(tabButton, () => this.handleDrop({ source: 'stash', tabIndex, slotIndex: undefined }));
+            
+            this.tabList.appendChild(tabButton);
+        });
+    }
+    
+    /**
+     * Redraw the slots of the active tab
+     */
+    renderStashGrid() {
+        this.stashGrid.innerHTML = '';
+        
+        this.game.stash.getTab(this.activeTab).forEach((item, slotIndex) => {
+            const target = { source: 'stash', tabIndex: this.activeTab, slotIndex };
+            this.stashGrid.appendChild(this.createSlotElement(item, target));
+        });
+    }
+    
+    /**
+     * Redraw the player's bag
+     */
+    renderBagGrid() {
+        this.bagGrid.innerHTML = '';
+        
+        const inventory = this.game.player.getInventory();
+        
+        // Fill whole rows of six, with at least as many slots as the inventory grid
+        const totalSlots = Math.max(this.minBagSlots, Math.ceil(inventory.length / 6) * 6);
+        for (let slotIndex = 0; slotIndex < totalSlots; slotIndex++) {
+            const target = { source: 'bag', slotIndex };
+            this.bagGrid.appendChild(this.createSlotElement(inventory[slotIndex] || null, target));
+        }
+    }
+    
+    /**
+     * Create the element for a bag or stash slot
+     * @param {Object|null} item - Item in the slot, or null if empty
+     * @param {Object} slot - Where the slot is: { source: 'bag'|'stash', tabIndex, slotIndex }
+     * @returns {HTMLElement} - The slot element
+     */
+    createSlotElement(item, slot) {
+        const slotElement = document.createElement('div');
+        slotElement.className = item ? 'inventory-item' : 'inventory-item empty';
+        
+        this.addDropTarget(slotElement, () => this.handleDrop(slot));
+        
+        if (!item) {
+            return slotElement;
+        }
+        
+        // Create item icon
+        const itemIcon = document.createElement('div');
+        itemIcon.className = `item-icon${item.rarity ? ` item-${item.rarity}` : ''}`;
+        itemIcon.textContent = item.icon || '📦';
+        slotElement.appendChild(itemIcon);
+        
+        // Create item count
+        const itemCount = document.createElement('div');
+        itemCount.className = 'item-count';
+        itemCount.textContent = item.amount > 1 ? `x${item.amount}` : '';
+        slotElement.appendChild(itemCount);
+        
+        // Add tooltip with item name
+        slotElement.title = item.name;
+        
+        // Drag the item to a slot or tab on either side
+        slotElement.draggable = true;
+        slotElement.addEventListener('dragstart', (event) => {
+            this.dragSource = slot;
+            event.dataTransfer.effectAllowed = 'move';
+            // Firefox only starts a drag when data is set
+            event.dataTransfer.setData('text/plain', item.name);
+            slotElement.classList.add('dragging');
+        });
+        slotElement.addEventListener('dragend', () => {
+            this.dragSource = null;
+            slotElement.classList.remove('dragging');
+        });
+        
+        // Clicking sends the item to the other side, for touch screens without drag-and-drop
+        slotElement.addEventListener('click', () => {
+            if (slot.source === 'bag') {
+                this.depositItem(slot.slotIndex, this.activeTab);
+            } else {
+                this.withdrawItem(slot.tabIndex, slot.slotIndex);
+            }
+            this.renderStash();
+        });
+        
+        return slotElement;
+    }
+    
+    /**
+     * Make an element accept dropped items
+     * @param {HTMLElement} element - The element to drop on
+     * @param {Function} onDrop - Called when an item is dropped on the element
+     */
+    addDropTarget(element, onDrop) {
+        element.addEventListener('dragover', (event) => {
+            if (!this.dragSource) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', () => {
+            element.classList.remove('drop-target');
+        });
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            element.classList.remove('drop-target');
+            onDrop();
+        });
+    }
+    
+    /**
+     * Move the dragged item to the slot it was dropped on
+     * @param {Object} target - Slot the item was dropped on: { source: 'bag'|'stash', tabIndex, slotIndex }
+     */
+    handleDrop(target) {
+        const from = this.dragSource;
+        this.dragSource = null;
+        if (!from) return;
+        
+        if (from.source === 'bag' && target.source === 'stash') {
+            this.depositItem(from.slotIndex, target.tabIndex, target.slotIndex);
+        } else if (from.source === 'stash' && target.source === 'bag') {
+            this.withdrawItem(from.tabIndex, from.slotIndex);
+        } else if (from.source === 'stash' && target.source === 'stash') {
+            const stash = this.game.stash;
+            const toSlot = target.slotIndex !== undefined ? target.slotIndex : stash.findFreeSlot(target.tabIndex);
+            if (toSlot < 0 || !stash.moveItem(from.tabIndex, from.slotIndex, target.tabIndex, toSlot)) {
+                this.game.hudManager.showNotification('That stash tab is full');
+            }
+        }
+        // The bag has no fixed slots, so reordering it is not supported
+        
+        this.renderStash();
+    }
+    
+    /**
+     * Move an item stack from the bag into the stash
+     * When the chosen slot is taken, the item goes to the first free slot of the tab
+     * @param {number} bagIndex - Index of the item in the player's inventory
+     * @param {number} tabIndex - Tab to store the item on
+     * @param {number} [slotIndex] - Slot to store the item in
+     * @returns {boolean} - Whether the item was stored
+     */
+    depositItem(bagIndex, tabIndex, slotIndex) {
+        const stash = this.game.stash;
+        const item = this.game.player.getInventory()[bagIndex];
+        if (!item) return false;
+        
+        if (slotIndex === undefined || stash.getItem(tabIndex, slotIndex)) {
+            slotIndex = stash.findFreeSlot(tabIndex);
+        }
+        
+        if (slotIndex < 0 || !stash.deposit(item, tabIndex, slotIndex)) {
+            this.game.hudManager.showNotification('That stash tab is full');
+            return false;
+        }
+        
+        this.game.player.removeItem(item.id, item.amount || 1);
+        return true;
+    }
+    
+    /**
+     * Move an item from the stash into the bag
+     * @param {number} tabIndex - Tab of the item
+     * @param {number} slotIndex - Slot of the item
+     * @returns {boolean} - Whether the item was moved
+     */
+    withdrawItem(tabIndex, slotIndex) {
+        const storedItem = this.game.stash.getItem(tabIndex, slotIndex);
+        if (!storedItem) return false;
+        
+        if (!this.game.player.inventory.hasRoomFor([storedItem])) {
+            this.game.hudManager.showNotification('Your bag is full');
+            return false;
+        }
+        
+        const item = this.game.stash.withdraw(tabIndex, slotIndex);
+        
+        this.game.player.addToInventory(item);
+        return true;
+    }
+    
+    /**
+     * Persist the hero's bag and the stash
+     * The hero is written first and the stash only once that succeeded, so a failed hero save
+     * leaves the saved stash matching the saved bag instead of duplicating or losing moved items
+     */
+    saveStash() {
+        if (!this.game.saveManager) {
+            console.warn('SaveManager not available, stash not saved');
+            return;
+        }
+        
+        this.game.saveManager.saveGame(true, true).then(heroSaved => {
+            if (!heroSaved) {
+                this.game.hudManager.showNotification('Failed to save your hero, the stash was not saved!');
+                return;
+            }
+            return this.game.saveManager.saveStash().then(stashSaved => {
+                if (!stashSaved) {
+                    this.game.hudManager.showNotification('Failed to save the stash!');
+                }
+            });
+        }).catch(error => {
+            console.error('Error saving stash:', error);
+            this.game.hudManager.showNotification('Error saving the stash!');
+        });
+    }
+}
@@ -250,6 +250,8 @@ export class ControlsDisplay {
                 return 'Toggle Inventory';
             case 'TOGGLE_SKILL_TREE':
                 return 'Toggle Skill Tree';
+            case 'TOGGLE_CODEX':
+                return 'Toggle Legendary Codex';
             case 'TOGGLE_MINIMAP':
                 return 'Toggle Mini Map';
             case 'MINIMAP_ZOOM_IN':
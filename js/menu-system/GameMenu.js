@@ -13,6 +13,7 @@ export class GameMenu extends IMenu {
     constructor(game) {
         super('game-menu', game);
         this.loadGameButton = document.getElementById('load-game-button');
+        this.saveSlotsButton = document.getElementById('save-slots-button');
         this.settingsMenuButton = document.getElementById('settings-menu-button');
         this.setupEventListeners();
     }
@@ -45,66 +46,32 @@ export class GameMenu extends IMenu {
                     }
                     
                     console.debug("Game resumed - enemies and player are now active");
-                } else  if (this.game.saveManager && this.game.saveManager.hasSaveData()) {
-                    if (await this.game.saveManager.loadGame()) {
-                        console.debug("Game data loaded successfully");
-                        this.hide();
-                        
-                        // Hide the main background when loading a game
-                        if (this.game.hudManager && this.game.hudManager.mainBackground) {
-                            this.game.hudManager.mainBackground.hide();
-                        }
-                        
-                        // Start the game with loaded data - this will set isPaused to false and start the game loop
-                        // Pass true to indicate this is a loaded game, so player position isn't reset
-                        this.game.start(true);
-                        
-                        // Make sure settings button is visible
-                        const homeButton = document.getElementById('home-button');
-                        if (homeButton) {
-                            homeButton.style.display = 'block';
-                        }
-                        
-                        // Show all HUD elements
-                        if (this.game.hudManager) {
-                            this.game.hudManager.showAllUI();
-                        }
-                        
-                        console.debug("Game started with loaded data - enemies and player are now active");
-                    } else {
-                        console.error("Failed to Continue Game data");
-                        alert('Failed to Continue Game data.');
-                    };
+                } else if (this.game.saveManager && await this.game.saveManager.hasAnySaveData()) {
+                    // Let the player choose which hero to continue with
+                    if (this.game.menuManager) {
+                        this.game.menuManager.showMenu('saveSlotMenu');
+                    }
                 } else {
                     // Game has never been started - start a new game
                     console.debug("New Game button clicked - starting new game...");
-                    this.hide();
-                    
-                    // Hide the main background when starting the game
-                    if (this.game.hudManager && this.game.hudManager.mainBackground) {
-                        this.game.hudManager.mainBackground.hide();
-                    }
                     
-                    // Start the game - this will set isPaused to false and start the game loop
                     // Pass false to indicate this is a new game, so player position should be reset
-                    this.game.start(false);
-                    
-                    // Make sure settings button is visible
-                    const homeButton = document.getElementById('home-button');
-                    if (homeButton) {
-                        homeButton.style.display = 'block';
-                    }
-                    
-                    // Show all HUD elements
-                    if (this.game.hudManager) {
-                        this.game.hudManager.showAllUI();
-                    }
+                    this.startGame(false);
                     
                     console.debug("New game started - enemies and player are now active");
                 }
             })
         }
 
+        // Heroes button - pick, copy, rename or delete save slots
+        if (this.saveSlotsButton) {
+            this.saveSlotsButton.addEventListener('click', () => {
+                if (this.game.menuManager) {
+                    this.game.menuManager.showMenu('saveSlotMenu');
+                }
+            });
+        }
+
         // Settings button
         if (this.settingsMenuButton) {
             this.settingsMenuButton.addEventListener('click', () => {
@@ -116,6 +83,38 @@ export class GameMenu extends IMenu {
         }
     }
 
+    /**
+     * Hide the menu and start the game
+     * @param {boolean} isLoadedGame - Whether save data was loaded, so the player position isn't reset
+     */
+    startGame(isLoadedGame) {
+        this.hide();
+        
+        // Hide the main background when starting the game
+        if (this.game.hudManager && this.game.hudManager.mainBackground) {
+            this.game.hudManager.mainBackground.hide();
+        }
+        
+        // A new hero starts with default skills rather than the last hero's
+        if (!isLoadedGame && this.game.saveManager) {
+            this.game.saveManager.resetHeroState();
+        }
+        
+        // Start the game - this will set isPaused to false and start the game loop
+        this.game.start(isLoadedGame);
+        
+        // Make sure settings button is visible
+        const homeButton = document.getElementById('home-button');
+        if (homeButton) {
+            homeButton.style.display = 'block';
+        }
+        
+        // Show all HUD elements
+        if (this.game.hudManager) {
+            this.game.hudManager.showAllUI();
+        }
+    }
+
     /**
      * Get the menu type/name
      * @returns {string} The menu type/name
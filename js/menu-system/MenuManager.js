@@ -5,6 +5,7 @@
 
 import { GameMenu } from './GameMenu.js';
 import { SettingsMenu } from './SettingsMenu.js';
+import { SaveSlotMenu } from './SaveSlotMenu.js';
 
 export class MenuManager {
     /**
@@ -53,6 +54,9 @@ export class MenuManager {
             case 'settingsMenu':
                 menu = new SettingsMenu(this.game);
                 break;
+            case 'saveSlotMenu':
+                menu = new SaveSlotMenu(this.game);
+                break;
             default:
                 console.error(`Unknown menu type: ${menuType}`);
                 return null;
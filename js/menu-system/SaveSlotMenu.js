@@ -0,0 +1,419 @@
+/**
+ * SaveSlotMenu.js
+ * Lets the player pick, create, copy, rename, delete, export and import hero save slots
+ */
+
+import { IMenu } from './IMenu.js';
+
+export class SaveSlotMenu extends IMenu {
+    /**
+     * Create a save slot menu
+     * @param {Game} game - The game instance
+     */
+    constructor(game) {
+        super('save-slot-menu', game);
+        this.slotList = document.getElementById('save-slot-list');
+        this.closeButton = document.getElementById('close-save-slot-btn');
+        this.newHeroButton = document.getElementById('new-hero-button');
+        this.importHeroButton = document.getElementById('import-hero-button');
+        this.importHeroInput = document.getElementById('import-hero-input');
+        this.importPreview = document.getElementById('hero-import-preview');
+        this.pendingImport = null;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for menu buttons
+     * @private
+     */
+    setupEventListeners() {
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => {
+                if (this.game.menuManager) {
+                    this.game.menuManager.showMenu('gameMenu');
+                }
+            });
+        }
+
+        if (this.newHeroButton) {
+            this.newHeroButton.addEventListener('click', () => this.createNewHero());
+        }
+
+        if (this.importHeroButton && this.importHeroInput) {
+            this.importHeroButton.addEventListener('click', () => this.importHeroInput.click());
+            this.importHeroInput.addEventListener('change', () => {
+                const file = this.importHeroInput.files && this.importHeroInput.files[0];
+                // Reset so picking the same file again still fires a change event
+                this.importHeroInput.value = '';
+                if (file) {
+                    this.previewImport(file);
+                }
+            });
+        }
+
+        if (this.importPreview) {
+            this.importPreview.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) {
+                    return;
+                }
+                if (button.dataset.action === 'confirm-import') {
+                    this.confirmImport();
+                } else {
+                    this.hideImportPreview();
+                }
+            });
+        }
+
+        // Slot rows are re-rendered on every show, so delegate clicks from the list
+        if (this.slotList) {
+            this.slotList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (button) {
+                    this.handleSlotAction(button.dataset.action, button.dataset.slotId);
+                }
+            });
+        }
+    }
+
+    /**
+     * Get the menu type/name
+     * @returns {string} The menu type/name
+     */
+    getType() {
+        return 'saveSlotMenu';
+    }
+
+    /**
+     * Render the list of save slots
+     * @returns {Promise<void>}
+     */
+    async renderSlots() {
+        if (!this.slotList || !this.game.saveManager) {
+            return;
+        }
+
+        const saveManager = this.game.saveManager;
+        const activeSlot = saveManager.getActiveSlot();
+        const slots = saveManager.listSlots();
+        const savedSlots = await Promise.all(slots.map(slot => saveManager.hasSaveData(slot.id)));
+
+        this.slotList.innerHTML = '';
+
+        if (slots.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'save-slot-empty';
+            empty.textContent = 'No heroes saved yet. Start a new hero to begin your journey.';
+            this.slotList.appendChild(empty);
+        }
+
+        slots.forEach((slot, index) => {
+            const row = document.createElement('div');
+            row.className = 'save-slot';
+            if (activeSlot && activeSlot.id === slot.id) {
+                row.classList.add('active');
+            }
+
+            const info = document.createElement('div');
+            info.className = 'save-slot-info';
+
+            const name = document.createElement('div');
+            name.className = 'save-slot-name';
+            name.textContent = slot.name;
+
+            const details = document.createElement('div');
+            details.className = 'save-slot-details';
+            details.textContent = savedSlots[index]
+                ? [
+                    `Level ${slot.level}`,
+                    slot.zone || 'Unknown zone',
+                    this.formatPlayTime(slot.playTime),
+                    slot.timestamp ? new Date(slot.timestamp).toLocaleString() : ''
+                ].filter(Boolean).join(' • ')
+                : 'Empty slot';
+
+            info.appendChild(name);
+            info.appendChild(details);
+            row.appendChild(info);
+
+            // The slot index may come from the sync server, so slot values are never parsed as HTML
+            const actions = document.createElement('div');
+            actions.className = 'save-slot-actions';
+            [
+                { action: 'continue', className: 'settings-button', label: 'Continue' },
+                { action: 'copy', className: 'small-btn', label: '📄', title: 'Copy' },
+                { action: 'rename', className: 'small-btn', label: '✏️', title: 'Rename' },
+                { action: 'export', className: 'small-btn', label: '📤', title: 'Export Hero', disabled: !savedSlots[index] },
+                { action: 'delete', className: 'small-btn danger-button', label: '🗑️', title: 'Delete' }
+            ].forEach(({ action, className, label, title, disabled }) => {
+                const button = document.createElement('button');
+                button.className = className;
+                button.dataset.action = action;
+                button.dataset.slotId = slot.id;
+                button.textContent = label;
+                if (title) {
+                    button.title = title;
+                }
+                button.disabled = Boolean(disabled);
+                actions.appendChild(button);
+            });
+            row.appendChild(actions);
+
+            this.slotList.appendChild(row);
+        });
+
+        if (this.newHeroButton) {
+            this.newHeroButton.disabled = slots.length >= saveManager.maxSlots;
+        }
+        if (this.importHeroButton) {
+            this.importHeroButton.disabled = slots.length >= saveManager.maxSlots;
+        }
+    }
+
+    /**
+     * Format play time for display
+     * @param {number} seconds - Play time in seconds
+     * @returns {string} Formatted play time, e.g. "1h 05m"
+     */
+    formatPlayTime(seconds = 0) {
+        const totalMinutes = Math.floor(seconds / 60);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${minutes.toString().padStart(2, '0')}m` : `${minutes}m`;
+    }
+
+    /**
+     * Dispatch a slot row action
+     * @param {string} action - continue, copy, export, rename or delete
+     * @param {string} slotId - Slot the action applies to
+     * @returns {Promise<void>}
+     */
+    async handleSlotAction(action, slotId) {
+        const saveManager = this.game.saveManager;
+        const slot = saveManager.getSlot(slotId);
+        if (!slot) {
+            return;
+        }
+
+        switch (action) {
+            case 'continue':
+                this.continueWithSlot(slotId);
+                return;
+            case 'copy':
+                if (!await saveManager.copySlot(slotId)) {
+                    alert(`Could not copy ${slot.name}. You can keep up to ${saveManager.maxSlots} heroes.`);
+                }
+                break;
+            case 'export':
+                try {
+                    await saveManager.heroTransfer.exportHero(slotId);
+                } catch (error) {
+                    console.error('Error exporting hero:', error);
+                    alert(`Could not export ${slot.name}: ${error.message}`);
+                }
+                return;
+            case 'rename': {
+                const name = prompt('Rename hero:', slot.name);
+                if (name !== null) {
+                    await saveManager.renameSlot(slotId, name);
+                }
+                break;
+            }
+            case 'delete':
+                if (confirm(`Delete ${slot.name}? This hero cannot be recovered.`)) {
+                    await saveManager.deleteSlot(slotId);
+                }
+                break;
+        }
+
+        this.renderSlots();
+    }
+
+    /**
+     * Load the hero in a slot and start playing
+     * @param {string} slotId - Slot to continue with
+     * @returns {Promise<void>}
+     */
+    async continueWithSlot(slotId) {
+        const saveManager = this.game.saveManager;
+
+        // Switching heroes mid-session: reload so every system starts clean for the chosen hero
+        if (this.game.hasStarted) {
+            await saveManager.setActiveSlot(slotId);
+            window.location.reload();
+            return;
+        }
+
+        if (!await saveManager.hasSaveData(slotId)) {
+            await saveManager.setActiveSlot(slotId);
+            this.startGame(false);
+            return;
+        }
+
+        if (await saveManager.loadGame(slotId)) {
+            console.debug(`Hero in slot ${slotId} loaded successfully`);
+            this.startGame(true);
+        } else {
+            console.error(`Failed to load hero in slot ${slotId}`);
+            alert('Failed to load this hero.');
+        }
+    }
+
+    /**
+     * Create a slot for a new hero and start playing it
+     * @returns {Promise<void>}
+     */
+    async createNewHero() {
+        const saveManager = this.game.saveManager;
+        const defaultName = `Hero ${saveManager.listSlots().length + 1}`;
+        const name = prompt('Name your hero:', defaultName);
+        if (name === null) {
+            return;
+        }
+
+        const slot = await saveManager.createSlot(name.trim() || defaultName);
+        if (!slot) {
+            alert(`All ${saveManager.maxSlots} save slots are in use. Delete a hero to make room.`);
+            return;
+        }
+        await saveManager.setActiveSlot(slot.id);
+
+        if (this.game.hasStarted) {
+            window.location.reload();
+            return;
+        }
+
+        this.startGame(false);
+    }
+
+    /**
+     * Validate a hero file and show its preview
+     * @param {File} file - The selected hero file
+     * @returns {Promise<void>}
+     */
+    async previewImport(file) {
+        const heroTransfer = this.game.saveManager.heroTransfer;
+        let payload;
+        try {
+            payload = await heroTransfer.readHeroFile(file);
+        } catch (error) {
+            console.warn('Rejected hero file:', error);
+            alert(error.message);
+            return;
+        }
+
+        this.pendingImport = payload;
+        const preview = heroTransfer.getPreview(payload);
+
+        this.importPreview.innerHTML = `
+            <div class="hero-import-card">
+                <h3 class="hero-import-name"></h3>
+                <div class="hero-import-stats"></div>
+                <ul class="hero-import-gear"></ul>
+                <div class="hero-import-actions">
+                    <button class="settings-button" data-action="confirm-import">Import</button>
+                    <button class="settings-button" data-action="cancel-import">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        // Values from the file are untrusted, so set them as text
+        this.importPreview.querySelector('.hero-import-name').textContent = preview.name;
+        this.importPreview.querySelector('.hero-import-stats').textContent = [
+            `Level ${preview.level}`,
+            `${preview.gold} gold`,
+            `${preview.itemCount} items`,
+            `${preview.skillCount} skills`,
+            preview.zone,
+            `save v${preview.version}`
+        ].filter(Boolean).join(' • ');
+
+        const gearList = this.importPreview.querySelector('.hero-import-gear');
+        if (preview.equipment.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No gear equipped';
+            gearList.appendChild(item);
+        }
+        preview.equipment.forEach(({ slot, name }) => {
+            const item = document.createElement('li');
+            item.textContent = `${slot}: ${name}`;
+            gearList.appendChild(item);
+        });
+
+        this.importPreview.style.display = 'flex';
+    }
+
+    /**
+     * Import the previewed hero into a new slot
+     * @returns {Promise<void>}
+     */
+    async confirmImport() {
+        if (!this.pendingImport) {
+            return;
+        }
+
+        try {
+            const slot = await this.game.saveManager.heroTransfer.importHero(this.pendingImport);
+            console.debug(`Hero imported into slot ${slot.id}`);
+        } catch (error) {
+            console.error('Error importing hero:', error);
+            alert(`Could not import hero: ${error.message}`);
+        }
+
+        this.hideImportPreview();
+        this.renderSlots();
+    }
+
+    /**
+     * Close the import preview and forget the pending file
+     */
+    hideImportPreview() {
+        this.pendingImport = null;
+        if (this.importPreview) {
+            this.importPreview.style.display = 'none';
+            this.importPreview.innerHTML = '';
+        }
+    }
+
+    /**
+     * Hide the menu and start the game through the game menu
+     * @param {boolean} isLoadedGame - Whether a save was loaded
+     */
+    startGame(isLoadedGame) {
+        this.hide();
+        const gameMenu = this.game.menuManager && this.game.menuManager.getMenu('gameMenu');
+        if (gameMenu) {
+            gameMenu.startGame(isLoadedGame);
+        } else {
+            this.game.start(isLoadedGame);
+        }
+    }
+
+    /**
+     * Show the save slot menu
+     */
+    show() {
+        if (this.element) {
+            this.renderSlots();
+            this.element.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Hide the save slot menu
+     */
+    hide() {
+        this.hideImportPreview();
+        if (this.element) {
+            this.element.style.display = 'none';
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        // The element is defined in the HTML, so just hide it
+        this.hide();
+    }
+}
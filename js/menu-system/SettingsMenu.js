@@ -11,6 +11,7 @@ import { AudioTab } from './settings-menu/AudioTab.js';
 import { ControlsTab } from './settings-menu/ControlsTab.js';
 import { EnemyPreviewTab } from './settings-menu/EnemyPreviewTab.js';
 import { ItemPreviewTab } from './settings-menu/ItemPreviewTab.js';
+import { LootFilterTab } from './settings-menu/LootFilterTab.js';
 import { SaveOperationProgress } from '../save-manager/utils/SaveOperationProgress.js';
 
 export class SettingsMenu extends UIComponent {
@@ -100,6 +101,7 @@ export class SettingsMenu extends UIComponent {
         this.tabs.controls = new ControlsTab(this.game, this);
         this.tabs['enemy-preview'] = new EnemyPreviewTab(this.game, this);
         this.tabs['item-preview'] = new ItemPreviewTab(this.game, this);
+        this.tabs['loot-filter'] = new LootFilterTab(this.game, this);
     }
     
     /**
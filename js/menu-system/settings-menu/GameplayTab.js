@@ -19,6 +19,7 @@ export class GameplayTab extends SettingsTab {
         // Game settings elements
         this.difficultySelect = document.getElementById('difficulty-select');
         this.customSkillsCheckbox = document.getElementById('custom-skills-checkbox');
+        this.questBeaconCheckbox = document.getElementById('quest-beacon-checkbox');
         
         // Camera settings
         this.cameraZoomSlider = document.getElementById('camera-zoom-slider');
@@ -26,6 +27,9 @@ export class GameplayTab extends SettingsTab {
         
         // New Game button
         this.newGameButton = document.getElementById('new-game-button');
+        
+        // Save sync server
+        this.syncServerInput = document.getElementById('sync-server-input');
 
         // Performance settings (merged from PerformanceTab)
         this.minimalModeCheckbox = document.getElementById('minimal-mode-checkbox');
@@ -102,6 +106,26 @@ export class GameplayTab extends SettingsTab {
                 if (this.game) this.game.debugMode = this.debugModeCheckbox.checked;
             });
         }
+        if (this.syncServerInput) {
+            this.syncServerInput.value = localStorage.getItem(STORAGE_KEYS.SYNC_SERVER_URL) || '';
+            this.syncServerInput.addEventListener('change', () => {
+                const syncServerUrl = this.syncServerInput.value.trim();
+                if (syncServerUrl && !this.syncServerInput.checkValidity()) {
+                    return;
+                }
+                if (syncServerUrl) {
+                    localStorage.setItem(STORAGE_KEYS.SYNC_SERVER_URL, syncServerUrl);
+                } else {
+                    localStorage.removeItem(STORAGE_KEYS.SYNC_SERVER_URL);
+                }
+                if (this.game && this.game.hudManager && this.game.hudManager.showNotification) {
+                    this.game.hudManager.showNotification(
+                        syncServerUrl ? 'Sync server set — reload the page to start syncing' : 'Sync disabled — reload the page to save on this device only',
+                        3000
+                    );
+                }
+            });
+        }
         if (this.logEnabledCheckbox) {
             const logEnabled = localStorage.getItem(STORAGE_KEYS.LOG_ENABLED) === 'true';
             this.logEnabledCheckbox.checked = logEnabled;
@@ -177,6 +201,19 @@ export class GameplayTab extends SettingsTab {
             });
         }
         
+        if (this.questBeaconCheckbox) {
+            // Beacon is shown unless turned off
+            this.questBeaconCheckbox.checked = localStorage.getItem(STORAGE_KEYS.QUEST_BEACON) !== 'false';
+            
+            this.questBeaconCheckbox.addEventListener('change', () => {
+                localStorage.setItem(STORAGE_KEYS.QUEST_BEACON, this.questBeaconCheckbox.checked);
+                
+                if (this.game && this.game.questManager) {
+                    this.game.questManager.questBeacon.setEnabled(this.questBeaconCheckbox.checked);
+                }
+            });
+        }
+        
         // Initialize camera zoom slider if it exists
         if (this.cameraZoomSlider) {
             // Set min, max and default values
@@ -219,7 +256,7 @@ export class GameplayTab extends SettingsTab {
         
         // Initialize New Game button if it exists
         if (this.newGameButton) {
-            this.newGameButton.addEventListener('click', () => {
+            this.newGameButton.addEventListener('click', async () => {
                 // Confirm before starting a new game
                 if (confirm('Are you sure you want to start a new game? Your current progress will be lost.')) {
                     // Close the settings menu
@@ -234,7 +271,7 @@ export class GameplayTab extends SettingsTab {
                         // First, delete all player state data from localStorage
                         if (this.game.saveManager) {
                             console.debug('Removing player state data from localStorage...');
-                            const saveDeleted = this.game.saveManager.deleteSave();
+                            const saveDeleted = await this.game.saveManager.deleteSave();
                             if (saveDeleted) {
                                 console.debug('Player state data successfully removed');
                             } else {
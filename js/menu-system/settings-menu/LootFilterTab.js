@@ -0,0 +1,194 @@
+/**
+ * LootFilterTab.js
+ * Manages the loot filter settings tab UI component
+ */
+
+import { SettingsTab } from './SettingsTab.js';
+import { LOOT_FILTER_CONFIG } from '../../config/loot-filter.js';
+
+export class LootFilterTab extends SettingsTab {
+    /**
+     * Create a loot filter settings tab
+     * @param {import('../../game/Game.js').Game} game - The game instance
+     * @param {SettingsMenu} settingsMenu - The parent settings menu
+     */
+    constructor(game, settingsMenu) {
+        super('loot-filter', game, settingsMenu);
+        
+        // Loot filter settings elements
+        this.minRaritySelect = document.getElementById('loot-min-rarity-select');
+        this.hiddenTypesContainer = document.getElementById('loot-hidden-types');
+        this.autoPickupGoldCheckbox = document.getElementById('loot-auto-pickup-gold-checkbox');
+        this.autoPickupPotionsCheckbox = document.getElementById('loot-auto-pickup-potions-checkbox');
+        this.rarityEffectsContainer = document.getElementById('loot-rarity-effects');
+        this.sessionStatsElement = document.getElementById('loot-session-stats');
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize the loot filter settings
+     * @returns {boolean} - True if initialization was successful
+     */
+    init() {
+        if (!this.game || !this.game.lootFilter) {
+            return false;
+        }
+        
+        this.createControls();
+        this.loadRules();
+        
+        // Apply every change right away, so the rules hold as soon as the player returns to the game
+        [this.minRaritySelect, this.hiddenTypesContainer, this.autoPickupGoldCheckbox,
+            this.autoPickupPotionsCheckbox, this.rarityEffectsContainer]
+            .filter(element => element)
+            .forEach(element => element.addEventListener('change', () => this.saveSettings()));
+        
+        return true;
+    }
+    
+    /**
+     * Create the rarity options and the checkboxes for item types and rarity effects
+     * @private
+     */
+    createControls() {
+        if (this.minRaritySelect) {
+            this.minRaritySelect.innerHTML = LOOT_FILTER_CONFIG.rarities
+                .map(rarity => `<option value="${rarity}">${this.formatName(rarity)}</option>`)
+                .join('');
+        }
+        
+        if (this.hiddenTypesContainer) {
+            this.hiddenTypesContainer.innerHTML = LOOT_FILTER_CONFIG.hideableTypes
+                .map(type => `
+                    <label class="loot-filter-option">
+                        <input type="checkbox" class="settings-checkbox" data-type="${type}">
+                        ${this.formatName(type)}
+                    </label>
+                `)
+                .join('');
+        }
+        
+        if (this.rarityEffectsContainer) {
+            this.rarityEffectsContainer.innerHTML = LOOT_FILTER_CONFIG.rarities
+                .map(rarity => `
+                    <div class="loot-filter-rarity">
+                        <span class="loot-filter-rarity-name item-${rarity}">${this.formatName(rarity)}</span>
+                        <label class="loot-filter-option">
+                            <input type="checkbox" class="settings-checkbox" data-rarity="${rarity}" data-effect="beam">
+                            Beam
+                        </label>
+                        <label class="loot-filter-option">
+                            <input type="checkbox" class="settings-checkbox" data-rarity="${rarity}" data-effect="sound">
+                            Sound
+                        </label>
+                    </div>
+                `)
+                .join('');
+        }
+    }
+    
+    /**
+     * Show the loot filter's current rules in the controls
+     * @private
+     */
+    loadRules() {
+        const rules = this.game.lootFilter.getRules();
+        
+        if (this.minRaritySelect) {
+            this.minRaritySelect.value = rules.minRarity;
+        }
+        if (this.hiddenTypesContainer) {
+            this.hiddenTypesContainer.querySelectorAll('input[data-type]').forEach(checkbox => {
+                checkbox.checked = rules.hiddenTypes.includes(checkbox.dataset.type);
+            });
+        }
+        if (this.autoPickupGoldCheckbox) {
+            this.autoPickupGoldCheckbox.checked = rules.autoPickup.gold;
+        }
+        if (this.autoPickupPotionsCheckbox) {
+            this.autoPickupPotionsCheckbox.checked = rules.autoPickup.potions;
+        }
+        if (this.rarityEffectsContainer) {
+            this.rarityEffectsContainer.querySelectorAll('input[data-rarity]').forEach(checkbox => {
+                checkbox.checked = rules.rarityEffects[checkbox.dataset.rarity][checkbox.dataset.effect];
+            });
+        }
+    }
+    
+    /**
+     * Show how many drops this session's rules showed and hid
+     * @private
+     */
+    updateSessionStats() {
+        if (!this.sessionStatsElement || !this.game || !this.game.lootFilter) return;
+        
+        const stats = this.game.lootFilter.getSessionStats();
+        const filteredByRarity = LOOT_FILTER_CONFIG.rarities
+            .filter(rarity => stats.filteredByRarity[rarity])
+            .map(rarity => `${stats.filteredByRarity[rarity]} ${rarity}`)
+            .join(', ');
+        
+        this.sessionStatsElement.textContent = `This session: ${stats.drops} drops, ${stats.shown} shown, ` +
+            `${stats.filtered} hidden${filteredByRarity ? ` (${filteredByRarity})` : ''}, ${stats.pickedUp} picked up`;
+    }
+    
+    /**
+     * Turn a rarity or type into a label, e.g. "legendary" into "Legendary"
+     * @param {string} name - Rarity or item type
+     * @returns {string} The label
+     * @private
+     */
+    formatName(name) {
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    
+    /**
+     * Called when the tab is activated
+     */
+    onActivate() {
+        this.updateSessionStats();
+    }
+    
+    /**
+     * Save the loot filter settings
+     */
+    saveSettings() {
+        if (!this.game || !this.game.lootFilter) return;
+        
+        const changes = {};
+        if (this.minRaritySelect) {
+            changes.minRarity = this.minRaritySelect.value;
+        }
+        if (this.hiddenTypesContainer) {
+            changes.hiddenTypes = [...this.hiddenTypesContainer.querySelectorAll('input[data-type]:checked')]
+                .map(checkbox => checkbox.dataset.type);
+        }
+        changes.autoPickup = {};
+        if (this.autoPickupGoldCheckbox) {
+            changes.autoPickup.gold = this.autoPickupGoldCheckbox.checked;
+        }
+        if (this.autoPickupPotionsCheckbox) {
+            changes.autoPickup.potions = this.autoPickupPotionsCheckbox.checked;
+        }
+        if (this.rarityEffectsContainer) {
+            changes.rarityEffects = {};
+            this.rarityEffectsContainer.querySelectorAll('input[data-rarity]').forEach(checkbox => {
+                const { rarity, effect } = checkbox.dataset;
+                changes.rarityEffects[rarity] = { ...changes.rarityEffects[rarity], [effect]: checkbox.checked };
+            });
+        }
+        
+        this.game.lootFilter.setRules(changes);
+    }
+    
+    /**
+     * Reset the loot filter settings to defaults
+     */
+    resetToDefaults() {
+        if (!this.game || !this.game.lootFilter) return;
+        
+        this.game.lootFilter.resetToDefaults();
+        this.loadRules();
+    }
+}
@@ -0,0 +1,269 @@
+import { BOUNTY_CONFIG } from '../config/bounties.js';
+import { ENEMY_TYPES, BOSS_TYPES, ZONE_ENEMIES, ZONE_BOSSES } from '../config/game-balance.js';
+
+/**
+ * Generates bounties: repeatable side quests set in the zones around the player
+ * A bounty is a regular quest definition with isBounty set, so QuestManager tracks it like any other quest
+ */
+export class BountyGenerator {
+    /**
+     * Create a new bounty generator
+     * @param {Object} game - The game instance
+     * @param {Object} [config] - Bounty settings (see js/config/bounties.js)
+     */
+    constructor(game, config = BOUNTY_CONFIG) {
+        this.game = game;
+        this.config = config;
+
+        // Keeps ids unique when several bounties are generated at once
+        this.nextBountyNumber = 0;
+    }
+
+    /**
+     * Generate a set of bounties
+     * @param {number} count - Number of bounties wanted
+     * @returns {Object[]} Bounty quest definitions; fewer than asked if the world has no suitable zones
+     */
+    generate(count) {
+        const bounties = [];
+
+        // A kind can be impossible around the player, e.g. no boss lives in the nearby zones, so allow retries
+        for (let attempt = 0; bounties.length < count && attempt < count * 5; attempt++) {
+            const bounty = this.generateBounty();
+            if (bounty) {
+                bounties.push(bounty);
+            }
+        }
+
+        return bounties;
+    }
+
+    /**
+     * Generate a single bounty of a random kind
+     * @returns {Object|null} A bounty quest definition, or null if no zone suits the chosen kind
+     */
+    generateBounty() {
+        const player = this.game.player;
+        if (!player) return null;
+
+        const kind = this.pickKind();
+        const zones = this.getNearbyZones(player.getPosition()).filter(zone => {
+            if (kind === 'clear') return (ZONE_ENEMIES[this.getZoneKey(zone.name)] || []).length > 0;
+            if (kind === 'hunt') return this.getZoneBosses(zone.name).length > 0;
+            return true;
+        });
+        if (zones.length === 0) return null;
+
+        const zone = this.pickRandom(zones);
+        const level = player.getLevel();
+
+        switch (kind) {
+            case 'clear':
+                return this.createClearBounty(zone, level);
+            case 'hunt':
+                return this.createHuntBounty(zone, level);
+            case 'loot':
+                return this.createLootBounty(zone, level);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Create a bounty to slay a number of one of a zone's enemies
+     * @param {Object} zone - Zone from the zone manager
+     * @param {number} level - Player level
+     * @returns {Object} Bounty quest definition
+     * @private
+     */
+    createClearBounty(zone, level) {
+        const kind = this.config.kinds.clear;
+        const enemyType = this.pickRandom(ZONE_ENEMIES[this.getZoneKey(zone.name)]);
+        const enemyName = this.getDisplayName(ENEMY_TYPES, enemyType);
+        const count = this.randomInt(kind.count[0], kind.count[1]);
+
+        return this.createBounty({
+            name: `Bounty: ${enemyName} Cull`,
+            description: `Wanted: ${count} ${enemyName} kills in the ${zone.name}.`,
+            objective: { type: 'kill', target: enemyType, count, zone: zone.name },
+            timeLimit: kind.timeLimit,
+            reward: this.scaleReward(kind, level, count / kind.count[0])
+        });
+    }
+
+    /**
+     * Create a bounty to slay a zone's boss, which appears once the player comes close
+     * @param {Object} zone - Zone from the zone manager
+     * @param {number} level - Player level
+     * @returns {Object} Bounty quest definition
+     * @private
+     */
+    createHuntBounty(zone, level) {
+        const bossType = this.pickRandom(this.getZoneBosses(zone.name));
+        const bossName = this.getDisplayName(BOSS_TYPES, bossType);
+        const position = this.pickPointInZone(zone);
+
+        return this.createBounty({
+            name: `Bounty: ${bossName}`,
+            description: `Wanted: the ${bossName}, last seen in the ${zone.name} near ${position.x}, ${position.z}.`,
+            objective: { type: 'kill', target: bossType, count: 1, spawn: { position } },
+            timeLimit: this.config.kinds.hunt.timeLimit,
+            reward: this.scaleReward(this.config.kinds.hunt, level)
+        });
+    }
+
+    /**
+     * Create a bounty to open caches hidden in a zone, which appear once the player comes close
+     * @param {Object} zone - Zone from the zone manager
+     * @param {number} level - Player level
+     * @returns {Object} Bounty quest definition
+     * @private
+     */
+    createLootBounty(zone, level) {
+        const kind = this.config.kinds.loot;
+        const count = this.randomInt(kind.count[0], kind.count[1]);
+        const position = this.pickPointInZone(zone);
+
+        return this.createBounty({
+            name: `Bounty: ${zone.name} Caches`,
+            description: `Supplies were stashed in the ${zone.name} near ${position.x}, ${position.z}. Open ${count} of the chests.`,
+            objective: { type: 'interact', target: 'chest', count, spawn: { position, spread: 8 } },
+            timeLimit: kind.timeLimit,
+            reward: this.scaleReward(kind, level, count / kind.count[0])
+        });
+    }
+
+    /**
+     * Fill in the fields every bounty shares
+     * @param {Object} bounty - Name, description, objective, time limit and reward of the bounty
+     * @returns {Object} Bounty quest definition
+     * @private
+     */
+    createBounty(bounty) {
+        return {
+            id: `bounty_${Date.now().toString(36)}_${this.nextBountyNumber++}`,
+            isMainQuest: false,
+            isBounty: true,
+            requiredLevel: 1,
+            ...bounty,
+            dialog: {
+                complete: 'The bounty is fulfilled. Collect your payment.'
+            }
+        };
+    }
+
+    /**
+     * Get the zones within the search radius of a position
+     * @param {THREE.Vector3} position - Player position
+     * @returns {Object[]} Nearby zones
+     * @private
+     */
+    getNearbyZones(position) {
+        const zoneManager = this.game.world && this.game.world.zoneManager;
+        if (!zoneManager || !zoneManager.zones) return [];
+
+        return zoneManager.zones.filter(zone => zone.center.distanceTo(position) <= this.config.searchRadius);
+    }
+
+    /**
+     * Pick a bounty kind, weighted by the kinds' weights
+     * @returns {string} Kind name
+     * @private
+     */
+    pickKind() {
+        const kinds = Object.entries(this.config.kinds);
+        const totalWeight = kinds.reduce((total, [, kind]) => total + kind.weight, 0);
+
+        let roll = Math.random() * totalWeight;
+        for (const [name, kind] of kinds) {
+            roll -= kind.weight;
+            if (roll < 0) return name;
+        }
+        return kinds[kinds.length - 1][0];
+    }
+
+    /**
+     * Pick a random point in the inner half of a zone, rounded to whole units
+     * @param {Object} zone - Zone from the zone manager
+     * @returns {{x: number, z: number}} The point
+     * @private
+     */
+    pickPointInZone(zone) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = Math.random() * zone.radius * 0.5;
+        return {
+            x: Math.round(zone.center.x + Math.cos(angle) * distance),
+            z: Math.round(zone.center.z + Math.sin(angle) * distance)
+        };
+    }
+
+    /**
+     * Scale a kind's reward to the player's level
+     * @param {Object} kind - Bounty kind settings
+     * @param {number} level - Player level
+     * @param {number} [scale=1] - Extra multiplier, e.g. for bounties asking for more kills
+     * @returns {{experience: number, gold: number}} The reward
+     * @private
+     */
+    scaleReward(kind, level, scale = 1) {
+        return {
+            experience: Math.round(kind.experiencePerLevel * level * scale),
+            gold: Math.round(kind.goldPerLevel * level * scale)
+        };
+    }
+
+    /**
+     * Get the key a zone's enemies and bosses are listed under in the balance config
+     * @param {string} zoneName - Zone name, e.g. "Dark Sanctum"
+     * @returns {string} Config key, e.g. "dark_sanctum"
+     * @private
+     */
+    getZoneKey(zoneName) {
+        return zoneName.toLowerCase().replace(/\s+/g, '_');
+    }
+
+    /**
+     * Get the bosses that can be hunted in a zone
+     * Some zone boss lists include elite regular enemies, which cannot be spawned as bosses
+     * @param {string} zoneName - Zone name
+     * @returns {string[]} Boss types
+     * @private
+     */
+    getZoneBosses(zoneName) {
+        return (ZONE_BOSSES[this.getZoneKey(zoneName)] || [])
+            .filter(bossType => BOSS_TYPES.some(boss => boss.type === bossType));
+    }
+
+    /**
+     * Get the display name of an enemy or boss type
+     * @param {Object[]} types - Enemy or boss type configs
+     * @param {string} type - Type id
+     * @returns {string} The configured name, or one made from the type id
+     * @private
+     */
+    getDisplayName(types, type) {
+        const config = types.find(entry => entry.type === type);
+        return config && config.name ? config.name : type.replace(/_/g, ' ');
+    }
+
+    /**
+     * Pick a random entry of a list
+     * @param {Array} list - Non-empty list
+     * @returns {*} One of the entries
+     * @private
+     */
+    pickRandom(list) {
+        return list[Math.floor(Math.random() * list.length)];
+    }
+
+    /**
+     * Pick a random whole number in a range
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value, inclusive
+     * @returns {number} The number
+     * @private
+     */
+    randomInt(min, max) {
+        return min + Math.floor(Math.random() * (max - min + 1));
+    }
+}
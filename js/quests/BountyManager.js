@@ -0,0 +1,111 @@
+import { BOUNTY_CONFIG } from '../config/bounties.js';
+import { BountyGenerator } from './BountyGenerator.js';
+
+/**
+ * Keeps the bounty board stocked and hands accepted bounties to the quest manager
+ * The board is reposted on a timer, whether or not its bounties were taken
+ */
+export class BountyManager {
+    /**
+     * Create a new bounty manager
+     * @param {Object} game - The game instance
+     * @param {Object} questManager - Quest manager that tracks accepted bounties
+     * @param {Object} [config] - Bounty settings (see js/config/bounties.js)
+     */
+    constructor(game, questManager, config = BOUNTY_CONFIG) {
+        this.game = game;
+        this.questManager = questManager;
+        this.config = config;
+        this.generator = new BountyGenerator(game, config);
+
+        // Bounty quest definitions currently posted on the board
+        this.bounties = [];
+        // Seconds until the next posting; the board starts out due and is stocked on the first visit
+        this.timeUntilRefresh = 0;
+    }
+
+    /**
+     * Count down to the next posting
+     * @param {number} delta - Time in seconds since the last update
+     */
+    update(delta) {
+        if (this.timeUntilRefresh <= 0) return;
+
+        this.timeUntilRefresh -= delta;
+        if (this.timeUntilRefresh > 0) return;
+
+        this.refresh();
+        if (this.bounties.length > 0 && this.game.hudManager) {
+            this.game.hudManager.showNotification('New bounties have been posted on the bounty board');
+        }
+    }
+
+    /**
+     * Replace the posted bounties with new ones and restart the timer
+     */
+    refresh() {
+        this.bounties = this.generator.generate(this.config.boardSize);
+        this.timeUntilRefresh = this.config.refreshInterval;
+        console.debug(`Posted ${this.bounties.length} bounties`);
+    }
+
+    /**
+     * Show the board and let the player pick a bounty
+     */
+    open() {
+        if (this.timeUntilRefresh <= 0) {
+            this.refresh();
+        }
+
+        const minutes = Math.max(1, Math.ceil(this.timeUntilRefresh / 60));
+        const refreshText = `New bounties will be posted in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+
+        if (this.bounties.length === 0) {
+            this.game.hudManager.showDialog('Bounty Board', `No bounties are posted. ${refreshText}`);
+            return;
+        }
+
+        const listing = this.bounties
+            .map(bounty => `${bounty.name}\n${bounty.description}\nReward: ${bounty.reward.experience} experience, ${bounty.reward.gold} gold`)
+            .join('\n\n');
+
+        this.game.hudManager.showDialog(
+            'Bounty Board',
+            `${listing}\n\n${refreshText}`,
+            [
+                ...this.bounties.map(bounty => ({
+                    label: `Accept: ${bounty.name}`,
+                    onSelect: () => this.accept(bounty)
+                })),
+                { label: 'Leave' }
+            ]
+        );
+    }
+
+    /**
+     * Take a bounty off the board and start it
+     * @param {Object} bounty - A posted bounty quest definition
+     * @returns {boolean} Whether the bounty was started
+     */
+    accept(bounty) {
+        if (!this.bounties.includes(bounty)) return false;
+
+        if (this.getActiveBounties().length >= this.config.maxActiveBounties) {
+            this.game.hudManager.showNotification(
+                `You can only take on ${this.config.maxActiveBounties} bounties at a time`
+            );
+            return false;
+        }
+
+        this.bounties = this.bounties.filter(posted => posted !== bounty);
+        return this.questManager.startBounty(bounty);
+    }
+
+    /**
+     * Get the bounties the player has accepted and not yet finished
+     * @returns {Object[]} Active bounty quests
+     */
+    getActiveBounties() {
+        return this.questManager.activeQuests.filter(quest => quest.isBounty);
+    }
+}
@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import { STORAGE_KEYS } from '../config/storage-keys.js';
+
+/**
+ * Marks the pinned quest's objective in the world
+ * A column of light stands on the objective, and an arrow at the hero's feet points to it while it is far away
+ */
+export class QuestBeacon {
+    /**
+     * Create a new quest beacon
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Object} world - The world manager, used for terrain height
+     */
+    constructor(scene, world) {
+        this.scene = scene;
+        this.world = world;
+
+        // Players can turn the beacon off in the game settings; the minimap keeps tracking objectives
+        this.enabled = localStorage.getItem(STORAGE_KEYS.QUEST_BEACON) !== 'false';
+
+        // The arrow is shown while the objective is further away than this
+        this.arrowDistance = 15;
+
+        this.time = 0;
+        this.beam = null;
+        this.arrow = null;
+
+        this.createMeshes();
+    }
+
+    /**
+     * Create the beam and arrow meshes and add them to the scene, hidden
+     * @private
+     */
+    createMeshes() {
+        const beamMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffcc00,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+        this.beam = new THREE.Mesh(new THREE.CylinderGeometry(0.6, 0.6, 30, 12, 1, true), beamMaterial);
+        this.beam.visible = false;
+        this.scene.add(this.beam);
+
+        const arrowMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffcc00,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+        this.arrow = new THREE.Mesh(new THREE.ConeGeometry(0.35, 1, 8), arrowMaterial);
+        // Lay the cone flat so it points along its local z axis
+        this.arrow.geometry.rotateX(Math.PI / 2);
+        this.arrow.visible = false;
+        this.scene.add(this.arrow);
+    }
+
+    /**
+     * Move the beacon to the pinned objective and point the arrow at it
+     * @param {number} delta - Time in seconds since the last update
+     * @param {THREE.Vector3} playerPosition - The hero's position
+     * @param {{x: number, z: number}|null} target - Location of the pinned objective, or null to hide the beacon
+     */
+    update(delta, playerPosition, target) {
+        if (!this.enabled || !target || !playerPosition) {
+            this.beam.visible = false;
+            this.arrow.visible = false;
+            return;
+        }
+
+        this.time += delta;
+
+        const groundHeight = this.getTerrainHeight(target.x, target.z);
+        this.beam.position.set(target.x, groundHeight + 15, target.z);
+        this.beam.material.opacity = 0.25 + Math.sin(this.time * 3) * 0.1;
+        this.beam.visible = true;
+
+        const dx = target.x - playerPosition.x;
+        const dz = target.z - playerPosition.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+
+        this.arrow.visible = distance > this.arrowDistance;
+        if (this.arrow.visible) {
+            const offset = 2 + Math.sin(this.time * 4) * 0.2;
+            this.arrow.position.set(
+                playerPosition.x + (dx / distance) * offset,
+                playerPosition.y + 0.3,
+                playerPosition.z + (dz / distance) * offset
+            );
+            this.arrow.rotation.y = Math.atan2(dx, dz);
+        }
+    }
+
+    /**
+     * Turn the beacon on or off
+     * @param {boolean} enabled - Whether to show the beacon
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.beam.visible = false;
+            this.arrow.visible = false;
+        }
+    }
+
+    /**
+     * Get the terrain height at a position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} Terrain height, or 0 if the terrain is unknown
+     * @private
+     */
+    getTerrainHeight(x, z) {
+        const height = this.world ? this.world.getTerrainHeight(x, z) : null;
+        return height === null || height === undefined ? 0 : height;
+    }
+
+    /**
+     * Remove the beacon from the scene and free its resources
+     */
+    dispose() {
+        [this.beam, this.arrow].forEach(mesh => {
+            if (!mesh) return;
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+            this.scene.remove(mesh);
+        });
+        this.beam = null;
+        this.arrow = null;
+    }
+}
@@ -0,0 +1,79 @@
+import { QuestValidator } from './QuestValidator.js';
+
+/**
+ * Folder holding the quest data files, relative to index.html
+ */
+export const QUEST_DATA_PATH = 'js/config/quests/';
+
+/**
+ * Manifest in the quest data folder listing the files to load, in order
+ */
+const QUEST_MANIFEST_FILE = 'index.json';
+
+/**
+ * Loads quest definitions from the JSON files in the quest data folder
+ * Each file holds { "quests": [...] }; the manifest lists which files to load
+ */
+export class QuestDefinitionLoader {
+    /**
+     * Create a new quest definition loader
+     * @param {string} [basePath] - Folder holding the manifest and quest files
+     * @param {QuestValidator} [validator] - Validator for the loaded definitions
+     */
+    constructor(basePath = QUEST_DATA_PATH, validator = new QuestValidator()) {
+        this.basePath = basePath.endsWith('/') ? basePath : `${basePath}/`;
+        this.validator = validator;
+    }
+
+    /**
+     * Load and validate all quest definitions
+     * @returns {Promise<Object[]>} The quest definitions, in file order
+     * @throws {Error} If a file cannot be loaded or any definition is invalid; the message lists every problem
+     */
+    async load() {
+        const manifest = await this.fetchJson(QUEST_MANIFEST_FILE);
+        if (!manifest || !Array.isArray(manifest.files) || manifest.files.some(file => typeof file !== 'string')) {
+            throw new Error(`${QUEST_MANIFEST_FILE}: "files" must be a list of quest file names`);
+        }
+
+        const entries = [];
+        const errors = [];
+
+        for (const file of manifest.files) {
+            const data = await this.fetchJson(file);
+            if (!data || !Array.isArray(data.quests)) {
+                errors.push(`${file}: "quests" must be a list`);
+                continue;
+            }
+            data.quests.forEach((quest, index) => entries.push({ quest, source: file, index }));
+        }
+
+        errors.push(...this.validator.validate(entries));
+        if (errors.length > 0) {
+            throw new Error(`Invalid quest definitions:\n- ${errors.join('\n- ')}`);
+        }
+
+        console.debug(`Loaded ${entries.length} quest definitions from ${manifest.files.length} files`);
+        return entries.map(entry => entry.quest);
+    }
+
+    /**
+     * Fetch and parse a JSON file from the quest data folder
+     * @param {string} file - File name
+     * @returns {Promise<*>} Parsed contents
+     * @throws {Error} If the file is missing or not valid JSON
+     * @private
+     */
+    async fetchJson(file) {
+        const response = await fetch(`${this.basePath}${file}`);
+        if (!response.ok) {
+            throw new Error(`${file}: could not be loaded (${response.status})`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`${file}: invalid JSON (${error.message})`);
+        }
+    }
+}
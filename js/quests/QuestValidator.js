@@ -0,0 +1,608 @@
+import { ENEMY_TYPES, BOSS_TYPES } from '../config/game-balance.js';
+
+/**
+ * Kill targets that match more than one enemy type
+ */
+const KILL_TARGET_WILDCARDS = ['any', 'boss'];
+
+/**
+ * Objective types the quest manager knows how to track
+ */
+const OBJECTIVE_TYPES = ['kill', 'interact', 'explore', 'collect', 'reach', 'survive', 'deliver', 'escort'];
+
+/**
+ * Ways a quest can end; each can lead to its own branch
+ */
+const QUEST_OUTCOMES = ['completed', 'failed', 'timedOut'];
+
+/**
+ * Events that fail a quest when listed in its "failOn"
+ */
+const FAILURE_CONDITIONS = ['death', 'escortDeath'];
+
+/**
+ * Objective types that need a "count"; the others are done once or measured in time
+ */
+const COUNTED_OBJECTIVES = ['kill', 'interact', 'explore', 'collect', 'deliver'];
+
+/**
+ * Validates quest definitions loaded from the quest data files
+ * Every problem is reported as "<file> > <quest id>: <message>" so broken data can be fixed without guessing
+ */
+export class QuestValidator {
+    /**
+     * Create a new quest validator
+     * @param {string[]} [enemyTypes] - Valid enemy types for kill objectives, defaults to all configured enemies and bosses
+     */
+    constructor(enemyTypes = null) {
+        this.enemyTypes = new Set(enemyTypes || [...ENEMY_TYPES, ...BOSS_TYPES].map(enemy => enemy.type));
+        this.bossTypes = new Set(BOSS_TYPES.map(boss => boss.type));
+    }
+
+    /**
+     * Validate a set of quest definitions, including references between them
+     * @param {Array<{quest: Object, source: string, index: number}>} entries - Quest definitions with the file
+     *        they came from and their position in it
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validate(entries) {
+        const errors = [];
+        const sourcesById = new Map();
+        const questsById = new Map();
+
+        entries.forEach(({ quest, source, index }) => {
+            const label = this.labelFor(quest, source, index);
+            errors.push(...this.validateQuest(quest).map(message => `${label}: ${message}`));
+
+            if (quest && typeof quest.id === 'string') {
+                if (sourcesById.has(quest.id)) {
+                    errors.push(`${label}: duplicate quest id (already defined in ${sourcesById.get(quest.id)})`);
+                } else {
+                    sourcesById.set(quest.id, source);
+                    questsById.set(quest.id, quest);
+                }
+            }
+        });
+
+        entries.forEach(({ quest, source, index }) => {
+            if (quest && typeof quest === 'object') {
+                const label = this.labelFor(quest, source, index);
+                errors.push(...this.validateReferences(quest, questsById).map(message => `${label}: ${message}`));
+            }
+        });
+
+        errors.push(...this.findStorylineCycles(entries.map(entry => entry.quest)));
+
+        return errors;
+    }
+
+    /**
+     * Validate the fields of a single quest
+     * @param {Object} quest - Quest definition
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateQuest(quest) {
+        if (!isObject(quest)) {
+            return ['quest must be an object'];
+        }
+
+        const errors = [];
+
+        if (typeof quest.id !== 'string' || quest.id.trim() === '') {
+            errors.push('missing "id"');
+        }
+        if (typeof quest.name !== 'string' || quest.name.trim() === '') {
+            errors.push('missing "name"');
+        }
+        if (typeof quest.description !== 'string') {
+            errors.push('missing "description"');
+        }
+        if (typeof quest.isMainQuest !== 'boolean') {
+            errors.push('"isMainQuest" must be true or false');
+        }
+        if (!Number.isInteger(quest.requiredLevel) || quest.requiredLevel < 1) {
+            errors.push('"requiredLevel" must be a whole number of at least 1');
+        }
+        if (quest.prerequisites !== undefined &&
+            (!Array.isArray(quest.prerequisites) || quest.prerequisites.some(id => typeof id !== 'string'))) {
+            errors.push('"prerequisites" must be a list of quest ids');
+        }
+        if (quest.nextQuestId !== undefined && quest.nextQuestId !== null && typeof quest.nextQuestId !== 'string') {
+            errors.push('"nextQuestId" must be a quest id or null');
+        }
+        if (quest.dialog !== undefined) {
+            if (!isObject(quest.dialog)) {
+                errors.push('"dialog" must be an object');
+            } else {
+                Object.entries(quest.dialog).forEach(([key, text]) => {
+                    if (typeof text !== 'string') {
+                        errors.push(`dialog "${key}" must be text`);
+                    }
+                });
+            }
+        }
+
+        if (quest.objective !== undefined && quest.stages !== undefined) {
+            errors.push('use either "objective" or "stages", not both');
+        } else if (quest.stages !== undefined) {
+            errors.push(...this.validateStages(quest.stages));
+        } else {
+            errors.push(...this.validateObjective(quest.objective));
+        }
+        errors.push(...this.validateReward(quest.reward));
+        errors.push(...this.validateBranches(quest));
+        errors.push(...this.validateFailure(quest));
+
+        return errors;
+    }
+
+    /**
+     * Validate a quest's time limit and failure conditions
+     * @param {Object} quest - Quest definition
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateFailure(quest) {
+        const errors = [];
+
+        if (quest.timeLimit !== undefined && !isPositiveNumber(quest.timeLimit)) {
+            errors.push('"timeLimit" must be a positive number of seconds');
+        }
+
+        if (quest.failOn === undefined) {
+            return errors;
+        }
+        if (!isStringList(quest.failOn)) {
+            errors.push('"failOn" must be a list of failure conditions');
+            return errors;
+        }
+        quest.failOn
+            .filter(condition => !FAILURE_CONDITIONS.includes(condition))
+            .forEach(condition => {
+                errors.push(`unknown failure condition "${condition}" (expected one of: ${FAILURE_CONDITIONS.join(', ')})`);
+            });
+
+        const stages = Array.isArray(quest.stages) ? quest.stages : [{ objectives: [quest.objective] }];
+        const hasEscort = stages.some(stage => isObject(stage) && Array.isArray(stage.objectives) &&
+            stage.objectives.some(objective => isObject(objective) && objective.type === 'escort'));
+        if (quest.failOn.includes('escortDeath') && !hasEscort) {
+            errors.push('"escortDeath" failure needs an escort objective');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the choices, outcomes and conditions that make a quest part of a branching story
+     * @param {Object} quest - Quest definition
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateBranches(quest) {
+        const errors = [];
+
+        if (quest.choices !== undefined) {
+            if (!Array.isArray(quest.choices) || quest.choices.length === 0) {
+                errors.push('"choices" must be a non-empty list');
+            } else {
+                const choiceIds = new Set();
+                quest.choices.forEach((choice, index) => {
+                    const label = `choice ${index + 1}`;
+                    if (!isObject(choice)) {
+                        errors.push(`${label} must be an object`);
+                        return;
+                    }
+                    if (typeof choice.id !== 'string' || choice.id === '') {
+                        errors.push(`${label} is missing "id"`);
+                    } else if (choiceIds.has(choice.id)) {
+                        errors.push(`duplicate choice id "${choice.id}"`);
+                    } else {
+                        choiceIds.add(choice.id);
+                    }
+                    if (typeof choice.label !== 'string' || choice.label === '') {
+                        errors.push(`${label} is missing "label"`);
+                    }
+                    errors.push(...this.validateBranch(choice).map(message => `${label}: ${message}`));
+                });
+            }
+        }
+
+        if (quest.outcomes !== undefined) {
+            if (!isObject(quest.outcomes)) {
+                errors.push('"outcomes" must be an object');
+            } else {
+                Object.entries(quest.outcomes).forEach(([outcome, branch]) => {
+                    if (!QUEST_OUTCOMES.includes(outcome)) {
+                        errors.push(`unknown outcome "${outcome}" (expected one of: ${QUEST_OUTCOMES.join(', ')})`);
+                    } else if (!isObject(branch)) {
+                        errors.push(`outcome "${outcome}" must be an object`);
+                    } else {
+                        errors.push(...this.validateBranch(branch).map(message => `outcome "${outcome}": ${message}`));
+                    }
+                });
+            }
+        }
+
+        if (quest.conditions !== undefined) {
+            errors.push(...this.validateConditions(quest.conditions));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the consequences of a choice or outcome
+     * @param {Object} branch - Choice or outcome with optional nextQuestId, reward, flags and factions
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateBranch(branch) {
+        const errors = [];
+
+        if (branch.nextQuestId !== undefined && branch.nextQuestId !== null && typeof branch.nextQuestId !== 'string') {
+            errors.push('"nextQuestId" must be a quest id or null');
+        }
+        if (branch.reward !== undefined) {
+            errors.push(...this.validateReward(branch.reward));
+        }
+        if (branch.flags !== undefined && !isStringList(branch.flags)) {
+            errors.push('"flags" must be a list of flag names');
+        }
+        if (branch.factions !== undefined &&
+            (!isObject(branch.factions) || !Object.values(branch.factions).every(Number.isFinite))) {
+            errors.push('"factions" must map faction names to reputation changes');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the conditions under which a quest is offered
+     * @param {Object} conditions - Conditions on choices, outcomes, flags, factions and zones
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateConditions(conditions) {
+        if (!isObject(conditions)) {
+            return ['"conditions" must be an object'];
+        }
+
+        const errors = [];
+
+        ['choices', 'outcomes'].forEach(field => {
+            if (conditions[field] !== undefined &&
+                (!isObject(conditions[field]) || !Object.values(conditions[field]).every(value => typeof value === 'string'))) {
+                errors.push(`conditions "${field}" must map quest ids to ${field === 'choices' ? 'choice ids' : 'outcomes'}`);
+            }
+        });
+        if (isObject(conditions.outcomes)) {
+            Object.values(conditions.outcomes).forEach(outcome => {
+                if (!QUEST_OUTCOMES.includes(outcome)) {
+                    errors.push(`conditions name unknown outcome "${outcome}"`);
+                }
+            });
+        }
+        ['flags', 'zones'].forEach(field => {
+            if (conditions[field] !== undefined && !isStringList(conditions[field])) {
+                errors.push(`conditions "${field}" must be a list of names`);
+            }
+        });
+        if (conditions.factions !== undefined &&
+            (!isObject(conditions.factions) || !Object.values(conditions.factions).every(Number.isFinite))) {
+            errors.push('conditions "factions" must map faction names to minimum reputation');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the ordered stages of a quest
+     * @param {Array} stages - Stage definitions, each with a list of objectives to complete together
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateStages(stages) {
+        if (!Array.isArray(stages) || stages.length === 0) {
+            return ['"stages" must be a non-empty list'];
+        }
+
+        const errors = [];
+
+        stages.forEach((stage, index) => {
+            const label = `stage ${index + 1}`;
+
+            if (!isObject(stage)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            ['name', 'description'].forEach(field => {
+                if (stage[field] !== undefined && typeof stage[field] !== 'string') {
+                    errors.push(`${label} "${field}" must be text`);
+                }
+            });
+            if (!Array.isArray(stage.objectives) || stage.objectives.length === 0) {
+                errors.push(`${label} must have a non-empty "objectives" list`);
+                return;
+            }
+            stage.objectives.forEach(objective => {
+                errors.push(...this.validateObjective(objective).map(message => `${label}: ${message}`));
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a quest objective
+     * @param {Object} objective - Objective definition
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateObjective(objective) {
+        if (!isObject(objective)) {
+            return ['missing "objective"'];
+        }
+
+        const errors = [];
+
+        if (!OBJECTIVE_TYPES.includes(objective.type)) {
+            errors.push(`unknown objective type "${objective.type}" (expected one of: ${OBJECTIVE_TYPES.join(', ')})`);
+        }
+        if (typeof objective.target !== 'string' || objective.target === '') {
+            errors.push('objective is missing "target"');
+        } else if (objective.type === 'kill' &&
+            !KILL_TARGET_WILDCARDS.includes(objective.target) && !this.enemyTypes.has(objective.target)) {
+            errors.push(`unknown enemy type "${objective.target}" in kill objective`);
+        }
+        if (COUNTED_OBJECTIVES.includes(objective.type) && (!Number.isInteger(objective.count) || objective.count < 1)) {
+            errors.push('objective "count" must be a whole number of at least 1');
+        }
+
+        switch (objective.type) {
+            case 'reach':
+                if (!isPoint(objective.position)) {
+                    errors.push('reach objective needs a "position" with numeric x and z');
+                }
+                if (objective.radius !== undefined && !isPositiveNumber(objective.radius)) {
+                    errors.push('reach objective "radius" must be a positive number');
+                }
+                break;
+            case 'survive':
+                if (!isPositiveNumber(objective.duration)) {
+                    errors.push('survive objective needs a positive "duration" in seconds');
+                }
+                break;
+            case 'deliver':
+                if (typeof objective.item !== 'string' || objective.item === '') {
+                    errors.push('deliver objective is missing "item"');
+                }
+                break;
+            case 'escort':
+                if (!Array.isArray(objective.path) || objective.path.length < 2 || !objective.path.every(isPoint)) {
+                    errors.push('escort objective needs a "path" of at least 2 points with numeric x and z');
+                }
+                ['health', 'speed'].forEach(field => {
+                    if (objective[field] !== undefined && !isPositiveNumber(objective[field])) {
+                        errors.push(`escort objective "${field}" must be a positive number`);
+                    }
+                });
+                break;
+        }
+
+        errors.push(...this.validateLocation(objective));
+
+        return errors;
+    }
+
+    /**
+     * Validate where an objective is done: a location shown on the map, a zone it is limited to,
+     * or a spawn point for its targets
+     * @param {Object} objective - Objective definition
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateLocation(objective) {
+        const errors = [];
+
+        if (objective.location !== undefined) {
+            if (!isPoint(objective.location)) {
+                errors.push('objective "location" needs numeric x and z');
+            } else if (objective.location.radius !== undefined && !isPositiveNumber(objective.location.radius)) {
+                errors.push('objective location "radius" must be a positive number');
+            }
+        }
+
+        if (objective.zone !== undefined &&
+            (!['kill', 'interact'].includes(objective.type) || typeof objective.zone !== 'string' || objective.zone === '')) {
+            errors.push('only kill and interact objectives can have a "zone", and it must be a zone name');
+        }
+
+        if (objective.spawn === undefined) {
+            return errors;
+        }
+        if (!isObject(objective.spawn) || !isPoint(objective.spawn.position)) {
+            errors.push('objective "spawn" needs a "position" with numeric x and z');
+        }
+        if (objective.type === 'kill' && !this.bossTypes.has(objective.target)) {
+            errors.push('kill objectives can only spawn a boss type');
+        } else if (objective.type === 'interact' && objective.target !== 'chest') {
+            errors.push('interact objectives can only spawn chests');
+        } else if (!['kill', 'interact'].includes(objective.type)) {
+            errors.push(`${objective.type} objectives cannot have a "spawn"`);
+        }
+        if (isObject(objective.spawn)) {
+            ['distance', 'spread'].forEach(field => {
+                if (objective.spawn[field] !== undefined && !isPositiveNumber(objective.spawn[field])) {
+                    errors.push(`objective spawn "${field}" must be a positive number`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a quest reward
+     * @param {Object} reward - Reward definition
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validateReward(reward) {
+        if (!isObject(reward)) {
+            return ['missing "reward"'];
+        }
+
+        const errors = [];
+
+        ['experience', 'gold'].forEach(field => {
+            if (reward[field] !== undefined && (typeof reward[field] !== 'number' || reward[field] < 0)) {
+                errors.push(`reward "${field}" must be a number of at least 0`);
+            }
+        });
+
+        if (reward.items !== undefined) {
+            if (!Array.isArray(reward.items)) {
+                errors.push('reward "items" must be a list');
+            } else {
+                reward.items.forEach((item, index) => {
+                    if (!isObject(item) || typeof item.name !== 'string' || item.name === '') {
+                        errors.push(`reward item ${index + 1} is missing "name"`);
+                    } else if (!Number.isInteger(item.amount) || item.amount < 1) {
+                        errors.push(`reward item "${item.name}" must have a whole "amount" of at least 1`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check that the quests and choices a quest points to exist
+     * @param {Object} quest - Quest definition
+     * @param {Map<string, Object>} questsById - Defined quests by id
+     * @returns {string[]} Validation errors (empty if valid)
+     * @private
+     */
+    validateReferences(quest, questsById) {
+        const errors = [];
+
+        if (typeof quest.nextQuestId === 'string' && !questsById.has(quest.nextQuestId)) {
+            errors.push(`next quest "${quest.nextQuestId}" does not exist`);
+        }
+
+        if (Array.isArray(quest.prerequisites)) {
+            quest.prerequisites.forEach(id => {
+                if (id === quest.id) {
+                    errors.push('quest cannot be its own prerequisite');
+                } else if (typeof id === 'string' && !questsById.has(id)) {
+                    errors.push(`prerequisite quest "${id}" does not exist`);
+                }
+            });
+        }
+
+        const branches = [
+            ...(Array.isArray(quest.choices) ? quest.choices.map(choice => [`choice "${choice && choice.id}"`, choice]) : []),
+            ...(isObject(quest.outcomes) ? Object.entries(quest.outcomes).map(([outcome, branch]) => [`outcome "${outcome}"`, branch]) : [])
+        ];
+        branches.forEach(([label, branch]) => {
+            if (isObject(branch) && typeof branch.nextQuestId === 'string' && !questsById.has(branch.nextQuestId)) {
+                errors.push(`${label}: next quest "${branch.nextQuestId}" does not exist`);
+            }
+        });
+
+        const conditions = isObject(quest.conditions) ? quest.conditions : {};
+        ['choices', 'outcomes'].forEach(field => {
+            if (!isObject(conditions[field])) return;
+            Object.entries(conditions[field]).forEach(([questId, value]) => {
+                const target = questsById.get(questId);
+                if (!target) {
+                    errors.push(`conditions refer to quest "${questId}", which does not exist`);
+                } else if (field === 'choices' &&
+                    !(Array.isArray(target.choices) && target.choices.some(choice => choice && choice.id === value))) {
+                    errors.push(`conditions refer to choice "${value}", which quest "${questId}" does not offer`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Find storylines whose next quests loop back on themselves
+     * @param {Object[]} quests - Quest definitions
+     * @returns {string[]} One error per loop
+     * @private
+     */
+    findStorylineCycles(quests) {
+        const nextById = new Map();
+        quests.forEach(quest => {
+            if (isObject(quest) && typeof quest.id === 'string' && typeof quest.nextQuestId === 'string') {
+                nextById.set(quest.id, quest.nextQuestId);
+            }
+        });
+
+        const errors = [];
+        const checked = new Set();
+
+        nextById.forEach((_, startId) => {
+            const path = [];
+            let id = startId;
+
+            while (id && nextById.has(id) && !checked.has(id)) {
+                const loopStart = path.indexOf(id);
+                if (loopStart !== -1) {
+                    errors.push(`storyline loops back on itself: ${[...path.slice(loopStart), id].join(' -> ')}`);
+                    break;
+                }
+                path.push(id);
+                id = nextById.get(id);
+            }
+
+            path.forEach(visited => checked.add(visited));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Build the label used to point at a quest in error messages
+     * @param {Object} quest - Quest definition
+     * @param {string} source - File the quest came from
+     * @param {number} index - Position of the quest in its file
+     * @returns {string} Label such as "main-quests.json > main_quest_1"
+     * @private
+     */
+    labelFor(quest, source, index) {
+        const id = isObject(quest) && typeof quest.id === 'string' ? quest.id : `quest #${index + 1}`;
+        return `${source} > ${id}`;
+    }
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-array object
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check for a world position given as { x, z }
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value has numeric x and z
+ */
+function isPoint(value) {
+    return isObject(value) && Number.isFinite(value.x) && Number.isFinite(value.z);
+}
+
+/**
+ * Check for a number above zero
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a positive number
+ */
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Check for a list of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a list of names
+ */
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '');
+}
@@ -0,0 +1,272 @@
+import { SaveMigrator } from './SaveMigrator.js';
+
+/**
+ * File format identifier written into every exported hero
+ */
+export const HERO_FILE_FORMAT = 'monk-journey-hero';
+
+/**
+ * Version of the export file layout (independent of the save data version)
+ */
+export const HERO_FILE_VERSION = 1;
+
+/**
+ * Item fields that hold text when present
+ */
+const ITEM_TEXT_FIELDS = ['id', 'description', 'type', 'subType', 'icon', 'rarity', 'setId', 'legendaryId'];
+
+/**
+ * Exports heroes to portable files and imports them back into save slots
+ * An exported file holds the slot's complete save data, including the skill tree
+ */
+export class HeroTransfer {
+    /**
+     * Create a new HeroTransfer
+     * @param {import('./SaveManager.js').SaveManager} saveManager - The save manager owning the slots
+     */
+    constructor(saveManager) {
+        this.saveManager = saveManager;
+    }
+
+    /**
+     * Build the export payload for a slot
+     * Only save data that passes its integrity check is exported, restored from a backup if need be
+     * @param {string} slotId - Slot to export
+     * @returns {Promise<Object>} The hero payload
+     * @throws {Error} If the slot has no save data, or it is corrupted and no valid backup exists
+     */
+    async buildPayload(slotId) {
+        const slot = this.saveManager.getSlot(slotId);
+        const { saveData } = slot ? await this.saveManager.readVerifiedSave(slotId) : { saveData: null };
+        if (!saveData) {
+            throw new Error('This hero has no save data to export');
+        }
+
+        return {
+            format: HERO_FILE_FORMAT,
+            formatVersion: HERO_FILE_VERSION,
+            exportedAt: Date.now(),
+            hero: {
+                name: slot.name,
+                level: slot.level,
+                playTime: slot.playTime,
+                zone: slot.zone
+            },
+            save: saveData
+        };
+    }
+
+    /**
+     * Export a slot as a downloadable file
+     * @param {string} slotId - Slot to export
+     * @returns {Promise<string>} The downloaded file name
+     */
+    async exportHero(slotId) {
+        const payload = await this.buildPayload(slotId);
+        const json = JSON.stringify(payload);
+        const safeName = payload.hero.name.replace(/[^a-z0-9_-]+/gi, '_').toLowerCase() || 'hero';
+
+        const blob = new Blob([json], { type: 'application/json' });
+        const fileName = `monk-journey-${safeName}-lv${payload.hero.level}.json`;
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        return fileName;
+    }
+
+    /**
+     * Read and validate a hero file
+     * @param {File|Blob} file - The selected file
+     * @returns {Promise<Object>} The validated hero payload
+     * @throws {Error} If the file cannot be read or fails validation
+     */
+    async readHeroFile(file) {
+        const text = await file.text();
+
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not a valid hero file (invalid JSON)');
+        }
+
+        const errors = this.validatePayload(payload);
+        if (errors.length > 0) {
+            throw new Error(`Invalid hero file:\n- ${errors.join('\n- ')}`);
+        }
+
+        return payload;
+    }
+
+    /**
+     * Validate a hero payload against the export schema
+     * @param {Object} payload - Parsed file contents
+     * @returns {string[]} Validation errors (empty if valid)
+     */
+    validatePayload(payload) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(payload)) {
+            return ['File does not contain a hero object'];
+        }
+        if (payload.format !== HERO_FILE_FORMAT) {
+            errors.push(`Unknown file format "${payload.format}"`);
+        }
+        if (payload.formatVersion !== HERO_FILE_VERSION) {
+            errors.push(`Unsupported file version ${payload.formatVersion}`);
+        }
+        if (!isObject(payload.hero) || typeof payload.hero.name !== 'string') {
+            errors.push('Missing hero name');
+        }
+
+        const save = payload.save;
+        if (!isObject(save)) {
+            errors.push('Missing save data');
+            return errors;
+        }
+
+        const version = this.saveManager.migrator.getVersion(save);
+        if (SaveMigrator.compareVersions(version, this.saveManager.currentVersion) > 0) {
+            errors.push(`Hero was saved by a newer game version (v${version})`);
+        }
+        if (!isObject(save.player)) {
+            errors.push('Missing player data');
+        } else if (typeof save.player.level !== 'number' || save.player.level < 1) {
+            errors.push('Player level must be a positive number');
+        }
+        if (save.inventory !== undefined) {
+            if (!isObject(save.inventory)) {
+                errors.push('Inventory data must be an object');
+            } else {
+                if (save.inventory.inventory !== undefined && !Array.isArray(save.inventory.inventory)) {
+                    errors.push('Inventory items must be a list');
+                } else if (save.inventory.inventory) {
+                    save.inventory.inventory.forEach((item, index) => {
+                        errors.push(...this.validateItem(item, `Inventory item ${index + 1}`));
+                    });
+                }
+                if (save.inventory.equipment !== undefined && !isObject(save.inventory.equipment)) {
+                    errors.push('Equipment must be an object');
+                } else if (save.inventory.equipment) {
+                    Object.entries(save.inventory.equipment).forEach(([slot, item]) => {
+                        // Saves from before version 1.3.0 keep only the equipped item's name
+                        if (item !== null && typeof item !== 'string') {
+                            errors.push(...this.validateItem(item, `Equipped ${slot}`));
+                        }
+                    });
+                }
+                if (save.inventory.gold !== undefined && (typeof save.inventory.gold !== 'number' || save.inventory.gold < 0)) {
+                    errors.push('Gold must be a number of at least 0');
+                }
+            }
+        }
+        if (save.quests !== undefined && !isObject(save.quests)) {
+            errors.push('Quest data must be an object');
+        }
+        if (save.skillTree !== undefined && save.skillTree !== null && !isObject(save.skillTree)) {
+            errors.push('Skill tree data must be an object');
+        }
+        if (save.world !== undefined && !isObject(save.world)) {
+            errors.push('World progress must be an object');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a saved item
+     * @param {*} item - The saved item
+     * @param {string} label - How the item is named in errors
+     * @returns {string[]} Validation errors (empty if valid)
+     * @private
+     */
+    validateItem(item, label) {
+        if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+            return [`${label} must be an object`];
+        }
+
+        const errors = [];
+        if (typeof item.name !== 'string' || item.name.length === 0) {
+            errors.push(`${label} has no name`);
+        }
+        ITEM_TEXT_FIELDS.forEach(field => {
+            if (item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string') {
+                errors.push(`${label} has an invalid ${field}`);
+            }
+        });
+        if (item.amount !== undefined && (!Number.isInteger(item.amount) || item.amount < 1)) {
+            errors.push(`${label} amount must be a whole number of at least 1`);
+        }
+        if (item.level !== undefined && (typeof item.level !== 'number' || item.level < 1)) {
+            errors.push(`${label} level must be a positive number`);
+        }
+        if (item.baseStats !== undefined && (item.baseStats === null || typeof item.baseStats !== 'object' || Array.isArray(item.baseStats))) {
+            errors.push(`${label} base stats must be an object`);
+        }
+        ['secondaryStats', 'specialEffects'].forEach(field => {
+            if (item[field] !== undefined && !Array.isArray(item[field])) {
+                errors.push(`${label} ${field === 'secondaryStats' ? 'secondary stats' : 'special effects'} must be a list`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Summarize a payload for the import preview
+     * @param {Object} payload - A validated hero payload
+     * @returns {Object} Name, level, gold, equipped gear and item count
+     */
+    getPreview(payload) {
+        const save = payload.save;
+        const selectedSkills = save.skillTree ? save.skillTree.selectedSkills : null;
+        const inventory = save.inventory || {};
+        const equipment = Object.entries(inventory.equipment || {})
+            .filter(([, item]) => item)
+            .map(([slot, item]) => ({ slot, name: typeof item === 'string' ? item : item.name }));
+
+        return {
+            name: payload.hero.name,
+            level: save.player.level,
+            gold: inventory.gold || 0,
+            zone: payload.hero.zone || null,
+            version: this.saveManager.migrator.getVersion(save),
+            equipment,
+            itemCount: Array.isArray(inventory.inventory) ? inventory.inventory.length : 0,
+            skillCount: Array.isArray(selectedSkills) ? selectedSkills.length : 0
+        };
+    }
+
+    /**
+     * Import a validated payload into a new save slot
+     * @param {Object} payload - A validated hero payload
+     * @param {string} [name] - Slot name, defaults to the exported hero's name
+     * @returns {Promise<Object>} The created slot
+     * @throws {Error} If no slot is free or the save cannot be written
+     */
+    async importHero(payload, name) {
+        const slot = await this.saveManager.createSlot(name || payload.hero.name);
+        if (!slot) {
+            throw new Error(`All ${this.saveManager.maxSlots} save slots are in use`);
+        }
+
+        const save = payload.save;
+
+        // Re-sign the save: the file may legitimately have been edited before import
+        if (!await this.saveManager.writeSaveData(this.saveManager.getSlotKey(slot.id), save)) {
+            await this.saveManager.deleteSlot(slot.id);
+            throw new Error('Could not write the imported hero');
+        }
+        await this.saveManager.updateSlotMetadata(slot.id, save);
+
+        return this.saveManager.getSlot(slot.id);
+    }
+}
@@ -5,22 +5,23 @@
 export class ISaveSystem {
     /**
      * Initialize the save system
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
     init() { throw new Error('Method not implemented'); }
     
     /**
      * Save the current game state
      * @param {boolean} forceSave - Whether to force save regardless of conditions
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
     saveGame(forceSave) { throw new Error('Method not implemented'); }
     
     /**
      * Load a saved game
-     * @returns {boolean} Success status
+     * @param {string} [slotId] - Save slot to load, defaults to the active slot
+     * @returns {Promise<boolean>} Success status
      */
-    loadGame() { throw new Error('Method not implemented'); }
+    loadGame(slotId) { throw new Error('Method not implemented'); }
     
     /**
      * Start auto-save functionality
@@ -34,13 +35,14 @@ export class ISaveSystem {
     
     /**
      * Delete all save data
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
     deleteSave() { throw new Error('Method not implemented'); }
     
     /**
      * Check if save data exists
-     * @returns {boolean} Whether save data exists
+     * @param {string} [slotId] - Save slot to check, defaults to the active slot
+     * @returns {Promise<boolean>} Whether save data exists
      */
-    hasSaveData() { throw new Error('Method not implemented'); }
+    hasSaveData(slotId) { throw new Error('Method not implemented'); }
 }
\ No newline at end of file
@@ -0,0 +1,207 @@
+import { IStorageAdapter } from './IStorageAdapter.js';
+
+/**
+ * Implementation of storage adapter using the browser's IndexedDB
+ * All operations are asynchronous and resolve to the same values as LocalStorageAdapter
+ */
+export class IndexedDBStorageAdapter extends IStorageAdapter {
+    /**
+     * Create a new IndexedDB storage adapter
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store holding the key/value pairs
+     */
+    constructor(dbName = 'monk_journey', storeName = 'save_data') {
+        super();
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbVersion = 1;
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB can be used in this browser
+     * @returns {boolean} Whether IndexedDB is available
+     */
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            // Some browsers throw when accessing indexedDB in private mode
+            return false;
+        }
+    }
+
+    /**
+     * Open the database, creating the object store on first run
+     * @returns {Promise<boolean>} Whether the database is ready
+     */
+    init() {
+        return new Promise(resolve => {
+            try {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName);
+                    }
+                };
+
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    resolve(true);
+                };
+
+                request.onerror = () => {
+                    console.error('Error opening IndexedDB:', request.error);
+                    resolve(false);
+                };
+
+                request.onblocked = () => {
+                    console.warn('IndexedDB open blocked by another tab');
+                    resolve(false);
+                };
+            } catch (error) {
+                console.error('Error opening IndexedDB:', error);
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     * @private
+     */
+    runRequest(mode, operation) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('IndexedDB not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            // Resolve on transaction completion so writes are durable before we report success
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Save data with the given key
+     * @param {string} key - Storage key
+     * @param {*} data - Data to store (will be serialized)
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveData(key, data) {
+        try {
+            // Round-trip through JSON so stored values match what LocalStorageAdapter would keep
+            const serializedData = JSON.parse(JSON.stringify(data));
+            await this.runRequest('readwrite', store => store.put(serializedData, key));
+            return true;
+        } catch (error) {
+            console.error(`Error saving data for key ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Load data for the given key
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} The loaded data (or null if not found)
+     */
+    async loadData(key) {
+        try {
+            const data = await this.runRequest('readonly', store => store.get(key));
+            return data === undefined ? null : data;
+        } catch (error) {
+            console.error(`Error loading data for key ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete data for the given key
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteData(key) {
+        try {
+            await this.runRequest('readwrite', store => store.delete(key));
+            return true;
+        } catch (error) {
+            console.error(`Error deleting data for key ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if data exists for the given key
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Whether data exists
+     */
+    async hasData(key) {
+        try {
+            const count = await this.runRequest('readonly', store => store.count(key));
+            return count > 0;
+        } catch (error) {
+            console.error(`Error checking data for key ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Move localStorage entries into IndexedDB
+     * Entries are only removed from localStorage once they have been written here,
+     * unreadable ones included so they aren't stranded where nothing reads them
+     * @param {string[]} keyPrefixes - Keys (or key prefixes) to migrate
+     * @returns {Promise<number>} Number of migrated keys
+     */
+    async migrateFromLocalStorage(keyPrefixes) {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && keyPrefixes.some(prefix => key.startsWith(prefix))) {
+                keys.push(key);
+            }
+        }
+
+        let migrated = 0;
+        for (const key of keys) {
+            // Unreadable entries (e.g. a partly written save) are copied as the raw string,
+            // so the integrity check finds them and recovers the slot from its history
+            const raw = localStorage.getItem(key);
+            let data;
+            try {
+                data = JSON.parse(raw);
+            } catch (error) {
+                console.warn(`Migrating unreadable key ${key} as is:`, error);
+                data = raw;
+            }
+
+            // Keep data already in IndexedDB unless the localStorage copy is newer
+            // (e.g. written during a session that had to fall back to localStorage)
+            const existing = await this.loadData(key);
+            if (existing !== null && !((data && data.timestamp) > (existing && existing.timestamp))) {
+                localStorage.removeItem(key);
+                continue;
+            }
+
+            if (await this.saveData(key, data)) {
+                localStorage.removeItem(key);
+                migrated++;
+            }
+        }
+
+        if (migrated > 0) {
+            console.debug(`Migrated ${migrated} save keys from localStorage to IndexedDB`);
+        }
+
+        return migrated;
+    }
+}
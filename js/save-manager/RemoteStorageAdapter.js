@@ -0,0 +1,222 @@
+import { IStorageAdapter } from './IStorageAdapter.js';
+
+/**
+ * Key requested by init() to check the server is up; it never needs to exist
+ */
+const STORAGE_PROBE_KEY = 'monk_journey_probe';
+
+/**
+ * Implementation of storage adapter using a REST endpoint (see the save API in server.js)
+ * Each key maps to GET/HEAD/PUT/DELETE on `${baseUrl}/${key}`.
+ *
+ * Writes are conditional on the ETag last seen for the key, so a save written by another
+ * device in the meantime is never overwritten silently: the server answers 412 and the
+ * conflict handler decides which version to keep.
+ */
+export class RemoteStorageAdapter extends IStorageAdapter {
+    /**
+     * Create a new remote storage adapter
+     * @param {string} baseUrl - Base URL of the save API, e.g. "https://example.com/api/saves"
+     * @param {Object} [options]
+     * @param {Function} [options.onConflict] - Called with { key, localData, remoteData } when a write
+     *        conflicts; resolves to the data to store, or null to keep the remote version
+     * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+     */
+    constructor(baseUrl, { onConflict = null, timeout = 10_000 } = {}) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.onConflict = onConflict;
+        this.timeout = timeout;
+
+        // Last known ETag per key; null means the key is known not to exist remotely
+        this.etags = new Map();
+    }
+
+    /**
+     * Check that the server is reachable
+     * @returns {Promise<boolean>} Whether the save API answered
+     */
+    async init() {
+        try {
+            // Any answer other than a server error means the API is there
+            const response = await this.request('HEAD', STORAGE_PROBE_KEY);
+            return response.status < 500;
+        } catch (error) {
+            console.warn(`Save server ${this.baseUrl} is not reachable:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Send a request for a key
+     * @param {string} method - HTTP method
+     * @param {string} key - Storage key
+     * @param {Object} [headers] - Extra headers
+     * @param {string} [body] - Request body
+     * @returns {Promise<Response>} The response
+     * @private
+     */
+    async request(method, key, headers = {}, body = undefined) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        try {
+            return await fetch(`${this.baseUrl}/${encodeURIComponent(key)}`, {
+                method,
+                headers,
+                body,
+                cache: 'no-store',
+                signal: controller ? controller.signal : undefined
+            });
+        } finally {
+            if (timer) {
+                clearTimeout(timer);
+            }
+        }
+    }
+
+    /**
+     * Build the precondition header for writing a key
+     * @param {string} key - Storage key
+     * @returns {Object} If-Match with the known ETag, or If-None-Match: * if the key should not exist yet
+     * @private
+     */
+    preconditionFor(key) {
+        const etag = this.etags.get(key);
+        return etag ? { 'If-Match': etag } : { 'If-None-Match': '*' };
+    }
+
+    /**
+     * Save data with the given key
+     * @param {string} key - Storage key
+     * @param {*} data - Data to store (will be serialized)
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveData(key, data) {
+        try {
+            let response = await this.request('PUT', key, {
+                'Content-Type': 'application/json',
+                ...this.preconditionFor(key)
+            }, JSON.stringify(data));
+
+            if (response.status === 412) {
+                response = await this.resolveConflict(key, data, response);
+                if (!response) {
+                    // Remote version kept, nothing to write
+                    return true;
+                }
+            }
+
+            if (!response.ok) {
+                throw new Error(`Server answered ${response.status}`);
+            }
+
+            this.etags.set(key, response.headers.get('ETag'));
+            return true;
+        } catch (error) {
+            console.error(`Error saving data for key ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Hand a write conflict to the conflict handler and apply its decision
+     * @param {string} key - Storage key
+     * @param {*} localData - Data this device tried to write
+     * @param {Response} conflictResponse - The 412 response holding the remote version
+     * @returns {Promise<Response|null>} Response of the forced write, or null if the remote version is kept
+     * @private
+     */
+    async resolveConflict(key, localData, conflictResponse) {
+        const remoteEtag = conflictResponse.headers.get('ETag');
+        const remoteText = await conflictResponse.text();
+        const remoteData = remoteText ? JSON.parse(remoteText) : null;
+
+        console.warn(`Save conflict for key ${key}: it was changed on another device`);
+
+        // Without a handler the conflict stays unresolved rather than overwriting anything
+        if (!this.onConflict) {
+            throw new Error(`Save conflict for key ${key}`);
+        }
+
+        const resolved = await this.onConflict({ key, localData, remoteData });
+        this.etags.set(key, remoteEtag || null);
+
+        if (resolved === null || resolved === undefined) {
+            return null;
+        }
+
+        // Write the chosen data on top of exactly the remote version we were shown
+        return this.request('PUT', key, {
+            'Content-Type': 'application/json',
+            ...this.preconditionFor(key)
+        }, JSON.stringify(resolved));
+    }
+
+    /**
+     * Load data for the given key
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} The loaded data (or null if not found)
+     */
+    async loadData(key) {
+        try {
+            const response = await this.request('GET', key);
+            if (response.status === 404) {
+                this.etags.set(key, null);
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`Server answered ${response.status}`);
+            }
+
+            this.etags.set(key, response.headers.get('ETag'));
+            return await response.json();
+        } catch (error) {
+            console.error(`Error loading data for key ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete data for the given key
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteData(key) {
+        try {
+            const etag = this.etags.get(key);
+            const response = await this.request('DELETE', key, etag ? { 'If-Match': etag } : {});
+
+            if (response.status === 412) {
+                // Changed elsewhere since we last read it - keep the other device's version
+                console.warn(`Not deleting ${key}: it was changed on another device`);
+                this.etags.set(key, response.headers.get('ETag'));
+                return false;
+            }
+            if (!response.ok) {
+                throw new Error(`Server answered ${response.status}`);
+            }
+
+            this.etags.set(key, null);
+            return true;
+        } catch (error) {
+            console.error(`Error deleting data for key ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if data exists for the given key
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Whether data exists
+     */
+    async hasData(key) {
+        try {
+            const response = await this.request('HEAD', key);
+            return response.ok;
+        } catch (error) {
+            console.error(`Error checking data for key ${key}:`, error);
+            return false;
+        }
+    }
+}
@@ -1,14 +1,23 @@
 import { ISaveSystem } from './ISaveSystem.js';
 import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { IndexedDBStorageAdapter } from './IndexedDBStorageAdapter.js';
+import { RemoteStorageAdapter } from './RemoteStorageAdapter.js';
 import { PlayerSerializer } from './serializers/PlayerSerializer.js';
 import { QuestSerializer } from './serializers/QuestSerializer.js';
 import { SettingsSerializer } from './serializers/SettingsSerializer.js';
 import { InventorySerializer } from './serializers/InventorySerializer.js';
+import { SkillTreeSerializer } from './serializers/SkillTreeSerializer.js';
+import { WorldSerializer } from './serializers/WorldSerializer.js';
+import { CodexSerializer } from './serializers/CodexSerializer.js';
+import { StashSerializer } from './serializers/StashSerializer.js';
 import { SaveOperationProgress } from './utils/SaveOperationProgress.js';
+import { SaveMigrator } from './SaveMigrator.js';
+import { HeroTransfer } from './HeroTransfer.js';
+import { SaveIntegrity } from './utils/SaveIntegrity.js';
 import { STORAGE_KEYS } from '../config/storage-keys.js';
 
 /**
- * SaveManager implementation using localStorage
+ * SaveManager implementation using IndexedDB (or localStorage as a fallback)
  * Handles saving and loading game state with progress indicators
  */
 export class SaveManager extends ISaveSystem {
@@ -24,6 +33,11 @@ export class SaveManager extends ISaveSystem {
         this.saveProgress = new SaveOperationProgress(game, 'save');
         this.loadProgress = new SaveOperationProgress(game, 'load');
         this.saveKey = STORAGE_KEYS.SAVE_DATA;
+        this.slotIndexKey = STORAGE_KEYS.SAVE_SLOTS;
+        this.slotKeyPrefix = STORAGE_KEYS.SAVE_SLOT_PREFIX;
+        this.maxSlots = 5;
+        this.maxSaveHistory = 3; // Rolling copies of the last good saves per slot, used to recover from corruption
+        this.slotIndex = { activeSlotId: null, slots: [], deletedSlots: [] };
         this.chunkSaveKeyPrefix = STORAGE_KEYS.CHUNK_PREFIX;
         this.autoSaveInterval = 60_000; // Auto-save every minute (reduced frequency)
         this.autoSaveTimer = null;
@@ -31,18 +45,48 @@ export class SaveManager extends ISaveSystem {
         this.lastSaveTime = 0; // Track time of last save
         this.minTimeBetweenSaves = 60_000; // Minimum minute between saves
         
-        // Create storage adapter
+        // Storage adapter - replaced in init() by the sync server or IndexedDB when available
         this.storage = new LocalStorageAdapter();
         
-        // Current save version
-        this.currentVersion = '1.1.0';
+        // Set when the player keeps another device's progress, so the game reloads into it
+        this.reloadAfterConflict = false;
+        
+        // Keys owned by the save system, moved from localStorage to IndexedDB on first run
+        this.storageKeyPrefixes = [
+            STORAGE_KEYS.SAVE_DATA,
+            STORAGE_KEYS.SAVE_SLOTS,
+            STORAGE_KEYS.SAVE_SLOT_PREFIX,
+            STORAGE_KEYS.CHUNK_PREFIX,
+            STORAGE_KEYS.CHUNK_INDEX,
+            STORAGE_KEYS.SHARED_STASH
+        ];
+        
+        // Current save version - bump together with a new entry in migrations/save-migrations.js
+        this.currentVersion = '1.6.0';
+        
+        // Upgrades saves from older versions on load
+        this.migrator = new SaveMigrator();
+        this.lastMigrationReport = null;
+        
+        // Export and import of heroes as portable files
+        this.heroTransfer = new HeroTransfer(this);
     }
     
     /**
      * Initialize the save system
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    init() {
+    async init() {
+        // Pick the storage backend before touching any save data
+        this.storage = await this.createStorageAdapter();
+        
+        // Load save slots and move a legacy single save into the first slot
+        await this.loadSlotIndex();
+        await this.migrateLegacySave();
+        
+        // The stash belongs to the device rather than a slot, so it is loaded once for every hero
+        await this.loadStash();
+        
         // Start auto-save timer
         this.startAutoSave();
         
@@ -51,6 +95,54 @@ export class SaveManager extends ISaveSystem {
         return true;
     }
     
+    /**
+     * Create the storage adapter for save data
+     * Uses the sync server when one is configured and reachable, otherwise local storage
+     * @returns {Promise<IStorageAdapter>} The storage adapter to use
+     */
+    async createStorageAdapter() {
+        const localAdapter = await this.createLocalStorageAdapter();
+        
+        const syncServerUrl = localStorage.getItem(STORAGE_KEYS.SYNC_SERVER_URL);
+        if (!syncServerUrl) {
+            return localAdapter;
+        }
+        
+        const remoteAdapter = new RemoteStorageAdapter(syncServerUrl, {
+            onConflict: conflict => this.resolveStorageConflict(conflict)
+        });
+        if (!await remoteAdapter.init()) {
+            console.warn('Sync server unavailable, saving on this device only');
+            return localAdapter;
+        }
+        
+        await this.uploadLocalProgress(remoteAdapter, localAdapter);
+        return remoteAdapter;
+    }
+    
+    /**
+     * Create the on-device storage adapter
+     * Prefers IndexedDB and migrates existing localStorage saves into it,
+     * falling back to localStorage when IndexedDB is unavailable
+     * @returns {Promise<IStorageAdapter>} The storage adapter to use
+     */
+    async createLocalStorageAdapter() {
+        if (IndexedDBStorageAdapter.isAvailable()) {
+            const adapter = new IndexedDBStorageAdapter();
+            if (await adapter.init()) {
+                try {
+                    await adapter.migrateFromLocalStorage(this.storageKeyPrefixes);
+                } catch (error) {
+                    console.warn('Error migrating saves to IndexedDB, remaining keys stay in localStorage:', error);
+                }
+                return adapter;
+            }
+        }
+        
+        console.warn('IndexedDB unavailable, falling back to localStorage for save data');
+        return new LocalStorageAdapter();
+    }
+    
     /**
      * Start auto-save functionality
      */
@@ -62,6 +154,11 @@ export class SaveManager extends ISaveSystem {
         
         // Set up new timer
         this.autoSaveTimer = setInterval(() => {
+            // Don't write a fresh hero over the active slot while still in the main menu
+            if (!this.game.hasStarted) {
+                return;
+            }
+            
             // Use async saveGame method
             this.saveGame(false, true).catch(error => {
                 console.error('Auto-save failed:', error);
@@ -82,7 +179,7 @@ export class SaveManager extends ISaveSystem {
     
     /**
      * Save the current game state with progress indicator
-     * Only saves hero information (player data, quests, settings)
+     * Only saves hero information (player, inventory, quests, skill tree, world progress, settings)
      * @param {boolean} forceSave - Whether to force save regardless of conditions
      * @returns {Promise<boolean>} Promise resolving to success status
      */
@@ -123,26 +220,54 @@ export class SaveManager extends ISaveSystem {
             await this.delay(50); // Small delay for UI update
             
             const settingsData = SettingsSerializer.serialize(this.game);
+            const skillTreeData = SkillTreeSerializer.serialize();
+            const worldData = WorldSerializer.serialize(this.game.world);
+            const codexData = CodexSerializer.serialize(this.game.legendaryCodex);
             
             const saveData = {
                 player: playerData,
                 inventory: inventoryData,
                 quests: questData,
+                skillTree: skillTreeData,
+                world: worldData,
+                codex: codexData,
                 settings: settingsData,
+                meta: {
+                    playTime: this.game.gameTime || 0,
+                    zone: this.getCurrentZoneName()
+                },
                 timestamp: currentTime,
                 version: this.currentVersion
             };
             
             !autoSave && this.saveProgress.update('Writing hero data to storage...', 80);
             await this.delay(10); // Small delay for UI update
+            
+            // Heroes started without picking a slot get one on their first save
+            const slot = this.getActiveSlot() || await this.createSlot();
+            if (!slot) {
+                throw new Error('No free save slot available');
+            }
+            await this.setActiveSlot(slot.id);
         
             // Save to storage
-            const success = this.storage.saveData(this.saveKey, saveData);
+            const success = await this.writeSaveData(this.saveKey, saveData);
             
             if (!success) {
                 throw new Error('Failed to save hero data');
             }
             
+            // The player chose another device's progress for this hero - continue from it
+            if (this.reloadAfterConflict) {
+                this.saveProgress.complete();
+                window.location.reload();
+                return true;
+            }
+            
+            // Keep a rolling copy so a later corrupted write can be recovered
+            await this.recordSaveHistory(slot.id, saveData);
+            await this.updateSlotMetadata(slot.id, saveData);
+            
             this.lastSaveTime = currentTime;
             this.lastSaveLevel = playerLevel;
             
@@ -176,11 +301,16 @@ export class SaveManager extends ISaveSystem {
     
     /**
      * Load a saved game with progress indicator
-     * Only loads hero-related data (player, quests, settings)
+     * Only loads hero-related data (player, inventory, quests, skill tree, world progress, settings)
+     * @param {string} [slotId] - Slot to load, defaults to the active slot
      * @returns {Promise<boolean>} Promise resolving to success status
      */
-    async loadGame() {
+    async loadGame(slotId = this.slotIndex.activeSlotId) {
         try {
+            if (slotId && !await this.setActiveSlot(slotId)) {
+                throw new Error(`Save slot ${slotId} not found`);
+            }
+            
             // Initialize progress indicator
             this.loadProgress.start('Preparing to load hero data...');
             
@@ -188,7 +318,8 @@ export class SaveManager extends ISaveSystem {
             this.loadProgress.update('Reading save data...', 20);
             await this.delay(10); // Small delay for UI update
             
-            const saveData = this.storage.loadData(this.saveKey);
+            const { saveData: verifiedSave, restoredFrom } = await this.readVerifiedSave(this.slotIndex.activeSlotId);
+            let saveData = verifiedSave;
             
             // Check if save data exists
             if (!saveData) {
@@ -197,15 +328,20 @@ export class SaveManager extends ISaveSystem {
                 return false;
             }
             
+            if (restoredFrom !== null) {
+                this.loadProgress.update('Save was damaged - restored the most recent valid backup', 25);
+            }
+            
             this.loadProgress.update('Validating save data...', 30);
             await this.delay(10); // Small delay for UI update
             
             console.debug('Save data parsed successfully: ' + Object.keys(saveData).join(', '));
             
-            // Check version compatibility
-            if (saveData.version !== this.currentVersion) {
-                console.debug('Save data version mismatch, some data may not load correctly', 'warn');
-                this.loadProgress.update('Warning: Save data version mismatch', 35);
+            // Upgrade saves from older versions before any serializer sees them
+            if (this.migrator.needsMigration(saveData, this.currentVersion)) {
+                saveData = await this.migrateSaveData(saveData);
+            } else if (saveData.version !== this.currentVersion) {
+                throw new Error(`Save version ${saveData.version} is newer than supported version ${this.currentVersion}`);
             }
             
             // Clear existing enemies
@@ -218,6 +354,18 @@ export class SaveManager extends ISaveSystem {
                 console.debug('Enemy manager not found, skipping enemy removal', 'warn');
             }
             
+            // Load discovered legendaries before the skill tree, as they unlock its variants
+            // Saves from before the codex existed start with no legendaries discovered
+            console.debug('Loading legendary codex...');
+            CodexSerializer.deserialize(this.game.legendaryCodex, saveData.codex || { discovered: [] });
+            
+            // Load skills first so restored cooldowns apply to the hero's own skill set
+            // Saves from before skill trees were stored keep this device's skill tree
+            if (saveData.skillTree) {
+                console.debug('Loading skill tree data...');
+                SkillTreeSerializer.deserialize(this.game, saveData.skillTree);
+            }
+            
             // Load player data
             this.loadProgress.update('Loading player data...', 45);
             await this.delay(150); // Small delay for UI update
@@ -237,6 +385,12 @@ export class SaveManager extends ISaveSystem {
             if (saveData.inventory) {
                 console.debug('Loading inventory data...');
                 InventorySerializer.deserialize(this.game.player, saveData.inventory);
+                
+                // Heroes saved before the codex existed may already carry legendaries;
+                // the skill tree was loaded before them, so it is applied again to restore the variants they unlock
+                if (this.game.legendaryCodex && this.game.legendaryCodex.discoverOwnedItems()) {
+                    SkillTreeSerializer.refresh(this.game);
+                }
             } else {
                 console.debug('No inventory data found in save', 'warn');
                 this.loadProgress.update('Warning: No inventory data found', 60);
@@ -254,6 +408,12 @@ export class SaveManager extends ISaveSystem {
                 this.loadProgress.update('Warning: No quest data found', 75);
             }
             
+            // Load discovered zones and unlocked portals
+            if (saveData.world) {
+                console.debug('Loading world progress...');
+                WorldSerializer.deserialize(this.game.world, saveData.world);
+            }
+            
             // Continue Game settings - handle errors separately to prevent blocking game load
             this.loadProgress.update('Loading game settings...', 85);
             await this.delay(10); // Small delay for UI update
@@ -273,6 +433,11 @@ export class SaveManager extends ISaveSystem {
                 this.loadProgress.update('Warning: No settings data found', 90);
             }
             
+            // Restore play time so the slot keeps accumulating it
+            if (saveData.meta && saveData.meta.playTime !== undefined) {
+                this.game.gameTime = saveData.meta.playTime;
+            }
+            
             // Update last save level to prevent immediate re-saving
             if (saveData.player && saveData.player.level) {
                 this.lastSaveLevel = saveData.player.level;
@@ -286,6 +451,14 @@ export class SaveManager extends ISaveSystem {
             
             console.debug('Hero data loaded successfully');
             
+            // Tell the player their latest save could not be used
+            if (restoredFrom !== null && this.game.hudManager) {
+                const restoredDate = restoredFrom ? new Date(restoredFrom).toLocaleString() : 'an earlier session';
+                this.game.hudManager.showNotification(
+                    `Your latest save was damaged. Restored the level ${saveData.player ? saveData.player.level : 1} save from ${restoredDate}.`
+                );
+            }
+            
             // Update UI elements
             if (this.game.isRunning && this.game.hudManager) {
                 // Update player UI by accessing the PlayerUI component directly
@@ -309,6 +482,43 @@ export class SaveManager extends ISaveSystem {
         }
     }
     
+    /**
+     * Migrate save data to the current version
+     * Keeps a backup of the original save and writes the upgraded save back to its slot
+     * @param {Object} saveData - Save data from an older version
+     * @returns {Promise<Object>} The upgraded save data
+     */
+    async migrateSaveData(saveData) {
+        const fromVersion = this.migrator.getVersion(saveData);
+        this.loadProgress.update(`Upgrading save from v${fromVersion}...`, 33);
+        
+        // Back up the untouched save so a bad migration can be rolled back
+        const backupKey = `${this.saveKey}${STORAGE_KEYS.SAVE_BACKUP_SUFFIX}${fromVersion}`;
+        if (!await this.storage.saveData(backupKey, saveData)) {
+            throw new Error('Could not back up save data before migration');
+        }
+        
+        const { data, report } = this.migrator.migrate(saveData, this.currentVersion);
+        this.lastMigrationReport = report;
+        
+        const reportLines = SaveMigrator.formatReport(report);
+        console.debug(reportLines.join('\n'));
+        
+        if (!await this.writeSaveData(this.saveKey, data)) {
+            console.warn('Could not write migrated save, it will be migrated again on next load');
+        }
+        
+        const droppedCount = report.steps.reduce((count, step) => count + step.dropped.length, 0);
+        this.loadProgress.update(
+            droppedCount > 0
+                ? `Save upgraded to v${this.currentVersion} (${droppedCount} item(s) dropped, backup kept)`
+                : `Save upgraded to v${this.currentVersion}`,
+            35
+        );
+        
+        return data;
+    }
+    
     /**
      * Load world data with progress updates
      * @param {Object} worldData - World data to load
@@ -453,13 +663,18 @@ export class SaveManager extends ISaveSystem {
     // loadChunk method has been removed
     
     /**
-     * Delete all save data
-     * @returns {boolean} Success status
+     * Delete the save data of the active slot
+     * @returns {Promise<boolean>} Success status
      */
-    deleteSave() {
+    async deleteSave() {
         try {
-            // Remove main save data from storage
-            this.storage.deleteData(this.saveKey);
+            const slotId = this.slotIndex.activeSlotId;
+            if (slotId) {
+                await this.deleteSlot(slotId);
+            }
+            
+            // Remove any legacy single-slot save as well
+            await this.storage.deleteData(STORAGE_KEYS.SAVE_DATA);
             
             console.debug('Hero save data deleted successfully');
             return true;
@@ -471,9 +686,589 @@ export class SaveManager extends ISaveSystem {
     
     /**
      * Check if save data exists
-     * @returns {boolean} Whether save data exists
+     * @param {string} [slotId] - Slot to check, defaults to the active slot
+     * @returns {Promise<boolean>} Whether save data exists
+     */
+    async hasSaveData(slotId = this.slotIndex.activeSlotId) {
+        if (!slotId) {
+            return false;
+        }
+        return this.storage.hasData(this.getSlotKey(slotId));
+    }
+    
+    /**
+     * Check if any slot holds save data
+     * @returns {Promise<boolean>} Whether at least one hero has been saved
+     */
+    async hasAnySaveData() {
+        for (const slot of this.slotIndex.slots) {
+            if (await this.hasSaveData(slot.id)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Get the storage key for a save slot
+     * @param {string} slotId - Slot identifier
+     * @returns {string} Storage key holding the slot's save data
+     */
+    getSlotKey(slotId) {
+        return `${this.slotKeyPrefix}${slotId}`;
+    }
+    
+    /**
+     * Upload the progress this device made while the sync server was unavailable
+     * Heroes saved on this device after the server's copy are uploaded; if the server also has
+     * the hero, the player chooses which progress to keep. The slot indexes are merged.
+     * @param {IStorageAdapter} remoteAdapter - The sync server adapter
+     * @param {IStorageAdapter} localAdapter - The on-device adapter
+     * @returns {Promise<void>}
+     */
+    async uploadLocalProgress(remoteAdapter, localAdapter) {
+        const localIndex = await localAdapter.loadData(this.slotIndexKey);
+        if (!localIndex || !Array.isArray(localIndex.slots)) {
+            return;
+        }
+        
+        const remoteIndex = await remoteAdapter.loadData(this.slotIndexKey);
+        const deletedRemotely = new Set(((remoteIndex && remoteIndex.deletedSlots) || []).map(tombstone => tombstone.id));
+        const uploadedIndex = { ...localIndex, slots: localIndex.slots.map(slot => ({ ...slot })) };
+        let uploadedCount = 0;
+        
+        for (const slot of uploadedIndex.slots) {
+            // Heroes deleted on another device stay deleted
+            if (deletedRemotely.has(slot.id)) {
+                continue;
+            }
+            
+            const slotKey = this.getSlotKey(slot.id);
+            const localSave = await localAdapter.loadData(slotKey);
+            if (!localSave) {
+                continue;
+            }
+            
+            const remoteSave = await remoteAdapter.loadData(slotKey);
+            if (remoteSave && (localSave.timestamp || 0) <= (remoteSave.timestamp || 0)) {
+                continue;
+            }
+            
+            if (remoteSave && !this.confirmKeepLocalSave(slot.name, localSave, remoteSave)) {
+                // The server's progress wins, so its metadata must win the index merge too
+                this.applySaveMetadata(slot, remoteSave);
+                continue;
+            }
+            
+            if (await remoteAdapter.saveData(slotKey, localSave)) {
+                uploadedCount++;
+            }
+        }
+        
+        await remoteAdapter.saveData(this.slotIndexKey, this.mergeSlotIndexes(uploadedIndex, remoteIndex));
+        
+        if (uploadedCount > 0) {
+            console.debug(`Uploaded ${uploadedCount} heroes to the sync server`);
+        }
+    }
+    
+    /**
+     * Decide what to store when a key was changed on another device since it was last read
+     * The slot index is merged, rolling backups keep this device's copy, and for hero saves
+     * the player chooses which progress to keep
+     * @param {Object} conflict - Conflict details from the storage adapter
+     * @param {string} conflict.key - Storage key
+     * @param {*} conflict.localData - Data this device tried to write
+     * @param {*} conflict.remoteData - Data currently stored on the server (null if deleted)
+     * @returns {Promise<*>} Data to store, or null to keep the server's version
+     */
+    async resolveStorageConflict({ key, localData, remoteData }) {
+        if (key === this.slotIndexKey) {
+            const merged = this.mergeSlotIndexes(localData, remoteData);
+            this.slotIndex.slots = merged.slots;
+            this.slotIndex.deletedSlots = merged.deletedSlots;
+            return merged;
+        }
+        
+        if (!remoteData || !key.startsWith(this.slotKeyPrefix) ||
+            key.includes(STORAGE_KEYS.SAVE_HISTORY_SUFFIX) || key.includes(STORAGE_KEYS.SAVE_BACKUP_SUFFIX)) {
+            return localData;
+        }
+        
+        const slotId = key.slice(this.slotKeyPrefix.length);
+        const slot = this.getSlot(slotId);
+        
+        if (this.confirmKeepLocalSave(slot ? slot.name : null, localData, remoteData)) {
+            return localData;
+        }
+        
+        await this.updateSlotMetadata(slotId, remoteData);
+        if (this.game.hasStarted && slotId === this.slotIndex.activeSlotId) {
+            this.reloadAfterConflict = true;
+        }
+        return null;
+    }
+    
+    /**
+     * Ask the player which progress to keep for a hero played on two devices
+     * @param {string|null} heroName - Name of the hero
+     * @param {Object} localData - This device's save data
+     * @param {Object} remoteData - The other device's save data
+     * @returns {boolean} True to keep this device's progress
+     */
+    confirmKeepLocalSave(heroName, localData, remoteData) {
+        const describe = data => {
+            const level = data && data.player ? data.player.level : '?';
+            const savedAt = data && data.timestamp ? new Date(data.timestamp).toLocaleString() : 'unknown time';
+            return `level ${level}, saved ${savedAt}`;
+        };
+        
+        return confirm(
+            `${heroName || 'This hero'} was also played on another device.\n\n` +
+            `This device: ${describe(localData)}\n` +
+            `Other device: ${describe(remoteData)}\n\n` +
+            `Press OK to keep this device's progress, or Cancel to continue with the other device's progress.`
+        );
+    }
+    
+    /**
+     * Merge two versions of the slot index
+     * Slots from both are kept unless either side deleted them; for a slot in both,
+     * the most recently saved metadata wins
+     * @param {Object} localIndex - This device's slot index
+     * @param {Object} remoteIndex - The server's slot index
+     * @returns {Object} Merged slot index
+     */
+    mergeSlotIndexes(localIndex, remoteIndex) {
+        const deletedSlots = new Map();
+        [remoteIndex, localIndex].forEach(index => {
+            ((index && index.deletedSlots) || []).forEach(tombstone => {
+                const existing = deletedSlots.get(tombstone.id);
+                if (!existing || (tombstone.deletedAt || 0) > (existing.deletedAt || 0)) {
+                    deletedSlots.set(tombstone.id, tombstone);
+                }
+            });
+        });
+        
+        const slots = new Map();
+        [remoteIndex, localIndex].forEach(index => {
+            ((index && index.slots) || []).forEach(slot => {
+                if (deletedSlots.has(slot.id)) {
+                    return;
+                }
+                const existing = slots.get(slot.id);
+                if (!existing || (slot.timestamp || 0) >= (existing.timestamp || 0)) {
+                    slots.set(slot.id, slot);
+                }
+            });
+        });
+        
+        const activeSlotId = [localIndex, remoteIndex]
+            .map(index => index && index.activeSlotId)
+            .find(slotId => slotId && slots.has(slotId)) || null;
+        
+        return {
+            activeSlotId,
+            slots: [...slots.values()],
+            deletedSlots: [...deletedSlots.values()]
+        };
+    }
+    
+    /**
+     * Reset hero state kept outside the save (skill tree and skill selection) and the legendary codex
+     * so a new hero does not inherit the previous hero's skills or discovered legendaries
+     */
+    resetHeroState() {
+        if (this.game.legendaryCodex) {
+            this.game.legendaryCodex.reset();
+        }
+        SkillTreeSerializer.reset(this.game);
+    }
+    
+    /**
+     * Get the storage key for one of a slot's rolling save copies
+     * @param {string} slotId - Slot identifier
+     * @param {number} index - Position in the rolling history
+     * @returns {string} Storage key of the copy
+     */
+    getHistoryKey(slotId, index) {
+        return `${this.getSlotKey(slotId)}${STORAGE_KEYS.SAVE_HISTORY_SUFFIX}${index}`;
+    }
+    
+    /**
+     * Write save data with its checksum attached
+     * @param {string} key - Storage key
+     * @param {Object} saveData - Save data
+     * @returns {Promise<boolean>} Success status
+     */
+    async writeSaveData(key, saveData) {
+        return this.storage.saveData(key, SaveIntegrity.sign(saveData));
+    }
+    
+    /**
+     * Store a copy of a good save in the slot's rolling history
+     * Overwrites the oldest copy once the history is full
+     * @param {string} slotId - Slot identifier
+     * @param {Object} saveData - Save data that was just written
+     * @returns {Promise<void>}
+     */
+    async recordSaveHistory(slotId, saveData) {
+        const slot = this.getSlot(slotId);
+        if (!slot) {
+            return;
+        }
+        
+        const index = (slot.historyIndex || 0) % this.maxSaveHistory;
+        if (await this.writeSaveData(this.getHistoryKey(slotId, index), saveData)) {
+            // Persisted with the rest of the slot metadata
+            slot.historyIndex = (index + 1) % this.maxSaveHistory;
+        } else {
+            console.warn(`Could not write save history copy ${index} for slot ${slotId}`);
+        }
+    }
+    
+    /**
+     * Read a slot's save data and check its integrity
+     * Falls back to the newest valid copy in the rolling history when the save is corrupted,
+     * and repairs the slot with it
+     * @param {string|null} slotId - Slot to read, or null for the legacy single save
+     * @returns {Promise<{saveData: Object|null, restoredFrom: number|null}>} The save and, if a
+     *          backup was used, the timestamp of that backup
+     * @throws {Error} If the save is corrupted and no valid copy exists
+     */
+    async readVerifiedSave(slotId) {
+        const key = slotId ? this.getSlotKey(slotId) : this.saveKey;
+        const saveData = await this.storage.loadData(key);
+        
+        if (saveData && SaveIntegrity.verify(saveData)) {
+            return { saveData, restoredFrom: null };
+        }
+        
+        // Nothing stored at all is not corruption
+        if (!saveData && !await this.storage.hasData(key)) {
+            return { saveData: null, restoredFrom: null };
+        }
+        
+        console.warn(`Save data in ${key} is corrupted, looking for a valid backup`);
+        
+        const backups = [];
+        if (slotId) {
+            for (let i = 0; i < this.maxSaveHistory; i++) {
+                const backup = await this.storage.loadData(this.getHistoryKey(slotId, i));
+                if (backup && SaveIntegrity.verify(backup)) {
+                    backups.push(backup);
+                }
+            }
+        }
+        
+        if (backups.length === 0) {
+            throw new Error('Save data is corrupted and no valid backup was found');
+        }
+        
+        const newest = backups.reduce((best, backup) => ((backup.timestamp || 0) > (best.timestamp || 0) ? backup : best));
+        
+        // Repair the slot so the corrupted copy is not read again
+        await this.storage.saveData(key, newest);
+        await this.updateSlotMetadata(slotId, newest);
+        
+        console.warn(`Restored save from backup written at ${new Date(newest.timestamp || 0).toISOString()}`);
+        return { saveData: newest, restoredFrom: newest.timestamp || 0 };
+    }
+    
+    /**
+     * Write the shared stash to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveStash() {
+        if (!this.game.stash) {
+            return false;
+        }
+        
+        try {
+            return await this.storage.saveData(STORAGE_KEYS.SHARED_STASH, StashSerializer.serialize(this.game.stash));
+        } catch (error) {
+            console.error('Error saving stash:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the shared stash from storage
+     * @returns {Promise<boolean>} Whether stash data was found and loaded
+     */
+    async loadStash() {
+        if (!this.game.stash) {
+            return false;
+        }
+        
+        try {
+            const stashData = await this.storage.loadData(STORAGE_KEYS.SHARED_STASH);
+            if (!stashData) {
+                return false;
+            }
+            
+            StashSerializer.deserialize(this.game.stash, stashData);
+            return true;
+        } catch (error) {
+            console.error('Error loading stash:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the slot index from storage
+     * @returns {Promise<void>}
+     */
+    async loadSlotIndex() {
+        const index = await this.storage.loadData(this.slotIndexKey);
+        
+        if (index && Array.isArray(index.slots)) {
+            this.slotIndex = {
+                activeSlotId: index.activeSlotId || null,
+                slots: index.slots,
+                // Slots deleted on this or another device, so syncing does not bring them back
+                deletedSlots: Array.isArray(index.deletedSlots) ? index.deletedSlots : []
+            };
+        } else {
+            this.slotIndex = { activeSlotId: null, slots: [], deletedSlots: [] };
+        }
+        
+        // Fall back to the first slot if the active one has been removed
+        if (!this.getSlot(this.slotIndex.activeSlotId)) {
+            this.slotIndex.activeSlotId = this.slotIndex.slots.length > 0 ? this.slotIndex.slots[0].id : null;
+        }
+        
+        if (this.slotIndex.activeSlotId) {
+            this.saveKey = this.getSlotKey(this.slotIndex.activeSlotId);
+        }
+    }
+    
+    /**
+     * Write the slot index to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveSlotIndex() {
+        return this.storage.saveData(this.slotIndexKey, this.slotIndex);
+    }
+    
+    /**
+     * Move a save written by the single-slot system into the first slot
+     * @returns {Promise<void>}
+     */
+    async migrateLegacySave() {
+        if (this.slotIndex.slots.length > 0 || !await this.storage.hasData(STORAGE_KEYS.SAVE_DATA)) {
+            return;
+        }
+        
+        const legacySave = await this.storage.loadData(STORAGE_KEYS.SAVE_DATA);
+        if (!legacySave) {
+            return;
+        }
+        
+        const slot = await this.createSlot();
+        if (await this.writeSaveData(this.getSlotKey(slot.id), legacySave)) {
+            await this.updateSlotMetadata(slot.id, legacySave);
+            await this.setActiveSlot(slot.id);
+            await this.storage.deleteData(STORAGE_KEYS.SAVE_DATA);
+            console.debug(`Migrated legacy save into slot ${slot.id}`);
+        }
+    }
+    
+    /**
+     * List all save slots
+     * @returns {Array<Object>} Copies of the slot metadata, most recently saved first
+     */
+    listSlots() {
+        return this.slotIndex.slots
+            .map(slot => ({ ...slot }))
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+    
+    /**
+     * Get a slot by id
+     * @param {string} slotId - Slot identifier
+     * @returns {Object|null} The slot metadata or null if not found
+     */
+    getSlot(slotId) {
+        return this.slotIndex.slots.find(slot => slot.id === slotId) || null;
+    }
+    
+    /**
+     * Get the active slot
+     * @returns {Object|null} The active slot metadata or null if none
+     */
+    getActiveSlot() {
+        return this.getSlot(this.slotIndex.activeSlotId);
+    }
+    
+    /**
+     * Make a slot the target of saves and loads
+     * @param {string} slotId - Slot identifier
+     * @returns {Promise<boolean>} Whether the slot exists
+     */
+    async setActiveSlot(slotId) {
+        if (!this.getSlot(slotId)) {
+            return false;
+        }
+        
+        if (this.slotIndex.activeSlotId !== slotId) {
+            this.slotIndex.activeSlotId = slotId;
+            await this.saveSlotIndex();
+        }
+        this.saveKey = this.getSlotKey(slotId);
+        return true;
+    }
+    
+    /**
+     * Create a new empty save slot
+     * @param {string} [name] - Display name, defaults to "Hero N"
+     * @returns {Promise<Object|null>} The created slot or null if all slots are used
      */
-    hasSaveData() {
-        return this.storage.hasData(this.saveKey);
+    async createSlot(name) {
+        if (this.slotIndex.slots.length >= this.maxSlots) {
+            console.warn(`Cannot create save slot - limit of ${this.maxSlots} reached`);
+            return null;
+        }
+        
+        const slot = {
+            id: `slot_${Date.now().toString(36)}_${Math.floor(Math.random() * 1000)}`,
+            name: name || `Hero ${this.slotIndex.slots.length + 1}`,
+            createdAt: Date.now(),
+            timestamp: 0,
+            level: 1,
+            playTime: 0,
+            zone: null
+        };
+        
+        this.slotIndex.slots.push(slot);
+        await this.saveSlotIndex();
+        
+        return { ...slot };
+    }
+    
+    /**
+     * Copy a slot, including its save data, into a new slot
+     * @param {string} slotId - Slot to copy
+     * @param {string} [name] - Name of the copy
+     * @returns {Promise<Object|null>} The new slot or null on failure
+     */
+    async copySlot(slotId, name) {
+        const source = this.getSlot(slotId);
+        if (!source) {
+            console.warn(`Cannot copy save slot ${slotId} - not found`);
+            return null;
+        }
+        
+        const copy = await this.createSlot(name || `${source.name} (Copy)`);
+        if (!copy) {
+            return null;
+        }
+        
+        const saveData = await this.storage.loadData(this.getSlotKey(slotId));
+        if (saveData && !await this.storage.saveData(this.getSlotKey(copy.id), saveData)) {
+            await this.deleteSlot(copy.id);
+            return null;
+        }
+        
+        const { id, name: copyName, createdAt, ...metadata } = source;
+        Object.assign(this.getSlot(copy.id), metadata);
+        await this.saveSlotIndex();
+        
+        return { ...this.getSlot(copy.id) };
+    }
+    
+    /**
+     * Rename a slot
+     * @param {string} slotId - Slot identifier
+     * @param {string} name - New display name
+     * @returns {Promise<boolean>} Success status
+     */
+    async renameSlot(slotId, name) {
+        const slot = this.getSlot(slotId);
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (!slot || !trimmedName) {
+            return false;
+        }
+        
+        slot.name = trimmedName;
+        return this.saveSlotIndex();
+    }
+    
+    /**
+     * Delete a slot with its save data, rolling history and migration backups
+     * @param {string} slotId - Slot identifier
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteSlot(slotId) {
+        if (!this.getSlot(slotId)) {
+            return false;
+        }
+        
+        const slotKey = this.getSlotKey(slotId);
+        await this.storage.deleteData(slotKey);
+        for (let i = 0; i < this.maxSaveHistory; i++) {
+            await this.storage.deleteData(this.getHistoryKey(slotId, i));
+        }
+        
+        // Backups kept by migrateSaveData, one per version the slot was migrated from
+        const migratedFromVersions = new Set(this.migrator.migrations.map(migration => migration.from));
+        for (const version of migratedFromVersions) {
+            await this.storage.deleteData(`${slotKey}${STORAGE_KEYS.SAVE_BACKUP_SUFFIX}${version}`);
+        }
+        this.slotIndex.slots = this.slotIndex.slots.filter(slot => slot.id !== slotId);
+        this.slotIndex.deletedSlots.push({ id: slotId, deletedAt: Date.now() });
+        
+        if (this.slotIndex.activeSlotId === slotId) {
+            this.slotIndex.activeSlotId = null;
+            this.saveKey = STORAGE_KEYS.SAVE_DATA;
+        }
+        
+        return this.saveSlotIndex();
+    }
+    
+    /**
+     * Refresh a slot's metadata from the save data written to it
+     * @param {string} slotId - Slot identifier
+     * @param {Object} saveData - The save data stored in the slot
+     * @returns {Promise<void>}
+     */
+    async updateSlotMetadata(slotId, saveData) {
+        const slot = this.getSlot(slotId);
+        if (!slot || !saveData) {
+            return;
+        }
+        
+        this.applySaveMetadata(slot, saveData);
+        await this.saveSlotIndex();
+    }
+    
+    /**
+     * Copy the metadata shown in the hero picker from save data onto a slot
+     * @param {Object} slot - Slot to update
+     * @param {Object} saveData - The slot's save data
+     * @private
+     */
+    applySaveMetadata(slot, saveData) {
+        const meta = saveData.meta || {};
+        slot.timestamp = saveData.timestamp || Date.now();
+        slot.level = (saveData.player && saveData.player.level) || 1;
+        slot.playTime = meta.playTime || 0;
+        slot.zone = meta.zone || null;
+    }
+    
+    /**
+     * Get the name of the zone the player is standing in
+     * @returns {string|null} Zone name or null if unknown
+     */
+    getCurrentZoneName() {
+        try {
+            if (this.game.world && this.game.player) {
+                const zone = this.game.world.getZoneAt(this.game.player.getPosition());
+                return zone ? zone.name : null;
+            }
+        } catch (error) {
+            console.debug('Could not determine current zone: ' + error.message);
+        }
+        return null;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,125 @@
+import { SAVE_MIGRATIONS } from './migrations/save-migrations.js';
+
+/**
+ * Upgrades save data written by older versions of the game
+ * Walks the ordered migration registry from the save's version to the target version
+ * and reports every transformation and dropped piece of data along the way
+ */
+export class SaveMigrator {
+    /**
+     * Create a new SaveMigrator
+     * @param {Array<Object>} migrations - Ordered migrations ({ from, to, description, migrate })
+     */
+    constructor(migrations = SAVE_MIGRATIONS) {
+        this.migrations = migrations;
+
+        // Saves without a version are read as the oldest format there is a migration for
+        this.baseVersion = migrations.length > 0 ? migrations[0].from : '1.1.0';
+    }
+
+    /**
+     * Compare two "major.minor.patch" version strings
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+        const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+        const length = Math.max(partsA.length, partsB.length);
+
+        for (let i = 0; i < length; i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Get the schema version of a save
+     * @param {Object} saveData - Save data
+     * @returns {string} The save's version
+     */
+    getVersion(saveData) {
+        return (saveData && saveData.version) || this.baseVersion;
+    }
+
+    /**
+     * Check if a save needs to be migrated
+     * @param {Object} saveData - Save data
+     * @param {string} targetVersion - Version the game expects
+     * @returns {boolean} Whether the save is older than the target version
+     */
+    needsMigration(saveData, targetVersion) {
+        return SaveMigrator.compareVersions(this.getVersion(saveData), targetVersion) < 0;
+    }
+
+    /**
+     * Migrate save data to the target version
+     * The input is never modified; migrations run on a deep copy
+     * @param {Object} saveData - Save data to upgrade
+     * @param {string} targetVersion - Version to upgrade to
+     * @returns {{data: Object, report: Object}} Upgraded data and a report of the changes
+     * @throws {Error} If the save is newer than the target or no migration path exists
+     */
+    migrate(saveData, targetVersion) {
+        const fromVersion = this.getVersion(saveData);
+        const report = {
+            fromVersion,
+            toVersion: targetVersion,
+            steps: []
+        };
+
+        if (SaveMigrator.compareVersions(fromVersion, targetVersion) > 0) {
+            throw new Error(`Save version ${fromVersion} is newer than supported version ${targetVersion}`);
+        }
+
+        let data = JSON.parse(JSON.stringify(saveData));
+        let version = fromVersion;
+
+        while (SaveMigrator.compareVersions(version, targetVersion) < 0) {
+            const migration = this.migrations.find(m => m.from === version);
+            if (!migration) {
+                throw new Error(`No save migration registered from version ${version}`);
+            }
+
+            const step = {
+                from: migration.from,
+                to: migration.to,
+                description: migration.description,
+                transformed: [],
+                dropped: []
+            };
+
+            data = migration.migrate(data, {
+                transformed: message => step.transformed.push(message),
+                dropped: message => step.dropped.push(message)
+            }) || data;
+            data.version = migration.to;
+            version = migration.to;
+
+            report.steps.push(step);
+        }
+
+        return { data, report };
+    }
+
+    /**
+     * Turn a migration report into readable lines
+     * @param {Object} report - Report returned by migrate()
+     * @returns {string[]} One line per step, transformation and dropped item
+     */
+    static formatReport(report) {
+        const lines = [`Save upgraded from v${report.fromVersion} to v${report.toVersion}`];
+
+        report.steps.forEach(step => {
+            lines.push(`v${step.from} → v${step.to}: ${step.description}`);
+            step.transformed.forEach(message => lines.push(`  transformed: ${message}`));
+            step.dropped.forEach(message => lines.push(`  dropped: ${message}`));
+        });
+
+        return lines;
+    }
+}
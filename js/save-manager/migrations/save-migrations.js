@@ -0,0 +1,126 @@
+/**
+ * Ordered registry of save data migrations
+ * Each entry upgrades a save from one schema version to the next. Migrations must be
+ * listed in order and chain without gaps, so any old save can be walked up to the
+ * current version one step at a time.
+ *
+ * A migration receives a deep copy of the save data and a report object. It returns
+ * the upgraded data and records what it changed with report.transformed(...) and what
+ * it discarded with report.dropped(...).
+ */
+import { SKILL_TREES } from '../../config/skill-tree.js';
+import { getSkillPointsForLevel, refundOverspentSkillPoints } from '../../utils/SkillTreeUtils.js';
+
+export const SAVE_MIGRATIONS = [
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'Add save slot metadata',
+        migrate(saveData, report) {
+            if (!saveData.meta) {
+                saveData.meta = { playTime: 0, zone: null };
+                report.transformed('Added save slot metadata (play time and zone start empty)');
+            }
+            return saveData;
+        }
+    },
+    {
+        from: '1.2.0',
+        to: '1.3.0',
+        description: 'Store full items, skill tree and world progress',
+        migrate(saveData, report) {
+            const inventory = saveData.inventory;
+            if (inventory) {
+                // Equipment slots now hold item data; name-only items are rebuilt from templates on load
+                if (inventory.equipment) {
+                    Object.entries(inventory.equipment).forEach(([slot, item]) => {
+                        if (typeof item === 'string') {
+                            inventory.equipment[slot] = { name: item, amount: 1 };
+                            report.transformed(`Converted equipped ${slot} to item data`);
+                        }
+                    });
+                }
+            }
+
+            if (!saveData.world) {
+                saveData.world = { discoveredZones: [], unlockedPortals: [] };
+                report.transformed('Added world progress (no zones discovered, no portals unlocked)');
+            }
+
+            // The skill tree lived only in this browser; it is kept and written into the next save
+            if (saveData.skillTree === undefined) {
+                saveData.skillTree = null;
+                report.transformed('Skill tree will be taken from this device on the next save');
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: '1.3.0',
+        to: '1.4.0',
+        description: 'Store quest progress per stage',
+        migrate(saveData, report) {
+            const quests = saveData.quests;
+            if (quests && Array.isArray(quests.activeQuests)) {
+                // Quests used to have a single objective; it is now the only objective of the first stage
+                quests.activeQuests = quests.activeQuests.map(quest => {
+                    if (!quest.objective || quest.stages) {
+                        return quest;
+                    }
+
+                    const { objective, ...rest } = quest;
+                    report.transformed(`Moved progress of quest ${quest.id} into its first stage`);
+                    return {
+                        ...rest,
+                        currentStage: 0,
+                        stages: [{
+                            objectives: [{
+                                progress: objective.progress || 0,
+                                discovered: objective.discovered || []
+                            }]
+                        }]
+                    };
+                });
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: '1.4.0',
+        to: '1.5.0',
+        description: 'Store quest history, story flags and faction reputation',
+        migrate(saveData, report) {
+            const quests = saveData.quests;
+            if (quests && !Array.isArray(quests.history)) {
+                // Earlier quests had no branches, so every completed quest simply ended as completed
+                const completedIds = Array.isArray(quests.completedQuestIds) ? quests.completedQuestIds : [];
+                quests.history = completedIds.map(questId => ({ questId, outcome: 'completed', choice: null, time: null }));
+                quests.flags = [];
+                quests.factions = {};
+                report.transformed(`Recorded ${completedIds.length} completed quests in the quest history`);
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: '1.5.0',
+        to: '1.6.0',
+        description: 'Refund skill points spent beyond the level-based skill point budget',
+        migrate(saveData, report) {
+            // Skill points used to be a fixed amount; they now grow with the hero's level
+            const skillTree = saveData.skillTree;
+            if (skillTree && skillTree.skills) {
+                const level = (saveData.player && saveData.player.level) || 1;
+                const refundedPoints = refundOverspentSkillPoints(skillTree.skills, SKILL_TREES, getSkillPointsForLevel(level));
+                if (refundedPoints > 0) {
+                    report.transformed(`Refunded ${refundedPoints} skill points spent beyond the ${getSkillPointsForLevel(level)} a level ${level} hero has`);
+                }
+            }
+
+            return saveData;
+        }
+    }
+];
@@ -0,0 +1,39 @@
+/**
+ * Handles serialization and deserialization of the hero's legendary codex
+ * Only the ids of the discovered legendaries are stored
+ */
+export class CodexSerializer {
+    /**
+     * Serialize the discovered legendaries for saving
+     * @param {Object} codex - The legendary codex
+     * @returns {Object} Serialized codex
+     */
+    static serialize(codex) {
+        if (!codex) {
+            console.warn('Legendary codex is null or undefined');
+            return { discovered: [] };
+        }
+
+        return {
+            discovered: codex.getDiscovered()
+        };
+    }
+
+    /**
+     * Deserialize the discovered legendaries from save
+     * @param {Object} codex - The legendary codex to update
+     * @param {Object} codexData - The saved codex
+     */
+    static deserialize(codex, codexData) {
+        if (!codex || !codexData) {
+            console.error('Legendary codex or codex data is null or undefined');
+            return;
+        }
+
+        console.debug('Loading legendary codex:', codexData.discovered);
+
+        codex.setDiscovered(Array.isArray(codexData.discovered) ? codexData.discovered : []);
+
+        console.debug('Legendary codex loaded successfully');
+    }
+}
@@ -2,6 +2,7 @@
  * Handles serialization and deserialization of player inventory and equipment
  */
 import { ITEM_TEMPLATES } from '../../config/item-templates.js';
+import { Item } from '../../entities/items/Item.js';
 
 export class InventorySerializer {
     /**
@@ -21,22 +22,19 @@ export class InventorySerializer {
         // Get equipment items
         const equipment = player.getEquipment() || {};
         
-        // Optimize inventory storage - only store name and amount
-        const optimizedInventory = inventoryItems.map(item => ({
-            name: item.name,
-            amount: item.amount
-        }));
+        // Store full item data so rolled stats and item ids survive a reload
+        const serializedInventory = inventoryItems.map(item => InventorySerializer.serializeItem(item));
         
-        // Optimize equipment storage - only store item name
-        const optimizedEquipment = {};
+        const serializedEquipment = {};
         Object.entries(equipment).forEach(([slot, item]) => {
-            optimizedEquipment[slot] = item ? item.name : null;
+            serializedEquipment[slot] = item ? InventorySerializer.serializeItem(item) : null;
         });
         
         return {
-            inventory: optimizedInventory,
-            equipment: optimizedEquipment,
-            gold: player.getGold() || 0
+            inventory: serializedInventory,
+            equipment: serializedEquipment,
+            gold: player.getGold() || 0,
+            quickSlots: player.consumables ? player.consumables.getQuickSlots() : []
         };
     }
     
@@ -63,17 +61,10 @@ export class InventorySerializer {
             console.debug(`Loading ${inventoryData.inventory.length} inventory items`);
             
             inventoryData.inventory.forEach(itemData => {
-                // Find the item template by name
-                const itemTemplate = ITEM_TEMPLATES.find(template => template.name === itemData.name);
-                
-                if (itemTemplate) {
-                    // Create a new item from the template
-                    const item = { ...itemTemplate, amount: itemData.amount };
-                    player.addToInventory(item);
-                } else {
-                    console.warn(`Item template not found for: ${itemData.name}`);
-                    // Fallback to just adding the basic item data we have
-                    player.addToInventory(itemData);
+                const item = InventorySerializer.deserializeItem(itemData);
+                if (item) {
+                    // Older saves could hold more than the bag does now; keep every item
+                    player.inventory.addToInventory(item, true);
                 }
             });
         }
@@ -89,19 +80,9 @@ export class InventorySerializer {
         if (inventoryData.equipment) {
             console.debug('Loading player equipment');
             
-            Object.entries(inventoryData.equipment).forEach(([slot, itemName]) => {
-                if (itemName && player.inventory.equipment.hasOwnProperty(slot)) {
-                    // Find the item template by name
-                    const itemTemplate = ITEM_TEMPLATES.find(template => template.name === itemName);
-                    
-                    if (itemTemplate) {
-                        // Set the equipment slot with the full item data
-                        player.inventory.equipment[slot] = { ...itemTemplate };
-                    } else {
-                        console.warn(`Equipment template not found for: ${itemName}`);
-                        // Fallback to just setting the name
-                        player.inventory.equipment[slot] = { name: itemName };
-                    }
+            Object.entries(inventoryData.equipment).forEach(([slot, itemData]) => {
+                if (itemData && player.inventory.equipment.hasOwnProperty(slot)) {
+                    player.inventory.equipment[slot] = InventorySerializer.deserializeItem(itemData);
                 }
             });
         }
@@ -111,9 +92,74 @@ export class InventorySerializer {
             player.inventory.gold = inventoryData.gold;
         }
         
+        // Load consumable quick slots
+        if (player.consumables && Array.isArray(inventoryData.quickSlots)) {
+            player.consumables.setQuickSlots(inventoryData.quickSlots);
+        }
+        
         // Recalculate equipment bonuses
         player.inventory.calculateEquipmentBonuses();
         
         console.debug('Inventory data loaded successfully');
     }
-}
\ No newline at end of file
+    
+    /**
+     * Serialize a single item
+     * Generated items keep every rolled value; plain items (e.g. quest rewards) are copied as-is
+     * @param {Object} item - Item instance or plain item object
+     * @returns {Object} Serialized item
+     */
+    static serializeItem(item) {
+        if (item instanceof Item || item.baseStats) {
+            return {
+                id: item.id,
+                name: item.name,
+                description: item.description,
+                type: item.type,
+                subType: item.subType,
+                icon: item.icon,
+                level: item.level,
+                rarity: item.rarity,
+                amount: item.amount,
+                baseStats: item.baseStats,
+                secondaryStats: item.secondaryStats,
+                specialEffects: item.specialEffects,
+                setId: item.setId,
+                legendaryId: item.legendaryId,
+                visual: item.visual
+            };
+        }
+        
+        return JSON.parse(JSON.stringify(item));
+    }
+    
+    /**
+     * Deserialize a single item
+     * Accepts full item data as well as the older name-only formats
+     * @param {Object|string} itemData - Saved item data, or an item name
+     * @returns {Object|null} The restored item
+     */
+    static deserializeItem(itemData) {
+        if (!itemData) {
+            return null;
+        }
+        
+        // Older saves stored equipment as a name only
+        if (typeof itemData === 'string') {
+            itemData = { name: itemData };
+        }
+        
+        if (itemData.baseStats) {
+            return new Item(itemData);
+        }
+        
+        // Name-only entries are rebuilt from their template
+        const itemTemplate = ITEM_TEMPLATES.find(template => template.name === itemData.name);
+        if (itemTemplate) {
+            return new Item({ ...itemTemplate, amount: itemData.amount });
+        }
+        
+        // Plain items without a template keep the data we have
+        return { ...itemData };
+    }
+}
@@ -13,8 +13,10 @@ export class PlayerSerializer {
             return {};
         }
         const { x, y, z } = player.getPosition()
+        // The stats keep a reference back to the player, which must not be saved
+        const { _player, ...stats } = player.stats;
         return {
-            stats: { ...player.stats },
+            stats,
             position: { x, y, z },
             level: player.stats.level,
             experience: player.stats.experience,
@@ -13,13 +13,20 @@ export class QuestSerializer {
             return {};
         }
         
-        // For active quests, we need to save progress information
+        // For active quests, we need to save the current stage and each stage's objective progress
         const activeQuestsData = questManager.activeQuests.map(quest => ({
             id: quest.id,
-            objective: {
-                progress: quest.objective.progress,
-                discovered: quest.objective.discovered || []
-            }
+            currentStage: quest.currentStage || 0,
+            ...(typeof quest.timeRemaining === 'number' ? { timeRemaining: quest.timeRemaining } : {}),
+            stages: (quest.stages || []).map(stage => ({
+                objectives: stage.objectives.map(objective => ({
+                    progress: objective.progress,
+                    discovered: objective.discovered || [],
+                    ...(objective.type === 'escort' ? { waypoint: objective.waypoint } : {})
+                }))
+            })),
+            // Bounties are generated, so their definition is saved with them
+            ...(quest.isBounty ? { definition: quest.definition } : {})
         }));
         
         // For completed quests, only save the IDs
@@ -27,7 +34,20 @@ export class QuestSerializer {
         
         return {
             activeQuests: activeQuestsData,
-            completedQuestIds: completedQuestIds
+            completedQuestIds: completedQuestIds,
+            // How each quest ended and which branches were taken
+            history: (questManager.history || []).map(entry => ({ ...entry })),
+            flags: questManager.flags ? [...questManager.flags] : [],
+            factions: { ...(questManager.factions || {}) },
+            // Completed quests whose choice hasn't been made yet
+            pendingChoices: [...(questManager.pendingChoices || [])],
+            // Quest the minimap and beacon point to, if the player chose one
+            pinnedQuestId: questManager.pinnedQuestId || null,
+            // Bounties posted on the bounty board
+            bountyBoard: questManager.bountyManager ? {
+                bounties: questManager.bountyManager.bounties,
+                timeUntilRefresh: questManager.bountyManager.timeUntilRefresh
+            } : null
         };
     }
     
@@ -44,9 +64,18 @@ export class QuestSerializer {
         
         console.debug('Loading quest data:', Object.keys(questData));
         
-        // Reset quest state
+        // Reset quest state from fresh definitions - quests started this session
+        // are no longer in the available list and their objectives hold live progress
         questManager.activeQuests = [];
         questManager.completedQuests = [];
+        questManager.history = Array.isArray(questData.history) ? questData.history.map(entry => ({ ...entry })) : [];
+        questManager.flags = new Set(Array.isArray(questData.flags) ? questData.flags : []);
+        questManager.factions = { ...(questData.factions || {}) };
+        questManager.pendingChoices = Array.isArray(questData.pendingChoices) ? [...questData.pendingChoices] : [];
+        questManager.pinnedQuestId = questData.pinnedQuestId || null;
+        if (typeof questManager.initializeQuests === 'function') {
+            questManager.initializeQuests();
+        }
         
         // Load active quests with their progress
         if (questData.activeQuests && Array.isArray(questData.activeQuests)) {
@@ -54,21 +83,14 @@ export class QuestSerializer {
             
             questData.activeQuests.forEach(savedQuest => {
                 try {
-                    // Find the original quest template
-                    const originalQuest = questManager.quests.find(q => q.id === savedQuest.id);
+                    // Find the original quest template; bounties are rebuilt from their saved definition
+                    const originalQuest = savedQuest.definition ?
+                        QuestSerializer.createBounty(questManager, savedQuest.definition) :
+                        questManager.quests.find(q => q.id === savedQuest.id);
                     
                     if (originalQuest) {
                         // Create a new quest object with progress from saved data
-                        const questWithProgress = {
-                            ...originalQuest,
-                            objective: {
-                                ...originalQuest.objective,
-                                progress: savedQuest.objective && savedQuest.objective.progress ? 
-                                    savedQuest.objective.progress : 0,
-                                discovered: savedQuest.objective && savedQuest.objective.discovered ? 
-                                    savedQuest.objective.discovered : []
-                            }
-                        };
+                        const questWithProgress = QuestSerializer.applyProgress(originalQuest, savedQuest);
                         
                         questManager.activeQuests.push(questWithProgress);
                         
@@ -120,16 +142,81 @@ export class QuestSerializer {
             });
         }
         
-        // Filter available quests to remove active and completed ones
+        // Filter available quests to remove active, completed and otherwise ended ones
         if (questManager.quests && Array.isArray(questManager.quests)) {
             console.debug('Filtering available quests');
             questManager.quests = questManager.quests.filter(quest => {
                 const isActive = questManager.activeQuests.some(q => q.id === quest.id);
                 const isCompleted = questManager.completedQuests.some(q => q.id === quest.id);
-                return !isActive && !isCompleted;
+                const hasEnded = questManager.history.some(entry => entry.questId === quest.id);
+                return !isActive && !isCompleted && !hasEnded;
             });
         }
         
+        // Restore the bounty board; without one it is stocked on the next visit
+        if (questManager.bountyManager) {
+            const bountyBoard = questData.bountyBoard || {};
+            questManager.bountyManager.bounties = Array.isArray(bountyBoard.bounties) ? bountyBoard.bounties : [];
+            questManager.bountyManager.timeUntilRefresh = bountyBoard.timeUntilRefresh || 0;
+        }
+        
+        // Choices left unmade when the game was saved are offered again
+        if (typeof questManager.offerPendingChoices === 'function') {
+            questManager.offerPendingChoices();
+        }
+        
         console.debug('Quest data loaded successfully');
     }
+    
+    /**
+     * Recreate an accepted bounty from its saved definition
+     * @param {Object} questManager - The quest manager
+     * @param {Object} definition - The bounty's quest definition
+     * @returns {Object} A fresh bounty quest, ready for its saved progress
+     * @private
+     */
+    static createBounty(questManager, definition) {
+        const bounty = questManager.createQuest(definition);
+        bounty.definition = definition;
+        return bounty;
+    }
+    
+    /**
+     * Copy saved stage progress onto a fresh quest
+     * Progress for stages or objectives the quest no longer has is ignored
+     * @param {Object} quest - Quest created from its definition
+     * @param {Object} savedQuest - The saved active quest
+     * @returns {Object} The quest with the saved progress
+     * @private
+     */
+    static applyProgress(quest, savedQuest) {
+        const savedStages = Array.isArray(savedQuest.stages) ? savedQuest.stages : [];
+        
+        quest.stages.forEach((stage, stageIndex) => {
+            const savedObjectives = (savedStages[stageIndex] && savedStages[stageIndex].objectives) || [];
+            
+            stage.objectives.forEach((objective, objectiveIndex) => {
+                const saved = savedObjectives[objectiveIndex];
+                if (!saved) return;
+                
+                objective.progress = Math.min(saved.progress || 0, objective.count);
+                if (Array.isArray(objective.discovered) && Array.isArray(saved.discovered)) {
+                    objective.discovered = [...saved.discovered];
+                }
+                if (objective.type === 'escort' && Number.isInteger(saved.waypoint)) {
+                    // The escorted NPC picks up from the last waypoint it reached
+                    objective.waypoint = Math.min(Math.max(saved.waypoint, 0), objective.path.length - 1);
+                }
+            });
+        });
+        
+        quest.currentStage = Math.min(Math.max(savedQuest.currentStage || 0, 0), quest.stages.length - 1);
+        
+        // Timed quests keep the time they had left
+        if (typeof quest.timeRemaining === 'number' && typeof savedQuest.timeRemaining === 'number') {
+            quest.timeRemaining = Math.min(Math.max(savedQuest.timeRemaining, 0), quest.timeLimit);
+        }
+        
+        return quest;
+    }
 }
\ No newline at end of file
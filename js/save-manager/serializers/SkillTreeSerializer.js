@@ -0,0 +1,127 @@
+/**
+ * Handles serialization and deserialization of the skill tree and skill selection
+ * SkillTreeUI and SkillSelectionUI keep the active hero's copy in localStorage;
+ * the save holds the hero's own copy so it travels with the slot
+ */
+import { STORAGE_KEYS } from '../../config/storage-keys.js';
+
+export class SkillTreeSerializer {
+    /**
+     * Serialize the skill tree allocations and selected skills for saving
+     * @returns {Object} Serialized skill data
+     */
+    static serialize() {
+        return {
+            skills: SkillTreeSerializer.readJson(STORAGE_KEYS.SKILL_TREE_DATA),
+            selectedSkills: SkillTreeSerializer.readJson(STORAGE_KEYS.SELECTED_SKILLS)
+        };
+    }
+
+    /**
+     * Deserialize skill data from save and rebuild the player's skills
+     * @param {Object} game - The game object
+     * @param {Object} skillTreeData - The saved skill data
+     */
+    static deserialize(game, skillTreeData) {
+        if (!game || !skillTreeData) {
+            console.error('Game or skill tree data is null or undefined');
+            return;
+        }
+
+        console.debug('Loading skill tree data:', Object.keys(skillTreeData));
+
+        SkillTreeSerializer.writeJson(STORAGE_KEYS.SKILL_TREE_DATA, skillTreeData.skills);
+        SkillTreeSerializer.writeJson(STORAGE_KEYS.SELECTED_SKILLS, skillTreeData.selectedSkills);
+
+        SkillTreeSerializer.applyToGame(game);
+
+        console.debug('Skill tree data loaded successfully');
+    }
+
+    /**
+     * Clear the skill tree and selection so a new hero starts with the default skills
+     * @param {Object} game - The game object
+     */
+    static reset(game) {
+        localStorage.removeItem(STORAGE_KEYS.SKILL_TREE_DATA);
+        localStorage.removeItem(STORAGE_KEYS.SELECTED_SKILLS);
+
+        SkillTreeSerializer.applyToGame(game);
+    }
+
+    /**
+     * Apply the stored skill tree again without rebuilding the player's skills, so their cooldowns are kept
+     * Used when legendaries discovered after the skill tree was loaded unlock more of its variants
+     * @param {Object} game - The game object
+     */
+    static refresh(game) {
+        if (game && game.player && game.player.skills) {
+            game.player.skills.loadSkillTreeData();
+        }
+
+        const skillTreeUI = game && game.hudManager && game.hudManager.components && game.hudManager.components.skillTreeUI;
+        if (skillTreeUI) {
+            skillTreeUI.initPlayerSkills();
+            skillTreeUI.renderSkillTree();
+            skillTreeUI.updateAvailablePoints();
+        }
+    }
+
+    /**
+     * Rebuild player skills and refresh the skill UIs from the stored skill data
+     * @param {Object} game - The game object
+     * @private
+     */
+    static applyToGame(game) {
+        if (game && game.player && game.player.skills) {
+            const playerSkills = game.player.skills;
+
+            // Drop the cached tree so the skills are rebuilt from the restored one
+            playerSkills.skillTreeData = null;
+            playerSkills.initializeSkills();
+            playerSkills.loadSkillTreeData();
+        }
+
+        const components = game && game.hudManager && game.hudManager.components;
+        if (components) {
+            if (components.skillTreeUI) {
+                components.skillTreeUI.initPlayerSkills();
+                components.skillTreeUI.renderSkillTree();
+                components.skillTreeUI.updateAvailablePoints();
+            }
+            if (components.skillsUI) {
+                components.skillsUI.init();
+            }
+        }
+    }
+
+    /**
+     * Read a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value or null
+     * @private
+     */
+    static readJson(key) {
+        try {
+            const json = localStorage.getItem(key);
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            console.warn(`Could not read ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Write a JSON value to localStorage, removing the key for empty values
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @private
+     */
+    static writeJson(key, value) {
+        if (value === null || value === undefined) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(value));
+        }
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Handles serialization and deserialization of the shared stash
+ */
+import { InventorySerializer } from './InventorySerializer.js';
+
+export class StashSerializer {
+    /**
+     * Serialize the stash for saving
+     * @param {Object} stash - The shared stash
+     * @returns {Object} Serialized stash data
+     */
+    static serialize(stash) {
+        if (!stash) {
+            console.warn('Stash object is null or undefined');
+            return { tabs: [] };
+        }
+        
+        return {
+            tabs: stash.tabs.map(tab => tab.map(item => item ? InventorySerializer.serializeItem(item) : null)),
+            timestamp: Date.now()
+        };
+    }
+    
+    /**
+     * Deserialize stash data from storage
+     * Items whose slot no longer exists (e.g. fewer tabs are configured) move to the first free slot
+     * @param {Object} stash - The shared stash to update
+     * @param {Object} stashData - The saved stash data
+     */
+    static deserialize(stash, stashData) {
+        if (!stash || !stashData || !Array.isArray(stashData.tabs)) {
+            console.error('Stash or stash data is null or undefined');
+            return;
+        }
+        
+        stash.clear();
+        
+        const displaced = [];
+        stashData.tabs.forEach((tab, tabIndex) => {
+            (tab || []).forEach((itemData, slotIndex) => {
+                const item = InventorySerializer.deserializeItem(itemData);
+                if (item && !stash.deposit(item, tabIndex, slotIndex)) {
+                    displaced.push(item);
+                }
+            });
+        });
+        
+        displaced.forEach(item => {
+            const tabIndex = stash.tabs.findIndex((tab, index) => stash.findFreeSlot(index) >= 0);
+            if (tabIndex < 0 || !stash.deposit(item, tabIndex)) {
+                console.warn(`No room in the stash for ${item.name}, item was not loaded`);
+            }
+        });
+        
+        console.debug('Stash data loaded successfully');
+    }
+}
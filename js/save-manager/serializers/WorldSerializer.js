@@ -0,0 +1,46 @@
+/**
+ * Handles serialization and deserialization of the hero's world progress
+ * Only stores what the hero has found; the world itself is regenerated on load
+ */
+export class WorldSerializer {
+    /**
+     * Serialize discovered zones and unlocked portals for saving
+     * @param {Object} world - The world manager
+     * @returns {Object} Serialized world progress
+     */
+    static serialize(world) {
+        if (!world) {
+            console.warn('World manager is null or undefined');
+            return { discoveredZones: [], unlockedPortals: [] };
+        }
+
+        return {
+            discoveredZones: world.zoneManager ? world.zoneManager.getDiscoveredZones() : [],
+            unlockedPortals: world.teleportManager ? world.teleportManager.getUnlockedPortals() : []
+        };
+    }
+
+    /**
+     * Deserialize world progress from save
+     * @param {Object} world - The world manager to update
+     * @param {Object} worldData - The saved world progress
+     */
+    static deserialize(world, worldData) {
+        if (!world || !worldData) {
+            console.error('World manager or world data is null or undefined');
+            return;
+        }
+
+        console.debug('Loading world progress:', Object.keys(worldData));
+
+        if (world.zoneManager && Array.isArray(worldData.discoveredZones)) {
+            world.zoneManager.setDiscoveredZones(worldData.discoveredZones);
+        }
+
+        if (world.teleportManager && Array.isArray(worldData.unlockedPortals)) {
+            world.teleportManager.setUnlockedPortals(worldData.unlockedPortals);
+        }
+
+        console.debug('World progress loaded successfully');
+    }
+}
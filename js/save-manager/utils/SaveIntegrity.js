@@ -0,0 +1,51 @@
+/**
+ * Checksums for save data
+ * Detects saves that were cut off mid-write or edited by hand
+ */
+export class SaveIntegrity {
+    /**
+     * Compute a checksum for save data (FNV-1a over its JSON, ignoring any stored checksum)
+     * @param {Object} saveData - Save data
+     * @returns {string} Hex checksum
+     */
+    static computeChecksum(saveData) {
+        const { checksum, ...data } = saveData;
+        const json = JSON.stringify(data);
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < json.length; i++) {
+            hash ^= json.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Return a copy of the save data with its checksum attached
+     * @param {Object} saveData - Save data
+     * @returns {Object} Signed save data
+     */
+    static sign(saveData) {
+        const { checksum, ...data } = saveData;
+        return { ...data, checksum: SaveIntegrity.computeChecksum(data) };
+    }
+
+    /**
+     * Check that save data is intact
+     * Saves written before checksums were introduced are accepted if they look like a save
+     * @param {*} saveData - Data loaded from storage
+     * @returns {boolean} Whether the save can be trusted
+     */
+    static verify(saveData) {
+        if (!saveData || typeof saveData !== 'object' || !saveData.player || typeof saveData.player !== 'object') {
+            return false;
+        }
+
+        if (saveData.checksum === undefined) {
+            return true;
+        }
+
+        return saveData.checksum === SaveIntegrity.computeChecksum(saveData);
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * ItemComparisonUtils.js
+ * Utility functions for showing how an item compares with the equipped gear
+ */
+
+/**
+ * Turn a stat or slot name into words, e.g. "critChance" into "crit chance"
+ * @param {string} name - Stat or slot name
+ * @returns {string} The name in lower case words
+ */
+function formatName(name) {
+    return name.replace(/([A-Z]|\d+)/g, ' $1').toLowerCase();
+}
+
+/**
+ * Format a difference with its sign, green for a gain and red for a loss
+ * @param {number} difference - The difference
+ * @param {string} label - What changes, e.g. "damage"
+ * @returns {string} HTML for the difference
+ */
+export function formatDifference(difference, label) {
+    const sign = difference > 0 ? '+' : '';
+    return `<span class="${difference > 0 ? 'stat-up' : 'stat-down'}">${sign}${Math.round(difference * 100) / 100} ${label}</span>`;
+}
+
+/**
+ * Describe how an item compares with the gear in each slot it can go to
+ * @param {Object[]} comparisons - Results of ItemComparison.compare
+ * @param {Function} [describeEquipped] - Returns extra text about an equipped item, e.g. its price
+ * @returns {string} HTML for the comparison, empty if there is nothing to compare
+ */
+export function formatItemComparison(comparisons, describeEquipped = null) {
+    return comparisons.map(comparison => {
+        const equipped = comparison.equipped;
+        const extra = equipped && describeEquipped ? ` (${describeEquipped(equipped)})` : '';
+        const header = equipped
+            ? `vs ${equipped.name}${extra} in ${formatName(comparison.slot)}:`
+            : `Nothing equipped in ${formatName(comparison.slot)}:`;
+        
+        const stats = comparison.statChanges.map(({ stat, difference }) => formatDifference(difference, formatName(stat)));
+        
+        // Effective damage and toughness are rounded so tiny changes don't show as a gain or loss
+        const totals = [
+            ['damageChange', 'effective damage'],
+            ['toughnessChange', 'toughness']
+        ]
+            .filter(([key]) => Math.round(comparison[key]) !== 0)
+            .map(([key, label]) => formatDifference(Math.round(comparison[key]), label));
+        
+        return `
+            <div class="item-compare">
+                <div class="item-compare-header">${header}</div>
+                <div class="item-compare-stats">${stats.length > 0 ? stats.join(', ') : 'same stats'}</div>
+                <div class="item-compare-totals">${totals.length > 0 ? totals.join(', ') : 'no change in damage or toughness'}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Summarize a comparison in a few words, e.g. for a notification
+ * @param {Object[]} comparisons - Results of ItemComparison.compare
+ * @returns {string} E.g. "upgrade: +12 damage, +30 toughness", empty if there is nothing to compare
+ */
+export function summarizeItemComparison(comparisons) {
+    if (comparisons.length === 0) {
+        return '';
+    }
+    
+    // Accessories are summed up against the slot they'd do best in
+    const best = comparisons.reduce((bestComparison, comparison) =>
+        comparison.damageChange + comparison.toughnessChange > bestComparison.damageChange + bestComparison.toughnessChange
+            ? comparison
+            : bestComparison);
+    
+    const damageChange = Math.round(best.damageChange);
+    const toughnessChange = Math.round(best.toughnessChange);
+    if (damageChange === 0 && toughnessChange === 0) {
+        return 'no change';
+    }
+    
+    const verdict = damageChange >= 0 && toughnessChange >= 0 ? 'upgrade'
+        : damageChange <= 0 && toughnessChange <= 0 ? 'downgrade'
+            : 'trade-off';
+    const changes = [];
+    if (damageChange !== 0) {
+        changes.push(`${damageChange > 0 ? '+' : ''}${damageChange} damage`);
+    }
+    if (toughnessChange !== 0) {
+        changes.push(`${toughnessChange > 0 ? '+' : ''}${toughnessChange} toughness`);
+    }
+    return `${verdict}: ${changes.join(', ')}`;
+}
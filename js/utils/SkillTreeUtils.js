@@ -1,6 +1,7 @@
 /**
  * Utility functions for skill tree management
  */
+import { PLAYER_PROGRESSION } from '../config/game-balance.js';
 
 /**
  * Clone buffs into each variant by reference
@@ -82,4 +83,99 @@ export function applyBuffsToVariants(skillTrees) {
             });
         });
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Clear the variants the hero hasn't unlocked from skill tree data
+ * A variant unlocked by a legendary stays locked until the legendary is discovered (see LegendaryCodex);
+ * the variant's buffs are cleared with it, as switching variants does
+ * @param {Object} skillTreeData - Skill tree data keyed by skill name, modified in place
+ * @param {Object} codex - The legendary codex
+ * @returns {string[]} - Names of the skills whose variant was cleared
+ */
+export function clearLockedVariants(skillTreeData, codex) {
+    const clearedSkills = [];
+    if (!skillTreeData || !codex) return clearedSkills;
+    
+    Object.keys(skillTreeData).forEach(skillName => {
+        const skillData = skillTreeData[skillName];
+        
+        if (skillData && skillData.activeVariant && !codex.isVariantUnlocked(skillName, skillData.activeVariant)) {
+            console.debug(`Variant ${skillData.activeVariant} of ${skillName} is locked, clearing it`);
+            skillData.activeVariant = null;
+            skillData.buffs = {};
+            clearedSkills.push(skillName);
+        }
+    });
+    
+    return clearedSkills;
+}
+
+/**
+ * Get the skill points a hero of a level has to spend
+ * @param {number} level - The hero's level
+ * @returns {number} - Total skill points
+ */
+export function getSkillPointsForLevel(level) {
+    const { base, perLevel } = PLAYER_PROGRESSION.SKILL_POINTS;
+    return base + (Math.max(level || 1, 1) - 1) * perLevel;
+}
+
+/**
+ * Refund the most recently listed variants and buffs until skill tree data fits a skill point budget
+ * A skill's buffs are refunded before its variant
+ * @param {Object} skillTreeData - Skill tree data keyed by skill name, modified in place
+ * @param {Object} skillTrees - The skill trees, for variant and buff costs
+ * @param {number} availablePoints - Skill points the hero has
+ * @returns {number} - Skill points refunded
+ */
+export function refundOverspentSkillPoints(skillTreeData, skillTrees, availablePoints) {
+    if (!skillTreeData) return 0;
+    
+    const getVariantCost = skillName => {
+        const variant = skillTrees[skillName] && skillTrees[skillName].variants && skillTrees[skillName].variants[skillTreeData[skillName].activeVariant];
+        return (variant && variant.cost) || 5; // Default cost is 5
+    };
+    const getBuffCost = (skillName, buffName) => {
+        const buff = skillTrees[skillName] && skillTrees[skillName].buffs && skillTrees[skillName].buffs[buffName];
+        return (buff && buff.cost) || 3; // Default cost is 3
+    };
+    const getActiveBuffs = skillName => Object.keys(skillTreeData[skillName].buffs || {})
+        .filter(buffName => skillTreeData[skillName].buffs[buffName]);
+    
+    // Count points spent on variants and their buffs
+    let spentPoints = 0;
+    Object.keys(skillTreeData).forEach(skillName => {
+        if (skillTreeData[skillName] && skillTreeData[skillName].activeVariant) {
+            spentPoints += getVariantCost(skillName);
+            getActiveBuffs(skillName).forEach(buffName => {
+                spentPoints += getBuffCost(skillName, buffName);
+            });
+        }
+    });
+    
+    let refundedPoints = 0;
+    const skillNames = Object.keys(skillTreeData).reverse();
+    for (const skillName of skillNames) {
+        const skillData = skillTreeData[skillName];
+        if (spentPoints - refundedPoints <= availablePoints) break;
+        if (!skillData || !skillData.activeVariant) continue;
+        
+        const buffNames = getActiveBuffs(skillName).reverse();
+        for (const buffName of buffNames) {
+            if (spentPoints - refundedPoints <= availablePoints) break;
+            console.debug(`Refunding buff ${buffName} of ${skillName}`);
+            refundedPoints += getBuffCost(skillName, buffName);
+            delete skillData.buffs[buffName];
+        }
+        
+        if (spentPoints - refundedPoints > availablePoints) {
+            console.debug(`Refunding variant ${skillData.activeVariant} of ${skillName}`);
+            refundedPoints += getVariantCost(skillName);
+            skillData.activeVariant = null;
+            skillData.buffs = {};
+        }
+    }
+    
+    return refundedPoints;
+}
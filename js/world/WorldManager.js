@@ -185,6 +185,11 @@ export class WorldManager {
             }
         }
         
+        // Track zones the player has entered
+        if (this.zoneManager) {
+            this.zoneManager.updateDiscovery(playerPosition);
+        }
+        
         // Update teleport portals
         if (this.teleportManager) {
             // Get delta time from game if available
@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+
+/**
+ * Represents a bounty board interactive object
+ * A wooden notice board where generated bounties are posted
+ */
+export class BountyBoard {
+    /**
+     * Create the bounty board mesh
+     * @returns {THREE.Group} - The bounty board group
+     */
+    createMesh() {
+        const boardGroup = new THREE.Group();
+
+        const woodMaterial = new THREE.MeshStandardMaterial({
+            color: 0x6b4423,
+            roughness: 0.9,
+            metalness: 0.0
+        });
+
+        // Create posts
+        const postGeometry = new THREE.BoxGeometry(0.2, 2.6, 0.2);
+        [-1.1, 1.1].forEach(x => {
+            const post = new THREE.Mesh(postGeometry, woodMaterial);
+            post.position.set(x, 1.3, 0);
+            post.castShadow = true;
+            boardGroup.add(post);
+        });
+
+        // Create board
+        const boardGeometry = new THREE.BoxGeometry(2.4, 1.4, 0.1);
+        const board = new THREE.Mesh(boardGeometry, woodMaterial);
+        board.position.set(0, 1.8, 0);
+        board.castShadow = true;
+        board.receiveShadow = true;
+        boardGroup.add(board);
+
+        // Create roof
+        const roofGeometry = new THREE.BoxGeometry(2.8, 0.12, 0.6);
+        const roof = new THREE.Mesh(roofGeometry, woodMaterial);
+        roof.position.set(0, 2.65, 0);
+        roof.castShadow = true;
+        boardGroup.add(roof);
+
+        // Pin notices to the board
+        const noticeMaterial = new THREE.MeshStandardMaterial({
+            color: 0xf2e6c9,
+            roughness: 1.0,
+            emissive: 0x332200,
+            emissiveIntensity: 0.2
+        });
+        const noticeGeometry = new THREE.PlaneGeometry(0.5, 0.6);
+        [[-0.7, 1.85], [0, 1.75], [0.7, 1.9]].forEach(([x, y]) => {
+            const notice = new THREE.Mesh(noticeGeometry, noticeMaterial);
+            notice.position.set(x, y, 0.06);
+            notice.rotation.z = (Math.random() - 0.5) * 0.2;
+            boardGroup.add(notice);
+        });
+
+        return boardGroup;
+    }
+}
@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+
+/**
+ * Represents a crafting bench interactive object
+ * A workbench with an anvil on top and a glowing crystal for enchanting
+ */
+export class CraftingBench {
+    /**
+     * Create the crafting bench mesh
+     * @returns {THREE.Group} - The crafting bench group
+     */
+    createMesh() {
+        const benchGroup = new THREE.Group();
+        
+        const woodMaterial = new THREE.MeshStandardMaterial({
+            color: 0x6b4226,
+            roughness: 0.9,
+            metalness: 0.1
+        });
+        const ironMaterial = new THREE.MeshStandardMaterial({
+            color: 0x555555,
+            roughness: 0.5,
+            metalness: 0.8
+        });
+        
+        // Create bench top
+        const topGeometry = new THREE.BoxGeometry(2, 0.2, 1);
+        const top = new THREE.Mesh(topGeometry, woodMaterial);
+        top.position.y = 0.9;
+        top.castShadow = true;
+        top.receiveShadow = true;
+        benchGroup.add(top);
+        
+        // Create legs
+        const legGeometry = new THREE.BoxGeometry(0.15, 0.8, 0.15);
+        [[-0.85, -0.4], [0.85, -0.4], [-0.85, 0.4], [0.85, 0.4]].forEach(([x, z]) => {
+            const leg = new THREE.Mesh(legGeometry, woodMaterial);
+            leg.position.set(x, 0.4, z);
+            leg.castShadow = true;
+            benchGroup.add(leg);
+        });
+        
+        // Create anvil on the bench
+        const anvilBaseGeometry = new THREE.BoxGeometry(0.3, 0.2, 0.3);
+        const anvilBase = new THREE.Mesh(anvilBaseGeometry, ironMaterial);
+        anvilBase.position.set(-0.4, 1.1, 0);
+        anvilBase.castShadow = true;
+        benchGroup.add(anvilBase);
+        
+        const anvilTopGeometry = new THREE.BoxGeometry(0.6, 0.15, 0.3);
+        const anvilTop = new THREE.Mesh(anvilTopGeometry, ironMaterial);
+        anvilTop.position.set(-0.4, 1.27, 0);
+        anvilTop.castShadow = true;
+        benchGroup.add(anvilTop);
+        
+        // Add a glowing crystal so the bench stands out in the village
+        const crystalMaterial = new THREE.MeshStandardMaterial({
+            color: 0x66ccff,
+            roughness: 0.2,
+            metalness: 0.3,
+            emissive: 0x3388ff,
+            emissiveIntensity: 0.6
+        });
+        const crystalGeometry = new THREE.OctahedronGeometry(0.2);
+        const crystal = new THREE.Mesh(crystalGeometry, crystalMaterial);
+        crystal.position.set(0.5, 1.25, 0);
+        benchGroup.add(crystal);
+        
+        return benchGroup;
+    }
+}
@@ -2,6 +2,11 @@ import * as THREE from 'three';
 import { TreasureChest } from './TreasureChest.js';
 import { QuestMarker } from './QuestMarker.js';
 import { BossSpawnPoint } from './BossSpawnPoint.js';
+import { BountyBoard } from './BountyBoard.js';
+import { StashChest } from './StashChest.js';
+import { MerchantNPC } from './MerchantNPC.js';
+import { CraftingBench } from './CraftingBench.js';
+import { STASH_CONFIG } from '../../config/stash.js';
 
 /**
  * Manages interactive objects in the world
@@ -61,6 +66,15 @@ export class InteractiveObjectManager {
         this.createQuestMarker(25, 15, 'Main Quest');
         this.createQuestMarker(-10, -20, 'Side Quest');
         this.createQuestMarker(15, -5, 'Exploration');
+        
+        // Create bounty board
+        this.createBountyBoard(-6, 8);
+        
+        // Create the shared stash
+        this.createStash(STASH_CONFIG.position.x, STASH_CONFIG.position.z);
+        
+        // Create the crafting bench
+        this.createCraftingBench(2, 10);
     }
     
     /**
@@ -190,6 +204,157 @@ export class InteractiveObjectManager {
         return markerGroup;
     }
     
+    /**
+     * Create a bounty board at the specified position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {THREE.Group} - The bounty board group
+     */
+    createBountyBoard(x, z) {
+        const bountyBoard = new BountyBoard();
+        const boardGroup = bountyBoard.createMesh();
+        
+        // Position board on terrain
+        boardGroup.position.set(x, this.worldManager.getTerrainHeight(x, z), z);
+        
+        // Add to scene
+        this.scene.add(boardGroup);
+        
+        // Add to interactive objects
+        this.interactiveObjects.push({
+            type: 'bounty_board',
+            name: 'Bounty Board',
+            mesh: boardGroup,
+            position: new THREE.Vector3(x, this.worldManager.getTerrainHeight(x, z), z),
+            interactionRadius: 3,
+            onInteract: () => {
+                // The quest manager shows the posted bounties
+                return {
+                    type: 'bounty_board'
+                };
+            }
+        });
+        
+        return boardGroup;
+    }
+    
+    /**
+     * Create the shared stash chest at the specified position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {THREE.Group} - The stash chest group
+     */
+    createStash(x, z) {
+        const stashChest = new StashChest();
+        const stashGroup = stashChest.createMesh();
+        
+        // Position stash on terrain
+        stashGroup.position.set(x, this.worldManager.getTerrainHeight(x, z), z);
+        
+        // Add to scene
+        this.scene.add(stashGroup);
+        
+        // Add to interactive objects
+        this.interactiveObjects.push({
+            type: 'stash',
+            name: 'Shared Stash',
+            mesh: stashGroup,
+            position: new THREE.Vector3(x, this.worldManager.getTerrainHeight(x, z), z),
+            interactionRadius: 3,
+            onInteract: () => {
+                // The HUD opens the stash next to the player's bag
+                return {
+                    type: 'stash'
+                };
+            }
+        });
+        
+        return stashGroup;
+    }
+    
+    /**
+     * Create a merchant at the specified position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @param {string} merchantId - Identifier of the merchant, which keeps their stock
+     * @returns {THREE.Group} - The merchant group
+     */
+    createMerchant(x, z, merchantId) {
+        const merchant = new MerchantNPC();
+        const merchantGroup = merchant.createMesh();
+        
+        // Position merchant on terrain
+        merchantGroup.position.set(x, this.worldManager.getTerrainHeight(x, z), z);
+        
+        // Add to scene
+        this.scene.add(merchantGroup);
+        
+        // Add to interactive objects
+        this.interactiveObjects.push({
+            type: 'merchant',
+            name: 'Merchant',
+            mesh: merchantGroup,
+            position: new THREE.Vector3(x, this.worldManager.getTerrainHeight(x, z), z),
+            interactionRadius: 3,
+            merchantId: merchantId,
+            onInteract: () => {
+                // The HUD shows the merchant's wares
+                return {
+                    type: 'merchant',
+                    merchantId: merchantId
+                };
+            }
+        });
+        
+        return merchantGroup;
+    }
+    
+    /**
+     * Create a crafting bench at the specified position
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {THREE.Group} - The crafting bench group
+     */
+    createCraftingBench(x, z) {
+        const craftingBench = new CraftingBench();
+        const benchGroup = craftingBench.createMesh();
+        
+        // Position bench on terrain
+        benchGroup.position.set(x, this.worldManager.getTerrainHeight(x, z), z);
+        
+        // Add to scene
+        this.scene.add(benchGroup);
+        
+        // Add to interactive objects
+        this.interactiveObjects.push({
+            type: 'crafting_bench',
+            name: 'Crafting Bench',
+            mesh: benchGroup,
+            position: new THREE.Vector3(x, this.worldManager.getTerrainHeight(x, z), z),
+            interactionRadius: 3,
+            onInteract: () => {
+                // The HUD opens the crafting bench next to the player's gear
+                return {
+                    type: 'crafting_bench'
+                };
+            }
+        });
+        
+        return benchGroup;
+    }
+    
+    /**
+     * Remove an interactive object from the world
+     * @param {Object} interactiveObject - The interactive object to remove
+     */
+    removeInteractiveObject(interactiveObject) {
+        if (interactiveObject.mesh && interactiveObject.mesh.parent) {
+            this.scene.remove(interactiveObject.mesh);
+        }
+        
+        this.interactiveObjects = this.interactiveObjects.filter(obj => obj !== interactiveObject);
+    }
+    
     /**
      * Get interactive objects near a specific position
      * @param {THREE.Vector3} position - The position to check
@@ -251,7 +416,8 @@ export class InteractiveObjectManager {
                 },
                 interactionRadius: obj.interactionRadius,
                 isOpen: obj.isOpen,
-                bossType: obj.bossType
+                bossType: obj.bossType,
+                merchantId: obj.merchantId
             }))
         };
     }
@@ -288,6 +454,18 @@ export class InteractiveObjectManager {
                 case 'boss_spawn':
                     this.createBossSpawnPoint(objData.position.x, objData.position.z, objData.bossType);
                     break;
+                case 'bounty_board':
+                    this.createBountyBoard(objData.position.x, objData.position.z);
+                    break;
+                case 'stash':
+                    this.createStash(objData.position.x, objData.position.z);
+                    break;
+                case 'merchant':
+                    this.createMerchant(objData.position.x, objData.position.z, objData.merchantId);
+                    break;
+                case 'crafting_bench':
+                    this.createCraftingBench(objData.position.x, objData.position.z);
+                    break;
             }
         });
     }
@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+
+/**
+ * Represents a merchant interactive object
+ * A robed trader standing behind a crate of wares
+ */
+export class MerchantNPC {
+    /**
+     * Create the merchant mesh
+     * @returns {THREE.Group} - The merchant group
+     */
+    createMesh() {
+        const merchantGroup = new THREE.Group();
+        
+        const robeMaterial = new THREE.MeshStandardMaterial({
+            color: 0x7a3b1c,
+            roughness: 0.9,
+            metalness: 0.0
+        });
+        const skinMaterial = new THREE.MeshStandardMaterial({
+            color: 0xd9a877,
+            roughness: 0.8,
+            metalness: 0.0
+        });
+        const woodMaterial = new THREE.MeshStandardMaterial({
+            color: 0x8b5a2b,
+            roughness: 0.9,
+            metalness: 0.1
+        });
+        
+        // Create robed body
+        const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.5, 1.5, 12);
+        const body = new THREE.Mesh(bodyGeometry, robeMaterial);
+        body.position.y = 0.75;
+        body.castShadow = true;
+        merchantGroup.add(body);
+        
+        // Create head
+        const headGeometry = new THREE.SphereGeometry(0.25, 12, 12);
+        const head = new THREE.Mesh(headGeometry, skinMaterial);
+        head.position.y = 1.75;
+        head.castShadow = true;
+        merchantGroup.add(head);
+        
+        // Create wide-brimmed hat
+        const hatMaterial = new THREE.MeshStandardMaterial({
+            color: 0xc9a14a,
+            roughness: 0.9,
+            metalness: 0.0
+        });
+        const hatGeometry = new THREE.ConeGeometry(0.55, 0.35, 16);
+        const hat = new THREE.Mesh(hatGeometry, hatMaterial);
+        hat.position.y = 2.05;
+        hat.castShadow = true;
+        merchantGroup.add(hat);
+        
+        // Create crate of wares in front of the merchant
+        const crateGeometry = new THREE.BoxGeometry(1, 0.6, 0.6);
+        const crate = new THREE.Mesh(crateGeometry, woodMaterial);
+        crate.position.set(0, 0.3, 0.8);
+        crate.castShadow = true;
+        crate.receiveShadow = true;
+        merchantGroup.add(crate);
+        
+        // Add a gold coin sign above the merchant so they stand out in the village
+        const coinMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffcc00,
+            roughness: 0.3,
+            metalness: 0.8,
+            emissive: 0x996600,
+            emissiveIntensity: 0.4
+        });
+        const coinGeometry = new THREE.CylinderGeometry(0.25, 0.25, 0.05, 16);
+        const coin = new THREE.Mesh(coinGeometry, coinMaterial);
+        coin.rotation.x = Math.PI / 2;
+        coin.position.y = 2.7;
+        merchantGroup.add(coin);
+        
+        return merchantGroup;
+    }
+}
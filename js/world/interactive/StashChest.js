@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+
+/**
+ * Represents the stash chest interactive object
+ * A large iron-bound chest that opens the stash shared by every hero
+ */
+export class StashChest {
+    /**
+     * Create the stash chest mesh
+     * @returns {THREE.Group} - The stash chest group
+     */
+    createMesh() {
+        const stashGroup = new THREE.Group();
+        
+        const woodMaterial = new THREE.MeshStandardMaterial({
+            color: 0x3e2a1a,
+            roughness: 0.85,
+            metalness: 0.1
+        });
+        const ironMaterial = new THREE.MeshStandardMaterial({
+            color: 0x555a60,
+            roughness: 0.4,
+            metalness: 0.9
+        });
+        
+        // Create chest body
+        const bodyGeometry = new THREE.BoxGeometry(2, 1.1, 1.2);
+        const body = new THREE.Mesh(bodyGeometry, woodMaterial);
+        body.position.y = 0.55;
+        body.castShadow = true;
+        body.receiveShadow = true;
+        stashGroup.add(body);
+        
+        // Create rounded lid
+        const lidGeometry = new THREE.CylinderGeometry(0.6, 0.6, 2, 12, 1, false, 0, Math.PI);
+        const lid = new THREE.Mesh(lidGeometry, woodMaterial);
+        lid.rotation.z = Math.PI / 2;
+        lid.rotation.y = Math.PI / 2;
+        lid.position.y = 1.1;
+        lid.castShadow = true;
+        stashGroup.add(lid);
+        
+        // Bind the chest with iron bands
+        const bandGeometry = new THREE.BoxGeometry(0.12, 1.15, 1.25);
+        [-0.7, 0, 0.7].forEach(x => {
+            const band = new THREE.Mesh(bandGeometry, ironMaterial);
+            band.position.set(x, 0.55, 0);
+            stashGroup.add(band);
+        });
+        
+        // Create lock
+        const lockGeometry = new THREE.BoxGeometry(0.35, 0.4, 0.1);
+        const lock = new THREE.Mesh(lockGeometry, ironMaterial);
+        lock.position.set(0, 0.9, 0.63);
+        stashGroup.add(lock);
+        
+        // A soft glow marks the stash as shared storage
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x66aaff,
+            transparent: true,
+            opacity: 0.15,
+            side: THREE.BackSide
+        });
+        const glowGeometry = new THREE.BoxGeometry(2.3, 1.8, 1.5);
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        glow.position.y = 0.85;
+        stashGroup.add(glow);
+        
+        return stashGroup;
+    }
+}
@@ -501,6 +501,11 @@ export class StructureManager {
             const questX = x + (Math.random() * 10 - 5);
             const questZ = z + (Math.random() * 10 - 5);
             this.worldManager.interactiveManager.createQuestMarker(questX, questZ, 'village_quest');
+            
+            // Add a merchant, named after the village position so they keep their stock when the chunk reloads
+            const merchantX = x + (Math.random() * 10 - 5);
+            const merchantZ = z + (Math.random() * 10 - 5);
+            this.worldManager.interactiveManager.createMerchant(merchantX, merchantZ, `merchant_${Math.round(x)}_${Math.round(z)}`);
         }
         
         return villageGroup;
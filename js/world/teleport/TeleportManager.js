@@ -57,6 +57,9 @@ export class TeleportManager {
         // Text display for portals
         this.portalLabels = {}; // Store references to portal labels
         
+        // Portals the player has travelled through, by source name - saved with the hero
+        this.unlockedPortals = new Set();
+        
         // Setup click/touch event listeners
         this.setupTouchClickEvents();
     }
@@ -654,6 +657,11 @@ export class TeleportManager {
         // Set cooldown
         this.lastTeleportTime = Date.now();
         
+        // Remember the portal once the local player has used it
+        if (targetPlayer === this.game.player && !portal.isReturnPortal) {
+            this.unlockedPortals.add(portal.sourceName);
+        }
+        
         // Check if this is a return portal
         const isReturnPortal = portal.isReturnPortal;
         
@@ -1374,6 +1382,7 @@ export class TeleportManager {
     
     /**
      * Get all portals for the minimap
+     * Only portals the player has unlocked reveal where they lead
      * @returns {Array} - Array of portal objects for the minimap
      */
     getPortals() {
@@ -1382,6 +1391,7 @@ export class TeleportManager {
             targetPosition: portal.targetPosition,
             name: portal.sourceName,
             targetName: portal.targetName,
+            unlocked: this.isPortalUnlocked(portal),
             type: 'portal'
         }));
     }
@@ -1431,6 +1441,31 @@ export class TeleportManager {
         }
     }
     
+    /**
+     * Get the names of all portals the player has unlocked
+     * @returns {string[]} Unlocked portal source names
+     */
+    getUnlockedPortals() {
+        return [...this.unlockedPortals];
+    }
+    
+    /**
+     * Replace the unlocked portals, e.g. when loading a hero
+     * @param {string[]} portalNames - Unlocked portal source names
+     */
+    setUnlockedPortals(portalNames) {
+        this.unlockedPortals = new Set(portalNames || []);
+    }
+    
+    /**
+     * Check if the player has unlocked a portal
+     * @param {Object} portal - The portal to check
+     * @returns {boolean} Whether the portal was used before
+     */
+    isPortalUnlocked(portal) {
+        return !!portal && this.unlockedPortals.has(portal.sourceName);
+    }
+    
     /**
      * Clear all portals
      */
@@ -5,14 +5,19 @@ import { ZONE_COLORS } from '../../config/colors.js';
  * Manages world zones and their properties
  */
 export class ZoneManager {
-    constructor(scene, worldManager) {
+    constructor(scene, worldManager, game = null) {
         this.scene = scene;
         this.worldManager = worldManager;
-        this.game = null;
+        this.game = game;
         
         // Zone collections
         this.zones = [];
         this.zoneMarkers = [];
+        
+        // Zone names the player has entered, saved with the hero
+        this.discoveredZones = new Set();
+        this.discoveryCheckInterval = 1000; // Zone lookups are not free, check once a second
+        this.lastDiscoveryCheck = 0;
     }
     
     /**
@@ -336,6 +341,47 @@ export class ZoneManager {
         }
     }
     
+    /**
+     * Record the zone the player is standing in as discovered
+     * Newly discovered zones advance exploration quests
+     * @param {THREE.Vector3} playerPosition - Current player position
+     */
+    updateDiscovery(playerPosition) {
+        const now = Date.now();
+        if (!playerPosition || now - this.lastDiscoveryCheck < this.discoveryCheckInterval) {
+            return;
+        }
+        this.lastDiscoveryCheck = now;
+        
+        const zone = this.getZoneAt(playerPosition);
+        if (!zone || this.discoveredZones.has(zone.name)) {
+            return;
+        }
+        
+        this.discoveredZones.add(zone.name);
+        console.debug(`Zone discovered: ${zone.name}`);
+        
+        if (this.game && this.game.questManager) {
+            this.game.questManager.updateExploration(zone.name);
+        }
+    }
+    
+    /**
+     * Get the names of all discovered zones
+     * @returns {string[]} Discovered zone names
+     */
+    getDiscoveredZones() {
+        return [...this.discoveredZones];
+    }
+    
+    /**
+     * Replace the discovered zones, e.g. when loading a hero
+     * @param {string[]} zoneNames - Discovered zone names
+     */
+    setDiscoveredZones(zoneNames) {
+        this.discoveredZones = new Set(zoneNames || []);
+    }
+    
     /**
      * Clear all zones
      */
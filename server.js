@@ -2,14 +2,26 @@
  * Simple HTTP server for local development
  * Run with: node local-server.js
  * Then open: http://localhost:8080
+ *
+ * Also serves a minimal save sync API used by RemoteStorageAdapter:
+ *   GET/HEAD/PUT/DELETE /api/saves/<key>
+ * Saves are stored as JSON files in SAVE_DIR. Every response carries an ETag, and
+ * PUT/DELETE honour If-Match / If-None-Match so concurrent writers get 412 instead
+ * of silently overwriting each other.
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const crypto = require('crypto');
 
 const PORT = 8080;
+const WEB_ROOT = __dirname;
+const SAVE_API_PREFIX = '/api/saves/';
+const SAVE_DIR = process.env.SAVE_DIR || path.join(__dirname, 'saves');
+const MAX_SAVE_SIZE = 5 * 1024 * 1024; // 5 MB per key
+const SAVE_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,200}$/;
 const MIME_TYPES = {
   '.html': 'text/html',
   '.js': 'text/javascript',
@@ -31,18 +43,263 @@ const MIME_TYPES = {
   '.wasm': 'application/wasm'
 };
 
+/**
+ * Compute the ETag for stored save contents
+ * @param {Buffer|string} contents - File contents
+ * @returns {string} Quoted ETag
+ */
+function computeEtag(contents) {
+  return `"${crypto.createHash('sha1').update(contents).digest('hex')}"`;
+}
+
+/**
+ * Check a conditional request header against the current ETag
+ * @param {string|undefined} header - If-Match or If-None-Match value
+ * @param {string|null} etag - Current ETag, or null if the key does not exist
+ * @returns {boolean} Whether the header matches
+ */
+function etagMatches(header, etag) {
+  if (!etag) {
+    return false;
+  }
+  return header.split(',').map(value => value.trim()).some(value => value === '*' || value === etag);
+}
+
+/**
+ * Resolve a request path to a file the static handler may serve
+ * Files outside the web root and saves in SAVE_DIR are only reachable through the save API
+ * @param {string} pathname - URL path of the request
+ * @returns {string|null} Absolute file path, or null if the path must not be served
+ */
+function resolveStaticPath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+  
+  const filePath = path.resolve(WEB_ROOT, `.${decoded === '/' ? '/index.html' : decoded}`);
+  const isInside = dir => {
+    const relative = path.relative(path.resolve(dir), filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  };
+  
+  return isInside(WEB_ROOT) && !isInside(SAVE_DIR) ? filePath : null;
+}
+
+/**
+ * Send a save API response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Extra headers
+ * @param {Buffer|string} [body] - Response body
+ */
+function sendSaveResponse(res, status, headers = {}, body) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, HEAD, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(body);
+}
+
+/**
+ * Read a stored save
+ * @param {string} filePath - Path of the save file
+ * @returns {{contents: Buffer|null, etag: string|null}} Contents and ETag, both null if the key does not exist
+ */
+function readSave(filePath) {
+  const contents = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  return { contents, etag: contents ? computeEtag(contents) : null };
+}
+
+/**
+ * Check a request's If-Match / If-None-Match headers against the stored version
+ * @param {http.IncomingMessage} req - Request
+ * @param {string|null} etag - Current ETag, or null if the key does not exist
+ * @returns {boolean} Whether the request is based on a version other than the one stored
+ */
+function isPreconditionFailed(req, etag) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  return Boolean((ifMatch && !etagMatches(ifMatch, etag)) ||
+    (ifNoneMatch && etagMatches(ifNoneMatch, etag)));
+}
+
+/**
+ * Send the stored version back with a 412 so the client can resolve the conflict
+ * @param {http.ServerResponse} res - Response
+ * @param {Buffer|null} current - Stored contents, or null if the key does not exist
+ * @param {string|null} currentEtag - Stored ETag
+ */
+function sendPreconditionFailed(res, current, currentEtag) {
+  const headers = current ? { 'Content-Type': 'application/json', ETag: currentEtag } : {};
+  sendSaveResponse(res, 412, headers, current || undefined);
+}
+
+// Pending writes per save key; each write waits for the previous one to finish
+const saveLocks = new Map();
+
+/**
+ * Run a read-check-write of a save key after every earlier one for the same key
+ * @param {string} key - Save key
+ * @param {Function} task - Work to run while holding the key
+ * @returns {Promise<void>} Resolves once the task has run
+ */
+function withSaveLock(key, task) {
+  const run = (saveLocks.get(key) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  saveLocks.set(key, settled);
+  settled.then(() => {
+    if (saveLocks.get(key) === settled) {
+      saveLocks.delete(key);
+    }
+  });
+  return run;
+}
+
+/**
+ * Handle a request to the save sync API
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} key - Save key from the URL
+ */
+function handleSaveRequest(req, res, key) {
+  if (req.method === 'OPTIONS') {
+    sendSaveResponse(res, 204);
+    return;
+  }
+
+  if (!SAVE_KEY_PATTERN.test(key)) {
+    sendSaveResponse(res, 400, { 'Content-Type': 'text/plain' }, 'Invalid save key');
+    return;
+  }
+
+  const filePath = path.join(SAVE_DIR, `${key}.json`);
+
+  // Writes check If-Match / If-None-Match against the file as it is right before they change it,
+  // one write per key at a time, so concurrent writers get 412 instead of overwriting each other
+  const runLocked = task => withSaveLock(key, () => {
+    try {
+      task();
+    } catch (error) {
+      console.error('Save API error:', error);
+      if (!res.headersSent) {
+        sendSaveResponse(res, 500, { 'Content-Type': 'text/plain' }, 'Save storage error');
+      }
+    }
+  });
+
+  switch (req.method) {
+    case 'GET':
+    case 'HEAD': {
+      const { contents: current, etag: currentEtag } = readSave(filePath);
+      const ifNoneMatch = req.headers['if-none-match'];
+      if (!current) {
+        sendSaveResponse(res, 404);
+      } else if (ifNoneMatch && etagMatches(ifNoneMatch, currentEtag)) {
+        sendSaveResponse(res, 304, { ETag: currentEtag });
+      } else {
+        sendSaveResponse(res, 200, { 'Content-Type': 'application/json', ETag: currentEtag },
+          req.method === 'GET' ? current : undefined);
+      }
+      return;
+    }
+
+    case 'PUT': {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size <= MAX_SAVE_SIZE) {
+          chunks.push(chunk);
+        }
+      });
+      req.on('end', () => {
+        if (size > MAX_SAVE_SIZE) {
+          sendSaveResponse(res, 413, { 'Content-Type': 'text/plain' }, 'Save data too large');
+          return;
+        }
+
+        const body = Buffer.concat(chunks);
+        try {
+          JSON.parse(body.toString('utf8'));
+        } catch (error) {
+          sendSaveResponse(res, 400, { 'Content-Type': 'text/plain' }, 'Save data must be JSON');
+          return;
+        }
+
+        runLocked(() => {
+          const { contents: current, etag: currentEtag } = readSave(filePath);
+          if (isPreconditionFailed(req, currentEtag)) {
+            sendPreconditionFailed(res, current, currentEtag);
+            return;
+          }
+
+          // Write to a temporary file first so a crash never leaves a half-written save;
+          // the name is unique per request so concurrent writes never share it
+          const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+          try {
+            fs.mkdirSync(SAVE_DIR, { recursive: true });
+            fs.writeFileSync(tempPath, body);
+            fs.renameSync(tempPath, filePath);
+          } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+          }
+
+          sendSaveResponse(res, current ? 200 : 201, { ETag: computeEtag(body) });
+        });
+      });
+      return;
+    }
+
+    case 'DELETE':
+      runLocked(() => {
+        const { contents: current, etag: currentEtag } = readSave(filePath);
+        if (isPreconditionFailed(req, currentEtag)) {
+          sendPreconditionFailed(res, current, currentEtag);
+          return;
+        }
+        if (current) {
+          fs.unlinkSync(filePath);
+        }
+        sendSaveResponse(res, 204);
+      });
+      return;
+
+    default:
+      sendSaveResponse(res, 405, { Allow: 'GET, HEAD, PUT, DELETE, OPTIONS' });
+  }
+}
+
 const server = http.createServer((req, res) => {
   console.debug(`${req.method} ${req.url}`);
   
   // Parse URL
   const parsedUrl = url.parse(req.url);
   
-  // Extract the path from the URL
-  let pathname = `.${parsedUrl.pathname}`;
+  // Save sync API
+  if (parsedUrl.pathname.startsWith(SAVE_API_PREFIX)) {
+    try {
+      handleSaveRequest(req, res, decodeURIComponent(parsedUrl.pathname.slice(SAVE_API_PREFIX.length)));
+    } catch (error) {
+      console.error('Save API error:', error);
+      sendSaveResponse(res, 500, { 'Content-Type': 'text/plain' }, 'Save storage error');
+    }
+    return;
+  }
   
-  // If path ends with '/', serve index.html
-  if (pathname === './') {
-    pathname = './index.html';
+  // Extract the path from the URL; '/' serves index.html
+  const pathname = resolveStaticPath(parsedUrl.pathname);
+  if (!pathname) {
+    res.writeHead(404);
+    res.end('File not found!');
+    return;
   }
   
   // Get the file extension
@@ -57,7 +314,7 @@ const server = http.createServer((req, res) => {
       if (err.code === 'ENOENT') {
         // File not found
         res.writeHead(404);
-        res.end(`File ${pathname} not found!`);
+        res.end(`File ${parsedUrl.pathname} not found!`);
         return;
       }
       
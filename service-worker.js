@@ -4,13 +4,13 @@
  */
 
 const CACHE_NAME = 'monk-journey-cache';
-const CACHE_VERSION = '40';
+const CACHE_VERSION = '41';
 const CACHE_KEY = CACHE_NAME + '-v' + CACHE_VERSION;
 
 
 // Total cache size in bytes and MB
-const TOTAL_CACHE_SIZE_BYTES = 6822233;
-const TOTAL_CACHE_SIZE_MB = 6.51;
+const TOTAL_CACHE_SIZE_BYTES = 7307853;
+const TOTAL_CACHE_SIZE_MB = 6.97;
 
 // Assets to cache
 const ASSETS_TO_CACHE = [
@@ -18,12 +18,15 @@ const ASSETS_TO_CACHE = [
   'manifest.json',
   'css/animations.css',
   'css/camera-control.css',
+  'css/codex.css',
+  'css/crafting.css',
   'css/death-screen.css',
   'css/dialog.css',
   'css/difficulty-menu.css',
   'css/game-menu.css',
   'css/game.css',
   'css/hud-common.css',
+  'css/hud-consumables.css',
   'css/hud-effects-container.css',
   'css/hud-enemy-health.css',
   'css/hud-joystick.css',
@@ -39,15 +42,18 @@ const ASSETS_TO_CACHE = [
   'css/item-popup.css',
   'css/loading-screen.css',
   'css/main.css',
+  'css/merchant.css',
   'css/multiplayer.css',
   'css/notifications.css',
   'css/orientation-message.css',
   'css/performance-manager.css',
   'css/reset.css',
+  'css/save-slots.css',
   'css/settings-menu.css',
   'css/skill-preview.css',
   'css/skill-selection.css',
   'css/skill-tree.css',
+  'css/stash.css',
   'css/teleport-manager.css',
   'css/utilities.css',
   'css/variables.css',
@@ -60,6 +66,18 @@ const ASSETS_TO_CACHE = [
   'js/PerformanceManager.js',
   'js/QuestManager.js',
   'js/UIComponent.js',
+  'js/config/bounties.js',
+  'js/config/consumables.js',
+  'js/config/inventory.js',
+  'js/config/item-effects.js',
+  'js/config/item-sets.js',
+  'js/config/legendary-items.js',
+  'js/config/loot-filter.js',
+  'js/config/merchants.js',
+  'js/config/quests/index.json',
+  'js/config/quests/main-quests.json',
+  'js/config/quests/side-quests.json',
+  'js/config/stash.js',
   'js/effects/EffectObjectPool.js',
   'js/entities/enemies/Enemy.js',
   'js/entities/enemies/EnemyManager.js',
@@ -82,9 +100,16 @@ const ASSETS_TO_CACHE = [
   'js/entities/enemies/models/VoidWraithModel.js',
   'js/entities/enemies/models/ZombieBruteModel.js',
   'js/entities/enemies/models/ZombieModel.js',
+  'js/entities/items/CraftingManager.js',
   'js/entities/items/Item.js',
+  'js/entities/items/ItemComparison.js',
   'js/entities/items/ItemDropManager.js',
+  'js/entities/items/ItemEffectVisuals.js',
   'js/entities/items/ItemGenerator.js',
+  'js/entities/items/LegendaryCodex.js',
+  'js/entities/items/LootFilter.js',
+  'js/entities/items/MerchantManager.js',
+  'js/entities/items/SharedStash.js',
   'js/entities/items/models/ItemModel.js',
   'js/entities/items/models/ItemModelFactory.js',
   'js/entities/items/models/accessory/AmuletModel.js',
@@ -94,10 +119,13 @@ const ASSETS_TO_CACHE = [
   'js/entities/items/models/weapons/DaggerModel.js',
   'js/entities/items/models/weapons/FistModel.js',
   'js/entities/items/models/weapons/StaffModel.js',
+  'js/entities/npc/EscortNPC.js',
   'js/entities/player/Player.js',
   'js/entities/player/PlayerAttackEffect.js',
   'js/entities/player/PlayerCombat.js',
+  'js/entities/player/PlayerConsumables.js',
   'js/entities/player/PlayerInventory.js',
+  'js/entities/player/PlayerItemEffects.js',
   'js/entities/player/PlayerModel.js',
   'js/entities/player/PlayerMovement.js',
   'js/entities/player/PlayerSkills.js',
@@ -200,7 +228,11 @@ const ASSETS_TO_CACHE = [
   'js/game/GameState.js',
   'js/game/LoadingManager.js',
   'js/game/SceneOptimizer.js',
+  'js/hud-manager/BuffsUI.js',
   'js/hud-manager/CameraControlUI.js',
+  'js/hud-manager/CodexUI.js',
+  'js/hud-manager/ConsumablesUI.js',
+  'js/hud-manager/CraftingUI.js',
   'js/hud-manager/DeathScreenUI.js',
   'js/hud-manager/DialogUI.js',
   'js/hud-manager/EnemyUI.js',
@@ -208,6 +240,7 @@ const ASSETS_TO_CACHE = [
   'js/hud-manager/HomeUI.js',
   'js/hud-manager/InventoryButton.js',
   'js/hud-manager/InventoryUI.js',
+  'js/hud-manager/MerchantUI.js',
   'js/hud-manager/MiniMapButton.js',
   'js/hud-manager/MiniMapUI.js',
   'js/hud-manager/NotificationsUI.js',
@@ -218,6 +251,7 @@ const ASSETS_TO_CACHE = [
   'js/hud-manager/SkillTreeButton.js',
   'js/hud-manager/SkillTreeUI.js',
   'js/hud-manager/SkillsUI.js',
+  'js/hud-manager/StashUI.js',
   'js/hud-manager/VirtualJoystickUI.js',
   'js/interaction/InteractionSystem.js',
   'js/menu-system/ControlsDisplay.js',
@@ -228,6 +262,7 @@ const ASSETS_TO_CACHE = [
   'js/menu-system/MainBackground.js',
   'js/menu-system/MenuManager.js',
   'js/menu-system/ModelPreview.js',
+  'js/menu-system/SaveSlotMenu.js',
   'js/menu-system/SettingsMenu.js',
   'js/menu-system/settings-menu/AudioTab.js',
   'js/menu-system/settings-menu/CharacterModelTab.js',
@@ -235,6 +270,7 @@ const ASSETS_TO_CACHE = [
   'js/menu-system/settings-menu/EnemyPreviewTab.js',
   'js/menu-system/settings-menu/GameplayTab.js',
   'js/menu-system/settings-menu/ItemPreviewTab.js',
+  'js/menu-system/settings-menu/LootFilterTab.js',
   'js/menu-system/settings-menu/PerformanceTab.js',
   'js/menu-system/settings-menu/SettingsTab.js',
   'js/menu-system/settings-menu/SkillPreview.js',
@@ -245,17 +281,33 @@ const ASSETS_TO_CACHE = [
   'js/multiplayer/MultiplayerUIManager.js',
   'js/multiplayer/RemotePlayer.js',
   'js/multiplayer/RemotePlayerManager.js',
+  'js/quests/BountyGenerator.js',
+  'js/quests/BountyManager.js',
+  'js/quests/QuestBeacon.js',
+  'js/quests/QuestDefinitionLoader.js',
+  'js/quests/QuestValidator.js',
+  'js/save-manager/HeroTransfer.js',
   'js/save-manager/ISaveSystem.js',
   'js/save-manager/IStorageAdapter.js',
+  'js/save-manager/IndexedDBStorageAdapter.js',
   'js/save-manager/LocalStorageAdapter.js',
+  'js/save-manager/RemoteStorageAdapter.js',
   'js/save-manager/SaveManager.js',
+  'js/save-manager/SaveMigrator.js',
+  'js/save-manager/migrations/save-migrations.js',
+  'js/save-manager/serializers/CodexSerializer.js',
   'js/save-manager/serializers/InventorySerializer.js',
   'js/save-manager/serializers/PlayerSerializer.js',
   'js/save-manager/serializers/QuestSerializer.js',
   'js/save-manager/serializers/SettingsSerializer.js',
+  'js/save-manager/serializers/SkillTreeSerializer.js',
+  'js/save-manager/serializers/StashSerializer.js',
+  'js/save-manager/serializers/WorldSerializer.js',
+  'js/save-manager/utils/SaveIntegrity.js',
   'js/save-manager/utils/SaveOperationProgress.js',
   'js/utils/AnimationUtils.js',
   'js/utils/FlagUtils.js',
+  'js/utils/ItemComparisonUtils.js',
   'js/utils/SkillTreeUtils.js',
   'js/world/WorldManager.js',
   'js/world/environment/Bush.js',
@@ -265,8 +317,12 @@ const ASSETS_TO_CACHE = [
   'js/world/environment/Rock.js',
   'js/world/environment/Tree.js',
   'js/world/interactive/BossSpawnPoint.js',
+  'js/world/interactive/BountyBoard.js',
+  'js/world/interactive/CraftingBench.js',
   'js/world/interactive/InteractiveObjectManager.js',
+  'js/world/interactive/MerchantNPC.js',
   'js/world/interactive/QuestMarker.js',
+  'js/world/interactive/StashChest.js',
   'js/world/interactive/TreasureChest.js',
   'js/world/lighting/LightingManager.js',
   'js/world/structures/Bridge.js',
@@ -356,39 +412,60 @@ const ASSETS_TO_CACHE = [
 
 // File sizes in bytes for progress reporting
 const FILE_SIZES =   {
-    "": 33696,
+    "": 57373,
     "manifest.json": 571,
     "css/animations.css": 916,
+    "css/codex.css": 2664,
+    "css/crafting.css": 3744,
     "css/dialog.css": 545,
-    "css/game-menu.css": 5419,
+    "css/game-menu.css": 5818,
     "css/game.css": 265,
-    "css/hud-manager.css": 13143,
+    "css/hud-consumables.css": 2481,
+    "css/hud-manager.css": 657,
+    "css/hud-quest-log.css": 1938,
     "css/icons.css": 718,
     "css/initial-loading.css": 873,
-    "css/inventory.css": 7981,
+    "css/inventory.css": 11294,
+    "css/item-popup.css": 4176,
     "css/loading-screen.css": 522,
-    "css/main.css": 1255,
+    "css/main.css": 2069,
+    "css/merchant.css": 3384,
     "css/notifications.css": 2324,
     "css/orientation-message.css": 438,
     "css/performance-manager.css": 1496,
     "css/reset.css": 1275,
-    "css/settings-menu.css": 20658,
+    "css/save-slots.css": 2944,
+    "css/settings-menu.css": 22366,
     "css/skill-preview.css": 1780,
     "css/skill-selection.css": 7239,
-    "css/skill-tree.css": 8621,
+    "css/skill-tree.css": 9450,
+    "css/stash.css": 2979,
     "css/utilities.css": 3931,
     "css/variables.css": 802,
     "js/AudioManager.js": 22440,
-    "js/CollisionManager.js": 12868,
+    "js/CollisionManager.js": 17598,
     "js/DifficultyManager.js": 4858,
     "js/EffectsManager.js": 5211,
-    "js/InputHandler.js": 15130,
+    "js/InputHandler.js": 17814,
+    "js/InteractionResultHandler.js": 6720,
     "js/PerformanceManager.js": 31689,
-    "js/QuestManager.js": 18478,
+    "js/QuestManager.js": 50877,
     "js/UIComponent.js": 2476,
+    "js/config/bounties.js": 1313,
+    "js/config/consumables.js": 875,
+    "js/config/inventory.js": 634,
+    "js/config/item-effects.js": 1001,
+    "js/config/item-sets.js": 8470,
+    "js/config/legendary-items.js": 10002,
+    "js/config/loot-filter.js": 2035,
+    "js/config/merchants.js": 1456,
+    "js/config/quests/index.json": 80,
+    "js/config/quests/main-quests.json": 9508,
+    "js/config/quests/side-quests.json": 10972,
+    "js/config/stash.js": 388,
     "js/effects/EffectObjectPool.js": 25995,
-    "js/entities/enemies/Enemy.js": 19247,
-    "js/entities/enemies/EnemyManager.js": 31696,
+    "js/entities/enemies/Enemy.js": 27419,
+    "js/entities/enemies/EnemyManager.js": 50103,
     "js/entities/enemies/models/CorruptedTreantModel.js": 9617,
     "js/entities/enemies/models/DefaultModel.js": 2282,
     "js/entities/enemies/models/DemonModel.js": 5915,
@@ -408,18 +485,32 @@ const FILE_SIZES =   {
     "js/entities/enemies/models/VoidWraithModel.js": 11929,
     "js/entities/enemies/models/ZombieBruteModel.js": 6416,
     "js/entities/enemies/models/ZombieModel.js": 4148,
+    "js/entities/items/CraftingManager.js": 7234,
+    "js/entities/items/Item.js": 3787,
+    "js/entities/items/ItemComparison.js": 5499,
+    "js/entities/items/ItemDropManager.js": 19264,
+    "js/entities/items/ItemEffectVisuals.js": 5420,
+    "js/entities/items/ItemGenerator.js": 23188,
+    "js/entities/items/LegendaryCodex.js": 5195,
+    "js/entities/items/LootFilter.js": 7069,
+    "js/entities/items/MerchantManager.js": 7754,
+    "js/entities/items/SharedStash.js": 4281,
+    "js/entities/items/models/ItemModelFactory.js": 4340,
+    "js/entities/npc/EscortNPC.js": 5754,
     "js/entities/player/FallbackPlayerModel.js": 5656,
-    "js/entities/player/Player.js": 7886,
-    "js/entities/player/PlayerCombat.js": 14398,
+    "js/entities/player/Player.js": 21098,
+    "js/entities/player/PlayerCombat.js": 6798,
+    "js/entities/player/PlayerConsumables.js": 16209,
     "js/entities/player/PlayerInterface.js": 4557,
-    "js/entities/player/PlayerInventory.js": 2993,
+    "js/entities/player/PlayerInventory.js": 22609,
+    "js/entities/player/PlayerItemEffects.js": 23720,
     "js/entities/player/PlayerModel.js": 55444,
-    "js/entities/player/PlayerMovement.js": 8229,
-    "js/entities/player/PlayerSkills.js": 28393,
-    "js/entities/player/PlayerState.js": 1428,
-    "js/entities/player/PlayerStats.js": 7212,
+    "js/entities/player/PlayerMovement.js": 9974,
+    "js/entities/player/PlayerSkills.js": 38407,
+    "js/entities/player/PlayerState.js": 5661,
+    "js/entities/player/PlayerStats.js": 19904,
     "js/entities/skills/BleedingEffect.js": 11889,
-    "js/entities/skills/BreathOfHeavenEffect.js": 14617,
+    "js/entities/skills/BreathOfHeavenEffect.js": 14693,
     "js/entities/skills/BulBreathOfHeavnEffect.js": 22629,
     "js/entities/skills/BulPalmEffect.js": 28873,
     "js/entities/skills/CycloneStrikeEffect.js": 16059,
@@ -433,16 +524,16 @@ const FILE_SIZES =   {
     "js/entities/skills/MysticAllyEffect.js": 25597,
     "js/entities/skills/SevenSidedStrikeEffect.js": 19501,
     "js/entities/skills/ShieldOfZenEffect.js": 13809,
-    "js/entities/skills/Skill.js": 9439,
+    "js/entities/skills/Skill.js": 15794,
     "js/entities/skills/SkillEffect.js": 3809,
     "js/entities/skills/SkillEffectFactory.js": 23124,
     "js/entities/skills/TeleportSkillEffect.js": 14179,
     "js/entities/skills/WaveOfLightEffect.js": 21310,
     "js/entities/skills/WaveStrikeEffect.js": 14073,
     "js/entities/skills/variants/BreathOfHeaven/CircleOfLifeEffect.js": 8194,
-    "js/entities/skills/variants/BreathOfHeaven/InfusedWithLightEffect.js": 10005,
+    "js/entities/skills/variants/BreathOfHeaven/InfusedWithLightEffect.js": 10042,
     "js/entities/skills/variants/BreathOfHeaven/RadiantBreathEffect.js": 6875,
-    "js/entities/skills/variants/BreathOfHeaven/SoothingMistEffect.js": 11901,
+    "js/entities/skills/variants/BreathOfHeaven/SoothingMistEffect.js": 11983,
     "js/entities/skills/variants/BreathOfHeaven/ZephyrsGraceEffect.js": 13678,
     "js/entities/skills/variants/CycloneStrike/EyeOfTheStormEffect.js": 11664,
     "js/entities/skills/variants/CycloneStrike/MysticWindsEffect.js": 15204,
@@ -487,10 +578,10 @@ const FILE_SIZES =   {
     "js/entities/skills/variants/InnerSanctuary/CircleOfWrathEffect.js": 18540,
     "js/entities/skills/variants/InnerSanctuary/ForbiddenPalaceEffect.js": 15287,
     "js/entities/skills/variants/InnerSanctuary/SafeHavenEffect.js": 16656,
-    "js/entities/skills/variants/InnerSanctuary/SanctifiedGroundEffect.js": 17614,
+    "js/entities/skills/variants/InnerSanctuary/SanctifiedGroundEffect.js": 17608,
     "js/entities/skills/variants/InnerSanctuary/TempleOfProtectionEffect.js": 15813,
     "js/entities/skills/variants/MysticAllies/FireAlliesEffect.js": 17873,
-    "js/entities/skills/variants/MysticAllies/WaterAlliesEffect.js": 23391,
+    "js/entities/skills/variants/MysticAllies/WaterAlliesEffect.js": 23385,
     "js/entities/skills/variants/SevenSidedStrike/FistOfFuryEffect.js": 5158,
     "js/entities/skills/variants/SevenSidedStrike/InnerPeaceEffect.js": 11773,
     "js/entities/skills/variants/SevenSidedStrike/PandemoniumEffect.js": 9423,
@@ -511,61 +602,86 @@ const FILE_SIZES =   {
     "js/entities/skills/variants/WaveStrike/TidalWaveEffect.js": 18146,
     "js/entities/utils/CharacterModelPool.js": 6803,
     "js/entities/utils/EnemyObjectPool.js": 6600,
-    "js/game/Game.js": 29915,
+    "js/game/Game.js": 37201,
     "js/game/GameEvents.js": 1148,
     "js/game/GameState.js": 1314,
     "js/game/LoadingManager.js": 1599,
     "js/game/SceneOptimizer.js": 4564,
+    "js/hud-manager/BuffsUI.js": 1625,
+    "js/hud-manager/CodexUI.js": 3764,
+    "js/hud-manager/ConsumablesUI.js": 4633,
+    "js/hud-manager/CraftingUI.js": 11069,
     "js/hud-manager/DeathScreenUI.js": 1852,
-    "js/hud-manager/DialogUI.js": 1843,
+    "js/hud-manager/DialogUI.js": 4061,
     "js/hud-manager/EnemyUI.js": 1842,
-    "js/hud-manager/HUDManager.js": 14220,
-    "js/hud-manager/HomeUI.js": 4118,
+    "js/hud-manager/HUDManager.js": 16503,
+    "js/hud-manager/HomeUI.js": 5475,
     "js/hud-manager/InventoryButton.js": 1863,
-    "js/hud-manager/InventoryUI.js": 12891,
+    "js/hud-manager/InventoryUI.js": 43666,
+    "js/hud-manager/MerchantUI.js": 7682,
     "js/hud-manager/MiniMapButton.js": 2061,
-    "js/hud-manager/MiniMapUI.js": 50767,
+    "js/hud-manager/MiniMapUI.js": 61331,
     "js/hud-manager/NotificationsUI.js": 18719,
     "js/hud-manager/PlayerUI.js": 3867,
-    "js/hud-manager/QuestLogUI.js": 2709,
+    "js/hud-manager/QuestLogUI.js": 7220,
     "js/hud-manager/SkillSelectionButton.js": 4380,
     "js/hud-manager/SkillSelectionUI.js": 29311,
     "js/hud-manager/SkillTreeButton.js": 1867,
-    "js/hud-manager/SkillTreeUI.js": 26754,
+    "js/hud-manager/SkillTreeUI.js": 36342,
     "js/hud-manager/SkillsUI.js": 8306,
+    "js/hud-manager/StashUI.js": 11527,
     "js/hud-manager/VirtualJoystickUI.js": 6963,
-    "js/menu-system/ControlsDisplay.js": 8526,
+    "js/menu-system/ControlsDisplay.js": 10038,
     "js/menu-system/EnemyPreview.js": 12359,
-    "js/menu-system/GameMenu.js": 10279,
+    "js/menu-system/GameMenu.js": 5714,
     "js/menu-system/IMenu.js": 836,
     "js/menu-system/MainBackground.js": 1811,
-    "js/menu-system/MenuManager.js": 5412,
+    "js/menu-system/MenuManager.js": 5564,
     "js/menu-system/ModelPreview.js": 16289,
-    "js/menu-system/SettingsMenu.js": 7721,
+    "js/menu-system/SaveSlotMenu.js": 14385,
+    "js/menu-system/SettingsMenu.js": 7492,
     "js/menu-system/SkillPreview.js": 27837,
     "js/menu-system/settings-menu/AudioTab.js": 5895,
     "js/menu-system/settings-menu/CharacterModelTab.js": 23021,
     "js/menu-system/settings-menu/ControlsTab.js": 1223,
     "js/menu-system/settings-menu/EnemyPreviewTab.js": 13083,
-    "js/menu-system/settings-menu/GameplayTab.js": 2608,
+    "js/menu-system/settings-menu/GameplayTab.js": 16593,
+    "js/menu-system/settings-menu/LootFilterTab.js": 7362,
     "js/menu-system/settings-menu/PerformanceTab.js": 7216,
     "js/menu-system/settings-menu/SettingsTab.js": 1400,
     "js/menu-system/settings-menu/SkillsPreviewTab.js": 9141,
     "js/menu-system/settings-menu/index.js": 533,
-    "js/save-manager/ISaveSystem.js": 1255,
-    "js/save-manager/IStorageAdapter.js": 1060,
+    "js/quests/BountyGenerator.js": 9728,
+    "js/quests/BountyManager.js": 3857,
+    "js/quests/QuestBeacon.js": 4415,
+    "js/quests/QuestDefinitionLoader.js": 2883,
+    "js/quests/QuestValidator.js": 24207,
+    "js/save-manager/HeroTransfer.js": 10776,
+    "js/save-manager/ISaveSystem.js": 1475,
+    "js/save-manager/IStorageAdapter.js": 1215,
+    "js/save-manager/IndexedDBStorageAdapter.js": 7276,
     "js/save-manager/LocalStorageAdapter.js": 1831,
-    "js/save-manager/SaveManager.js": 17997,
-    "js/save-manager/serializers/PlayerSerializer.js": 4913,
-    "js/save-manager/serializers/QuestSerializer.js": 3791,
+    "js/save-manager/RemoteStorageAdapter.js": 7957,
+    "js/save-manager/SaveManager.js": 50754,
+    "js/save-manager/SaveMigrator.js": 4555,
+    "js/save-manager/migrations/save-migrations.js": 5320,
+    "js/save-manager/serializers/CodexSerializer.js": 1198,
+    "js/save-manager/serializers/InventorySerializer.js": 6014,
+    "js/save-manager/serializers/PlayerSerializer.js": 2645,
+    "js/save-manager/serializers/QuestSerializer.js": 10900,
     "js/save-manager/serializers/SettingsSerializer.js": 3440,
+    "js/save-manager/serializers/SkillTreeSerializer.js": 4391,
+    "js/save-manager/serializers/StashSerializer.js": 1981,
+    "js/save-manager/serializers/WorldSerializer.js": 1647,
+    "js/save-manager/utils/SaveIntegrity.js": 1628,
     "js/save-manager/utils/SaveOperationProgress.js": 6226,
     "js/services/InteractionResultHandler.js": 3849,
     "js/types.js": 8276,
     "js/utils/AnimationUtils.js": 10899,
-    "js/utils/SkillTreeUtils.js": 3141,
+    "js/utils/ItemComparisonUtils.js": 3947,
+    "js/utils/SkillTreeUtils.js": 7362,
     "js/utils/debug-utils.js": 1168,
-    "js/world/WorldManager.js": 25544,
+    "js/world/WorldManager.js": 26969,
     "js/world/environment/Bush.js": 1849,
     "js/world/environment/EnvironmentManager.js": 21042,
     "js/world/environment/Flower.js": 4019,
@@ -573,8 +689,12 @@ const FILE_SIZES =   {
     "js/world/environment/Rock.js": 4594,
     "js/world/environment/Tree.js": 4528,
     "js/world/interactive/BossSpawnPoint.js": 1470,
-    "js/world/interactive/InteractiveObjectManager.js": 15160,
+    "js/world/interactive/BountyBoard.js": 2021,
+    "js/world/interactive/CraftingBench.js": 2508,
+    "js/world/interactive/InteractiveObjectManager.js": 16058,
+    "js/world/interactive/MerchantNPC.js": 2734,
     "js/world/interactive/QuestMarker.js": 8876,
+    "js/world/interactive/StashChest.js": 2390,
     "js/world/interactive/TreasureChest.js": 6117,
     "js/world/lighting/LightingManager.js": 6719,
     "js/world/structures/Bridge.js": 14934,
@@ -582,10 +702,10 @@ const FILE_SIZES =   {
     "js/world/structures/DarkSanctum.js": 5009,
     "js/world/structures/Mountain.js": 14043,
     "js/world/structures/Ruins.js": 5086,
-    "js/world/structures/StructureManager.js": 26102,
+    "js/world/structures/StructureManager.js": 26707,
     "js/world/structures/Tower.js": 16012,
     "js/world/structures/Village.js": 21869,
-    "js/world/teleport/TeleportManager.js": 59764,
+    "js/world/teleport/TeleportManager.js": 63077,
     "js/world/terrain/TerrainManager.js": 48019,
     "js/world/utils/EnvironmentObjectPool.js": 6903,
     "js/world/utils/ModelObjectPool.js": 4476,
@@ -593,7 +713,7 @@ const FILE_SIZES =   {
     "js/world/utils/RandomGenerator.js": 2214,
     "js/world/utils/TerrainChunkPool.js": 4878,
     "js/world/utils/TextureGenerator.js": 4292,
-    "js/world/zones/ZoneManager.js": 13789,
+    "js/world/zones/ZoneManager.js": 15329,
     "images/home.jpg": 141566,
     "images/logo-192.png": 15541,
     "images/logo-192.svg": 345,